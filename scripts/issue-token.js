@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Issue an API token for the Jobber Autonomous Agent
+ * Usage: node scripts/issue-token.js <name> <viewer|operator|admin> [expires-in]
+ *
+ * The token is signed with JWT_SECRET, so run this with the same environment
+ * as the agent. expires-in takes values like 12h, 7d or 90d (default
+ * AUTH_TOKEN_EXPIRES_IN, 30d).
+ */
+
+const USAGE = 'Usage: node scripts/issue-token.js <name> <viewer|operator|admin> [expires-in]';
+
+function main(args) {
+  const [subject, role, expiresIn] = args;
+  if (!subject || !role) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const authenticator = require('../src/middleware/auth');
+  const { ROLES } = authenticator;
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Unknown role "${role}" - use one of: ${ROLES.join(', ')}`);
+    return 1;
+  }
+
+  try {
+    const token = authenticator.issueToken({ subject, role, expiresIn });
+    const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+
+    console.error(`🔑 ${role} token for ${subject}, valid until ${new Date(exp * 1000).toISOString()}`);
+    console.error('   Send it as: Authorization: Bearer <token>\n');
+    console.log(token);
+    return 0;
+  } catch (error) {
+    console.error(`❌ Could not issue token: ${error.message}`);
+    return 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config();
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = main;
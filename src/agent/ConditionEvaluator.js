@@ -0,0 +1,173 @@
+// Evaluates rule condition expressions against the features from DecisionEngine.extractFeatures().
+//
+// A condition is either a group or a clause:
+//   { "all": [ ... ] }   every child must match
+//   { "any": [ ... ] }   at least one child must match
+//   { "not": { ... } }   the child must not match
+//   { "field": "city", "op": "eq", "value": "Seattle" }
+//
+// Fields may use dot paths into nested features, e.g. "propertyAddress.postalCode".
+
+const toText = value => (value === undefined || value === null ? '' : String(value).toLowerCase());
+
+const isEmpty = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  notIn: (actual, expected) => !expected.includes(actual),
+  contains: (actual, expected) => Array.isArray(actual) ?
+    actual.includes(expected) : toText(actual).includes(toText(expected)),
+  containsAny: (actual, expected) => expected.some(item => Array.isArray(actual) ?
+    actual.includes(item) : toText(actual).includes(toText(item))),
+  startsWith: (actual, expected) => toText(actual).startsWith(toText(expected)),
+  endsWith: (actual, expected) => toText(actual).endsWith(toText(expected)),
+  matches: (actual, expected) => new RegExp(expected, 'i').test(actual === undefined || actual === null ? '' : String(actual)),
+  exists: (actual, expected = true) => (actual !== undefined && actual !== null) === expected,
+  empty: (actual, expected = true) => isEmpty(actual) === expected
+};
+
+// Operators that compare against a list of values
+const LIST_OPERATORS = ['in', 'notIn', 'containsAny'];
+
+// Operators where "value" is optional
+const UNARY_OPERATORS = ['exists', 'empty'];
+
+function resolveField(features, field) {
+  return field.split('.').reduce((current, key) => current?.[key], features);
+}
+
+/**
+ * Evaluate a condition expression.
+ * Every branch is evaluated (no short-circuiting) so the trace is complete.
+ * Returns { matched, trace } where trace mirrors the shape of the expression.
+ */
+function evaluateCondition(condition, features) {
+  if (condition.all) {
+    const children = condition.all.map(child => evaluateCondition(child, features).trace);
+    const matched = children.every(child => child.matched);
+    return { matched, trace: { type: 'all', matched, children } };
+  }
+
+  if (condition.any) {
+    const children = condition.any.map(child => evaluateCondition(child, features).trace);
+    const matched = children.some(child => child.matched);
+    return { matched, trace: { type: 'any', matched, children } };
+  }
+
+  if (condition.not) {
+    const child = evaluateCondition(condition.not, features).trace;
+    const matched = !child.matched;
+    return { matched, trace: { type: 'not', matched, children: [child] } };
+  }
+
+  const { field, op, value } = condition;
+  const actual = resolveField(features, field);
+  const matched = OPERATORS[op](actual, value);
+
+  return {
+    matched,
+    trace: { type: 'clause', field, op, value, actual, matched }
+  };
+}
+
+function describeClause(node) {
+  const value = Array.isArray(node.value) ? `[${node.value.join(', ')}]` : JSON.stringify(node.value);
+  const expected = node.value === undefined ? '' : ` ${value}`;
+  return `${node.field} ${node.op}${expected} (actual: ${JSON.stringify(node.actual)})`;
+}
+
+/**
+ * List the clauses that made a trace match, in plain text.
+ * Clauses under a matched "not" are reported negated.
+ */
+function describeMatches(trace) {
+  if (!trace.matched) return [];
+
+  switch (trace.type) {
+    case 'clause':
+      return [describeClause(trace)];
+    case 'not':
+      return [`not (${describeNode(trace.children[0])})`];
+    default:
+      return trace.children.flatMap(describeMatches);
+  }
+}
+
+function describeNode(node) {
+  if (node.type === 'clause') return describeClause(node);
+  if (node.type === 'not') return `not (${describeNode(node.children[0])})`;
+  const joiner = node.type === 'all' ? ' and ' : ' or ';
+  return node.children.map(describeNode).join(joiner);
+}
+
+/**
+ * Validate a condition expression. Returns a list of errors prefixed with `at`.
+ * When knownFields is given, the first segment of every field path must be in it.
+ */
+function validateCondition(condition, at, knownFields = null) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${at} must be an object`];
+  }
+
+  const groups = ['all', 'any', 'not'].filter(key => key in condition);
+
+  if (groups.length > 1) {
+    return [`${at} must have only one of "all", "any" or "not"`];
+  }
+
+  if (groups.length === 1) {
+    const [group] = groups;
+
+    if (group === 'not') {
+      return validateCondition(condition.not, `${at}.not`, knownFields);
+    }
+
+    if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+      return [`${at}.${group} must be a non-empty array`];
+    }
+
+    return condition[group].flatMap((child, index) =>
+      validateCondition(child, `${at}.${group}[${index}]`, knownFields)
+    );
+  }
+
+  const errors = [];
+  const { field, op } = condition;
+
+  if (typeof field !== 'string' || field.length === 0) {
+    errors.push(`${at}.field must be a non-empty string`);
+  } else if (knownFields && !knownFields.includes(field.split('.')[0])) {
+    errors.push(`${at}.field "${field}" is not a known feature`);
+  }
+
+  if (!OPERATORS[op]) {
+    errors.push(`${at}.op must be one of ${Object.keys(OPERATORS).join(', ')}`);
+  } else if (!('value' in condition) && !UNARY_OPERATORS.includes(op)) {
+    errors.push(`${at}.value is required for "${op}"`);
+  } else if (LIST_OPERATORS.includes(op) && !Array.isArray(condition.value)) {
+    errors.push(`${at}.value must be an array for "${op}"`);
+  } else if (op === 'matches') {
+    try {
+      new RegExp(condition.value);
+    } catch (error) {
+      errors.push(`${at}.value is not a valid regular expression`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  OPERATORS,
+  evaluateCondition,
+  describeMatches,
+  validateCondition
+};
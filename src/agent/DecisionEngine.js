@@ -1,117 +1,144 @@
 const logger = require('../utils/logger');
 const jobberAPI = require('../api/JobberAPI');
+const config = require('../config');
+const RuleLoader = require('./RuleLoader');
+const decisionStore = require('../storage/DecisionStore');
+const approvalStore = require('../storage/ApprovalStore');
+const onCallStore = require('../storage/OnCallStore');
+const slackNotifier = require('../notifications/SlackNotifier');
+const emailNotifier = require('../notifications/EmailNotifier');
+const smsNotifier = require('../notifications/SmsNotifier');
+const onCallService = require('../services/OnCallService');
+const nearestTechService = require('../services/NearestTechService');
+const techMatchService = require('../services/TechMatchService');
+const availabilityService = require('../services/AvailabilityService');
+const capacityService = require('../services/CapacityService');
+const reschedulingService = require('../services/ReschedulingService');
+const pricingService = require('../services/PricingService');
+const quotePipelineService = require('../services/QuotePipelineService');
+const receivablesService = require('../services/ReceivablesService');
+const scheduler = require('../services/Scheduler');
+const { welcomeEmail, emergencyAlertEmail } = require('../notifications/emailTemplates');
+const { evaluateCondition, describeMatches } = require('./ConditionEvaluator');
 const EventEmitter = require('events');
 
 class DecisionEngine extends EventEmitter {
   constructor() {
     super();
-    this.rules = this.loadRules();
+    this.ruleSet = this.loadRules();
     this.learningData = new Map();
     this.confidenceThreshold = 0.75;
-    this.decisionHistory = [];
-    this.maxHistorySize = 1000;
+    this.maxHistorySize = 1000; // How far back to look for similar decisions
+    this.capacityAlerts = new Set(); // Rules whose capacity alert has gone out for the current crossing
+    
+    // Timers set by actions land back here when they come due
+    scheduler.register('clientFollowUp', payload => this.remindClientFollowUp(payload));
+    scheduler.register('unassignedSweep', () => this.sweepUnassignedJobs());
   }
 
   loadRules() {
-    // Business rules that apply to ALL users
-    return {
-      emergencyResponse: {
-        priority: 100,
-        conditions: {
-          keywords: ['emergency', 'urgent', 'leak', 'flood', 'fire', 'electrical hazard'],
-          timeWindow: 4 // hours
-        },
-        actions: ['notifyOnCall', 'assignNearestTech', 'sendEmergencyAlert']
-      },
-      
-      vipClientHandler: {
-        priority: 90,
-        conditions: {
-          clientValue: 50000, // lifetime value
-          responseTime: 2 // hours
-        },
-        actions: ['assignBestTech', 'notifyManager', 'enablePriorityTracking']
-      },
-      
-      weekendPremium: {
-        priority: 80,
-        conditions: {
-          dayOfWeek: [0, 6], // Sunday, Saturday
-          multiplier: 1.5
-        },
-        actions: ['applyWeekendRate', 'confirmAvailability']
-      },
-      
-      newClientOnboarding: {
-        priority: 70,
-        conditions: {
-          isNewClient: true,
-          daysSinceCreation: 0
-        },
-        actions: ['sendWelcomeMessage', 'assignAccountManager', 'scheduleFollowUp']
-      },
-      
-      capacityManagement: {
-        priority: 60,
-        conditions: {
-          dailyCapacityThreshold: 0.85,
-          weeklyCapacityThreshold: 0.90
-        },
-        actions: ['warnCapacity', 'suggestRescheduling', 'notifyScheduler']
-      },
-      
-      autoAssignment: {
-        priority: 50,
-        conditions: {
-          unassignedDuration: 30, // minutes
-          hasAvailableTech: true
-        },
-        actions: ['autoAssignTech', 'notifyAssignment']
-      },
-      
-      qualityControl: {
-        priority: 40,
-        conditions: {
-          jobType: ['bathroom', 'kitchen'],
-          requiresInspection: true
-        },
-        actions: ['scheduleInspection', 'createChecklist']
-      }
-    };
+    // Business rules that apply to ALL users, defined in the rules file from config
+    this.ruleLoader = new RuleLoader(config.get('agent.rulesFile'), {
+      knownActions: Object.keys(this.getActionMap({}, {})),
+      knownFields: Object.keys(this.extractFeatures(null, {}, { emergencyKeywords: [] })),
+      pollInterval: config.get('agent.rulesPollInterval')
+    });
+
+    // A broken file at startup is fatal - there is no previous rule set to fall back to
+    const ruleSet = this.ruleLoader.load();
+    logger.info(`Loaded ${Object.keys(ruleSet.rules).length} rules from ${this.ruleLoader.filePath}`);
+
+    this.ruleLoader.on('reloaded', (newRuleSet) => {
+      // Swap the reference; in-flight analyses keep the snapshot they started with
+      this.ruleSet = newRuleSet;
+      this.emit('rulesReloaded', { rules: Object.keys(newRuleSet.rules) });
+    });
+    this.ruleLoader.on('rejected', (details) => this.emit('rulesRejected', details));
+
+    if (config.get('agent.rulesHotReload')) {
+      this.ruleLoader.watch();
+    }
+
+    return ruleSet;
+  }
+
+  get rules() {
+    return this.ruleSet.rules;
   }
 
   async analyze(event, context = {}) {
     const startTime = Date.now();
     logger.info(`Analyzing event: ${event.topic} for item ${event.itemId}`);
+    
+    // Pin the rule set for this analysis so a hot reload can't change it mid-flight
+    const ruleSet = this.ruleSet;
 
     try {
       // Fetch full data from Jobber
       const fullData = await this.enrichEventData(event);
       
+      // Quotes are followed up on until the client decides, invoices until paid
+      if (fullData) {
+        this.updateWorkflows(event, fullData, context);
+      }
+      
+      // Work out who is free for the job, and how loaded the team is, from the live schedule
+      const availableTechs = await this.computeAvailableTechs(event, fullData);
+      const capacity = await this.loadCapacity(event);
+      const analysisContext = {
+        ...context,
+        ...(availableTechs && { availableTechs }),
+        ...(capacity && {
+          currentCapacity: capacity.daily.team.utilization,
+          weeklyCapacity: capacity.weekly.team.utilization
+        })
+      };
+      
       // Extract features for decision making
-      const features = this.extractFeatures(fullData, context);
+      const features = this.extractFeatures(fullData, analysisContext, ruleSet);
       
       // Apply rules and get decisions
-      const decisions = await this.applyRules(features, fullData);
+      const rules = this.rulesToApply(event, ruleSet.rules);
+      const decisions = await this.applyRules(features, fullData, rules);
+      if (capacity) {
+        this.rearmCapacityAlerts(rules, decisions);
+      }
       
       // Calculate confidence
       const confidence = this.calculateConfidence(decisions, features);
       
-      // Learn from this decision
-      if (process.env.LEARNING_ENABLED === 'true') {
-        this.recordDecision(event, decisions, confidence);
+      // Persist the decision so it can be queried and learned from
+      const record = this.recordDecision(event, features, decisions, confidence);
+      
+      const actionContext = this.buildActionContext(event, fullData, features, analysisContext);
+      
+      // Shadow decisions are dry-run right away and never handed back for execution
+      const shadowDecisions = decisions.filter(d => d.shadow);
+      if (shadowDecisions.length > 0) {
+        await this.executeDecisions(shadowDecisions, actionContext);
       }
       
+      const liveDecisions = decisions.filter(d => !d.shadow);
+      const shouldExecute = confidence >= this.confidenceThreshold;
+      
+      // Too uncertain to act alone - park it for a human instead of dropping it
+      const approval = !shouldExecute && liveDecisions.length > 0 ?
+        this.queueForApproval(record, event, liveDecisions, actionContext, confidence) : null;
+      
       const analysisTime = Date.now() - startTime;
       logger.info(`Analysis completed in ${analysisTime}ms with confidence ${confidence}`);
       
       return {
+        decisionId: record?.id || null,
         event,
         features,
-        decisions,
+        decisions: liveDecisions,
+        shadowDecisions,
+        actionContext,
         confidence,
         analysisTime,
-        shouldExecute: confidence >= this.confidenceThreshold
+        shouldExecute,
+        approvalId: approval?.id || null
       };
     } catch (error) {
       logger.error('Decision analysis failed:', error);
@@ -125,6 +152,81 @@ class DecisionEngine extends EventEmitter {
     }
   }
 
+  // Context handed to action implementations
+  buildActionContext(event, fullData, features, context) {
+    return {
+      ...context,
+      event,
+      data: fullData,
+      features,
+      jobId: event.topic?.startsWith('JOB_') ? event.itemId : context.jobId,
+      quoteId: event.topic?.startsWith('QUOTE_') ? event.itemId : context.quoteId,
+      availableTechs: features.availableTechs,
+      currentCapacity: features.currentCapacity,
+      weeklyCapacity: features.weeklyCapacity
+    };
+  }
+
+  // Techs free for the job's window, least booked first. Null for events that
+  // aren't about a job; an empty list if the schedule can't be loaded.
+  async computeAvailableTechs(event, fullData) {
+    if (!fullData || !event.topic?.startsWith('JOB_')) {
+      return null;
+    }
+    
+    try {
+      const { available, busy } = await availabilityService.getAvailability({
+        job: fullData,
+        users: fullData.allUsers || []
+      });
+      logger.info(`${available.length} technicians available, ${busy.length} busy`);
+      return available;
+    } catch (error) {
+      logger.error(`Failed to compute technician availability: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Shadow mode only observes, so it doesn't start or stop follow-ups and reminders
+  updateWorkflows(event, data, context) {
+    const workflow = event.topic?.startsWith('QUOTE_') ? quotePipelineService :
+      event.topic?.startsWith('INVOICE_') ? receivablesService : null;
+    if (!workflow) {
+      return null;
+    }
+    
+    if (config.isShadowMode()) {
+      logger.info(`[shadow] Would update follow-ups for ${event.topic} ${event.itemId}`);
+      return null;
+    }
+    
+    try {
+      return workflow.handleEvent(event, data, context);
+    } catch (error) {
+      logger.error(`Failed to track ${event.topic} ${event.itemId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Team utilization, for job events only. Job and visit events change the
+  // schedule, so they invalidate the cached figures rather than wait on a reload.
+  async loadCapacity(event) {
+    const topic = event.topic || '';
+    if (/^(JOB|VISIT)_/.test(topic)) {
+      capacityService.invalidate();
+    }
+    if (!topic.startsWith('JOB_')) {
+      return null;
+    }
+    
+    try {
+      return await capacityService.getCapacity();
+    } catch (error) {
+      logger.error(`Failed to compute capacity: ${error.message}`);
+      return null;
+    }
+  }
+
   async enrichEventData(event) {
     const { topic, itemId } = event;
     
@@ -145,13 +247,14 @@ class DecisionEngine extends EventEmitter {
     }
   }
 
-  extractFeatures(data, context) {
+  extractFeatures(data, context, ruleSet = this.ruleSet) {
+    // Time features describe when the job or quoted work starts, if it's scheduled
+    const startsAt = pricingService.scheduledStart(data);
     const features = {
       // Temporal features
-      timeOfDay: new Date().getHours(),
-      dayOfWeek: new Date().getDay(),
-      isWeekend: [0, 6].includes(new Date().getDay()),
-      isAfterHours: new Date().getHours() < 8 || new Date().getHours() >= 17,
+      timeOfDay: startsAt.getHours(),
+      dayOfWeek: startsAt.getDay(),
+      ...pricingService.timing(startsAt),
       
       // Job features (if applicable)
       jobTitle: data?.title?.toLowerCase() || '',
@@ -182,12 +285,12 @@ class DecisionEngine extends EventEmitter {
       
       // System features
       currentCapacity: context.currentCapacity || 0,
+      weeklyCapacity: context.weeklyCapacity || 0,
       availableTechs: context.availableTechs || []
     };
 
     // Check for emergency keywords
-    const emergencyKeywords = this.rules.emergencyResponse.conditions.keywords;
-    features.hasEmergencyKeywords = emergencyKeywords.some(keyword => 
+    features.hasEmergencyKeywords = ruleSet.emergencyKeywords.some(keyword => 
       features.jobTitle.includes(keyword) || features.jobDescription.includes(keyword)
     );
 
@@ -200,18 +303,34 @@ class DecisionEngine extends EventEmitter {
     return features;
   }
 
-  async applyRules(features, fullData) {
+  // A re-evaluation only re-runs the rules it was queued for. The others already
+  // acted on the item, and running them again would repeat their alerts and charges.
+  rulesToApply(event, rules) {
+    if (!event.reevaluation || !Array.isArray(event.rules)) {
+      return rules;
+    }
+    return Object.fromEntries(Object.entries(rules).filter(([name]) => event.rules.includes(name)));
+  }
+
+  async applyRules(features, fullData, rules = this.rules) {
     const decisions = [];
     
-    for (const [ruleName, rule] of Object.entries(this.rules)) {
-      const applies = await this.evaluateRule(rule, features, fullData);
+    const globalShadow = config.isShadowMode();
+    
+    for (const [ruleName, rule] of Object.entries(rules)) {
+      if (rule.enabled === false) continue;
       
-      if (applies) {
+      const { matched, trace } = await this.evaluateRule(rule, features, fullData);
+      
+      if (matched) {
         decisions.push({
           rule: ruleName,
           priority: rule.priority,
           actions: rule.actions,
-          reasoning: this.generateReasoning(ruleName, features)
+          params: rule.params || {},
+          shadow: globalShadow || rule.shadow === true,
+          reasoning: this.generateReasoning(ruleName, features, trace),
+          trace
         });
       }
     }
@@ -223,53 +342,24 @@ class DecisionEngine extends EventEmitter {
   }
 
   async evaluateRule(rule, features, fullData) {
-    const { conditions } = rule;
-    
-    // Emergency response
-    if (conditions.keywords && features.hasEmergencyKeywords) {
-      return true;
-    }
-    
-    // VIP client
-    if (conditions.clientValue && features.clientLifetimeValue >= conditions.clientValue) {
-      return true;
-    }
-    
-    // Weekend premium
-    if (conditions.dayOfWeek && conditions.dayOfWeek.includes(features.dayOfWeek)) {
-      return true;
-    }
-    
-    // New client
-    if (conditions.isNewClient && features.isNewClient) {
-      return true;
-    }
-    
-    // Capacity management
-    if (conditions.dailyCapacityThreshold && features.currentCapacity >= conditions.dailyCapacityThreshold) {
-      return true;
-    }
-    
-    // Auto assignment
-    if (conditions.unassignedDuration && !features.isAssigned && features.availableTechs.length > 0) {
-      return true;
-    }
-    
-    return false;
+    return evaluateCondition(rule.conditions, features);
   }
 
-  generateReasoning(ruleName, features) {
+  generateReasoning(ruleName, features, trace) {
     const reasoningMap = {
       emergencyResponse: `Emergency detected in job "${features.jobTitle}". Immediate response required.`,
       vipClientHandler: `VIP client ${features.clientName} (LTV: $${features.clientLifetimeValue}). Premium service activated.`,
       weekendPremium: `Weekend job detected. Premium rates will apply.`,
       newClientOnboarding: `New client ${features.clientName} detected. Initiating onboarding sequence.`,
-      capacityManagement: `Capacity at ${(features.currentCapacity * 100).toFixed(0)}%. Management intervention needed.`,
+      capacityManagement: `Capacity at ${(features.currentCapacity * 100).toFixed(0)}% today, ${(features.weeklyCapacity * 100).toFixed(0)}% this week. Management intervention needed.`,
       autoAssignment: `Unassigned job detected. Auto-assigning to available technician.`,
       qualityControl: `Quality control required for ${features.jobTitle}. Scheduling inspection.`
     };
     
-    return reasoningMap[ruleName] || `Rule ${ruleName} triggered based on conditions.`;
+    const summary = reasoningMap[ruleName] || `Rule ${ruleName} triggered based on conditions.`;
+    const matchedClauses = trace ? describeMatches(trace) : [];
+    
+    return matchedClauses.length > 0 ? `${summary} Matched: ${matchedClauses.join('; ')}.` : summary;
   }
 
   calculateConfidence(decisions, features) {
@@ -294,91 +384,189 @@ class DecisionEngine extends EventEmitter {
 
   checkHistoricalSuccess(decisions, features) {
     // Look for similar past decisions
-    const similarDecisions = this.decisionHistory.filter(history => {
-      return history.features.jobStatus === features.jobStatus &&
-             history.features.isWeekend === features.isWeekend &&
-             history.decisions.some(d => decisions.some(curr => curr.rule === d.rule));
-    });
+    let similarDecisions;
+    try {
+      similarDecisions = decisionStore.findSimilar({
+        rules: decisions.map(d => d.rule),
+        jobStatus: features.jobStatus,
+        isWeekend: features.isWeekend,
+        limit: this.maxHistorySize
+      });
+    } catch (error) {
+      logger.error('Failed to load decision history:', error);
+      similarDecisions = [];
+    }
     
     if (similarDecisions.length === 0) return 0.75; // Default success rate
     
-    const successCount = similarDecisions.filter(h => h.outcome === 'success').length;
-    return successCount / similarDecisions.length;
+    // Partial outcomes count as half a success
+    const score = similarDecisions.reduce((sum, h) => {
+      if (h.outcome === 'success') return sum + 1;
+      if (h.outcome === 'partial') return sum + 0.5;
+      return sum;
+    }, 0);
+    return score / similarDecisions.length;
   }
 
-  recordDecision(event, decisions, confidence) {
-    const record = {
-      timestamp: new Date(),
-      event,
-      decisions,
-      confidence,
-      features: event.features || {},
-      outcome: 'pending' // Will be updated based on feedback
-    };
-    
-    this.decisionHistory.push(record);
+  recordDecision(event, features, decisions, confidence) {
+    let record;
+    try {
+      record = decisionStore.record({ event, features, decisions, confidence });
+    } catch (error) {
+      // Losing the audit record must not block the decision itself
+      logger.error('Failed to record decision:', error);
+      return null;
+    }
     
-    // Keep history size manageable
-    if (this.decisionHistory.length > this.maxHistorySize) {
-      this.decisionHistory.shift();
+    // Tag decisions so executeDecisions can attach its results to the record
+    for (const decision of decisions) {
+      decision.decisionId = record.id;
     }
     
     // Emit for monitoring
     this.emit('decisionRecorded', record);
+    
+    return record;
+  }
+
+  queueForApproval(record, event, decisions, context, confidence) {
+    try {
+      const approval = approvalStore.create({
+        decisionId: record?.id || null,
+        event,
+        confidence,
+        decisions,
+        context,
+        ttl: config.get('agent.approvalTtl')
+      });
+      
+      logger.info(`Decision ${approval.decisionId} queued for approval (confidence ${confidence})`);
+      this.emit('approvalQueued', approval);
+      return approval;
+    } catch (error) {
+      logger.error('Failed to queue decision for approval:', error);
+      return null;
+    }
+  }
+
+  // Execute a pending approval with the context captured at analysis time.
+  // Returns null if the approval is no longer pending.
+  async approveDecision(approvalId, { actor, note } = {}) {
+    if (!approvalStore.resolve(approvalId, 'approved', { actor, note })) {
+      return null;
+    }
+    
+    const approval = approvalStore.get(approvalId);
+    logger.info(`Approval ${approvalId} approved${actor ? ` by ${actor}` : ''}, executing decisions`);
+    
+    const results = await this.executeDecisions(approval.decisions, approval.context);
+    approvalStore.saveResults(approvalId, results);
+    
+    this.emit('approvalResolved', { approvalId, status: 'approved', actor });
+    return { ...approval, results };
+  }
+
+  // Reject a pending approval; the decision is recorded as a failure so it
+  // lowers confidence for similar decisions. Returns null if no longer pending.
+  rejectDecision(approvalId, { actor, note } = {}) {
+    if (!approvalStore.resolve(approvalId, 'rejected', { actor, note })) {
+      return null;
+    }
+    
+    const approval = approvalStore.get(approvalId);
+    logger.info(`Approval ${approvalId} rejected${actor ? ` by ${actor}` : ''}`);
+    
+    if (approval.decisionId) {
+      this.updateOutcome(approval.decisionId, 'failure', { note: note || 'Rejected in approval queue', actor });
+    }
+    
+    this.emit('approvalResolved', { approvalId, status: 'rejected', actor });
+    return approval;
   }
 
   async executeDecisions(decisions, context) {
     const results = [];
     
     for (const decision of decisions) {
-      logger.info(`Executing decision: ${decision.rule} with actions: ${decision.actions.join(', ')}`);
+      const mode = decision.shadow ? 'Shadow-executing' : 'Executing';
+      logger.info(`${mode} decision: ${decision.rule} with actions: ${decision.actions.join(', ')}`);
       
       for (const action of decision.actions) {
+        // In shadow mode side effects are collected per action instead of performed
+        const actionContext = decision.shadow ? { ...context, shadow: true, sideEffects: [] } : context;
+        const shadowFields = () => decision.shadow ? { shadow: true, effects: actionContext.sideEffects } : {};
+        
         try {
-          const result = await this.executeAction(action, context, decision);
+          const result = await this.executeAction(action, actionContext, decision);
           results.push({
+            rule: decision.rule,
             action,
             success: true,
-            result
+            result,
+            ...shadowFields()
           });
         } catch (error) {
           logger.error(`Failed to execute action ${action}:`, error);
           results.push({
+            rule: decision.rule,
             action,
             success: false,
-            error: error.message
+            error: error.message,
+            ...shadowFields()
           });
         }
       }
     }
     
+    this.recordActionResults(decisions, results);
+    
     return results;
   }
 
-  async executeAction(action, context, decision) {
+  recordActionResults(decisions, results) {
+    const decisionIds = [...new Set(decisions.map(d => d.decisionId).filter(Boolean))];
+    
+    for (const decisionId of decisionIds) {
+      const rules = decisions.filter(d => d.decisionId === decisionId).map(d => d.rule);
+      try {
+        decisionStore.appendActionResults(
+          decisionId,
+          results.filter(r => rules.includes(r.rule))
+        );
+      } catch (error) {
+        logger.error(`Failed to record action results for decision ${decisionId}:`, error);
+      }
+    }
+  }
+
+  getActionMap(context, decision) {
     // Map actions to actual implementations
-    const actionMap = {
-      notifyOnCall: () => this.notifyOnCall(context),
+    return {
+      notifyOnCall: () => this.notifyOnCall(context, decision),
       assignNearestTech: () => this.assignNearestTech(context),
-      sendEmergencyAlert: () => this.sendEmergencyAlert(context),
-      assignBestTech: () => this.assignBestTech(context),
+      sendEmergencyAlert: () => this.sendEmergencyAlert(context, decision),
+      assignBestTech: () => this.assignBestTech(context, decision),
       notifyManager: () => this.notifyManager(context, decision),
       enablePriorityTracking: () => this.enablePriorityTracking(context),
-      applyWeekendRate: () => this.applyWeekendRate(context),
+      applyWeekendRate: () => this.applyWeekendRate(context, decision),
+      applySurcharges: () => this.applySurcharges(context, decision),
       confirmAvailability: () => this.confirmAvailability(context),
       sendWelcomeMessage: () => this.sendWelcomeMessage(context),
       assignAccountManager: () => this.assignAccountManager(context),
-      scheduleFollowUp: () => this.scheduleFollowUp(context),
+      scheduleFollowUp: () => this.scheduleFollowUp(context, decision),
+      scheduleReevaluation: () => this.scheduleReevaluation(context, decision),
       warnCapacity: () => this.warnCapacity(context),
-      suggestRescheduling: () => this.suggestRescheduling(context),
-      notifyScheduler: () => this.notifyScheduler(context),
-      autoAssignTech: () => this.autoAssignTech(context),
-      notifyAssignment: () => this.notifyAssignment(context),
+      suggestRescheduling: () => this.suggestRescheduling(context, decision),
+      notifyScheduler: () => this.notifyScheduler(context, decision),
+      autoAssignTech: () => this.autoAssignTech(context, decision),
+      notifyAssignment: () => this.notifyAssignment(context, decision),
       scheduleInspection: () => this.scheduleInspection(context),
       createChecklist: () => this.createChecklist(context)
     };
-    
-    const actionFunction = actionMap[action];
+  }
+
+  async executeAction(action, context, decision) {
+    const actionFunction = this.getActionMap(context, decision)[action];
     if (!actionFunction) {
       throw new Error(`Unknown action: ${action}`);
     }
@@ -386,35 +574,239 @@ class DecisionEngine extends EventEmitter {
     return await actionFunction();
   }
 
+  // Every Jobber mutation and outgoing notification goes through here, so shadow
+  // runs record what would have happened (target, method, arguments) instead
+  async performSideEffect(context, target, method, args, perform) {
+    if (context.shadow) {
+      context.sideEffects.push({ target, method, args });
+      logger.info(`[shadow] Would call ${target}.${method}`);
+      return { shadow: true };
+    }
+    return await perform();
+  }
+
+  async callJobber(context, method, ...args) {
+    return this.performSideEffect(context, 'jobber', method, args, () => jobberAPI[method](...args));
+  }
+
+  // Look at the event's item again later with just `rules`; it comes back through
+  // the webhook queue as a fresh event. Only one is pending per item and rules.
+  async reevaluateLater(context, { delay, runAt, reason, rules }) {
+    const { topic, itemId, accountId, userId, userName } = context.event || {};
+    const job = {
+      type: 'reevaluate',
+      key: `reevaluate:${itemId}:${rules.join(',')}`,
+      payload: { event: { topic, itemId, accountId, userId, userName, rules }, reason },
+      description: reason,
+      ...(runAt ? { runAt } : { delay })
+    };
+    
+    return this.performSideEffect(context, 'scheduler', 'schedule', [job], () => scheduler.schedule(job));
+  }
+
+  // Post a Block Kit message about the job in context to Slack
+  async notifySlack(context, decision, options) {
+    const message = slackNotifier.buildJobMessage({
+      job: context.data || {},
+      reasoning: decision?.reasoning,
+      assignedTech: context.assignedTech,
+      decision,
+      ...options
+    });
+    
+    const result = await this.performSideEffect(context, 'slack', 'send', [message], () => slackNotifier.send(message));
+    return { notified: result.sent === true || result.shadow === true, ...result };
+  }
+
+  // Queue an email through the outbox; message is { to, subject, html, text, tag }
+  async sendEmail(context, message) {
+    return this.performSideEffect(context, 'email', 'send', [message], () => emailNotifier.send(message));
+  }
+
+  // Text a phone number; message is { to, body, tag }
+  async sendSms(context, message) {
+    return this.performSideEffect(context, 'sms', 'send', [message], () => smsNotifier.send(message));
+  }
+
   // Action implementations (these would integrate with various services)
-  async notifyOnCall(context) {
+  async notifyOnCall(context, decision) {
     logger.info('Notifying on-call personnel...');
-    // Implementation would send alerts via Slack, SMS, etc.
-    return { notified: true, method: 'slack' };
+    
+    // Updates to the job match the emergency rule again; someone is already on it
+    const itemId = context.event?.itemId || null;
+    const openPage = itemId ? onCallStore.findOpenPage(itemId) : null;
+    if (openPage) {
+      logger.info(`Page ${openPage.id} for ${itemId} is already ${openPage.status}, not paging again`);
+      return { paged: false, skipped: true, pageId: openPage.id, reason: `Page already ${openPage.status}` };
+    }
+    
+    // The rule can name a team in its params; otherwise the default team is paged
+    const page = {
+      team: decision.params?.team || config.get('onCall.defaultTeam'),
+      itemId,
+      job: context.data || {},
+      reasoning: decision.reasoning,
+      decisionId: decision.decisionId
+    };
+    
+    const result = await this.performSideEffect(context, 'oncall', 'page', [page], () => onCallService.page(page));
+    if (result.paged || result.shadow) {
+      return { ...result, method: 'page' };
+    }
+    
+    // Nobody on call - fall back to a channel-wide Slack alert
+    const slack = await this.notifySlack(context, decision, {
+      headline: 'On-call response needed',
+      severity: 'critical'
+    });
+    return { ...slack, method: 'slack', reason: result.reason };
+  }
+
+  // Techs an assignment action may pick from: those free for the job's window
+  getCandidateTechs(context) {
+    return context.availableTechs || [];
+  }
+
+  // Why an assignment action must leave the job alone, or null if it may assign it.
+  // Updates and re-evaluations see jobs someone has already assigned, and several
+  // rules can match one event - only the first assignment that succeeds counts.
+  assignmentSkipReason(context) {
+    if (context.features?.isAssigned) {
+      return 'Job is already assigned';
+    }
+    if (context.assignedTech) {
+      return `Already assigned to ${context.assignedTech.name || context.assignedTech.id} by an earlier action`;
+    }
+    return null;
   }
 
   async assignNearestTech(context) {
     logger.info('Finding nearest available technician...');
-    // Implementation would use location data and availability
-    return { assigned: true, techId: 'tech-123' };
+    if (!context.jobId) {
+      return { assigned: false, reason: 'Event is not about a job' };
+    }
+    
+    const skipReason = this.assignmentSkipReason(context);
+    if (skipReason) {
+      return { assigned: false, skipped: true, reason: skipReason };
+    }
+    
+    const { ranking, nearest, reason } = await nearestTechService.findNearest({
+      job: context.data || {},
+      candidates: this.getCandidateTechs(context)
+    });
+    
+    if (!nearest) {
+      return { assigned: false, reason: reason || 'No free technician with a known location', ranking };
+    }
+    
+    await this.callJobber(context, 'assignJob', context.jobId, nearest.techId);
+    context.assignedTech = { id: nearest.techId, name: nearest.name };
+    logger.info(`Assigned ${nearest.name || nearest.techId} (${nearest.distanceKm} km away)`);
+    return { assigned: true, techId: nearest.techId, distanceKm: nearest.distanceKm, ranking };
   }
 
-  async sendEmergencyAlert(context) {
+  async sendEmergencyAlert(context, decision) {
     logger.info('Sending emergency alert to all channels...');
-    // Implementation would broadcast to multiple channels
-    return { alerted: true, channels: ['slack', 'sms', 'email'] };
+    const channels = [];
+    const errors = {};
+    
+    // One channel failing must not stop the others
+    try {
+      const slack = await this.notifySlack(context, decision, {
+        headline: 'Emergency job',
+        severity: 'critical'
+      });
+      if (slack.notified) channels.push('slack');
+    } catch (error) {
+      errors.slack = error.message;
+    }
+    
+    const recipients = config.get('notifications.email.alertRecipients');
+    if (recipients.length > 0) {
+      const job = context.data || {};
+      const template = emergencyAlertEmail({
+        job,
+        reasoning: decision?.reasoning,
+        jobUrl: job.id ? slackNotifier.jobUrl(job.id) : null
+      });
+      
+      try {
+        const results = await Promise.all(recipients.map(to =>
+          this.sendEmail(context, { to, ...template, tag: 'emergencyAlert' })
+        ));
+        if (results.some(r => r.queued || r.shadow)) channels.push('email');
+      } catch (error) {
+        errors.email = error.message;
+      }
+    }
+    
+    // Text the alert list plus whoever is already assigned to the job
+    const phones = [...config.get('notifications.sms.alertRecipients')];
+    const techPhone = context.assignedTech?.phone || context.data?.assignedTo?.phone;
+    if (techPhone) phones.push(techPhone);
+    
+    if (phones.length > 0) {
+      const job = context.data || {};
+      const body = [
+        `EMERGENCY: ${job.title || 'Untitled job'}`,
+        job.client?.name && `Client: ${job.client.name}`,
+        job.id && slackNotifier.jobUrl(job.id)
+      ].filter(Boolean).join('\n');
+      
+      const results = await Promise.allSettled(phones.map(to =>
+        this.sendSms(context, { to, body, tag: 'emergencyAlert' })
+      ));
+      if (results.some(r => r.status === 'fulfilled' && (r.value.sent || r.value.shadow))) channels.push('sms');
+      
+      const failed = results.find(r => r.status === 'rejected');
+      if (failed) errors.sms = failed.reason.message;
+    }
+    
+    return {
+      alerted: channels.length > 0,
+      channels,
+      ...(Object.keys(errors).length > 0 && { errors })
+    };
   }
 
-  async assignBestTech(context) {
-    logger.info('Assigning best available technician for VIP client...');
-    // Implementation would consider ratings, experience, etc.
-    return { assigned: true, techId: 'tech-vip-456' };
+  // Match the job to technician profiles; rules set params.vip to favour top-rated, VIP-eligible techs
+  async assignBestTech(context, decision) {
+    logger.info('Assigning best available technician...');
+    if (!context.jobId) {
+      return { assigned: false, reason: 'Event is not about a job' };
+    }
+    
+    const skipReason = this.assignmentSkipReason(context);
+    if (skipReason) {
+      return { assigned: false, skipped: true, reason: skipReason };
+    }
+    
+    const vip = decision?.params?.vip === true;
+    const { ranking, best, requiredSkills, vipFallback } = techMatchService.rank({
+      job: context.data || {},
+      candidates: this.getCandidateTechs(context),
+      vip
+    });
+    
+    if (!best) {
+      return { assigned: false, reason: 'No available technicians', ranking };
+    }
+    if (vipFallback) {
+      logger.warn('No VIP-eligible technician available, assigning the best match overall');
+    }
+    
+    await this.callJobber(context, 'assignJob', context.jobId, best.techId);
+    context.assignedTech = { id: best.techId, name: best.name };
+    return { assigned: true, techId: best.techId, score: best.score, vip, vipFallback, requiredSkills, ranking };
   }
 
   async notifyManager(context, decision) {
     logger.info(`Notifying manager about ${decision.rule}...`);
-    // Implementation would send detailed notification to managers
-    return { notified: true, managerId: 'mgr-789' };
+    return this.notifySlack(context, decision, {
+      headline: 'Manager attention needed',
+      severity: 'warning'
+    });
   }
 
   async enablePriorityTracking(context) {
@@ -423,10 +815,50 @@ class DecisionEngine extends EventEmitter {
     return { enabled: true, trackingId: 'track-101' };
   }
 
-  async applyWeekendRate(context) {
+  async applyWeekendRate(context, decision) {
     logger.info('Applying weekend premium rates...');
-    // Implementation would update pricing
-    return { applied: true, multiplier: 1.5 };
+    // The rule's multiplier (1.5 = +50%) takes precedence over the configured rate
+    const multiplier = decision?.params?.multiplier;
+    const overrides = multiplier ? { weekend: { rate: multiplier - 1 } } : {};
+    return this.applySurcharges(context, decision, ['weekend'], overrides);
+  }
+
+  // Add surcharge line items to the quote; by default every surcharge that applies
+  // at the quoted work's start
+  async applySurcharges(context, decision, surcharges = null, overrides = {}) {
+    if (!context.quoteId) {
+      return { applied: false, reason: 'Event is not about a quote' };
+    }
+    
+    // Fetch the quote fresh - an earlier action may already have added line items
+    const quote = await jobberAPI.getQuote(context.quoteId);
+    if (!pricingService.isOpen(quote)) {
+      return { applied: false, reason: `Quote is ${quote.status}` };
+    }
+    const names = surcharges || pricingService.applicable({
+      features: context.features,
+      quote,
+      emergencyKeywords: this.ruleSet.emergencyKeywords
+    });
+    
+    const plan = pricingService.plan(quote, names, overrides);
+    if (plan.added.length === 0) {
+      return { applied: false, reason: 'No new surcharges to apply', skipped: plan.skipped };
+    }
+    
+    const updatedQuote = await this.callJobber(context, 'updateQuote', quote.id, { lineItems: plan.lineItems });
+    const adjustment = await this.performSideEffect(context, 'pricing', 'record', [{ quoteId: quote.id, added: plan.added }], () =>
+      pricingService.record(plan, { updatedQuote, decisionId: decision?.decisionId })
+    );
+    
+    return {
+      applied: true,
+      adjustmentId: adjustment.id || null,
+      surcharges: plan.added.map(({ surcharge, amount }) => ({ surcharge, amount })),
+      skipped: plan.skipped,
+      beforeTotal: plan.beforeTotal,
+      afterTotal: adjustment.afterTotal ?? plan.afterTotal
+    };
   }
 
   async confirmAvailability(context) {
@@ -437,8 +869,28 @@ class DecisionEngine extends EventEmitter {
 
   async sendWelcomeMessage(context) {
     logger.info('Sending welcome message to new client...');
-    // Implementation would send personalized welcome
-    return { sent: true, messageId: 'msg-202' };
+    
+    // CLIENT_ events carry the client itself, job events carry it nested
+    const client = context.event?.topic?.startsWith('CLIENT_') ? context.data : context.data?.client;
+    if (!client?.email) {
+      return { sent: false, reason: 'Client has no email address' };
+    }
+    
+    const template = welcomeEmail({
+      clientName: client.name,
+      companyName: config.get('notifications.email.companyName')
+    });
+    
+    // Every later event about the client's jobs still sees a new client; the key
+    // keeps it to one welcome per client
+    const key = `welcome:${client.id || client.email}`;
+    const result = await this.sendEmail(context, { to: client.email, ...template, tag: 'welcome', key });
+    return {
+      sent: result.queued === true || result.shadow === true,
+      alreadyWelcomed: result.duplicate === true,
+      messageId: result.id || null,
+      ...result
+    };
   }
 
   async assignAccountManager(context) {
@@ -447,45 +899,206 @@ class DecisionEngine extends EventEmitter {
     return { assigned: true, managerId: 'am-303' };
   }
 
-  async scheduleFollowUp(context) {
+  async scheduleFollowUp(context, decision) {
     logger.info('Scheduling follow-up for new client...');
-    // Implementation would create follow-up tasks
-    return { scheduled: true, date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) };
+    
+    const client = context.event?.topic?.startsWith('CLIENT_') ? context.data : context.data?.client;
+    if (!client?.id) {
+      return { scheduled: false, reason: 'Event has no client' };
+    }
+    
+    const days = decision?.params?.followUpDays || 7;
+    const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const job = {
+      type: 'clientFollowUp',
+      key: `clientFollowUp:${client.id}`,
+      payload: { client: { id: client.id, name: client.name, email: client.email, phone: client.phone }, days },
+      description: `Follow up with new client ${client.name || client.id}`,
+      runAt: date.toISOString()
+    };
+    
+    const result = await this.performSideEffect(context, 'scheduler', 'schedule', [job], () => scheduler.schedule(job));
+    return { scheduled: true, date, scheduledJobId: result.job?.id || null };
+  }
+
+  // Scheduled by scheduleFollowUp; a failed post is left on the job for /scheduled
+  async remindClientFollowUp({ client, days }) {
+    const result = await slackNotifier.notifyJob({
+      headline: 'Follow up with new client',
+      severity: 'info',
+      job: { client },
+      reasoning: `${client.name || 'This client'} became a client ${days} days ago. Check in on how things are going.`,
+      extraFields: [['Email', client.email], ['Phone', client.phone]]
+    });
+    if (!result.sent) {
+      throw new Error(result.reason || 'Slack message was not sent');
+    }
+  }
+
+  // Rule action: re-run the rules for this item after params.delayMinutes (default 60)
+  async scheduleReevaluation(context, decision) {
+    const minutes = decision.params?.delayMinutes || 60;
+    logger.info(`Scheduling re-evaluation in ${minutes} minutes...`);
+    
+    const result = await this.reevaluateLater(context, {
+      delay: minutes * 60 * 1000,
+      reason: `${decision.rule} asked to look again in ${minutes} minutes`,
+      rules: [decision.rule]
+    });
+    return { scheduled: true, scheduledJobId: result.job?.id || null, alreadyPending: result.created === false };
+  }
+
+  // Scheduled on a cron: queue a re-evaluation for every job today that nobody is assigned to
+  async sweepUnassignedJobs() {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    
+    // Only the auto-assigning rules run again; the rest already acted on these jobs
+    const rules = Object.entries(this.rules)
+      .filter(([, rule]) => rule.enabled !== false && rule.actions.includes('autoAssignTech'))
+      .map(([name]) => name);
+    if (rules.length === 0) {
+      logger.info('Unassigned sweep skipped: no enabled rule auto-assigns jobs');
+      return { queued: 0 };
+    }
+    
+    const schedule = await jobberAPI.getSchedule(start.toISOString(), end.toISOString());
+    const unassigned = (schedule?.jobs || []).filter(job => !job.assignedTo?.id);
+    
+    for (const job of unassigned) {
+      scheduler.schedule({
+        type: 'reevaluate',
+        key: `reevaluate:${job.id}:${rules.join(',')}`,
+        payload: { event: { topic: 'JOB_UPDATE', itemId: job.id, rules }, reason: 'Still unassigned on the daily sweep' },
+        description: `Unassigned job ${job.title || job.id}`,
+        delay: 0
+      });
+    }
+    
+    logger.info(`Unassigned sweep queued ${unassigned.length} jobs for re-evaluation`);
+    return { queued: unassigned.length };
   }
 
   async warnCapacity(context) {
-    logger.info('Warning about capacity limits...');
-    // Implementation would send capacity alerts
-    return { warned: true, currentCapacity: context.currentCapacity };
+    const daily = Math.round((context.currentCapacity || 0) * 100);
+    const weekly = Math.round((context.weeklyCapacity || 0) * 100);
+    logger.warn(`Capacity warning: ${daily}% booked today, ${weekly}% this week`);
+    return { warned: true, currentCapacity: context.currentCapacity, weeklyCapacity: context.weeklyCapacity };
   }
 
-  async suggestRescheduling(context) {
+  // Find open slots for the job, save them so one can be accepted through the API, and post them to Slack
+  async suggestRescheduling(context, decision) {
     logger.info('Suggesting rescheduling options...');
-    // Implementation would analyze and suggest alternatives
-    return { suggested: true, alternatives: 3 };
+    if (!context.jobId) {
+      return { suggested: false, reason: 'Event is not about a job' };
+    }
+    
+    const job = { ...context.data, id: context.jobId };
+    const slots = await reschedulingService.suggest({ job });
+    if (slots.length === 0) {
+      return { suggested: false, reason: 'No open slots found' };
+    }
+    
+    const saved = await this.performSideEffect(context, 'reschedule', 'save', [{ jobId: job.id, slots }], () =>
+      reschedulingService.save({ job, decisionId: decision?.decisionId, slots })
+    );
+    const suggestionId = saved.id || null;
+    
+    const when = iso => new Date(iso).toLocaleString('en-US', {
+      weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+    const lines = slots.map(slot => `${slot.number}. ${when(slot.startAt)} - ${slot.techName || slot.techId}`);
+    
+    let notified = false;
+    try {
+      const result = await this.notifySlack(context, decision, {
+        headline: 'Rescheduling options',
+        severity: 'info',
+        extraFields: [
+          ['Open slots', lines.join('\n')],
+          ...(suggestionId ? [['Accept', `POST /reschedule/${suggestionId}/accept with { "slot": <number> }`]] : [])
+        ]
+      });
+      notified = result.notified;
+    } catch (error) {
+      logger.error(`Failed to post rescheduling options: ${error.message}`);
+    }
+    
+    return { suggested: true, suggestionId, slots, notified };
   }
 
-  async notifyScheduler(context) {
+  // Capacity alerts go out once per threshold crossing. A rule's alert re-arms
+  // when an analysis that saw capacity no longer matches the rule.
+  rearmCapacityAlerts(rules, decisions) {
+    for (const rule of this.capacityAlerts) {
+      if (rules[rule] && !decisions.some(d => d.rule === rule)) {
+        this.capacityAlerts.delete(rule);
+      }
+    }
+  }
+
+  async notifyScheduler(context, decision) {
+    if (this.capacityAlerts.has(decision.rule)) {
+      return { notified: false, skipped: true, reason: 'Already alerted until capacity drops below the threshold' };
+    }
+    
     logger.info('Notifying scheduling team...');
-    // Implementation would alert scheduling team
-    return { notified: true };
+    const result = await this.notifySlack(context, decision, {
+      headline: 'Scheduling attention needed',
+      severity: 'warning',
+      extraFields: [
+        ['Capacity today', `${Math.round((context.currentCapacity || 0) * 100)}%`],
+        ['Capacity this week', `${Math.round((context.weeklyCapacity || 0) * 100)}%`]
+      ]
+    });
+    if (result.notified) {
+      this.capacityAlerts.add(decision.rule);
+    }
+    return result;
   }
 
-  async autoAssignTech(context) {
+  // availableTechs is already ordered by booked hours and the configured tie-breakers
+  async autoAssignTech(context, decision) {
     logger.info('Auto-assigning to available technician...');
-    // Implementation would use smart assignment logic
-    const availableTech = context.availableTechs[0];
+    
+    const skipReason = this.assignmentSkipReason(context);
+    if (skipReason) {
+      return { assigned: false, skipped: true, reason: skipReason };
+    }
+    
+    // Give the office params.unassignedDuration minutes to assign new jobs themselves
+    const waitMinutes = decision?.params?.unassignedDuration;
+    const createdAt = context.data?.createdAt && new Date(context.data.createdAt).getTime();
+    if (waitMinutes && createdAt && createdAt + waitMinutes * 60 * 1000 > Date.now()) {
+      const reevaluateAt = new Date(createdAt + waitMinutes * 60 * 1000).toISOString();
+      const result = await this.reevaluateLater(context, {
+        runAt: reevaluateAt,
+        reason: `Auto-assign if still unassigned ${waitMinutes} minutes after creation`,
+        rules: [decision.rule]
+      });
+      return { assigned: false, deferred: true, reevaluateAt, scheduledJobId: result.job?.id || null };
+    }
+    
+    const availableTech = context.availableTechs?.[0];
     if (availableTech && context.jobId) {
-      await jobberAPI.assignJob(context.jobId, availableTech.id);
-      return { assigned: true, techId: availableTech.id };
+      await this.callJobber(context, 'assignJob', context.jobId, availableTech.id);
+      context.assignedTech = availableTech;
+      return { assigned: true, techId: availableTech.id, bookedHours: availableTech.bookedHours };
     }
     return { assigned: false, reason: 'No available technicians' };
   }
 
-  async notifyAssignment(context) {
+  async notifyAssignment(context, decision) {
+    if (!context.assignedTech) {
+      return { notified: false, reason: 'Nothing was assigned' };
+    }
+    
     logger.info('Notifying about new assignment...');
-    // Implementation would send notifications
-    return { notified: true };
+    return this.notifySlack(context, decision, {
+      headline: 'Job assigned',
+      severity: 'info'
+    });
   }
 
   async scheduleInspection(context) {
@@ -501,28 +1114,93 @@ class DecisionEngine extends EventEmitter {
   }
 
   // Learning and improvement methods
-  updateOutcome(decisionId, outcome) {
-    const decision = this.decisionHistory.find(d => d.id === decisionId);
+  updateOutcome(decisionId, outcome, { note, actor } = {}) {
+    if (!decisionStore.OUTCOMES.includes(outcome)) {
+      throw new Error(`Invalid outcome "${outcome}". Expected one of: ${decisionStore.OUTCOMES.join(', ')}`);
+    }
+    
+    const decision = decisionStore.updateOutcome(decisionId, outcome, { note, actor });
     if (decision) {
-      decision.outcome = outcome;
-      this.emit('outcomeUpdated', { decisionId, outcome });
+      logger.info(`Decision ${decisionId} marked ${outcome}${actor ? ` by ${actor}` : ''}`);
+      this.emit('outcomeUpdated', { decisionId, outcome, note, actor });
     }
+    return decision;
+  }
+
+  // Summarize what shadow rules would have done between two ISO timestamps
+  getShadowReport({ from, to }) {
+    const records = decisionStore.findWithShadowResults({ from, to });
+    const byRule = new Map();
+    
+    for (const record of records) {
+      for (const result of record.actionResults.filter(r => r.shadow)) {
+        if (!byRule.has(result.rule)) {
+          byRule.set(result.rule, {
+            rule: result.rule,
+            decisionIds: new Set(),
+            wouldExecute: new Set(),
+            actions: {},
+            effects: {},
+            recent: []
+          });
+        }
+        
+        const summary = byRule.get(result.rule);
+        summary.decisionIds.add(record.id);
+        if (record.confidence >= this.confidenceThreshold) {
+          summary.wouldExecute.add(record.id);
+        }
+        
+        const action = summary.actions[result.action] || { count: 0, failed: 0 };
+        action.count++;
+        if (!result.success) action.failed++;
+        summary.actions[result.action] = action;
+        
+        for (const effect of result.effects || []) {
+          const key = `${effect.target}.${effect.method}`;
+          summary.effects[key] = (summary.effects[key] || 0) + 1;
+        }
+        
+        summary.recent.push({
+          decisionId: record.id,
+          timestamp: record.timestamp,
+          topic: record.topic,
+          itemId: record.itemId,
+          action: result.action,
+          effects: result.effects || []
+        });
+      }
+    }
+    
+    const rules = [...byRule.values()].map(summary => ({
+      rule: summary.rule,
+      decisions: summary.decisionIds.size,
+      // Shadow runs ignore confidence; this is how many would have passed the threshold
+      wouldExecute: summary.wouldExecute.size,
+      actions: summary.actions,
+      effects: summary.effects,
+      recent: summary.recent.slice(-20)
+    }));
+    
+    return {
+      from,
+      to,
+      totalDecisions: records.length,
+      rules
+    };
   }
 
   getPerformanceMetrics() {
-    const total = this.decisionHistory.length;
-    const successful = this.decisionHistory.filter(d => d.outcome === 'success').length;
-    const failed = this.decisionHistory.filter(d => d.outcome === 'failure').length;
-    const pending = this.decisionHistory.filter(d => d.outcome === 'pending').length;
+    const { total, successful, failed, partial, pending, averageConfidence } = decisionStore.getMetrics();
     
     return {
       total,
-      successful,
-      failed,
-      pending,
+      successful: successful || 0,
+      failed: failed || 0,
+      partial: partial || 0,
+      pending: pending || 0,
       successRate: total > 0 ? successful / total : 0,
-      averageConfidence: total > 0 ? 
-        this.decisionHistory.reduce((sum, d) => sum + d.confidence, 0) / total : 0
+      averageConfidence: averageConfidence || 0
     };
   }
 }
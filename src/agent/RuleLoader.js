@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { validateRuleSet } = require('./ruleSchema');
+
+class RuleValidationError extends Error {
+  constructor(filePath, errors) {
+    super(`Invalid rules file ${filePath}: ${errors.join('; ')}`);
+    this.name = 'RuleValidationError';
+    this.errors = errors;
+  }
+}
+
+class RuleLoader extends EventEmitter {
+  constructor(filePath, { knownActions = [], knownFields = null, pollInterval = 2000 } = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.knownActions = knownActions;
+    this.knownFields = knownFields;
+    this.pollInterval = pollInterval;
+    this.watching = false;
+  }
+
+  parse(contents) {
+    const ext = path.extname(this.filePath).toLowerCase();
+    if (ext === '.yaml' || ext === '.yml') {
+      return yaml.load(contents);
+    }
+    return JSON.parse(contents);
+  }
+
+  // Read, parse and validate the rules file. Throws if anything is wrong.
+  // Returns the rule set: { rules, emergencyKeywords }
+  load() {
+    const contents = fs.readFileSync(this.filePath, 'utf8');
+
+    let document;
+    try {
+      document = this.parse(contents);
+    } catch (error) {
+      throw new RuleValidationError(this.filePath, [`Parse error: ${error.message}`]);
+    }
+
+    const errors = validateRuleSet(document, {
+      knownActions: this.knownActions,
+      knownFields: this.knownFields
+    });
+    if (errors.length > 0) {
+      throw new RuleValidationError(this.filePath, errors);
+    }
+
+    return {
+      rules: document.rules,
+      emergencyKeywords: document.emergencyKeywords || []
+    };
+  }
+
+  watch() {
+    if (this.watching) return;
+
+    // watchFile polls instead of relying on inotify, so editors that replace the
+    // file on save (rename + write) are still picked up
+    fs.watchFile(this.filePath, { persistent: false, interval: this.pollInterval }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      this.reload();
+    });
+
+    this.watching = true;
+    logger.info(`Watching rules file ${this.filePath} for changes`);
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  reload() {
+    try {
+      const ruleSet = this.load();
+      logger.info(`Reloaded ${Object.keys(ruleSet.rules).length} rules from ${this.filePath}`);
+      this.emit('reloaded', ruleSet);
+    } catch (error) {
+      logger.error(`Rejected rules file change, keeping previous rules: ${error.message}`);
+      this.emit('rejected', { file: this.filePath, errors: error.errors || [error.message] });
+    }
+  }
+}
+
+module.exports = RuleLoader;
+module.exports.RuleValidationError = RuleValidationError;
@@ -0,0 +1,85 @@
+// Schema for the external rules file. The validator reports every problem in a
+// file at once instead of failing on the first.
+
+const { validateCondition } = require('./ConditionEvaluator');
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function validateRule(name, rule, { knownActions, knownFields }) {
+  const errors = [];
+  const at = `rules.${name}`;
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${at} must be an object`];
+  }
+
+  if (!isNumber(rule.priority)) {
+    errors.push(`${at}.priority must be a number`);
+  }
+
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push(`${at}.enabled must be a boolean`);
+  }
+
+  if (rule.shadow !== undefined && typeof rule.shadow !== 'boolean') {
+    errors.push(`${at}.shadow must be a boolean`);
+  }
+
+  if (rule.description !== undefined && typeof rule.description !== 'string') {
+    errors.push(`${at}.description must be a string`);
+  }
+
+  if (rule.params !== undefined && (typeof rule.params !== 'object' || Array.isArray(rule.params))) {
+    errors.push(`${at}.params must be an object`);
+  }
+
+  errors.push(...validateCondition(rule.conditions, `${at}.conditions`, knownFields));
+
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+    errors.push(`${at}.actions must be a non-empty array`);
+  } else {
+    for (const action of rule.actions) {
+      if (!knownActions.includes(action)) {
+        errors.push(`${at}.actions contains unknown action "${action}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed rules document.
+ * Returns a list of human readable errors; an empty list means the document is valid.
+ */
+function validateRuleSet(document, { knownActions = [], knownFields = null } = {}) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return ['Rules file must contain an object'];
+  }
+
+  const errors = [];
+  const { rules, emergencyKeywords } = document;
+
+  if (emergencyKeywords !== undefined &&
+      (!Array.isArray(emergencyKeywords) || !emergencyKeywords.every(k => typeof k === 'string' && k.length > 0))) {
+    errors.push('emergencyKeywords must be an array of strings');
+  }
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return [...errors, 'Rules file must have a "rules" object'];
+  }
+
+  if (Object.keys(rules).length === 0) {
+    return [...errors, 'Rules file must define at least one rule'];
+  }
+
+  for (const [name, rule] of Object.entries(rules)) {
+    errors.push(...validateRule(name, rule, { knownActions, knownFields }));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateRuleSet
+};
@@ -117,6 +117,7 @@ class JobberAPI {
             id
             name
             email
+            phone
           }
           property {
             id
@@ -259,6 +260,7 @@ class JobberAPI {
             id
             name
             email
+            phone
             role
             isActive
           }
@@ -277,6 +279,7 @@ class JobberAPI {
           id
           name
           email
+          phone
           role
           isActive
           permissions
@@ -302,6 +305,14 @@ class JobberAPI {
               id
               name
             }
+            property {
+              address {
+                street1
+                city
+                province
+                postalCode
+              }
+            }
           }
           visits {
             id
@@ -312,6 +323,14 @@ class JobberAPI {
               id
               name
             }
+            property {
+              address {
+                street1
+                city
+                province
+                postalCode
+              }
+            }
           }
         }
       }
@@ -359,7 +378,9 @@ class JobberAPI {
           number
           status
           total
+          startAt
           createdAt
+          sentAt
           expiresAt
           client {
             id
@@ -382,6 +403,38 @@ class JobberAPI {
     return data.quote;
   }
 
+  // Replaces the quote's line items; existing items are kept by passing their id
+  async updateQuote(quoteId, updates) {
+    const mutation = `
+      mutation UpdateQuote($id: ID!, $input: QuoteUpdateInput!) {
+        quoteUpdate(id: $id, input: $input) {
+          quote {
+            id
+            total
+            lineItems {
+              id
+              name
+              description
+              quantity
+              unitPrice
+              total
+            }
+          }
+          success
+          errors
+        }
+      }
+    `;
+
+    const data = await this.graphqlRequest(mutation, { id: quoteId, input: updates });
+
+    if (!data.quoteUpdate.success) {
+      throw new Error(`Failed to update quote: ${data.quoteUpdate.errors}`);
+    }
+
+    return data.quoteUpdate.quote;
+  }
+
   // Invoice Operations
   async getInvoice(invoiceId) {
     const query = `
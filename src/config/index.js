@@ -14,6 +14,8 @@ class Config {
   }
 
   loadConfig() {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
     return {
       // Server Configuration
       server: {
@@ -31,6 +33,7 @@ class Config {
         apiBaseUrl: process.env.JOBBER_API_URL || 'https://api.getjobber.com/api',
         graphqlUrl: process.env.JOBBER_GRAPHQL_URL || 'https://api.getjobber.com/api/graphql',
         webhookPath: '/webhooks/jobber',
+        jobUrlTemplate: process.env.JOBBER_JOB_URL_TEMPLATE || 'https://secure.getjobber.com/work_orders/{id}',
         scopes: [
           'clients:read',
           'clients:write',
@@ -51,8 +54,13 @@ class Config {
         version: process.env.npm_package_version || '2.0.0',
         autonomousMode: process.env.AUTONOMOUS_MODE !== 'false',
         learningEnabled: process.env.LEARNING_ENABLED === 'true',
+        shadowMode: process.env.SHADOW_MODE === 'true',
+        approvalTtl: parseInt(process.env.APPROVAL_TTL_HOURS || '24', 10) * 60 * 60 * 1000,
         confidenceThreshold: parseFloat(process.env.CONFIDENCE_THRESHOLD || '0.75'),
         maxDecisionTime: parseInt(process.env.MAX_DECISION_TIME || '5000', 10),
+        rulesFile: process.env.RULES_FILE || path.join(__dirname, 'rules.json'),
+        rulesHotReload: process.env.RULES_HOT_RELOAD !== 'false',
+        rulesPollInterval: parseInt(process.env.RULES_POLL_INTERVAL || '2000', 10),
         multiUserEnabled: true // ALWAYS TRUE - This is the key feature!
       },
 
@@ -62,7 +70,11 @@ class Config {
           webhookUrl: process.env.SLACK_WEBHOOK_URL,
           channel: process.env.SLACK_CHANNEL || '#jobber-agent',
           username: process.env.SLACK_USERNAME || 'Jobber Agent',
-          iconEmoji: process.env.SLACK_ICON || ':robot_face:'
+          iconEmoji: process.env.SLACK_ICON || ':robot_face:',
+          retryAttempts: parseInt(process.env.SLACK_RETRY_ATTEMPTS || '3', 10),
+          retryDelay: parseInt(process.env.SLACK_RETRY_DELAY || '1000', 10),
+          retryMaxDelay: parseInt(process.env.SLACK_RETRY_MAX_DELAY || '30000', 10),
+          timeout: parseInt(process.env.SLACK_TIMEOUT || '5000', 10)
         },
         email: {
           enabled: process.env.EMAIL_ENABLED === 'true',
@@ -70,10 +82,103 @@ class Config {
           smtpHost: process.env.SMTP_HOST,
           smtpPort: parseInt(process.env.SMTP_PORT || '587', 10),
           smtpUser: process.env.SMTP_USER,
-          smtpPass: process.env.SMTP_PASS
+          smtpPass: process.env.SMTP_PASS,
+          smtpSecure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : process.env.SMTP_PORT === '465',
+          companyName: process.env.COMPANY_NAME,
+          alertRecipients: process.env.EMAIL_ALERT_TO?.split(',').map(a => a.trim()).filter(Boolean) || [],
+          retryAttempts: parseInt(process.env.EMAIL_RETRY_ATTEMPTS || '5', 10),
+          retryDelay: parseInt(process.env.EMAIL_RETRY_DELAY || '60000', 10),
+          outboxInterval: parseInt(process.env.EMAIL_OUTBOX_INTERVAL || '30000', 10)
+        },
+        sms: {
+          enabled: process.env.SMS_ENABLED === 'true',
+          provider: process.env.SMS_PROVIDER || 'twilio',
+          from: process.env.SMS_FROM,
+          defaultCountryCode: process.env.SMS_DEFAULT_COUNTRY_CODE || '1',
+          maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS || '3', 10),
+          alertRecipients: process.env.SMS_ALERT_TO?.split(',').map(n => n.trim()).filter(Boolean) || [],
+          statusCallbackPath: '/webhooks/sms/status',
+          twilio: {
+            accountSid: process.env.TWILIO_ACCOUNT_SID,
+            authToken: process.env.TWILIO_AUTH_TOKEN,
+            apiBaseUrl: process.env.TWILIO_API_URL || 'https://api.twilio.com'
+          }
         }
       },
 
+      // Offline geocoding for location-aware assignment
+      geo: {
+        postalCentroidsFile: process.env.POSTAL_CENTROIDS_FILE || path.join(__dirname, 'postal-centroids.json')
+      },
+
+      // Technician availability for assignment
+      assignment: {
+        // Only users with these Jobber roles are assigned work (empty means every active user)
+        technicianRoles: process.env.TECHNICIAN_ROLES?.split(',').map(r => r.trim()).filter(Boolean) || [],
+        // Applied in order when techs have the same booked hours
+        tieBreakers: (process.env.ASSIGNMENT_TIE_BREAKERS || 'fewestJobs,highestRating,name').split(',').map(t => t.trim()).filter(Boolean)
+      },
+
+      // Team capacity against working hours
+      capacity: {
+        workdayStart: process.env.WORKDAY_START || '08:00',
+        workdayEnd: process.env.WORKDAY_END || '17:00',
+        // 0 = Sunday ... 6 = Saturday
+        workDays: (process.env.WORK_DAYS || '1,2,3,4,5').split(',').map(d => parseInt(d, 10)),
+        cacheTtl: parseInt(process.env.CAPACITY_CACHE_TTL || '300000', 10)
+      },
+
+      // Rescheduling suggestions
+      rescheduling: {
+        horizonDays: parseInt(process.env.RESCHEDULE_HORIZON_DAYS || '7', 10),
+        travelBuffer: parseInt(process.env.RESCHEDULE_TRAVEL_BUFFER_MINUTES || '30', 10) * 60 * 1000,
+        slotStep: parseInt(process.env.RESCHEDULE_SLOT_STEP_MINUTES || '30', 10) * 60 * 1000,
+        defaultDuration: parseInt(process.env.RESCHEDULE_DEFAULT_DURATION_MINUTES || '60', 10) * 60 * 1000,
+        maxSuggestions: parseInt(process.env.RESCHEDULE_MAX_SUGGESTIONS || '5', 10)
+      },
+
+      // Quote surcharges
+      pricing: {
+        file: process.env.PRICING_FILE || path.join(__dirname, 'pricing.json')
+      },
+
+      // Quote follow-ups and expiry reminders
+      quotes: {
+        // Days after the quote is sent to follow up with the client
+        followUpDays: (process.env.QUOTE_FOLLOWUP_DAYS || '2,7').split(',').map(d => parseFloat(d)).filter(d => d > 0),
+        expiryReminderBefore: parseInt(process.env.QUOTE_EXPIRY_REMINDER_HOURS || '48', 10) * 60 * 60 * 1000,
+        pollInterval: parseInt(process.env.QUOTE_FOLLOWUP_POLL_INTERVAL || '60000', 10)
+      },
+
+      // Overdue invoice reminders
+      receivables: {
+        // Days past due for each reminder: friendly, firm, then a manager alert
+        reminderDays: (process.env.INVOICE_REMINDER_DAYS || '1,7,14').split(',').map(d => parseFloat(d)),
+        // Manager alerts go here, or to EMAIL_ALERT_TO when unset
+        managerEmails: process.env.AR_MANAGER_EMAILS?.split(',').map(a => a.trim()).filter(Boolean) || [],
+        pollInterval: parseInt(process.env.INVOICE_REMINDER_POLL_INTERVAL || '300000', 10)
+      },
+
+      // Persistent timers for re-evaluations and recurring work
+      scheduler: {
+        pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL || '15000', 10),
+        // Re-evaluate today's unassigned jobs on this cron schedule; empty disables it
+        unassignedSweepCron: process.env.UNASSIGNED_SWEEP_CRON ?? '0 7 * * 1-5'
+      },
+
+      // Skill and rating based technician matching
+      techMatching: {
+        skillsFile: process.env.SKILLS_FILE || path.join(__dirname, 'skills.json'),
+        unratedScore: parseFloat(process.env.TECH_UNRATED_SCORE || '3.5')
+      },
+
+      // On-call paging
+      onCall: {
+        defaultTeam: process.env.ONCALL_DEFAULT_TEAM || 'default',
+        ackTimeout: parseInt(process.env.ONCALL_ACK_TIMEOUT_MINUTES || '15', 10) * 60 * 1000,
+        escalationInterval: parseInt(process.env.ONCALL_ESCALATION_INTERVAL || '30000', 10)
+      },
+
       // Rate Limiting
       rateLimit: {
         webhooksPerMinute: parseInt(process.env.WEBHOOKS_PER_MINUTE || '60', 10),
@@ -84,7 +189,13 @@ class Config {
       // Security
       security: {
         webhookSecret: process.env.JOBBER_CLIENT_SECRET, // Used for HMAC validation
+        // Old client secrets still accepted while a rotation rolls out
+        previousWebhookSecrets: process.env.JOBBER_PREVIOUS_CLIENT_SECRETS?.split(',').map(s => s.trim()).filter(Boolean) || [],
+        // Webhooks whose occurredAt is older than this are rejected as stale
+        webhookMaxAge: parseInt(process.env.WEBHOOK_MAX_AGE_MINUTES || '30', 10) * 60 * 1000,
         jwtSecret: process.env.JWT_SECRET || this.generateDefaultSecret(),
+        // Default lifetime of API tokens from scripts/issue-token.js
+        tokenExpiresIn: process.env.AUTH_TOKEN_EXPIRES_IN || '30d',
         bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '10', 10),
         corsOrigins: process.env.CORS_ORIGINS?.split(',') || ['*'],
         trustedIps: process.env.TRUSTED_IPS?.split(',') || []
@@ -106,7 +217,13 @@ class Config {
         maxSize: parseInt(process.env.QUEUE_MAX_SIZE || '1000', 10),
         processingDelay: parseInt(process.env.QUEUE_DELAY || '100', 10),
         retryAttempts: parseInt(process.env.RETRY_ATTEMPTS || '3', 10),
-        retryDelay: parseInt(process.env.RETRY_DELAY || '1000', 10)
+        retryDelay: parseInt(process.env.RETRY_DELAY || '1000', 10),
+        // Durable journal of accepted webhooks (used unless Redis is enabled)
+        journalFile: process.env.QUEUE_JOURNAL_FILE || path.join(dataDir, 'webhook-queue.journal'),
+        // Rewrite the journal once this many entries have been acknowledged
+        compactAfter: parseInt(process.env.QUEUE_COMPACT_AFTER || '500', 10),
+        // Repeat deliveries of the same event within this window are dropped
+        dedupTtl: parseInt(process.env.WEBHOOK_DEDUP_TTL_HOURS || '24', 10) * 60 * 60 * 1000
       },
 
       // Performance
@@ -133,6 +250,12 @@ class Config {
         poolSize: parseInt(process.env.DB_POOL_SIZE || '10', 10)
       },
 
+      // Local storage (embedded SQLite under data/)
+      storage: {
+        dataDir,
+        sqliteFile: process.env.SQLITE_FILE || path.join(dataDir, 'agent.db')
+      },
+
       // Redis (optional)
       redis: {
         enabled: process.env.REDIS_URL ? true : false,
@@ -237,6 +360,10 @@ class Config {
     return this.config.agent.learningEnabled;
   }
 
+  isShadowMode() {
+    return this.config.agent.shadowMode;
+  }
+
   // Feature flags
   isFeatureEnabled(feature) {
     return this.config.features[feature] === true;
@@ -249,8 +376,11 @@ class Config {
     // Remove sensitive values
     delete safeConfig.jobber.clientSecret;
     delete safeConfig.security.webhookSecret;
+    delete safeConfig.security.previousWebhookSecrets;
     delete safeConfig.security.jwtSecret;
+    delete safeConfig.notifications.slack.webhookUrl;
     delete safeConfig.notifications.email.smtpPass;
+    delete safeConfig.notifications.sms.twilio.authToken;
     delete safeConfig.database.url;
     delete safeConfig.redis.url;
     
@@ -0,0 +1,82 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Bearer-token auth for the API. Tokens are HS256 JWTs signed with
+ * security.jwtSecret, naming who they were issued to (`sub`) and their role.
+ * They are issued with scripts/issue-token.js and are not stored anywhere, so
+ * the only way to revoke one early is to change JWT_SECRET.
+ *
+ * Routes declare the least role they need with requireRole(role):
+ * - viewer: read-only - status, metrics, history and reports
+ * - operator: day-to-day actions - approvals, pages, replays, pausing the agent
+ * - admin: configuration and injecting test events
+ */
+class Authenticator {
+  constructor(options = {}) {
+    const security = { ...config.get('security'), ...options };
+    this.secret = security.jwtSecret;
+    this.expiresIn = security.tokenExpiresIn;
+    this.requireRole = this.requireRole.bind(this);
+  }
+
+  issueToken({ subject, role, expiresIn = this.expiresIn }) {
+    if (!subject) {
+      throw new Error('Tokens need a subject (who they are for)');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    return jwt.sign({ role }, this.secret, { subject, expiresIn, algorithm: 'HS256' });
+  }
+
+  // The token's subject and role; throws if it is invalid, expired or has an unknown role
+  verifyToken(token) {
+    const payload = jwt.verify(token, this.secret, { algorithms: ['HS256'] });
+    if (!ROLES.includes(payload.role)) {
+      throw new Error(`Unknown role: ${payload.role}`);
+    }
+    return { subject: payload.sub, role: payload.role };
+  }
+
+  // Middleware allowing requests whose token has at least `role`. The caller
+  // ends up in req.user.
+  requireRole(role) {
+    const needed = ROLES.indexOf(role);
+    if (needed === -1) {
+      throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    return (req, res, next) => {
+      if (!req.user) {
+        const [scheme, token] = (req.get('authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+          res.set('WWW-Authenticate', 'Bearer');
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        try {
+          req.user = this.verifyToken(token);
+        } catch (error) {
+          logger.warn(`Rejected token for ${req.method} ${req.path}: ${error.message}`);
+          res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+          return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+      }
+
+      if (ROLES.indexOf(req.user.role) < needed) {
+        return res.status(403).json({ error: `Requires the ${role} role` });
+      }
+      next();
+    };
+  }
+}
+
+module.exports = new Authenticator();
+module.exports.Authenticator = Authenticator;
+module.exports.ROLES = ROLES;
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const SIGNATURE_HEADER = 'x-jobber-hmac-sha256';
+
+// How far ahead of our clock an event's occurredAt may be before it's treated as bogus
+const CLOCK_SKEW = 5 * 60 * 1000;
+
+// Rejection reasons, each with the response Jobber gets
+const REJECTIONS = {
+  notConfigured: { status: 503, error: 'Webhook validation is not configured' },
+  missingSignature: { status: 401, error: 'Missing signature' },
+  invalidSignature: { status: 401, error: 'Invalid signature' },
+  malformed: { status: 400, error: 'Malformed webhook payload' },
+  stale: { status: 403, error: 'Webhook is too old' }
+};
+
+const isIdentifier = value => typeof value === 'string' && value !== '';
+
+function sign(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+/**
+ * Checks Jobber webhooks before they are queued. The X-Jobber-Hmac-SHA256
+ * header must be the base64 HMAC-SHA256 of the raw body under the app's client
+ * secret. While a secret is being rotated the previous ones are accepted too.
+ *
+ * The signed body carries occurredAt, which bounds how long a captured request
+ * stays usable: anything older than maxAge is rejected as stale. A repeat of a
+ * valid request within that window is let through - the server's delivery
+ * dedup answers it as a duplicate, the same as a redelivery from Jobber, and
+ * reports it here as a replay. Dedup needs the event's topic and itemId, so an
+ * event without them is rejected as malformed.
+ */
+class WebhookValidator {
+  constructor(options = {}) {
+    const security = { ...config.get('security'), ...options };
+    this.secrets = [security.webhookSecret, ...(security.previousWebhookSecrets || [])].filter(Boolean);
+    this.maxAge = security.webhookMaxAge;
+    this.stats = { accepted: 0, acceptedWithPreviousSecret: 0, replayed: 0, rejected: {} };
+    this.validateWebhook = this.validateWebhook.bind(this);
+  }
+
+  validateWebhook(req, res, next) {
+    const reason = this.check(req);
+    if (!reason) {
+      return next();
+    }
+
+    const { status, error } = REJECTIONS[reason];
+    this.stats.rejected[reason] = (this.stats.rejected[reason] || 0) + 1;
+    logger.warn(`Rejected webhook from ${req.ip}: ${error}`);
+    res.status(status).json({ error });
+  }
+
+  // The rejection reason, or null if the webhook may be processed
+  check(req, now = Date.now()) {
+    if (this.secrets.length === 0) {
+      logger.error('No webhook secret configured (JOBBER_CLIENT_SECRET); rejecting webhooks');
+      return 'notConfigured';
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+    if (!signature) {
+      return 'missingSignature';
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!body) {
+      return 'malformed';
+    }
+
+    const provided = Buffer.from(signature);
+    const index = this.secrets.findIndex(secret => {
+      const expected = Buffer.from(sign(secret, body));
+      return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    });
+    if (index === -1) {
+      return 'invalidSignature';
+    }
+
+    let event;
+    try {
+      const parsed = JSON.parse(body);
+      event = parsed.data?.webHookEvent || parsed;
+    } catch (error) {
+      return 'malformed';
+    }
+    const occurredAt = new Date(event?.occurredAt).getTime();
+    if (Number.isNaN(occurredAt) || !isIdentifier(event.topic) || !isIdentifier(event.itemId)) {
+      return 'malformed';
+    }
+    if (now - occurredAt > this.maxAge || occurredAt - now > CLOCK_SKEW) {
+      return 'stale';
+    }
+
+    this.stats.accepted++;
+    if (index > 0) {
+      // Still signed with an old secret - the rotation isn't finished on Jobber's side
+      this.stats.acceptedWithPreviousSecret++;
+    }
+    return null;
+  }
+
+  // Called by the server when an accepted webhook turns out to be a delivery it already has
+  recordReplay() {
+    this.stats.replayed++;
+  }
+
+  getStats() {
+    const rejected = Object.values(this.stats.rejected).reduce((sum, count) => sum + count, 0);
+    return {
+      accepted: this.stats.accepted,
+      acceptedWithPreviousSecret: this.stats.acceptedWithPreviousSecret,
+      replayed: this.stats.replayed,
+      rejected,
+      rejectedByReason: { ...this.stats.rejected }
+    };
+  }
+}
+
+module.exports = new WebhookValidator();
+module.exports.WebhookValidator = WebhookValidator;
+module.exports.sign = sign;
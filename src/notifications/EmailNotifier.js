@@ -0,0 +1,162 @@
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const logger = require('../utils/logger');
+const emailOutboxStore = require('../storage/EmailOutboxStore');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Email delivery through SMTP with a persisted outbox.
+ * Messages are written to the outbox first and then delivered, so a failed
+ * attempt (or a restart) never loses a message - it is retried with backoff
+ * until it runs out of attempts.
+ */
+class EmailNotifier {
+  constructor(options = {}) {
+    const emailConfig = { ...config.get('notifications.email'), ...options };
+    this.enabled = emailConfig.enabled;
+    this.from = emailConfig.from;
+    this.smtp = {
+      host: emailConfig.smtpHost,
+      port: emailConfig.smtpPort,
+      secure: emailConfig.smtpSecure,
+      auth: emailConfig.smtpUser ? { user: emailConfig.smtpUser, pass: emailConfig.smtpPass } : undefined,
+      ...emailConfig.transport
+    };
+    this.retryAttempts = emailConfig.retryAttempts;
+    this.retryDelay = emailConfig.retryDelay;
+    this.outboxInterval = emailConfig.outboxInterval;
+    this.outbox = options.outbox || emailOutboxStore;
+    this.transporter = null;
+    this.timer = null;
+    this.processing = false;
+    this.rerun = false;
+  }
+
+  isEnabled() {
+    return this.enabled && !!this.smtp.host;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport(this.smtp);
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Queue a message and kick off delivery without waiting for it - the outbox
+   * loop sends it and retries failures. Returns the outbox entry's id and status.
+   * A message with a `key` is only ever queued once; sending it again returns
+   * the original entry with `duplicate: true`.
+   */
+  async send({ to, subject, html, text, tag, key }) {
+    if (!this.isEnabled()) {
+      logger.warn('Email is not enabled, skipping message');
+      return { queued: false, reason: 'Email not enabled' };
+    }
+
+    if (!to || !EMAIL_PATTERN.test(to)) {
+      return { queued: false, reason: `Invalid recipient: ${to}` };
+    }
+
+    const message = this.outbox.enqueue({
+      to,
+      subject,
+      html,
+      text,
+      tag,
+      key,
+      maxAttempts: this.retryAttempts
+    });
+    if (!message) {
+      const { id, status } = this.outbox.getByKey(key);
+      return { queued: false, duplicate: true, id, status, reason: `Already queued as ${key}` };
+    }
+
+    // The caller (often a rule action) shouldn't wait on every other queued email
+    this.start();
+    this.processOutbox();
+
+    return { queued: true, id: message.id, status: message.status };
+  }
+
+  async processOutbox() {
+    // A pass is already running - make it go around once more to pick up new messages
+    if (this.processing) {
+      this.rerun = true;
+      return;
+    }
+
+    this.processing = true;
+    try {
+      do {
+        this.rerun = false;
+        for (const message of this.outbox.claimDue()) {
+          await this.deliver(message);
+        }
+      } while (this.rerun);
+    } catch (error) {
+      logger.error('Email outbox processing failed:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async deliver(message) {
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: this.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html || undefined,
+        text: message.text || undefined
+      });
+
+      this.outbox.markSent(message.id, info.messageId);
+      logger.info(`Email ${message.id} sent to ${message.to}`);
+    } catch (error) {
+      const delay = this.retryDelay * Math.pow(2, message.attempts);
+      const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.outbox.markFailed(message.id, error.message, nextAttemptAt);
+
+      const remaining = message.maxAttempts - message.attempts - 1;
+      if (remaining > 0) {
+        logger.warn(`Email ${message.id} failed, retrying in ${delay}ms (${remaining} attempts left): ${error.message}`);
+      } else {
+        logger.error(`Email ${message.id} to ${message.to} failed permanently: ${error.message}`);
+      }
+    }
+  }
+
+  // Start the background retry loop; safe to call more than once
+  start() {
+    if (this.timer) return;
+
+    const recovered = this.outbox.requeueInterrupted();
+    if (recovered > 0) {
+      logger.info(`Requeued ${recovered} emails interrupted by a restart`);
+    }
+
+    this.timer = setInterval(() => this.processOutbox(), this.outboxInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.transporter) {
+      this.transporter.close();
+      this.transporter = null;
+    }
+  }
+
+  getStats() {
+    return this.outbox.countByStatus();
+  }
+}
+
+module.exports = new EmailNotifier();
+module.exports.EmailNotifier = EmailNotifier;
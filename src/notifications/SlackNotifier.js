@@ -0,0 +1,154 @@
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const SEVERITY_EMOJI = {
+  critical: ':rotating_light:',
+  warning: ':warning:',
+  info: ':information_source:'
+};
+
+function formatAddress(address) {
+  if (!address) return null;
+  const parts = [
+    address.street1,
+    address.street2,
+    address.city,
+    [address.province, address.postalCode].filter(Boolean).join(' ')
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+// Block Kit header text is capped at 150 characters
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+class SlackNotifier {
+  constructor(options = {}) {
+    const slackConfig = config.get('notifications.slack');
+    this.webhookUrl = options.webhookUrl !== undefined ? options.webhookUrl : slackConfig.webhookUrl;
+    this.channel = options.channel || slackConfig.channel;
+    this.username = options.username || slackConfig.username;
+    this.iconEmoji = options.iconEmoji || slackConfig.iconEmoji;
+    this.retryAttempts = options.retryAttempts ?? slackConfig.retryAttempts;
+    this.retryDelay = options.retryDelay ?? slackConfig.retryDelay;
+    this.retryMaxDelay = options.retryMaxDelay ?? slackConfig.retryMaxDelay;
+    this.timeout = options.timeout ?? slackConfig.timeout;
+    this.jobUrlTemplate = options.jobUrlTemplate || config.get('jobber.jobUrlTemplate');
+  }
+
+  isConfigured() {
+    return !!this.webhookUrl;
+  }
+
+  jobUrl(jobId) {
+    return this.jobUrlTemplate.replace('{id}', encodeURIComponent(jobId));
+  }
+
+  /**
+   * Build a Block Kit message about a job.
+   * `job` is the Jobber job as returned by getJob(); every field is optional.
+   */
+  buildJobMessage({ headline, severity = 'info', job = {}, reasoning, assignedTech, decision, extraFields = [] }) {
+    const emoji = SEVERITY_EMOJI[severity] || SEVERITY_EMOJI.info;
+    const techName = assignedTech?.name || job.assignedTo?.name;
+
+    const fields = [
+      ['Job', job.title],
+      ['Client', job.client?.name],
+      ['Address', formatAddress(job.property?.address)],
+      ['Assigned tech', techName || '_Unassigned_'],
+      ...extraFields
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => ({ type: 'mrkdwn', text: `*${label}*\n${value}` }));
+
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: truncate(`${emoji} ${headline}`, 150), emoji: true }
+      }
+    ];
+
+    if (reasoning) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: reasoning } });
+    }
+
+    if (fields.length > 0) {
+      // Slack allows at most 10 fields per section
+      blocks.push({ type: 'section', fields: fields.slice(0, 10) });
+    }
+
+    if (job.id) {
+      blocks.push({
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: { type: 'plain_text', text: 'View job in Jobber' },
+          url: this.jobUrl(job.id)
+        }]
+      });
+    }
+
+    if (decision) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `Rule: *${decision.rule}* · priority ${decision.priority}` }]
+      });
+    }
+
+    return {
+      text: job.title ? `${headline}: ${job.title}` : headline,
+      blocks
+    };
+  }
+
+  async send(message) {
+    if (!this.isConfigured()) {
+      logger.warn('Slack webhook not configured, skipping notification');
+      return { sent: false, reason: 'Slack not configured' };
+    }
+
+    const payload = {
+      channel: this.channel,
+      username: this.username,
+      icon_emoji: this.iconEmoji,
+      ...message
+    };
+
+    let lastError;
+    for (let attempt = 1; attempt <= this.retryAttempts + 1; attempt++) {
+      try {
+        await axios.post(this.webhookUrl, payload, { timeout: this.timeout });
+        logger.info(`Slack notification sent: ${message.text}`);
+        return { sent: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        const status = error.response?.status;
+
+        // 4xx (other than rate limiting) means the payload or URL is wrong - retrying won't help
+        if (status && status < 500 && status !== 429) {
+          break;
+        }
+
+        if (attempt <= this.retryAttempts) {
+          // A long Retry-After would hold up the action that's notifying; never wait past the cap
+          const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+          const wanted = retryAfter > 0 ? retryAfter * 1000 : this.retryDelay * Math.pow(2, attempt - 1);
+          const delay = Math.min(wanted, this.retryMaxDelay);
+          logger.warn(`Slack notification failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    logger.error(`Slack notification failed: ${lastError.message}`);
+    throw new Error(`Slack notification failed: ${lastError.message}`);
+  }
+
+  async notifyJob(options) {
+    return this.send(this.buildJobMessage(options));
+  }
+}
+
+module.exports = new SlackNotifier();
+module.exports.SlackNotifier = SlackNotifier;
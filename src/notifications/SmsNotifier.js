@@ -0,0 +1,120 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const smsMessageStore = require('../storage/SmsMessageStore');
+const TwilioProvider = require('./sms/TwilioProvider');
+const { normalizePhone } = require('./sms/phone');
+const { fitToSegments } = require('./sms/segments');
+
+// Provider adapters by name (SMS_PROVIDER)
+const PROVIDERS = {
+  twilio: smsConfig => new TwilioProvider(smsConfig.twilio)
+};
+
+class SmsNotifier {
+  constructor(options = {}) {
+    const smsConfig = { ...config.get('notifications.sms'), ...options };
+    this.enabled = smsConfig.enabled;
+    this.from = smsConfig.from;
+    this.defaultCountryCode = smsConfig.defaultCountryCode;
+    this.maxSegments = smsConfig.maxSegments;
+    this.statusCallbackUrl = options.statusCallbackUrl || `${config.getServerUrl()}${smsConfig.statusCallbackPath}`;
+    this.store = options.store || smsMessageStore;
+
+    // `provider` is either a name from PROVIDERS or a ready-made adapter instance
+    if (typeof smsConfig.provider === 'string') {
+      const createProvider = PROVIDERS[smsConfig.provider];
+      if (!createProvider) {
+        throw new Error(`Unknown SMS provider: ${smsConfig.provider}`);
+      }
+      this.provider = createProvider(smsConfig);
+    } else {
+      this.provider = smsConfig.provider;
+    }
+  }
+
+  isEnabled() {
+    return this.enabled && !!this.from && this.provider.isConfigured();
+  }
+
+  normalize(phone) {
+    return normalizePhone(phone, this.defaultCountryCode);
+  }
+
+  /**
+   * Send a text message. `to` may be any phone format Jobber stores; it is
+   * normalized to E.164 first. Long bodies are cut to the configured number
+   * of segments.
+   */
+  async send({ to, body, tag }) {
+    if (!this.isEnabled()) {
+      logger.warn('SMS is not enabled, skipping message');
+      return { sent: false, reason: 'SMS not enabled' };
+    }
+
+    const number = this.normalize(to);
+    if (!number) {
+      return { sent: false, reason: `Invalid phone number: ${to}` };
+    }
+
+    const fitted = fitToSegments(body, this.maxSegments);
+    if (fitted.truncated) {
+      logger.warn(`SMS to ${number} truncated to ${fitted.segments} segments`);
+    }
+
+    const message = this.store.create({
+      provider: this.provider.name,
+      to: number,
+      body: fitted.text,
+      segments: fitted.segments,
+      truncated: fitted.truncated,
+      tag
+    });
+
+    try {
+      const result = await this.provider.send({
+        to: number,
+        from: this.from,
+        body: fitted.text,
+        statusCallbackUrl: this.statusCallbackUrl
+      });
+
+      this.store.update(message.id, result);
+      logger.info(`SMS ${message.id} sent to ${number} (${fitted.segments} segments)`);
+      return { sent: true, id: message.id, to: number, status: result.status, segments: fitted.segments };
+    } catch (error) {
+      const reason = error.response?.data?.message || error.message;
+      this.store.update(message.id, { status: 'failed', error: reason });
+      logger.error(`SMS ${message.id} to ${number} failed: ${reason}`);
+      throw new Error(`SMS to ${number} failed: ${reason}`);
+    }
+  }
+
+  verifyStatusCallback(request) {
+    return this.provider.verifyStatusCallback(request);
+  }
+
+  // Apply a provider delivery status callback to the stored message
+  handleStatusCallback(params) {
+    const { providerMessageId, status, errorCode } = this.provider.parseStatusCallback(params);
+    if (!providerMessageId) return null;
+
+    const message = this.store.updateByProviderId(providerMessageId, {
+      status,
+      error: errorCode ? `Provider error ${errorCode}` : null
+    });
+
+    if (message) {
+      logger.info(`SMS ${message.id} status: ${status}`);
+    } else {
+      logger.warn(`Status callback for unknown SMS ${providerMessageId}`);
+    }
+    return message;
+  }
+
+  getStats() {
+    return this.store.countByStatus();
+  }
+}
+
+module.exports = new SmsNotifier();
+module.exports.SmsNotifier = SmsNotifier;
@@ -0,0 +1,202 @@
+// HTML + plain text bodies for outgoing email. Every template returns
+// { subject, html, text }.
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+    <h2 style="margin-bottom: 16px;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+  </body>
+</html>`;
+}
+
+function welcomeEmail({ clientName, companyName }) {
+  const greeting = clientName ? `Hi ${clientName},` : 'Hi there,';
+  const from = companyName || 'our team';
+  const subject = companyName ? `Welcome to ${companyName}` : 'Welcome!';
+
+  const text = [
+    greeting,
+    '',
+    `Thanks for choosing ${from}. We're glad to have you with us.`,
+    'If you have any questions about your upcoming work, just reply to this email.',
+    '',
+    `- ${from}`
+  ].join('\n');
+
+  const html = layout(subject, `
+    <p>${escapeHtml(greeting)}</p>
+    <p>Thanks for choosing ${escapeHtml(from)}. We're glad to have you with us.</p>
+    <p>If you have any questions about your upcoming work, just reply to this email.</p>
+    <p>- ${escapeHtml(from)}</p>`);
+
+  return { subject, html, text };
+}
+
+function emergencyAlertEmail({ job = {}, reasoning, jobUrl }) {
+  const subject = `Emergency job: ${job.title || 'Untitled job'}`;
+  const address = job.property?.address;
+  const addressLine = address ? [address.street1, address.city, address.province].filter(Boolean).join(', ') : '';
+
+  const details = [
+    ['Job', job.title],
+    ['Client', job.client?.name],
+    ['Address', addressLine],
+    ['Assigned tech', job.assignedTo?.name || 'Unassigned']
+  ].filter(([, value]) => value);
+
+  const text = [
+    subject,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    '',
+    reasoning || '',
+    jobUrl ? `View job: ${jobUrl}` : ''
+  ].join('\n').trim();
+
+  const html = layout(subject, `
+    <table cellpadding="4">
+      ${details.map(([label, value]) => `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>
+    ${reasoning ? `<p>${escapeHtml(reasoning)}</p>` : ''}
+    ${jobUrl ? `<p><a href="${escapeHtml(jobUrl)}">View job in Jobber</a></p>` : ''}`);
+
+  return { subject, html, text };
+}
+
+const formatMoney = value => typeof value === 'number' ? `$${value.toFixed(2)}` : '';
+
+const formatDay = iso => iso ? new Date(iso).toLocaleDateString('en-US', {
+  weekday: 'long', month: 'long', day: 'numeric'
+}) : '';
+
+// Client follow-up on an open quote; expiring switches to the "expires soon" wording
+function quoteFollowUpEmail({ quote = {}, companyName, expiring = false }) {
+  const greeting = quote.client?.name ? `Hi ${quote.client.name},` : 'Hi there,';
+  const from = companyName || 'our team';
+  const label = quote.number ? `quote #${quote.number}` : 'your quote';
+  const subject = expiring ?
+    `Your quote${quote.number ? ` #${quote.number}` : ''} expires soon` :
+    `Following up on your quote${quote.number ? ` #${quote.number}` : ''}`;
+
+  const lines = [
+    expiring ?
+      `Just a reminder that ${label}${quote.total ? ` for ${formatMoney(quote.total)}` : ''} expires on ${formatDay(quote.expiresAt)}.` :
+      `We wanted to check in on ${label}${quote.total ? ` for ${formatMoney(quote.total)}` : ''}.`,
+    'If you have any questions or would like to go ahead, just reply to this email.'
+  ];
+
+  const text = [greeting, '', ...lines, '', `- ${from}`].join('\n');
+  const html = layout(subject, `
+    <p>${escapeHtml(greeting)}</p>
+    ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n    ')}
+    <p>- ${escapeHtml(from)}</p>`);
+
+  return { subject, html, text };
+}
+
+// Heads-up to the staff member who created a quote that is about to expire
+function quoteExpiringEmail({ quote = {}, userName }) {
+  const subject = `Quote${quote.number ? ` #${quote.number}` : ''} expires ${formatDay(quote.expiresAt)}`;
+
+  const details = [
+    ['Client', quote.client?.name],
+    ['Total', formatMoney(quote.total)],
+    ['Status', quote.status],
+    ['Expires', formatDay(quote.expiresAt)]
+  ].filter(([, value]) => value);
+
+  const intro = `${userName ? `Hi ${userName}, this` : 'This'} quote hasn't been approved yet and expires soon.`;
+
+  const text = [
+    subject,
+    '',
+    intro,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`)
+  ].join('\n');
+
+  const html = layout(subject, `
+    <p>${escapeHtml(intro)}</p>
+    <table cellpadding="4">
+      ${details.map(([label, value]) => `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>`);
+
+  return { subject, html, text };
+}
+
+// Overdue invoice reminder for the client; firm is the second, sterner notice
+function invoiceReminderEmail({ invoice = {}, companyName, firm = false, daysOverdue }) {
+  const greeting = invoice.client?.name ? `Hi ${invoice.client.name},` : 'Hi there,';
+  const from = companyName || 'our team';
+  const label = invoice.number ? `invoice #${invoice.number}` : 'your invoice';
+  const amount = formatMoney(invoice.balance);
+  const subject = firm ?
+    `Overdue: invoice${invoice.number ? ` #${invoice.number}` : ''} is ${daysOverdue} days past due` :
+    `Reminder: invoice${invoice.number ? ` #${invoice.number}` : ''} is due`;
+
+  const lines = firm ? [
+    `Our records show ${label}${amount ? ` with ${amount} outstanding` : ''} is now ${daysOverdue} days past due (due ${formatDay(invoice.dueAt)}).`,
+    'Please arrange payment as soon as possible. If you have already paid, thank you - please disregard this notice.'
+  ] : [
+    `A friendly reminder that ${label}${amount ? ` for ${amount}` : ''} was due on ${formatDay(invoice.dueAt)}.`,
+    'If you have already paid, thank you and please ignore this email. Any questions, just reply.'
+  ];
+
+  const text = [greeting, '', ...lines, '', `- ${from}`].join('\n');
+  const html = layout(subject, `
+    <p>${escapeHtml(greeting)}</p>
+    ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n    ')}
+    <p>- ${escapeHtml(from)}</p>`);
+
+  return { subject, html, text };
+}
+
+// Escalation to managers once client reminders haven't worked
+function invoiceOverdueAlertEmail({ invoice = {}, daysOverdue }) {
+  const subject = `Invoice${invoice.number ? ` #${invoice.number}` : ''} is ${daysOverdue} days overdue`;
+
+  const details = [
+    ['Client', invoice.client?.name],
+    ['Job', invoice.job?.title],
+    ['Balance', formatMoney(invoice.balance)],
+    ['Total', formatMoney(invoice.total)],
+    ['Due', formatDay(invoice.dueAt)]
+  ].filter(([, value]) => value);
+
+  const intro = 'The client has had a friendly and a firm reminder and the invoice is still unpaid.';
+
+  const text = [
+    subject,
+    '',
+    intro,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`)
+  ].join('\n');
+
+  const html = layout(subject, `
+    <p>${escapeHtml(intro)}</p>
+    <table cellpadding="4">
+      ${details.map(([label, value]) => `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>`);
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  escapeHtml,
+  welcomeEmail,
+  emergencyAlertEmail,
+  quoteFollowUpEmail,
+  quoteExpiringEmail,
+  invoiceReminderEmail,
+  invoiceOverdueAlertEmail
+};
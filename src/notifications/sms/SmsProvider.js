@@ -0,0 +1,40 @@
+/**
+ * Interface every SMS provider adapter implements. SmsNotifier only talks to
+ * providers through these methods, so adding a provider means adding a class
+ * here and registering it in SmsNotifier's PROVIDERS map.
+ */
+class SmsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Send one message. `to` and `from` are E.164 numbers.
+   * Resolves to { providerMessageId, status } or throws.
+   */
+  async send({ to, from, body, statusCallbackUrl }) {
+    throw new Error(`${this.name} provider does not implement send()`);
+  }
+
+  /**
+   * Check that a delivery status callback really came from the provider.
+   * `url` is the full public URL the callback was posted to.
+   */
+  verifyStatusCallback({ url, params, headers }) {
+    return false;
+  }
+
+  /**
+   * Turn a status callback body into { providerMessageId, status, errorCode }.
+   * `status` is one of: queued, sent, delivered, undelivered, failed.
+   */
+  parseStatusCallback(params) {
+    throw new Error(`${this.name} provider does not implement parseStatusCallback()`);
+  }
+}
+
+module.exports = SmsProvider;
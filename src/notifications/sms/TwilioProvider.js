@@ -0,0 +1,82 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const SmsProvider = require('./SmsProvider');
+
+// Twilio statuses that map onto our own vocabulary
+const STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'queued',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+/**
+ * Twilio Programmable Messaging adapter. Also works with any service exposing
+ * a Twilio-compatible Messages API (set TWILIO_API_URL).
+ */
+class TwilioProvider extends SmsProvider {
+  constructor({ accountSid, authToken, apiBaseUrl = 'https://api.twilio.com', timeout = 10000 } = {}) {
+    super('twilio');
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.apiBaseUrl = apiBaseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return !!(this.accountSid && this.authToken);
+  }
+
+  async send({ to, from, body, statusCallbackUrl }) {
+    const form = new URLSearchParams({ To: to, From: from, Body: body });
+    if (statusCallbackUrl) {
+      form.append('StatusCallback', statusCallbackUrl);
+    }
+
+    const response = await axios.post(
+      `${this.apiBaseUrl}/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      form.toString(),
+      {
+        auth: { username: this.accountSid, password: this.authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      }
+    );
+
+    return {
+      providerMessageId: response.data.sid,
+      status: STATUS_MAP[response.data.status] || 'queued'
+    };
+  }
+
+  // https://www.twilio.com/docs/usage/security#validating-requests
+  verifyStatusCallback({ url, params, headers }) {
+    const signature = headers['x-twilio-signature'];
+    if (!signature || !this.authToken) return false;
+
+    const payload = Object.keys(params)
+      .sort()
+      .reduce((acc, key) => acc + key + params[key], url);
+
+    const expected = crypto.createHmac('sha1', this.authToken).update(payload).digest('base64');
+
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  parseStatusCallback(params) {
+    return {
+      providerMessageId: params.MessageSid || params.SmsSid,
+      status: STATUS_MAP[params.MessageStatus || params.SmsStatus] || 'queued',
+      errorCode: params.ErrorCode || null
+    };
+  }
+}
+
+module.exports = TwilioProvider;
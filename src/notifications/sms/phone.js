@@ -0,0 +1,42 @@
+// Phone number normalization for Jobber's free-form phone fields.
+// Produces E.164 ("+12065550123") or null when the input can't be a phone number.
+
+function normalizePhone(raw, defaultCountryCode = '1') {
+  if (!raw || typeof raw !== 'string') return null;
+
+  // Drop extensions: "206-555-0123 x45", "ext. 45", "#45"
+  const withoutExtension = raw.split(/\s*(?:x|ext\.?|extension|#)\s*\d+\s*$/i)[0];
+
+  const trimmed = withoutExtension.trim();
+  const hasPlus = trimmed.startsWith('+');
+  let digits = trimmed.replace(/\D/g, '');
+
+  if (hasPlus) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  // International dialing prefix
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  // North American numbers: 10 digits, or 11 with the leading country code
+  if (defaultCountryCode === '1') {
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    return null;
+  }
+
+  // National format with a trunk prefix (e.g. UK "020 ..."): drop the leading 0
+  if (digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+
+  const full = digits.startsWith(defaultCountryCode) ? digits : `${defaultCountryCode}${digits}`;
+  return full.length >= 8 && full.length <= 15 ? `+${full}` : null;
+}
+
+module.exports = {
+  normalizePhone
+};
@@ -0,0 +1,79 @@
+// SMS length handling. Messages are billed and split per segment: 160 GSM-7
+// characters for a single segment (153 when concatenated), or 70 (67) once any
+// character falls outside GSM-7 and the message has to be sent as UCS-2.
+
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Extension table characters take two septets
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+const LIMITS = {
+  gsm: { single: 160, multi: 153 },
+  ucs2: { single: 70, multi: 67 }
+};
+
+function encodingFor(text) {
+  for (const char of text) {
+    if (!GSM_BASIC.includes(char) && !GSM_EXTENDED.includes(char)) {
+      return 'ucs2';
+    }
+  }
+  return 'gsm';
+}
+
+// Length in encoding units (septets for GSM-7, UTF-16 code units for UCS-2)
+function unitLength(text, encoding) {
+  if (encoding === 'ucs2') return text.length;
+  let length = 0;
+  for (const char of text) {
+    length += GSM_EXTENDED.includes(char) ? 2 : 1;
+  }
+  return length;
+}
+
+function countSegments(text) {
+  const encoding = encodingFor(text);
+  const length = unitLength(text, encoding);
+  const limits = LIMITS[encoding];
+
+  if (length <= limits.single) {
+    return { encoding, length, segments: 1 };
+  }
+  return { encoding, length, segments: Math.ceil(length / limits.multi) };
+}
+
+/**
+ * Truncate text so it fits in maxSegments, marking the cut with "...".
+ * Returns { text, truncated, encoding, segments }.
+ */
+function fitToSegments(text, maxSegments) {
+  const info = countSegments(text);
+  if (info.segments <= maxSegments) {
+    return { text, truncated: false, encoding: info.encoding, segments: info.segments };
+  }
+
+  const limits = LIMITS[info.encoding];
+  const budget = (maxSegments === 1 ? limits.single : limits.multi * maxSegments) - 3;
+
+  let used = 0;
+  let cut = '';
+  for (const char of text) {
+    const size = info.encoding === 'gsm' && GSM_EXTENDED.includes(char) ? 2 : char.length;
+    if (used + size > budget) break;
+    used += size;
+    cut += char;
+  }
+
+  const truncatedText = `${cut.trimEnd()}...`;
+  return {
+    text: truncatedText,
+    truncated: true,
+    encoding: info.encoding,
+    segments: countSegments(truncatedText).segments
+  };
+}
+
+module.exports = {
+  countSegments,
+  fitToSegments
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Append-only journal of queued webhooks on local disk. Every change is one
+ * JSON line ({ op: 'add' | 'update' | 'ack', ... }) written and fsynced before
+ * the call returns, so an item is durable once append() resolves. open()
+ * replays the file and returns the items that were never acknowledged, then
+ * rewrites the file with just those. The same rewrite runs once compactAfter
+ * acknowledgements have built up, so the file doesn't grow forever.
+ */
+class FileJournal {
+  constructor({ file, compactAfter = 500 }) {
+    this.file = file;
+    this.compactAfter = compactAfter;
+    this.items = new Map();
+    this.fd = null;
+    this.acked = 0;
+  }
+
+  async open() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.items = this.replay();
+    this.compact();
+    return [...this.items.values()];
+  }
+
+  replay() {
+    const items = new Map();
+    if (!fs.existsSync(this.file)) return items;
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, index) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can only tear the last line; anything else is corruption
+        if (index === lines.length - 1) {
+          logger.warn(`Ignoring incomplete last entry in ${this.file}`);
+        } else {
+          logger.error(`Skipping unreadable entry ${index + 1} in ${this.file}`);
+        }
+        return;
+      }
+
+      if (record.op === 'add' || record.op === 'update') {
+        items.set(record.item.id, record.item);
+      } else if (record.op === 'ack') {
+        items.delete(record.id);
+      }
+    });
+
+    return items;
+  }
+
+  // Rewrite the file with only the live items, atomically via rename
+  compact() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+
+    const temp = `${this.file}.tmp`;
+    const fd = fs.openSync(temp, 'w');
+    for (const item of this.items.values()) {
+      fs.writeSync(fd, JSON.stringify({ op: 'add', item }) + '\n');
+    }
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fs.renameSync(temp, this.file);
+
+    this.fd = fs.openSync(this.file, 'a');
+    this.acked = 0;
+  }
+
+  write(record) {
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    fs.fsyncSync(this.fd);
+  }
+
+  async append(item) {
+    this.write({ op: 'add', item });
+    this.items.set(item.id, item);
+  }
+
+  async update(item) {
+    if (!this.items.has(item.id)) return;
+    this.write({ op: 'update', item });
+    this.items.set(item.id, item);
+  }
+
+  async ack(id) {
+    if (!this.items.has(id)) return;
+    this.write({ op: 'ack', id });
+    this.items.delete(id);
+
+    if (++this.acked >= this.compactAfter) {
+      this.compact();
+    }
+  }
+
+  async close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = FileJournal;
@@ -0,0 +1,70 @@
+const logger = require('../utils/logger');
+
+/**
+ * Journal of queued webhooks in Redis, for deployments where local disk doesn't
+ * survive a redeploy. Items are kept in a hash by ID, with a sorted set holding
+ * their arrival order. Each change is a single MULTI, so an item is never in one
+ * structure without the other.
+ *
+ * Every instance sharing the key prefix recovers the same unfinished items, so
+ * run one agent per prefix.
+ */
+class RedisJournal {
+  constructor({ url, keyPrefix = '', client = null }) {
+    this.url = url;
+    this.itemsKey = `${keyPrefix}webhook-queue:items`;
+    this.orderKey = `${keyPrefix}webhook-queue:order`;
+    this.client = client;
+    this.sequence = 0;
+  }
+
+  async open() {
+    if (!this.client) {
+      // Only needed when Redis is enabled, so it isn't loaded otherwise
+      const Redis = require('ioredis');
+      this.client = new Redis(this.url);
+      this.client.on('error', error => logger.error('Redis queue connection error:', error));
+    }
+
+    const ids = await this.client.zrange(this.orderKey, 0, -1);
+    if (ids.length === 0) return [];
+
+    const values = await this.client.hmget(this.itemsKey, ...ids);
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  // Arrival order; the sequence keeps items from the same millisecond in order
+  score() {
+    this.sequence = (this.sequence + 1) % 1000;
+    return Date.now() * 1000 + this.sequence;
+  }
+
+  async append(item) {
+    await this.client.multi()
+      .hset(this.itemsKey, item.id, JSON.stringify(item))
+      .zadd(this.orderKey, this.score(), item.id)
+      .exec();
+  }
+
+  async update(item) {
+    if (await this.client.hexists(this.itemsKey, item.id)) {
+      await this.client.hset(this.itemsKey, item.id, JSON.stringify(item));
+    }
+  }
+
+  async ack(id) {
+    await this.client.multi()
+      .hdel(this.itemsKey, id)
+      .zrem(this.orderKey, id)
+      .exec();
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = RedisJournal;
@@ -0,0 +1,111 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const FileJournal = require('./FileJournal');
+const RedisJournal = require('./RedisJournal');
+
+function createJournal() {
+  if (config.get('redis.enabled')) {
+    const { url, keyPrefix } = config.get('redis');
+    return new RedisJournal({ url, keyPrefix });
+  }
+
+  const { journalFile, compactAfter } = config.get('queue');
+  return new FileJournal({ file: journalFile, compactAfter });
+}
+
+// Journals hold plain JSON; receivedAt comes back as a Date
+const revive = item => ({ ...item, receivedAt: new Date(item.receivedAt) });
+
+// Webhooks for the same Jobber item must be processed in arrival order;
+// events without an item don't need ordering against anything
+const orderingKey = item => item.event?.itemId || item.id;
+
+/**
+ * The webhook work list. Items are written to the journal before push()
+ * resolves and stay there until they are acknowledged, so anything accepted
+ * but not finished when the process stops is picked up again by open() on the
+ * next start (at-least-once delivery). The in-memory list only decides order.
+ */
+class WebhookQueue {
+  constructor({ journal } = {}) {
+    this.journal = journal || createJournal();
+    this.items = [];
+    this.opening = null;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  // Load unfinished items from the journal; returns how many were recovered.
+  // Safe to call more than once - only the first call reads the journal.
+  open() {
+    if (!this.opening) {
+      this.opening = this.journal.open().then(recovered => {
+        // Everything unacknowledged is in the journal, including items still
+        // held in memory from before a close()
+        this.items = recovered.map(revive);
+        if (recovered.length > 0) {
+          logger.warn(`Recovered ${recovered.length} unfinished webhooks from the queue journal`);
+        }
+        return recovered.length;
+      });
+    }
+    return this.opening;
+  }
+
+  async push(item) {
+    await this.open();
+    await this.journal.append(item);
+    this.items.push(item);
+  }
+
+  // Take the oldest item that is ready to run and whose ordering key isn't in
+  // `busy`, or null. It stays in the journal until ack(). An item waiting out its retry backoff holds back later
+  // items with the same key, so each key stays in order.
+  takeNext(busy, now = Date.now()) {
+    const waiting = new Set();
+    const index = this.items.findIndex(item => {
+      const key = orderingKey(item);
+      if (busy.has(key) || waiting.has(key)) {
+        return false;
+      }
+      if (item.nextRetry && new Date(item.nextRetry).getTime() > now) {
+        waiting.add(key);
+        return false;
+      }
+      return true;
+    });
+    return index === -1 ? null : this.items.splice(index, 1)[0];
+  }
+
+  // When the earliest waiting retry comes due (ms timestamp), or null
+  nextRetryAt() {
+    const times = this.items
+      .filter(item => item.nextRetry)
+      .map(item => new Date(item.nextRetry).getTime());
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  // Put an item back for another attempt, recording its updated retry state.
+  // It goes ahead of any later webhooks for the same item.
+  async requeue(item) {
+    await this.journal.update(item);
+    const key = orderingKey(item);
+    const index = this.items.findIndex(queued => orderingKey(queued) === key);
+    this.items.splice(index === -1 ? this.items.length : index, 0, item);
+  }
+
+  async ack(id) {
+    await this.journal.ack(id);
+  }
+
+  async close() {
+    await this.journal.close();
+    this.opening = null;
+  }
+}
+
+module.exports = WebhookQueue;
+module.exports.createJournal = createJournal;
+module.exports.orderingKey = orderingKey;
@@ -1,22 +1,61 @@
 const express = require('express');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
-const { validateWebhook } = require('../middleware/webhookValidator');
+const config = require('../config');
+const webhookValidator = require('../middleware/webhookValidator');
+const { validateWebhook } = webhookValidator;
+const { requireRole } = require('../middleware/auth');
+const createDecisionRoutes = require('./routes/decisions');
+const createShadowRoutes = require('./routes/shadow');
+const createApprovalRoutes = require('./routes/approvals');
+const createOnCallRoutes = require('./routes/oncall');
+const createTechRoutes = require('./routes/techs');
+const createCapacityRoutes = require('./routes/capacity');
+const createRescheduleRoutes = require('./routes/reschedule');
+const createPricingRoutes = require('./routes/pricing');
+const createQuoteRoutes = require('./routes/quotes');
+const createInvoiceRoutes = require('./routes/invoices');
+const createScheduledRoutes = require('./routes/scheduled');
+const createDeadLetterRoutes = require('./routes/deadLetters');
+const emailNotifier = require('../notifications/EmailNotifier');
+const smsNotifier = require('../notifications/SmsNotifier');
+const onCallService = require('../services/OnCallService');
+const quotePipelineService = require('../services/QuotePipelineService');
+const receivablesService = require('../services/ReceivablesService');
+const scheduler = require('../services/Scheduler');
+const deadLetterStore = require('../storage/DeadLetterStore');
+const webhookDeliveryStore = require('../storage/WebhookDeliveryStore');
+const WebhookQueue = require('../queue/WebhookQueue');
+const { orderingKey } = WebhookQueue;
 const EventEmitter = require('events');
 
 class WebhookServer extends EventEmitter {
-  constructor(agent) {
+  constructor(agent, options = {}) {
     super();
     this.agent = agent;
     this.app = express();
     this.setupMiddleware();
     this.setupRoutes();
-    this.webhookQueue = [];
-    this.processing = false;
+    // Accepted webhooks are journaled until processed, so a crash or deploy
+    // doesn't lose anything we've already answered 200 for
+    this.webhookQueue = options.queue || new WebhookQueue();
+    this.concurrency = options.concurrency || config.get('performance.maxConcurrentWebhooks');
+    // Failed webhooks are retried after retryDelay, doubling each time, then dead-lettered
+    this.retryAttempts = options.retryAttempts ?? config.get('queue.retryAttempts');
+    this.retryDelay = options.retryDelay ?? config.get('queue.retryDelay');
+    this.retryTimer = null;
+    this.dedupTtl = options.dedupTtl ?? config.get('queue.dedupTtl');
+    // Ordering key -> webhook in progress; one at a time per Jobber item
+    this.inFlight = new Map();
+    // Delivery keys being written to the journal, not yet claimed in the store
+    this.queueing = new Set();
+    this.stopping = false;
     this.stats = {
       received: 0,
       processed: 0,
       failed: 0,
+      deadLettered: 0,
+      duplicates: 0,
       byUser: new Map(),
       byTopic: new Map()
     };
@@ -50,25 +89,52 @@ class WebhookServer extends EventEmitter {
       try {
         const event = JSON.parse(req.body);
         
-        // Immediately respond to Jobber
-        res.status(200).json({ received: true });
-        
-        // Process asynchronously
-        this.queueWebhook(event);
+        // Only acknowledge once the event is in the journal; a 500 makes
+        // Jobber deliver it again. Processing happens asynchronously.
+        const webhook = await this.queueWebhook(event);
+        if (!webhook) {
+          webhookValidator.recordReplay();
+        }
+        res.status(200).json({ received: true, duplicate: !webhook });
       } catch (error) {
         logger.error('Webhook processing error:', error);
         res.status(500).json({ error: 'Processing failed' });
       }
     });
 
-    // Health check endpoint
+    // SMS delivery status callbacks from the SMS provider
+    this.app.post('/webhooks/sms/status', express.urlencoded({ extended: false }), (req, res) => {
+      // Signatures are computed over the public callback URL we registered, not the
+      // address the request reached us on (which differs behind a proxy)
+      const valid = smsNotifier.verifyStatusCallback({
+        url: smsNotifier.statusCallbackUrl,
+        params: req.body,
+        headers: req.headers
+      });
+      
+      if (!valid) {
+        logger.warn('Rejected SMS status callback with invalid signature');
+        return res.status(403).json({ error: 'Invalid signature' });
+      }
+      
+      try {
+        smsNotifier.handleStatusCallback(req.body);
+        res.status(204).end();
+      } catch (error) {
+        logger.error('SMS status callback error:', error);
+        res.status(500).json({ error: 'Processing failed' });
+      }
+    });
+
+    // Health check endpoint - public, for load balancers and uptime checks.
+    // Everything below except the webhooks and the OAuth callback needs a token.
     this.app.get('/health', async (req, res) => {
       const health = await this.getHealthStatus();
       res.status(health.status === 'healthy' ? 200 : 503).json(health);
     });
 
     // Status endpoint
-    this.app.get('/status', (req, res) => {
+    this.app.get('/status', requireRole('viewer'), (req, res) => {
       res.json({
         uptime: process.uptime(),
         stats: this.getStats(),
@@ -80,26 +146,35 @@ class WebhookServer extends EventEmitter {
     });
 
     // Metrics endpoint
-    this.app.get('/metrics', (req, res) => {
+    this.app.get('/metrics', requireRole('viewer'), (req, res) => {
       res.json({
         webhooks: this.stats,
+        webhookValidation: webhookValidator.getStats(),
         performance: this.agent.getPerformanceMetrics(),
+        notifications: {
+          email: emailNotifier.getStats(),
+          sms: smsNotifier.getStats()
+        },
+        scheduled: scheduler.getStats(),
+        deadLetters: deadLetterStore.countByStatus(),
         queue: {
           length: this.webhookQueue.length,
-          processing: this.processing
+          processing: this.processing,
+          inFlight: this.inFlight.size,
+          concurrency: this.concurrency
         }
       });
     });
 
-    // Manual webhook test endpoint
-    this.app.post('/test/webhook', (req, res) => {
+    // Manual webhook test endpoint - the event runs through the real rules
+    this.app.post('/test/webhook', requireRole('admin'), async (req, res) => {
       const testEvent = {
         data: {
           webHookEvent: {
             topic: 'JOB_CREATE',
             appId: 'test-app',
             accountId: 'test-account',
-            itemId: 'test-job-' + Date.now(),
+            itemId: `test-job-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
             occurredAt: new Date().toISOString(),
             userId: req.body.userId || 'test-user',
             userName: req.body.userName || 'Test User'
@@ -107,28 +182,48 @@ class WebhookServer extends EventEmitter {
         }
       };
       
-      this.queueWebhook(testEvent);
-      res.json({ 
-        message: 'Test webhook queued',
-        event: testEvent
-      });
+      try {
+        await this.queueWebhook(testEvent);
+        res.json({ 
+          message: 'Test webhook queued',
+          event: testEvent
+        });
+      } catch (error) {
+        logger.error('Failed to queue test webhook:', error);
+        res.status(500).json({ error: 'Failed to queue test webhook' });
+      }
     });
 
     // Agent control endpoints
-    this.app.post('/agent/pause', (req, res) => {
+    this.app.post('/agent/pause', requireRole('operator'), (req, res) => {
       this.agent.pause();
       res.json({ status: 'paused' });
     });
 
-    this.app.post('/agent/resume', (req, res) => {
+    this.app.post('/agent/resume', requireRole('operator'), (req, res) => {
       this.agent.resume();
       res.json({ status: 'resumed' });
     });
 
-    this.app.get('/agent/config', (req, res) => {
+    this.app.get('/agent/config', requireRole('admin'), (req, res) => {
       res.json(this.agent.getConfig());
     });
 
+    // Decision history. Reading any of these needs a viewer token; the routers
+    // ask for more on the routes that change things.
+    this.app.use('/decisions', requireRole('viewer'), createDecisionRoutes());
+    this.app.use('/shadow', requireRole('viewer'), createShadowRoutes());
+    this.app.use('/approvals', requireRole('viewer'), createApprovalRoutes());
+    this.app.use('/oncall', requireRole('viewer'), createOnCallRoutes());
+    this.app.use('/techs', requireRole('viewer'), createTechRoutes());
+    this.app.use('/capacity', requireRole('viewer'), createCapacityRoutes());
+    this.app.use('/reschedule', requireRole('viewer'), createRescheduleRoutes());
+    this.app.use('/pricing', requireRole('viewer'), createPricingRoutes());
+    this.app.use('/quotes', requireRole('viewer'), createQuoteRoutes());
+    this.app.use('/invoices', requireRole('viewer'), createInvoiceRoutes());
+    this.app.use('/scheduled', requireRole('viewer'), createScheduledRoutes());
+    this.app.use('/dead-letters', requireRole('viewer'), createDeadLetterRoutes(this));
+
     // OAuth callback for Jobber
     this.app.get('/auth/callback', async (req, res) => {
       const { code } = req.query;
@@ -159,7 +254,35 @@ class WebhookServer extends EventEmitter {
     });
   }
 
-  queueWebhook(event) {
+  // Re-evaluations come due as ordinary events in the webhook queue
+  startScheduler() {
+    scheduler.register('reevaluate', ({ event }) => this.queueWebhook({
+      ...event,
+      occurredAt: new Date().toISOString(),
+      reevaluation: true
+    }));
+    
+    scheduler.register('pruneWebhookDeliveries', () => {
+      const pruned = webhookDeliveryStore.prune();
+      if (pruned > 0) {
+        logger.info(`Pruned ${pruned} expired webhook delivery records`);
+      }
+    });
+    scheduler.cron('webhook-delivery-prune', '0 * * * *', 'pruneWebhookDeliveries', {}, 'Forget webhook deliveries past the dedup window');
+    
+    const sweepCron = config.get('scheduler.unassignedSweepCron');
+    if (sweepCron) {
+      scheduler.cron('unassigned-sweep', sweepCron, 'unassignedSweep', {}, 'Re-evaluate today\'s unassigned jobs');
+    } else {
+      scheduler.cancelKey('unassigned-sweep');
+    }
+    
+    scheduler.start();
+  }
+
+  // Resolves with the queued webhook once it is durably queued, or null if it
+  // was a repeat delivery of an event already accepted
+  async queueWebhook(event, { deduplicate = true } = {}) {
     // Extract webhook data
     const webhookEvent = event.data?.webHookEvent || event;
     
@@ -167,20 +290,44 @@ class WebhookServer extends EventEmitter {
     const userId = webhookEvent.userId || 'unknown';
     const userName = webhookEvent.userName || 'Unknown User';
     
-    this.stats.received++;
-    this.stats.byUser.set(userId, (this.stats.byUser.get(userId) || 0) + 1);
-    this.stats.byTopic.set(webhookEvent.topic, (this.stats.byTopic.get(webhookEvent.topic) || 0) + 1);
+    const deliveryKey = deduplicate ? this.deliveryKey(webhookEvent) : null;
+    if (deliveryKey && (this.queueing.has(deliveryKey) || webhookDeliveryStore.seen(deliveryKey))) {
+      this.stats.duplicates++;
+      logger.info(`Dropped duplicate ${webhookEvent.topic} webhook for ${webhookEvent.itemId} from user ${userName} (${userId})`);
+      this.emit('webhookDuplicate', { topic: webhookEvent.topic, itemId: webhookEvent.itemId, userId });
+      return null;
+    }
     
     logger.info(`Webhook received from user ${userName} (${userId}): ${webhookEvent.topic}`);
     
     // Add to queue with metadata
-    this.webhookQueue.push({
+    const webhook = {
       id: `webhook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       event: webhookEvent,
       receivedAt: new Date(),
       userId,
       userName
-    });
+    };
+    // The key is claimed only once the event is in the journal. Until then a copy
+    // arriving alongside is caught by `queueing`; if the append fails or we crash
+    // first, Jobber's redelivery is queued rather than dropped as a duplicate.
+    if (deliveryKey) {
+      this.queueing.add(deliveryKey);
+    }
+    try {
+      await this.webhookQueue.push(webhook);
+      if (deliveryKey) {
+        this.claimDelivery(deliveryKey, webhookEvent);
+      }
+    } finally {
+      if (deliveryKey) {
+        this.queueing.delete(deliveryKey);
+      }
+    }
+    
+    this.stats.received++;
+    this.stats.byUser.set(userId, (this.stats.byUser.get(userId) || 0) + 1);
+    this.stats.byTopic.set(webhookEvent.topic, (this.stats.byTopic.get(webhookEvent.topic) || 0) + 1);
     
     // Emit event for monitoring
     this.emit('webhookReceived', {
@@ -190,64 +337,189 @@ class WebhookServer extends EventEmitter {
       queueLength: this.webhookQueue.length
     });
     
-    // Process queue if not already processing
-    if (!this.processing) {
-      this.processQueue();
+    // Hand it to a worker if one is free
+    this.processQueue();
+    return webhook;
+  }
+
+  // The key deliveries of this event share, or null when the event can't be
+  // identified (it is always queued)
+  deliveryKey(webhookEvent) {
+    const { topic, itemId, occurredAt } = webhookEvent;
+    if (!topic || !itemId || !occurredAt) {
+      return null;
+    }
+    return `${topic}:${itemId}:${occurredAt}`;
+  }
+
+  // The event is already journaled, so failing to record it only risks
+  // processing a redelivery again - never a reason to fail the request
+  claimDelivery(key, { topic, itemId, occurredAt }) {
+    try {
+      if (!webhookDeliveryStore.claim(key, { topic, itemId, occurredAt, ttl: this.dedupTtl })) {
+        logger.warn(`Delivery ${key} was claimed elsewhere while it was being queued`);
+      }
+    } catch (error) {
+      logger.error(`Failed to record delivery ${key}: ${error.message}`);
+    }
+  }
+
+  get processing() {
+    return this.inFlight.size > 0;
+  }
+
+  // Start workers on queued webhooks, up to the concurrency limit. Each worker
+  // calls back in here when it finishes, so the pool refills as slots free up.
+  // Items left when stopping stay in the journal for the next start.
+  processQueue() {
+    while (!this.stopping && this.inFlight.size < this.concurrency) {
+      const webhook = this.webhookQueue.takeNext(this.inFlight);
+      if (!webhook) {
+        this.scheduleRetryWakeUp();
+        return;
+      }
+      
+      const key = orderingKey(webhook);
+      this.inFlight.set(key, webhook);
+      this.processWebhook(webhook).finally(() => {
+        this.inFlight.delete(key);
+        this.processQueue();
+      });
+    }
+  }
+
+  async processWebhook(webhook) {
+    try {
+      logger.info(`Processing webhook ${webhook.id} from user ${webhook.userName}`);
+      
+      // Process through agent
+      await this.agent.processWebhook(webhook.event, {
+        userId: webhook.userId,
+        userName: webhook.userName,
+        receivedAt: webhook.receivedAt
+      });
+      
+      await this.acknowledge(webhook);
+      this.stats.processed++;
+      
+      this.emit('webhookProcessed', {
+        id: webhook.id,
+        topic: webhook.event.topic,
+        userId: webhook.userId,
+        success: true
+      });
+    } catch (error) {
+      logger.error(`Failed to process webhook ${webhook.id}:`, error);
+      this.stats.failed++;
+      
+      this.emit('webhookFailed', {
+        id: webhook.id,
+        topic: webhook.event.topic,
+        userId: webhook.userId,
+        error: error.message
+      });
+      
+      const errors = webhook.errors || [];
+      webhook.errors = [...errors, { attempt: errors.length + 1, error: error.message, at: new Date().toISOString() }];
+      
+      if ((webhook.retries || 0) < this.retryAttempts) {
+        webhook.retries = (webhook.retries || 0) + 1;
+        const delay = this.retryDelay * Math.pow(2, webhook.retries - 1);
+        webhook.nextRetry = new Date(Date.now() + delay).toISOString();
+        logger.warn(`Retrying webhook ${webhook.id} in ${delay}ms (retry ${webhook.retries} of ${this.retryAttempts})`);
+        await this.requeue(webhook);
+      } else {
+        await this.deadLetter(webhook);
+      }
     }
   }
 
-  async processQueue() {
-    if (this.processing || this.webhookQueue.length === 0) {
+  // Wake the pool when the earliest backed-off retry comes due
+  scheduleRetryWakeUp() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    
+    const at = this.webhookQueue.nextRetryAt();
+    if (at === null || this.stopping) {
       return;
     }
     
-    this.processing = true;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processQueue();
+    }, Math.max(at - Date.now(), 0));
+    this.retryTimer.unref();
+  }
+
+  // Out of retries: keep it for inspection and replay, then drop it from the queue.
+  // If it can't be recorded it stays in the journal and is tried again after a restart.
+  async deadLetter(webhook) {
+    try {
+      deadLetterStore.add(webhook);
+    } catch (error) {
+      logger.error(`Failed to dead-letter webhook ${webhook.id}:`, error);
+      return;
+    }
     
-    while (this.webhookQueue.length > 0) {
-      const webhook = this.webhookQueue.shift();
-      
-      try {
-        logger.info(`Processing webhook ${webhook.id} from user ${webhook.userName}`);
-        
-        // Process through agent
-        await this.agent.processWebhook(webhook.event, {
-          userId: webhook.userId,
-          userName: webhook.userName,
-          receivedAt: webhook.receivedAt
-        });
-        
-        this.stats.processed++;
-        
-        this.emit('webhookProcessed', {
-          id: webhook.id,
-          topic: webhook.event.topic,
-          userId: webhook.userId,
-          success: true
-        });
-      } catch (error) {
-        logger.error(`Failed to process webhook ${webhook.id}:`, error);
-        this.stats.failed++;
-        
-        this.emit('webhookFailed', {
-          id: webhook.id,
-          topic: webhook.event.topic,
-          userId: webhook.userId,
-          error: error.message
-        });
-        
-        // Implement retry logic
-        if (webhook.retries < 3) {
-          webhook.retries = (webhook.retries || 0) + 1;
-          webhook.nextRetry = new Date(Date.now() + Math.pow(2, webhook.retries) * 1000);
-          this.webhookQueue.push(webhook);
-        }
-      }
-      
-      // Rate limiting - prevent overwhelming the system
-      await new Promise(resolve => setTimeout(resolve, 100));
+    logger.error(`Webhook ${webhook.id} (${webhook.event.topic}) failed ${webhook.errors.length} times; moved to dead letters`);
+    await this.acknowledge(webhook);
+    this.stats.deadLettered++;
+    
+    this.emit('webhookDeadLettered', {
+      id: webhook.id,
+      topic: webhook.event.topic,
+      userId: webhook.userId,
+      error: webhook.errors[webhook.errors.length - 1].error
+    });
+  }
+
+  // Queue a dead letter's event again with a fresh set of retries. Returns null
+  // if it was already replayed or discarded.
+  async replayDeadLetter(id, { actor = null, note = null } = {}) {
+    if (!deadLetterStore.resolve(id, 'replayed', { actor, note })) {
+      return null;
+    }
+    
+    try {
+      // The event was accepted once already; replaying it on purpose isn't a duplicate
+      const webhook = await this.queueWebhook(deadLetterStore.get(id).event, { deduplicate: false });
+      deadLetterStore.saveReplay(id, webhook.id);
+    } catch (error) {
+      deadLetterStore.reopen(id);
+      throw error;
     }
     
-    this.processing = false;
+    logger.info(`Replayed dead letter ${id}${actor ? ` (by ${actor})` : ''}`);
+    return deadLetterStore.get(id);
+  }
+
+  discardDeadLetter(id, { actor = null, note = null } = {}) {
+    if (!deadLetterStore.resolve(id, 'discarded', { actor, note })) {
+      return null;
+    }
+    
+    logger.info(`Discarded dead letter ${id}${actor ? ` (by ${actor})` : ''}`);
+    return deadLetterStore.get(id);
+  }
+
+  // A journal write failing here leaves the item in the journal, so at worst it
+  // is processed again after a restart
+  async acknowledge(webhook) {
+    try {
+      await this.webhookQueue.ack(webhook.id);
+    } catch (error) {
+      logger.error(`Failed to acknowledge webhook ${webhook.id} in the queue journal:`, error);
+    }
+  }
+
+  async requeue(webhook) {
+    try {
+      await this.webhookQueue.requeue(webhook);
+    } catch (error) {
+      logger.error(`Failed to requeue webhook ${webhook.id}:`, error);
+    }
   }
 
   async getHealthStatus() {
@@ -295,6 +567,8 @@ class WebhookServer extends EventEmitter {
         received: this.stats.received,
         processed: this.stats.processed,
         failed: this.stats.failed,
+        deadLettered: this.stats.deadLettered,
+        duplicates: this.stats.duplicates,
         successRate: this.stats.received > 0 ? 
           ((this.stats.processed / this.stats.received) * 100).toFixed(2) + '%' : '0%'
       },
@@ -319,7 +593,11 @@ class WebhookServer extends EventEmitter {
     return mostActive;
   }
 
-  start(port = process.env.PORT || 3000) {
+  async start(port = process.env.PORT || 3000) {
+    // Webhooks accepted but not finished before the last shutdown go first
+    await this.webhookQueue.open();
+    this.stopping = false;
+    
     return new Promise((resolve, reject) => {
       this.server = this.app.listen(port, (err) => {
         if (err) {
@@ -329,6 +607,17 @@ class WebhookServer extends EventEmitter {
           logger.info(`Webhook server listening on port ${port}`);
           logger.info('Multi-user webhook processing ENABLED');
           logger.info('Ready to receive webhooks from ALL Jobber users');
+          
+          // Pages left unacknowledged before a restart keep escalating, and
+          // quote follow-ups, invoice reminders and emails due while we were down go out
+          if (emailNotifier.isEnabled()) {
+            emailNotifier.start();
+          }
+          onCallService.start();
+          quotePipelineService.start();
+          receivablesService.start();
+          this.startScheduler();
+          this.processQueue();
           resolve(port);
         }
       });
@@ -336,6 +625,11 @@ class WebhookServer extends EventEmitter {
   }
 
   stop() {
+    emailNotifier.stop();
+    onCallService.stop();
+    quotePipelineService.stop();
+    receivablesService.stop();
+    scheduler.stop();
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close(() => {
@@ -355,11 +649,18 @@ class WebhookServer extends EventEmitter {
     // Stop accepting new webhooks
     await this.stop();
     
-    // Process remaining queue
-    while (this.webhookQueue.length > 0 && this.processing) {
+    // Finish the webhook in progress; the rest stay journaled for the next start
+    this.stopping = true;
+    this.scheduleRetryWakeUp();
+    while (this.processing) {
       await new Promise(resolve => setTimeout(resolve, 100));
     }
     
+    if (this.webhookQueue.length > 0) {
+      logger.info(`${this.webhookQueue.length} queued webhooks will be processed after restart`);
+    }
+    await this.webhookQueue.close();
+    
     logger.info('Webhook server shutdown complete');
   }
 }
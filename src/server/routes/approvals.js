@@ -0,0 +1,107 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const approvalStore = require('../../storage/ApprovalStore');
+const decisionEngine = require('../../agent/DecisionEngine');
+const { parseInteger } = require('./params');
+const { requireRole } = require('../../middleware/auth');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'expired'];
+const MAX_PAGE_SIZE = 500;
+
+// Checks shared by approve/reject. Sends the error response and returns false
+// if the approval can't be resolved.
+function checkResolvable(approval, res) {
+  if (!approval) {
+    res.status(404).json({ error: 'Approval not found' });
+    return false;
+  }
+  if (approval.status === 'expired') {
+    res.status(410).json({ error: 'Approval has expired' });
+    return false;
+  }
+  if (approval.status !== 'pending') {
+    res.status(409).json({ error: `Approval already ${approval.status}` });
+    return false;
+  }
+  return true;
+}
+
+function createApprovalRoutes() {
+  const router = express.Router();
+
+  // Pending approvals by default; ?status=all for everything
+  router.get('/', (req, res) => {
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${STATUSES.join(', ')}` });
+    }
+
+    let limit;
+    let offset;
+    try {
+      limit = Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE);
+      offset = parseInteger(req.query.offset, 'offset', 0);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      approvalStore.expireStale();
+      res.json(approvalStore.list({ status: status === 'all' ? null : status, limit, offset }));
+    } catch (error) {
+      logger.error('Failed to list approvals:', error);
+      res.status(500).json({ error: 'Failed to list approvals' });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    approvalStore.expireStale();
+    const approval = approvalStore.get(req.params.id);
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval not found' });
+    }
+    res.json(approval);
+  });
+
+  router.post('/:id/approve', requireRole('operator'), async (req, res) => {
+    const { note } = req.body || {};
+    const actor = req.user.subject;
+
+    try {
+      approvalStore.expireStale();
+      if (!checkResolvable(approvalStore.get(req.params.id), res)) return;
+
+      const approval = await decisionEngine.approveDecision(req.params.id, { actor, note });
+      if (!approval) {
+        return res.status(409).json({ error: 'Approval was resolved by someone else' });
+      }
+      res.json(approval);
+    } catch (error) {
+      logger.error('Failed to approve decision:', error);
+      res.status(500).json({ error: 'Failed to approve decision' });
+    }
+  });
+
+  router.post('/:id/reject', requireRole('operator'), (req, res) => {
+    const { note } = req.body || {};
+    const actor = req.user.subject;
+
+    try {
+      approvalStore.expireStale();
+      if (!checkResolvable(approvalStore.get(req.params.id), res)) return;
+
+      const approval = decisionEngine.rejectDecision(req.params.id, { actor, note });
+      if (!approval) {
+        return res.status(409).json({ error: 'Approval was resolved by someone else' });
+      }
+      res.json(approval);
+    } catch (error) {
+      logger.error('Failed to reject decision:', error);
+      res.status(500).json({ error: 'Failed to reject decision' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApprovalRoutes;
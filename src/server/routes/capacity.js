@@ -0,0 +1,21 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const capacityService = require('../../services/CapacityService');
+
+function createCapacityRoutes() {
+  const router = express.Router();
+
+  // Daily and weekly utilization per tech and for the team; ?refresh=true skips the cache
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await capacityService.getCapacity({ refresh: req.query.refresh === 'true' }));
+    } catch (error) {
+      logger.error('Failed to compute capacity:', error);
+      res.status(502).json({ error: 'Failed to load the schedule from Jobber' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCapacityRoutes;
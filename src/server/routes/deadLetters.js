@@ -0,0 +1,100 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const deadLetterStore = require('../../storage/DeadLetterStore');
+const { parseInteger } = require('./params');
+const { requireRole } = require('../../middleware/auth');
+
+const STATUSES = ['dead', 'replayed', 'discarded'];
+const MAX_PAGE_SIZE = 500;
+
+// Checks shared by replay/discard. Sends the error response and returns false
+// if the dead letter can't be resolved.
+function checkResolvable(deadLetter, res) {
+  if (!deadLetter) {
+    res.status(404).json({ error: 'Dead letter not found' });
+    return false;
+  }
+  if (deadLetter.status !== 'dead') {
+    res.status(409).json({ error: `Dead letter already ${deadLetter.status}` });
+    return false;
+  }
+  return true;
+}
+
+// Replays go back through the server's webhook queue
+function createDeadLetterRoutes(server) {
+  const router = express.Router();
+
+  // Newest failures first - unresolved only unless status is given
+  router.get('/', (req, res) => {
+    const { topic, userId, itemId } = req.query;
+    const status = req.query.status || 'dead';
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${STATUSES.join(', ')}` });
+    }
+
+    let limit;
+    let offset;
+    try {
+      limit = Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE);
+      offset = parseInteger(req.query.offset, 'offset', 0);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(deadLetterStore.list({ status: status === 'all' ? null : status, topic, userId, itemId, limit, offset }));
+    } catch (error) {
+      logger.error('Failed to list dead letters:', error);
+      res.status(500).json({ error: 'Failed to list dead letters' });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const deadLetter = deadLetterStore.get(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json(deadLetter);
+  });
+
+  router.post('/:id/replay', requireRole('operator'), async (req, res) => {
+    const { note } = req.body || {};
+    const actor = req.user.subject;
+
+    try {
+      if (!checkResolvable(deadLetterStore.get(req.params.id), res)) return;
+
+      const deadLetter = await server.replayDeadLetter(req.params.id, { actor, note });
+      if (!deadLetter) {
+        return res.status(409).json({ error: 'Dead letter was resolved by someone else' });
+      }
+      res.json(deadLetter);
+    } catch (error) {
+      logger.error('Failed to replay dead letter:', error);
+      res.status(500).json({ error: 'Failed to replay dead letter' });
+    }
+  });
+
+  router.post('/:id/discard', requireRole('operator'), (req, res) => {
+    const { note } = req.body || {};
+    const actor = req.user.subject;
+
+    try {
+      if (!checkResolvable(deadLetterStore.get(req.params.id), res)) return;
+
+      const deadLetter = server.discardDeadLetter(req.params.id, { actor, note });
+      if (!deadLetter) {
+        return res.status(409).json({ error: 'Dead letter was resolved by someone else' });
+      }
+      res.json(deadLetter);
+    } catch (error) {
+      logger.error('Failed to discard dead letter:', error);
+      res.status(500).json({ error: 'Failed to discard dead letter' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDeadLetterRoutes;
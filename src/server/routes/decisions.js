@@ -0,0 +1,82 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const decisionStore = require('../../storage/DecisionStore');
+const decisionEngine = require('../../agent/DecisionEngine');
+const { parseDate, parseString, parseInteger } = require('./params');
+const { requireRole } = require('../../middleware/auth');
+
+const MAX_PAGE_SIZE = 500;
+
+function createDecisionRoutes() {
+  const router = express.Router();
+
+  // List decisions - filter by rule, userId, topic, outcome and from/to dates
+  router.get('/', (req, res) => {
+    let filters;
+    try {
+      filters = {
+        rule: parseString(req.query.rule, 'rule'),
+        userId: parseString(req.query.userId, 'userId'),
+        topic: parseString(req.query.topic, 'topic'),
+        outcome: parseString(req.query.outcome, 'outcome'),
+        from: parseDate(req.query.from, 'from'),
+        to: parseDate(req.query.to, 'to'),
+        limit: Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE),
+        offset: parseInteger(req.query.offset, 'offset', 0)
+      };
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(decisionStore.query(filters));
+    } catch (error) {
+      logger.error('Failed to query decisions:', error);
+      res.status(500).json({ error: 'Failed to query decisions' });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    try {
+      const decision = decisionStore.get(req.params.id);
+      if (!decision) {
+        return res.status(404).json({ error: 'Decision not found' });
+      }
+      res.json(decision);
+    } catch (error) {
+      logger.error('Failed to load decision:', error);
+      res.status(500).json({ error: 'Failed to load decision' });
+    }
+  });
+
+  // Record how a decision turned out; feeds straight into future confidence
+  router.post('/:id/outcome', requireRole('operator'), (req, res) => {
+    const { outcome, note } = req.body || {};
+    const actor = req.user.subject;
+
+    if (!decisionStore.OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        error: `outcome must be one of: ${decisionStore.OUTCOMES.join(', ')}`
+      });
+    }
+
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    try {
+      const decision = decisionEngine.updateOutcome(req.params.id, outcome, { note, actor });
+      if (!decision) {
+        return res.status(404).json({ error: 'Decision not found' });
+      }
+      res.json(decision);
+    } catch (error) {
+      logger.error('Failed to update decision outcome:', error);
+      res.status(500).json({ error: 'Failed to update outcome' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDecisionRoutes;
@@ -0,0 +1,48 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const receivablesStore = require('../../storage/ReceivablesStore');
+const { parseInteger } = require('./params');
+
+const STATUSES = ['open', 'paid', 'writtenOff'];
+const MAX_PAGE_SIZE = 500;
+
+function createInvoiceRoutes() {
+  const router = express.Router();
+
+  // Tracked invoices, oldest due date first - filter by status
+  router.get('/', (req, res) => {
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    let limit;
+    let offset;
+    try {
+      limit = Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE);
+      offset = parseInteger(req.query.offset, 'offset', 0);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(receivablesStore.list({ status, limit, offset }));
+    } catch (error) {
+      logger.error('Failed to list invoices:', error);
+      res.status(500).json({ error: 'Failed to list invoices' });
+    }
+  });
+
+  // A tracked invoice with the reminders sent for it
+  router.get('/:invoiceId', (req, res) => {
+    const invoice = receivablesStore.get(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not tracked' });
+    }
+    res.json(invoice);
+  });
+
+  return router;
+}
+
+module.exports = createInvoiceRoutes;
@@ -0,0 +1,184 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const onCallStore = require('../../storage/OnCallStore');
+const onCallService = require('../../services/OnCallService');
+const { validateRotation, validateOverride } = require('../../services/OnCallService');
+const { parseDate, parseInteger } = require('./params');
+const { requireRole } = require('../../middleware/auth');
+
+const PAGE_STATUSES = ['pending', 'acknowledged', 'exhausted'];
+const MAX_PAGE_SIZE = 500;
+
+function createOnCallRoutes() {
+  const router = express.Router();
+
+  // Every team with its rotation and who is on call right now
+  router.get('/', (req, res) => {
+    try {
+      const teams = onCallStore.listRotations().map(rotation => ({
+        ...rotation,
+        current: onCallService.getOnCall(rotation.team)
+      }));
+      res.json({ teams });
+    } catch (error) {
+      logger.error('Failed to list on-call rotations:', error);
+      res.status(500).json({ error: 'Failed to list on-call rotations' });
+    }
+  });
+
+  // Pages are registered before /:team so "pages" isn't taken for a team name
+  router.get('/pages', (req, res) => {
+    const { status, team } = req.query;
+    if (status && !PAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${PAGE_STATUSES.join(', ')}` });
+    }
+
+    let limit;
+    let offset;
+    try {
+      limit = Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE);
+      offset = parseInteger(req.query.offset, 'offset', 0);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(onCallStore.listPages({ status, team, limit, offset }));
+    } catch (error) {
+      logger.error('Failed to list pages:', error);
+      res.status(500).json({ error: 'Failed to list pages' });
+    }
+  });
+
+  router.get('/pages/:id', (req, res) => {
+    const page = onCallStore.getPage(req.params.id);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+    res.json(page);
+  });
+
+  // Acknowledging a page stops its escalation
+  router.post('/pages/:id/ack', requireRole('operator'), (req, res) => {
+    const actor = req.user.subject;
+
+    try {
+      const page = onCallStore.getPage(req.params.id);
+      if (!page) {
+        return res.status(404).json({ error: 'Page not found' });
+      }
+
+      const acknowledged = onCallService.acknowledge(req.params.id, { actor });
+      if (!acknowledged) {
+        return res.status(409).json({ error: `Page already ${onCallStore.getPage(req.params.id).status}` });
+      }
+      res.json(acknowledged);
+    } catch (error) {
+      logger.error('Failed to acknowledge page:', error);
+      res.status(500).json({ error: 'Failed to acknowledge page' });
+    }
+  });
+
+  // Rotation, upcoming overrides and who is on call (now, or at ?at=)
+  router.get('/:team', (req, res) => {
+    let at;
+    try {
+      at = parseDate(req.query.at, 'at');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const { team } = req.params;
+      const rotation = onCallStore.getRotation(team);
+      const overrides = onCallStore.listOverrides(team);
+      if (!rotation && overrides.length === 0) {
+        return res.status(404).json({ error: `No on-call schedule for team ${team}` });
+      }
+
+      res.json({
+        team,
+        rotation,
+        overrides,
+        current: onCallService.getOnCall(team, at ? new Date(at) : new Date())
+      });
+    } catch (error) {
+      logger.error('Failed to load on-call schedule:', error);
+      res.status(500).json({ error: 'Failed to load on-call schedule' });
+    }
+  });
+
+  // Create or replace a team's weekly rotation: { members: [userId, ...], startsAt }
+  router.put('/:team', requireRole('admin'), (req, res) => {
+    const { members, startsAt } = req.body || {};
+    const actor = req.user.subject;
+    const errors = validateRotation({ members, startsAt });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rotation', errors });
+    }
+
+    try {
+      const rotation = onCallStore.saveRotation(req.params.team, {
+        members,
+        startsAt: new Date(startsAt).toISOString(),
+        actor
+      });
+      res.json(rotation);
+    } catch (error) {
+      logger.error('Failed to save rotation:', error);
+      res.status(500).json({ error: 'Failed to save rotation' });
+    }
+  });
+
+  router.delete('/:team', requireRole('admin'), (req, res) => {
+    try {
+      if (!onCallStore.deleteRotation(req.params.team)) {
+        return res.status(404).json({ error: `No rotation for team ${req.params.team}` });
+      }
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to delete rotation:', error);
+      res.status(500).json({ error: 'Failed to delete rotation' });
+    }
+  });
+
+  // Put someone else on call for a window: { userId, startsAt, endsAt, reason }
+  router.post('/:team/overrides', requireRole('operator'), (req, res) => {
+    const { userId, startsAt, endsAt, reason } = req.body || {};
+    const actor = req.user.subject;
+    const errors = validateOverride({ userId, startsAt, endsAt });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid override', errors });
+    }
+
+    try {
+      const override = onCallStore.createOverride(req.params.team, {
+        userId,
+        startsAt: new Date(startsAt).toISOString(),
+        endsAt: new Date(endsAt).toISOString(),
+        reason,
+        actor
+      });
+      res.status(201).json(override);
+    } catch (error) {
+      logger.error('Failed to create override:', error);
+      res.status(500).json({ error: 'Failed to create override' });
+    }
+  });
+
+  router.delete('/:team/overrides/:id', requireRole('operator'), (req, res) => {
+    try {
+      if (!onCallStore.deleteOverride(req.params.team, req.params.id)) {
+        return res.status(404).json({ error: 'Override not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to delete override:', error);
+      res.status(500).json({ error: 'Failed to delete override' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createOnCallRoutes;
@@ -0,0 +1,35 @@
+// Query string parsing shared by the API routes. Parsers throw on bad input so
+// routes can turn the message into a 400.
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+// Express turns a repeated parameter (?rule=a&rule=b) into an array
+function parseString(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid ${name}: expected a single value`);
+  }
+  return value;
+}
+
+function parseInteger(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return number;
+}
+
+module.exports = {
+  parseDate,
+  parseString,
+  parseInteger
+};
@@ -0,0 +1,47 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const pricingStore = require('../../storage/PricingStore');
+const pricingService = require('../../services/PricingService');
+const { parseInteger } = require('./params');
+
+const MAX_PAGE_SIZE = 500;
+
+function createPricingRoutes() {
+  const router = express.Router();
+
+  // Configured surcharges and holidays
+  router.get('/', (req, res) => {
+    res.json(pricingService.load());
+  });
+
+  // Surcharges applied to quotes, newest first - filter by quoteId
+  router.get('/adjustments', (req, res) => {
+    let limit;
+    let offset;
+    try {
+      limit = Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE);
+      offset = parseInteger(req.query.offset, 'offset', 0);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(pricingStore.list({ quoteId: req.query.quoteId, limit, offset }));
+    } catch (error) {
+      logger.error('Failed to list pricing adjustments:', error);
+      res.status(500).json({ error: 'Failed to list pricing adjustments' });
+    }
+  });
+
+  router.get('/adjustments/:id', (req, res) => {
+    const adjustment = pricingStore.get(req.params.id);
+    if (!adjustment) {
+      return res.status(404).json({ error: 'Adjustment not found' });
+    }
+    res.json(adjustment);
+  });
+
+  return router;
+}
+
+module.exports = createPricingRoutes;
@@ -0,0 +1,68 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const quotePipelineStore = require('../../storage/QuotePipelineStore');
+const quotePipelineService = require('../../services/QuotePipelineService');
+const { parseDate, parseInteger } = require('./params');
+
+const STATUSES = ['open', 'approved', 'declined', 'expired'];
+const MAX_PAGE_SIZE = 500;
+
+function createQuoteRoutes() {
+  const router = express.Router();
+
+  // Tracked quotes, newest first - filter by status and creating user
+  router.get('/', (req, res) => {
+    const { status, userId } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    let limit;
+    let offset;
+    try {
+      limit = Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE);
+      offset = parseInteger(req.query.offset, 'offset', 0);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(quotePipelineStore.list({ status, userId, limit, offset }));
+    } catch (error) {
+      logger.error('Failed to list quotes:', error);
+      res.status(500).json({ error: 'Failed to list quotes' });
+    }
+  });
+
+  // Conversion per creating user, for quotes created between from and to
+  router.get('/stats', (req, res) => {
+    let from;
+    let to;
+    try {
+      from = parseDate(req.query.from, 'from');
+      to = parseDate(req.query.to, 'to');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(quotePipelineService.getStats({ from, to }));
+    } catch (error) {
+      logger.error('Failed to build quote stats:', error);
+      res.status(500).json({ error: 'Failed to build quote stats' });
+    }
+  });
+
+  // A tracked quote with its follow-ups
+  router.get('/:quoteId', (req, res) => {
+    const quote = quotePipelineStore.get(req.params.quoteId);
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not tracked' });
+    }
+    res.json(quote);
+  });
+
+  return router;
+}
+
+module.exports = createQuoteRoutes;
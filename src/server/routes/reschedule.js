@@ -0,0 +1,82 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const rescheduleStore = require('../../storage/RescheduleStore');
+const reschedulingService = require('../../services/ReschedulingService');
+const { parseInteger } = require('./params');
+const { requireRole } = require('../../middleware/auth');
+
+const STATUSES = ['pending', 'accepted', 'superseded'];
+const MAX_PAGE_SIZE = 500;
+
+function createRescheduleRoutes() {
+  const router = express.Router();
+
+  // Suggestions, newest first - filter by jobId and status
+  router.get('/', (req, res) => {
+    const { jobId, status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    let limit;
+    let offset;
+    try {
+      limit = Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE);
+      offset = parseInteger(req.query.offset, 'offset', 0);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(rescheduleStore.list({ jobId, status, limit, offset }));
+    } catch (error) {
+      logger.error('Failed to list rescheduling suggestions:', error);
+      res.status(500).json({ error: 'Failed to list rescheduling suggestions' });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const suggestion = rescheduleStore.get(req.params.id);
+    if (!suggestion) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+    res.json(suggestion);
+  });
+
+  // Move the job to one of the suggested slots: { slot: <number> }
+  router.post('/:id/accept', requireRole('operator'), async (req, res) => {
+    const { slot: slotNumber } = req.body || {};
+    const actor = req.user.subject;
+
+    const suggestion = rescheduleStore.get(req.params.id);
+    if (!suggestion) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+    if (suggestion.status !== 'pending') {
+      return res.status(409).json({ error: `Suggestion already ${suggestion.status}` });
+    }
+
+    const slot = suggestion.slots.find(s => s.number === slotNumber);
+    if (!slot) {
+      return res.status(400).json({ error: `slot must be one of: ${suggestion.slots.map(s => s.number).join(', ')}` });
+    }
+
+    try {
+      const result = await reschedulingService.accept(suggestion, slot, { actor });
+      if (result.conflict) {
+        return res.status(409).json({ error: 'Slot is no longer free', conflict: result.conflict });
+      }
+      if (!result.accepted) {
+        return res.status(409).json({ error: 'Suggestion was resolved by someone else' });
+      }
+      res.json(result);
+    } catch (error) {
+      logger.error('Failed to accept rescheduling suggestion:', error);
+      res.status(500).json({ error: 'Failed to reschedule job' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRescheduleRoutes;
@@ -0,0 +1,69 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const scheduledJobStore = require('../../storage/ScheduledJobStore');
+const scheduler = require('../../services/Scheduler');
+const { parseInteger } = require('./params');
+const { requireRole } = require('../../middleware/auth');
+
+const STATUSES = ['pending', 'running', 'done', 'failed', 'cancelled'];
+const MAX_PAGE_SIZE = 500;
+
+function createScheduledRoutes() {
+  const router = express.Router();
+
+  // Scheduled jobs, soonest first - pending only unless status is given
+  router.get('/', (req, res) => {
+    const { type } = req.query;
+    const status = req.query.status === 'all' ? undefined : (req.query.status || 'pending');
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}, all` });
+    }
+
+    let limit;
+    let offset;
+    try {
+      limit = Math.min(parseInteger(req.query.limit, 'limit', 50), MAX_PAGE_SIZE);
+      offset = parseInteger(req.query.offset, 'offset', 0);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(scheduledJobStore.list({ status, type, limit, offset }));
+    } catch (error) {
+      logger.error('Failed to list scheduled jobs:', error);
+      res.status(500).json({ error: 'Failed to list scheduled jobs' });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const job = scheduledJobStore.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+    res.json(job);
+  });
+
+  // Cancel a pending job. Built-in recurring jobs come back on restart unless disabled in config.
+  router.delete('/:id', requireRole('operator'), (req, res) => {
+    const job = scheduledJobStore.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+
+    try {
+      if (!scheduler.cancel(job.id)) {
+        return res.status(409).json({ error: `Scheduled job is ${scheduledJobStore.get(job.id).status}` });
+      }
+      logger.info(`Cancelled scheduled job ${job.id} (${job.type})`);
+      res.json(scheduledJobStore.get(job.id));
+    } catch (error) {
+      logger.error('Failed to cancel scheduled job:', error);
+      res.status(500).json({ error: 'Failed to cancel scheduled job' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createScheduledRoutes;
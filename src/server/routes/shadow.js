@@ -0,0 +1,34 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const decisionEngine = require('../../agent/DecisionEngine');
+const { parseDate } = require('./params');
+
+const DEFAULT_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function createShadowRoutes() {
+  const router = express.Router();
+
+  // What shadow rules would have done - defaults to the last 7 days
+  router.get('/report', (req, res) => {
+    let from;
+    let to;
+    try {
+      to = parseDate(req.query.to, 'to') || new Date().toISOString();
+      from = parseDate(req.query.from, 'from') ||
+        new Date(new Date(to).getTime() - DEFAULT_WINDOW).toISOString();
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(decisionEngine.getShadowReport({ from, to }));
+    } catch (error) {
+      logger.error('Failed to build shadow report:', error);
+      res.status(500).json({ error: 'Failed to build shadow report' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createShadowRoutes;
@@ -0,0 +1,85 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const techProfileStore = require('../../storage/TechProfileStore');
+const { validateProfile } = require('../../services/TechMatchService');
+const { requireRole } = require('../../middleware/auth');
+
+function createTechRoutes() {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      res.json({ items: techProfileStore.list() });
+    } catch (error) {
+      logger.error('Failed to list technician profiles:', error);
+      res.status(500).json({ error: 'Failed to list technician profiles' });
+    }
+  });
+
+  router.get('/:userId', (req, res) => {
+    const profile = techProfileStore.get(req.params.userId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Technician profile not found' });
+    }
+    res.json(profile);
+  });
+
+  // Create or replace a profile, keyed by Jobber user ID
+  router.put('/:userId', requireRole('admin'), (req, res) => {
+    const { name, skills = [], certifications = [], vipEligible = false, rating } = req.body || {};
+    const errors = validateProfile({ name, skills, certifications, vipEligible, rating });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid technician profile', errors });
+    }
+
+    try {
+      const profile = techProfileStore.save(req.params.userId, {
+        name,
+        skills: skills.map(skill => skill.trim().toLowerCase()),
+        certifications: certifications.map(cert => cert.trim()),
+        vipEligible,
+        rating
+      });
+      res.json(profile);
+    } catch (error) {
+      logger.error('Failed to save technician profile:', error);
+      res.status(500).json({ error: 'Failed to save technician profile' });
+    }
+  });
+
+  // Record a customer rating (1-5); the profile keeps the running average
+  router.post('/:userId/ratings', requireRole('operator'), (req, res) => {
+    const { rating } = req.body || {};
+    const errors = validateProfile({ rating });
+    if (rating === undefined || errors.length > 0) {
+      return res.status(400).json({ error: 'rating must be a number from 1 to 5' });
+    }
+
+    try {
+      const profile = techProfileStore.addRating(req.params.userId, rating);
+      if (!profile) {
+        return res.status(404).json({ error: 'Technician profile not found' });
+      }
+      res.json(profile);
+    } catch (error) {
+      logger.error('Failed to record rating:', error);
+      res.status(500).json({ error: 'Failed to record rating' });
+    }
+  });
+
+  router.delete('/:userId', requireRole('admin'), (req, res) => {
+    try {
+      if (!techProfileStore.delete(req.params.userId)) {
+        return res.status(404).json({ error: 'Technician profile not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to delete technician profile:', error);
+      res.status(500).json({ error: 'Failed to delete technician profile' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTechRoutes;
@@ -0,0 +1,103 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const jobberAPI = require('../api/JobberAPI');
+const techProfileStore = require('../storage/TechProfileStore');
+const { jobWindow, scheduleItems, overlaps, dayWindow, hoursWithin } = require('./schedule');
+
+// Orderings for techs with equal booked hours, selected by ASSIGNMENT_TIE_BREAKERS
+const TIE_BREAKERS = {
+  fewestJobs: (a, b) => a.jobCount - b.jobCount,
+  highestRating: (a, b) => (b.rating ?? 0) - (a.rating ?? 0),
+  name: (a, b) => (a.name || a.id).localeCompare(b.name || b.id)
+};
+
+/**
+ * Works out which technicians are free for a job from the live schedule.
+ * Techs with a job or visit overlapping the job's window are busy; the rest
+ * are ordered by hours already booked on the job's day, least first.
+ */
+class AvailabilityService {
+  constructor(options = {}) {
+    const assignmentConfig = { ...config.get('assignment'), ...options };
+    this.technicianRoles = assignmentConfig.technicianRoles;
+    this.profiles = options.profiles || techProfileStore;
+
+    this.tieBreakers = assignmentConfig.tieBreakers.filter(name => {
+      if (TIE_BREAKERS[name]) return true;
+      logger.warn(`Ignoring unknown assignment tie-breaker: ${name}`);
+      return false;
+    });
+  }
+
+  // Active Jobber users who can be assigned work
+  technicians(users) {
+    return users.filter(user =>
+      user.isActive !== false &&
+      (this.technicianRoles.length === 0 || this.technicianRoles.includes(user.role))
+    );
+  }
+
+  compare(a, b) {
+    if (a.bookedHours !== b.bookedHours) return a.bookedHours - b.bookedHours;
+    for (const name of this.tieBreakers) {
+      const result = TIE_BREAKERS[name](a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+
+  /**
+   * Split `users` into available and busy techs for `job` using an already
+   * fetched schedule. The job itself is ignored so re-evaluating an assigned
+   * job doesn't make its own tech look busy.
+   */
+  compute({ job, users, schedule, at = new Date() }) {
+    const window = jobWindow(job, at);
+    const day = dayWindow(window.start);
+    const items = scheduleItems(schedule).filter(item => item.id !== job.id);
+    const techs = this.technicians(users);
+    const profiles = this.profiles.getMany(techs.map(tech => tech.id));
+
+    const available = [];
+    const busy = [];
+
+    for (const tech of techs) {
+      const own = items.filter(item => item.assignedTo?.id === tech.id);
+      const conflicts = own.filter(item => overlaps(item, window));
+
+      if (conflicts.length > 0) {
+        busy.push({ id: tech.id, name: tech.name, conflicts: conflicts.map(item => item.id) });
+        continue;
+      }
+
+      const sameDay = own.filter(item => hoursWithin(item, day) > 0);
+      available.push({
+        id: tech.id,
+        name: tech.name,
+        bookedHours: Math.round(sameDay.reduce((sum, item) => sum + hoursWithin(item, day), 0) * 100) / 100,
+        jobCount: sameDay.length,
+        rating: profiles.get(tech.id)?.rating ?? null
+      });
+    }
+
+    available.sort((a, b) => this.compare(a, b));
+    return { available, busy };
+  }
+
+  // Fetch the schedule for the job's day (and window) and compute availability
+  async getAvailability({ job, users, at = new Date() }) {
+    const window = jobWindow(job, at);
+    const day = dayWindow(window.start);
+
+    const schedule = await jobberAPI.getSchedule(
+      new Date(day.start).toISOString(),
+      new Date(Math.max(day.end, window.end)).toISOString()
+    );
+
+    return this.compute({ job, users, schedule, at });
+  }
+}
+
+module.exports = new AvailabilityService();
+module.exports.AvailabilityService = AvailabilityService;
+module.exports.TIE_BREAKERS = TIE_BREAKERS;
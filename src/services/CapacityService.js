@@ -0,0 +1,154 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const jobberAPI = require('../api/JobberAPI');
+const availabilityService = require('./AvailabilityService');
+const { HOUR, scheduleItems, dayWindow, hoursWithin } = require('./schedule');
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// "08:30" -> milliseconds after midnight
+function parseTimeOfDay(value) {
+  const [hours, minutes = 0] = String(value).split(':').map(Number);
+  return (hours * 60 + minutes) * 60 * 1000;
+}
+
+/**
+ * Team and per-technician utilization from the Jobber schedule: booked hours
+ * inside working hours divided by working hours, for today and for the current
+ * week (Monday to Sunday). Results are cached; job and visit webhooks
+ * invalidate them since those are what change the schedule.
+ */
+class CapacityService {
+  constructor(options = {}) {
+    const capacityConfig = { ...config.get('capacity'), ...options };
+    this.workdayStart = parseTimeOfDay(capacityConfig.workdayStart);
+    this.workdayEnd = parseTimeOfDay(capacityConfig.workdayEnd);
+    this.workDays = capacityConfig.workDays;
+    this.cacheTtl = capacityConfig.cacheTtl;
+    this.availability = options.availability || availabilityService;
+    this.cached = null;
+    this.pending = null;
+    this.generation = 0;
+  }
+
+  // Working-hours windows for each work day in [from, to)
+  workWindows(from, to) {
+    const windows = [];
+    for (let day = dayWindow(from); day.start < to; day = dayWindow(day.end)) {
+      if (this.workDays.includes(new Date(day.start).getDay())) {
+        // Offsets from midnight are applied as wall-clock times so DST days still line up
+        const start = new Date(day.start);
+        start.setHours(0, 0, 0, this.workdayStart);
+        const end = new Date(day.start);
+        end.setHours(0, 0, 0, this.workdayEnd);
+        windows.push({ start: start.getTime(), end: end.getTime() });
+      }
+    }
+    return windows;
+  }
+
+  // Monday-to-Monday week containing `timestamp`
+  weekWindow(timestamp) {
+    const start = new Date(dayWindow(timestamp).start);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+
+  utilization(techs, items, period) {
+    const windows = this.workWindows(period.start, period.end);
+    const workingHours = windows.reduce((sum, w) => sum + (w.end - w.start), 0) / HOUR;
+
+    const perTech = techs.map(tech => {
+      const booked = items
+        .filter(item => item.assignedTo?.id === tech.id)
+        .reduce((sum, item) => sum + windows.reduce((s, w) => s + hoursWithin(item, w), 0), 0);
+      return {
+        id: tech.id,
+        name: tech.name,
+        bookedHours: round(booked),
+        workingHours: round(workingHours),
+        utilization: workingHours > 0 ? round(booked / workingHours) : 0
+      };
+    });
+
+    const booked = perTech.reduce((sum, tech) => sum + tech.bookedHours, 0);
+    const teamHours = workingHours * techs.length;
+
+    return {
+      from: new Date(period.start).toISOString(),
+      to: new Date(period.end).toISOString(),
+      team: {
+        techs: techs.length,
+        bookedHours: round(booked),
+        workingHours: round(teamHours),
+        utilization: teamHours > 0 ? round(booked / teamHours) : 0
+      },
+      techs: perTech
+    };
+  }
+
+  // Daily and weekly utilization from an already fetched schedule
+  compute({ users, schedule, at = new Date() }) {
+    const techs = this.availability.technicians(users);
+    const items = scheduleItems(schedule);
+
+    return {
+      computedAt: at.toISOString(),
+      daily: this.utilization(techs, items, dayWindow(at.getTime())),
+      weekly: this.utilization(techs, items, this.weekWindow(at.getTime()))
+    };
+  }
+
+  async load() {
+    const generation = this.generation;
+    const now = new Date();
+    const week = this.weekWindow(now.getTime());
+    const [users, schedule] = await Promise.all([
+      jobberAPI.getUsers(),
+      jobberAPI.getSchedule(new Date(week.start).toISOString(), new Date(week.end).toISOString())
+    ]);
+
+    const capacity = this.compute({ users, schedule, at: now });
+    // Invalidated while loading: the schedule may have changed after it was fetched
+    const expiresAt = generation === this.generation ? Date.now() + this.cacheTtl : 0;
+    this.cached = { capacity, expiresAt };
+    logger.info(`Capacity: ${Math.round(capacity.daily.team.utilization * 100)}% today, ${Math.round(capacity.weekly.team.utilization * 100)}% this week`);
+    return capacity;
+  }
+
+  // Cached capacity. Once it has expired or been invalidated, callers get the
+  // last figures while a reload runs in the background; only an empty cache or
+  // `refresh` waits for the load. Concurrent callers share one load.
+  async getCapacity({ refresh = false } = {}) {
+    if (refresh || !this.cached) {
+      return this.reload();
+    }
+
+    if (this.cached.expiresAt <= Date.now()) {
+      this.reload().catch(error => logger.error(`Failed to reload capacity: ${error.message}`));
+    }
+    return this.cached.capacity;
+  }
+
+  reload() {
+    if (!this.pending) {
+      this.pending = this.load().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  // The schedule changed; the next read starts a reload
+  invalidate() {
+    this.generation++;
+    if (this.cached) {
+      this.cached.expiresAt = 0;
+    }
+  }
+}
+
+module.exports = new CapacityService();
+module.exports.CapacityService = CapacityService;
@@ -0,0 +1,103 @@
+const jobberAPI = require('../api/JobberAPI');
+const geocoder = require('./PostalCodeGeocoder');
+const { haversineKm } = require('./PostalCodeGeocoder');
+const { time, jobWindow, scheduleItems, overlaps, dayWindow } = require('./schedule');
+
+/**
+ * Ranks technicians by distance to a job. A tech's position is the property of
+ * the schedule item they are on right now, or failing that the last one they
+ * started today. Positions and the job address are geocoded by postal code.
+ */
+class NearestTechService {
+  constructor(options = {}) {
+    this.geocoder = options.geocoder || geocoder;
+  }
+
+  // Schedule items (jobs and visits) by assigned tech, latest start first
+  itemsByTech(schedule, excludeId) {
+    const byTech = new Map();
+    for (const item of scheduleItems(schedule)) {
+      const techId = item.assignedTo?.id;
+      if (!techId || item.id === excludeId) continue;
+      if (!byTech.has(techId)) byTech.set(techId, []);
+      byTech.get(techId).push(item);
+    }
+    for (const items of byTech.values()) {
+      items.sort((a, b) => time(b.startAt) - time(a.startAt));
+    }
+    return byTech;
+  }
+
+  // Where a tech is at `at`: the in-progress item, else the most recent one that started
+  locate(items, at) {
+    for (const item of items) {
+      if (time(item.startAt) > at.getTime()) continue;
+      const coords = this.geocoder.geocodeAddress(item.property?.address);
+      if (!coords) continue;
+
+      return {
+        coords,
+        postalCode: item.property.address.postalCode,
+        itemId: item.id,
+        source: time(item.endAt) > at.getTime() ? 'current' : 'lastVisit'
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Rank `candidates` ({ id, name }) for `job` using an already fetched schedule.
+   * Every candidate appears in the ranking; ones that can't be placed or are
+   * booked during the job's window carry a `reason`. Closest first, unknown
+   * distances last.
+   */
+  rank({ job, candidates, schedule, at = new Date() }) {
+    const jobCoords = this.geocoder.geocodeAddress(job.property?.address);
+    if (!jobCoords) {
+      return {
+        ranking: [],
+        reason: `Job address has no known postal code (${job.property?.address?.postalCode || 'none'})`
+      };
+    }
+
+    const window = jobWindow(job, at);
+    const byTech = this.itemsByTech(schedule, job.id);
+
+    const ranking = candidates.map(tech => {
+      const items = byTech.get(tech.id) || [];
+      const conflict = items.find(item => overlaps(item, window));
+      const location = this.locate(items, at);
+
+      const entry = {
+        techId: tech.id,
+        name: tech.name,
+        distanceKm: location ? Math.round(haversineKm(location.coords, jobCoords) * 10) / 10 : null,
+        location: location && { source: location.source, postalCode: location.postalCode, itemId: location.itemId },
+        free: !conflict
+      };
+
+      if (conflict) entry.reason = `Booked on ${conflict.id} during the job`;
+      else if (!location) entry.reason = 'No located schedule items today';
+      return entry;
+    });
+
+    ranking.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+    return { ranking };
+  }
+
+  // Fetch today's schedule up to the end of the job and rank the candidates
+  async findNearest({ job, candidates, at = new Date() }) {
+    const window = jobWindow(job, at);
+    const schedule = await jobberAPI.getSchedule(
+      new Date(dayWindow(at.getTime()).start).toISOString(),
+      new Date(Math.max(window.end, at.getTime())).toISOString()
+    );
+
+    const result = this.rank({ job, candidates, schedule, at });
+    const nearest = result.ranking.find(entry => entry.free && entry.distanceKm !== null) || null;
+    return { ...result, nearest };
+  }
+}
+
+module.exports = new NearestTechService();
+module.exports.NearestTechService = NearestTechService;
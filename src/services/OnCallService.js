@@ -0,0 +1,237 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const jobberAPI = require('../api/JobberAPI');
+const onCallStore = require('../storage/OnCallStore');
+const slackNotifier = require('../notifications/SlackNotifier');
+const smsNotifier = require('../notifications/SmsNotifier');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const isDate = value => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+// Both validators return a list of error messages; empty means valid
+function validateRotation({ members, startsAt } = {}) {
+  const errors = [];
+  if (!Array.isArray(members) || members.length === 0) {
+    errors.push('members must be a non-empty array of Jobber user IDs');
+  } else {
+    if (members.some(m => typeof m !== 'string' || m.length === 0)) {
+      errors.push('members must be Jobber user ID strings');
+    }
+    if (new Set(members).size !== members.length) {
+      errors.push('members must not contain duplicates');
+    }
+  }
+  if (!isDate(startsAt)) {
+    errors.push('startsAt must be an ISO date (the first handoff)');
+  }
+  return errors;
+}
+
+function validateOverride({ userId, startsAt, endsAt } = {}) {
+  const errors = [];
+  if (typeof userId !== 'string' || userId.length === 0) {
+    errors.push('userId must be a Jobber user ID');
+  }
+  if (!isDate(startsAt)) errors.push('startsAt must be an ISO date');
+  if (!isDate(endsAt)) errors.push('endsAt must be an ISO date');
+  if (errors.length === 0 && new Date(endsAt) <= new Date(startsAt)) {
+    errors.push('endsAt must be after startsAt');
+  }
+  return errors;
+}
+
+/**
+ * Weekly on-call rotations per team, with overrides, and paging with escalation.
+ * A page goes to whoever is on call; if nobody acknowledges it within the ack
+ * window it moves to the next person in the rotation, until everyone has been
+ * paged. Pages are persisted, so escalation carries on after a restart.
+ */
+class OnCallService {
+  constructor(options = {}) {
+    const onCallConfig = { ...config.get('onCall'), ...options };
+    this.defaultTeam = onCallConfig.defaultTeam;
+    this.ackTimeout = onCallConfig.ackTimeout;
+    this.escalationInterval = onCallConfig.escalationInterval;
+    this.store = options.store || onCallStore;
+    this.timer = null;
+    this.escalating = false;
+  }
+
+  // Which rotation week a point in time falls in; null before the first handoff
+  rotationWeek(rotation, at) {
+    const elapsed = at.getTime() - new Date(rotation.startsAt).getTime();
+    return elapsed < 0 ? null : Math.floor(elapsed / WEEK);
+  }
+
+  /**
+   * Who is on call for a team at a given time. Returns null when the team has
+   * no rotation or override covering that time. `escalationChain` is the page
+   * order: the on-call person, then the rest of the rotation in turn.
+   */
+  getOnCall(team, at = new Date()) {
+    const rotation = this.store.getRotation(team);
+    const override = this.store.findActiveOverride(team, at.toISOString());
+    const week = rotation ? this.rotationWeek(rotation, at) : null;
+    const index = week !== null ? week % rotation.members.length : null;
+
+    const rotationUserId = index !== null ? rotation.members[index] : null;
+    const userId = override?.userId || rotationUserId;
+    if (!userId) return null;
+
+    // Next in line starts after the scheduled person and wraps around the rotation
+    const nextInLine = index !== null
+      ? [...rotation.members.slice(index), ...rotation.members.slice(0, index)]
+      : rotation?.members || [];
+    const escalationChain = [...new Set([userId, ...nextInLine])];
+
+    const handoffAt = week !== null
+      ? new Date(new Date(rotation.startsAt).getTime() + (week + 1) * WEEK).toISOString()
+      : null;
+
+    return {
+      team,
+      userId,
+      source: override ? 'override' : 'rotation',
+      until: override ? override.endsAt : handoffAt,
+      escalationChain
+    };
+  }
+
+  /**
+   * Page whoever is on call for `team` about a job. Resolves to
+   * { paged: false, reason } when nobody is on call.
+   */
+  async page({ team = this.defaultTeam, job = {}, reasoning, decisionId, itemId } = {}) {
+    const onCall = this.getOnCall(team);
+    if (!onCall) {
+      logger.warn(`No one is on call for team ${team}`);
+      return { paged: false, reason: `No one on call for team ${team}` };
+    }
+
+    const page = this.store.createPage({
+      team,
+      decisionId,
+      itemId,
+      job,
+      reasoning,
+      chain: onCall.escalationChain,
+      escalateAt: new Date(Date.now() + this.ackTimeout).toISOString()
+    });
+
+    const channels = await this.notify(page);
+    this.start();
+
+    logger.info(`Paged ${page.userId} (team ${team}) - page ${page.id}`);
+    return { paged: true, pageId: page.id, userId: page.userId, channels };
+  }
+
+  // Reach the page's current person by SMS and Slack. Returns the channels that worked.
+  async notify(page) {
+    let user = { id: page.userId };
+    try {
+      user = (await jobberAPI.getUserById(page.userId)) || user;
+    } catch (error) {
+      logger.warn(`Could not load on-call user ${page.userId}: ${error.message}`);
+    }
+
+    const name = user.name || page.userId;
+    const job = page.job || {};
+    const escalated = page.level > 0;
+    const channels = [];
+
+    if (user.phone) {
+      const body = [
+        `${escalated ? 'ESCALATED PAGE' : 'PAGE'}: ${job.title || 'Job needs attention'}`,
+        job.client?.name && `Client: ${job.client.name}`,
+        `Acknowledge within ${Math.round(this.ackTimeout / 60000)} min. Page ${page.id}`
+      ].filter(Boolean).join('\n');
+
+      try {
+        const result = await smsNotifier.send({ to: user.phone, body, tag: 'onCallPage' });
+        if (result.sent) channels.push('sms');
+      } catch (error) {
+        logger.error(`On-call SMS to ${name} failed: ${error.message}`);
+      }
+    }
+
+    try {
+      const result = await slackNotifier.notifyJob({
+        headline: escalated ? `Page escalated to ${name}` : `Paging ${name}`,
+        severity: 'critical',
+        job,
+        reasoning: page.reasoning,
+        extraFields: [
+          ['On call', name],
+          ['Team', page.team],
+          ['Page ID', page.id]
+        ]
+      });
+      if (result.sent) channels.push('slack');
+    } catch (error) {
+      logger.error(`On-call Slack page for ${name} failed: ${error.message}`);
+    }
+
+    return channels;
+  }
+
+  // Returns the acknowledged page, or null if it was not pending
+  acknowledge(pageId, { actor } = {}) {
+    if (!this.store.acknowledge(pageId, actor)) return null;
+    logger.info(`Page ${pageId} acknowledged${actor ? ` by ${actor}` : ''}`);
+    return this.store.getPage(pageId);
+  }
+
+  async escalateDue() {
+    if (this.escalating) return;
+
+    this.escalating = true;
+    try {
+      for (const page of this.store.findDueEscalations()) {
+        if (page.level + 1 >= page.chain.length) {
+          if (this.store.markExhausted(page.id, page.level)) {
+            logger.error(`Page ${page.id} was not acknowledged by anyone on team ${page.team}`);
+            await slackNotifier.notifyJob({
+              headline: `Nobody acknowledged the page for team ${page.team}`,
+              severity: 'critical',
+              job: page.job || {},
+              reasoning: page.reasoning,
+              extraFields: [['Page ID', page.id]]
+            }).catch(error => logger.error(`Slack alert for page ${page.id} failed: ${error.message}`));
+          }
+          continue;
+        }
+
+        const escalateAt = new Date(Date.now() + this.ackTimeout).toISOString();
+        if (this.store.escalate(page.id, page.level, escalateAt)) {
+          const escalated = this.store.getPage(page.id);
+          logger.warn(`Page ${page.id} not acknowledged, escalating to ${escalated.userId}`);
+          await this.notify(escalated);
+        }
+      }
+    } catch (error) {
+      logger.error('On-call escalation failed:', error);
+    } finally {
+      this.escalating = false;
+    }
+  }
+
+  // Start the escalation loop; safe to call more than once
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.escalateDue(), this.escalationInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new OnCallService();
+module.exports.OnCallService = OnCallService;
+module.exports.validateRotation = validateRotation;
+module.exports.validateOverride = validateOverride;
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance between two { lat, lng } points
+function haversineKm(a, b) {
+  const toRad = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Keys to try for a postal code, most specific first: the full code, then the
+ * 5-digit ZIP (for ZIP+4) or the 3-character FSA (for Canadian postal codes).
+ */
+function postalCodeKeys(postalCode) {
+  const normalized = String(postalCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!normalized) return [];
+
+  const keys = [normalized];
+  if (/^\d{9}$/.test(normalized)) keys.push(normalized.slice(0, 5));
+  if (/^[A-Z]\d[A-Z]\d[A-Z]\d$/.test(normalized)) keys.push(normalized.slice(0, 3));
+  return keys;
+}
+
+/**
+ * Geocodes addresses by postal code centroid using a local table, so no
+ * geocoding service is needed. The table is a JSON object mapping postal codes
+ * to [latitude, longitude].
+ */
+class PostalCodeGeocoder {
+  constructor(options = {}) {
+    this.file = options.file || config.get('geo.postalCentroidsFile');
+    this.centroids = options.centroids || null;
+  }
+
+  load() {
+    if (!this.centroids) {
+      try {
+        this.centroids = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        logger.info(`Loaded ${Object.keys(this.centroids).length} postal code centroids from ${this.file}`);
+      } catch (error) {
+        logger.error(`Failed to load postal code centroids from ${this.file}: ${error.message}`);
+        this.centroids = {};
+      }
+    }
+    return this.centroids;
+  }
+
+  // { lat, lng } for a postal code, or null if it isn't in the table
+  lookup(postalCode) {
+    const centroids = this.load();
+    for (const key of postalCodeKeys(postalCode)) {
+      if (centroids[key]) {
+        const [lat, lng] = centroids[key];
+        return { lat, lng };
+      }
+    }
+    return null;
+  }
+
+  geocodeAddress(address) {
+    return address?.postalCode ? this.lookup(address.postalCode) : null;
+  }
+}
+
+module.exports = new PostalCodeGeocoder();
+module.exports.PostalCodeGeocoder = PostalCodeGeocoder;
+module.exports.haversineKm = haversineKm;
+module.exports.postalCodeKeys = postalCodeKeys;
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const pricingStore = require('../storage/PricingStore');
+
+const SURCHARGES = ['weekend', 'afterHours', 'emergency', 'holiday'];
+
+// Quotes the client hasn't accepted yet; later ones are left as they are
+const OPEN_STATUSES = ['draft', 'awaiting_response'];
+
+// Work starting before 8am or from 5pm counts as after hours
+const WORK_HOURS = { start: 8, end: 17 };
+
+const cents = value => Math.round(value * 100) / 100;
+
+// Local calendar date as YYYY-MM-DD, to compare against the holiday list
+const localDate = date => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const lineTotal = item => typeof item.total === 'number' ?
+  item.total : (item.quantity || 0) * (item.unitPrice || 0);
+
+/**
+ * Adds surcharges to quotes as extra line items. Each surcharge in the pricing
+ * file has a label (also the line item name), a rate charged on the quote's
+ * pre-surcharge subtotal and/or a flat fee. A surcharge is never applied twice
+ * to the same quote: one already recorded for the quote, or a line item that
+ * already carries its label, is skipped. Time-based surcharges follow when the
+ * work is scheduled to start, not when the event arrives, and only draft or
+ * awaiting-response quotes are changed.
+ */
+class PricingService {
+  constructor(options = {}) {
+    const pricingConfig = { ...config.get('pricing'), ...options };
+    this.file = pricingConfig.file;
+    this.pricing = options.pricing || null;
+    this.store = options.store || pricingStore;
+  }
+
+  load() {
+    if (!this.pricing) {
+      try {
+        this.pricing = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      } catch (error) {
+        logger.error(`Failed to load pricing from ${this.file}: ${error.message}`);
+        this.pricing = {};
+      }
+    }
+    return {
+      surcharges: this.pricing.surcharges || {},
+      holidays: this.pricing.holidays || []
+    };
+  }
+
+  isHoliday(at = new Date()) {
+    return this.load().holidays.includes(localDate(at));
+  }
+
+  // When the quoted (or scheduled) work starts; unscheduled work is judged by the current time
+  scheduledStart(item, fallback = new Date()) {
+    const start = item?.startAt ? new Date(item.startAt) : null;
+    return start && !Number.isNaN(start.getTime()) ? start : fallback;
+  }
+
+  timing(at = new Date()) {
+    return {
+      isWeekend: [0, 6].includes(at.getDay()),
+      isAfterHours: at.getHours() < WORK_HOURS.start || at.getHours() >= WORK_HOURS.end,
+      isHoliday: this.isHoliday(at)
+    };
+  }
+
+  isOpen(quote) {
+    return OPEN_STATUSES.includes(String(quote?.status || '').toLowerCase());
+  }
+
+  // Surcharges that apply to a quote, timed by its scheduled start
+  applicable({ features = {}, quote = {}, emergencyKeywords = [], at = this.scheduledStart(quote) }) {
+    const quoteText = (quote.lineItems || [])
+      .map(item => `${item.name || ''} ${item.description || ''}`)
+      .join(' ')
+      .toLowerCase();
+    const emergency = features.hasEmergencyKeywords ||
+      emergencyKeywords.some(keyword => quoteText.includes(keyword));
+
+    const { isWeekend, isAfterHours, isHoliday } = this.timing(at);
+    const applies = { weekend: isWeekend, afterHours: isAfterHours, emergency, holiday: isHoliday };
+    return SURCHARGES.filter(name => applies[name]);
+  }
+
+  isSurchargeLine(item, surcharges = this.load().surcharges) {
+    const name = (item.name || '').trim().toLowerCase();
+    return Object.values(surcharges).some(s => s.label && s.label.toLowerCase() === name);
+  }
+
+  // Work out the line items to add. Overrides replace a surcharge's rate/flat fee
+  // for this application (e.g. a rule's own multiplier).
+  plan(quote, names, overrides = {}) {
+    const { surcharges } = this.load();
+    const lineItems = quote.lineItems || [];
+    const alreadyApplied = this.store.appliedSurcharges(quote.id);
+    const presentLabels = new Set(lineItems.map(item => (item.name || '').trim().toLowerCase()));
+
+    const baseSubtotal = cents(lineItems
+      .filter(item => !this.isSurchargeLine(item, surcharges))
+      .reduce((sum, item) => sum + lineTotal(item), 0));
+
+    const added = [];
+    const skipped = [];
+
+    for (const name of names) {
+      const surcharge = surcharges[name] && { ...surcharges[name], ...overrides[name] };
+      if (!surcharge?.label) {
+        skipped.push({ surcharge: name, reason: 'Not configured' });
+        continue;
+      }
+      if (alreadyApplied.has(name) || presentLabels.has(surcharge.label.toLowerCase())) {
+        skipped.push({ surcharge: name, reason: 'Already applied' });
+        continue;
+      }
+
+      const rate = surcharge.rate || 0;
+      const amount = cents(baseSubtotal * rate + (surcharge.flatFee || 0));
+      if (amount <= 0) {
+        skipped.push({ surcharge: name, reason: 'Nothing to charge' });
+        continue;
+      }
+
+      const parts = [];
+      if (rate) parts.push(`${Math.round(rate * 100)}% of ${baseSubtotal.toFixed(2)}`);
+      if (surcharge.flatFee) parts.push(`${Number(surcharge.flatFee).toFixed(2)} flat`);
+
+      added.push({
+        surcharge: name,
+        label: surcharge.label,
+        amount,
+        lineItem: { name: surcharge.label, description: parts.join(' + '), quantity: 1, unitPrice: amount }
+      });
+    }
+
+    const beforeTotal = typeof quote.total === 'number' ?
+      quote.total : cents(lineItems.reduce((sum, item) => sum + lineTotal(item), 0));
+
+    return {
+      quoteId: quote.id,
+      baseSubtotal,
+      beforeTotal,
+      afterTotal: cents(beforeTotal + added.reduce((sum, a) => sum + a.amount, 0)),
+      added,
+      skipped,
+      // Full replacement list for the quote update: existing items keep their IDs
+      lineItems: [
+        ...lineItems.map(({ id, name, description, quantity, unitPrice }) => ({ id, name, description, quantity, unitPrice })),
+        ...added.map(a => a.lineItem)
+      ]
+    };
+  }
+
+  // The after total comes from Jobber's response when it has one
+  record(plan, { updatedQuote, decisionId } = {}) {
+    return this.store.record({
+      quoteId: plan.quoteId,
+      decisionId,
+      surcharges: plan.added.map(({ surcharge, label, amount }) => ({ surcharge, label, amount })),
+      beforeTotal: plan.beforeTotal,
+      afterTotal: typeof updatedQuote?.total === 'number' ? updatedQuote.total : plan.afterTotal
+    });
+  }
+}
+
+module.exports = new PricingService();
+module.exports.PricingService = PricingService;
+module.exports.SURCHARGES = SURCHARGES;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
@@ -0,0 +1,215 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const jobberAPI = require('../api/JobberAPI');
+const emailNotifier = require('../notifications/EmailNotifier');
+const quotePipelineStore = require('../storage/QuotePipelineStore');
+const { quoteFollowUpEmail, quoteExpiringEmail } = require('../notifications/emailTemplates');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Jobber quote statuses that end the pipeline, and the outcome they count as
+const OUTCOMES = {
+  approved: 'approved',
+  converted: 'approved',
+  declined: 'declined',
+  rejected: 'declined',
+  archived: 'archived'
+};
+
+const outcomeOf = status => OUTCOMES[String(status || '').toLowerCase()] || null;
+const isDraft = quote => String(quote.status || '').toLowerCase() === 'draft';
+
+const conversionRate = ({ approved, declined, expired }) => {
+  const decided = approved + declined + expired;
+  return decided > 0 ? Math.round((approved / decided) * 1000) / 1000 : null;
+};
+
+/**
+ * Follows up on quotes until the client decides. Once a quote has been sent the
+ * client gets follow-up emails at the configured days after sending, and both
+ * the client and the staff member who created it are reminded shortly before it
+ * expires. Drafts aren't followed up. Steps are persisted and sent by a polling
+ * loop. A quote leaves the pipeline when an update shows it approved, declined
+ * or archived, or when it expires; its remaining steps are cancelled.
+ */
+class QuotePipelineService {
+  constructor(options = {}) {
+    const quoteConfig = { ...config.get('quotes'), ...options };
+    this.followUpDays = quoteConfig.followUpDays;
+    this.expiryReminderBefore = quoteConfig.expiryReminderBefore;
+    this.pollInterval = quoteConfig.pollInterval;
+    this.companyName = options.companyName || config.get('notifications.email.companyName');
+    this.store = options.store || quotePipelineStore;
+    this.timer = null;
+    this.sending = false;
+  }
+
+  // Follow-up steps for a newly sent quote. Nothing is scheduled at or after expiry,
+  // and follow-ups already past (a quote first seen long after it was sent) are dropped.
+  plan(quote, at = new Date()) {
+    const sentAt = new Date(quote.sentAt || at).getTime();
+    const expiresAt = quote.expiresAt ? new Date(quote.expiresAt).getTime() : null;
+    const steps = [];
+
+    for (const days of this.followUpDays) {
+      const due = sentAt + days * DAY;
+      if (due < at.getTime()) continue;
+      if (expiresAt === null || due < expiresAt - this.expiryReminderBefore) {
+        steps.push({ kind: 'followUp', recipient: 'client', dueAt: new Date(due).toISOString() });
+      }
+    }
+
+    if (expiresAt !== null) {
+      const due = Math.max(expiresAt - this.expiryReminderBefore, at.getTime());
+      if (due < expiresAt) {
+        const dueAt = new Date(due).toISOString();
+        steps.push({ kind: 'expiryReminder', recipient: 'client', dueAt });
+        steps.push({ kind: 'expiryReminder', recipient: 'user', dueAt });
+      }
+    }
+
+    return steps.sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  }
+
+  // Called for every QUOTE_ webhook with the quote as fetched from Jobber. Quotes
+  // are usually created as drafts and sent later, so tracking starts with the
+  // first event that shows the quote sent, whether a create or an update.
+  handleEvent(event, quote, { userId, userName } = {}) {
+    const outcome = outcomeOf(quote.status);
+
+    if (outcome) {
+      if (this.store.close(quote.id, outcome)) {
+        logger.info(`Quote ${quote.id} ${outcome}, follow-ups stopped`);
+        return { closed: true, outcome };
+      }
+      return event.topic === 'QUOTE_CREATE' ?
+        { tracked: false, reason: `Quote is already ${quote.status}` } : { closed: false };
+    }
+
+    if (isDraft(quote)) {
+      return { tracked: false, reason: 'Quote has not been sent' };
+    }
+
+    const steps = this.plan(quote);
+    const { created } = this.store.track({
+      quote,
+      userId: userId || event.userId || null,
+      userName: userName || event.userName || null,
+      steps
+    });
+    if (created) {
+      logger.info(`Tracking quote ${quote.id} with ${steps.length} follow-ups`);
+      this.start();
+    }
+    return { tracked: created, steps: created ? steps : [] };
+  }
+
+  async sendDue(at = new Date()) {
+    if (this.sending) return;
+
+    this.sending = true;
+    try {
+      for (const quoteId of this.store.findExpired(at.toISOString())) {
+        if (this.store.close(quoteId, 'expired')) {
+          logger.info(`Quote ${quoteId} expired without a decision`);
+        }
+      }
+
+      for (const step of this.store.findDue(at.toISOString())) {
+        await this.sendStep(step);
+      }
+    } catch (error) {
+      logger.error('Quote follow-ups failed:', error);
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  // Re-check the quote first - the client may have decided since the last webhook
+  async sendStep(step) {
+    const tracked = this.store.get(step.quoteId);
+
+    let quote;
+    try {
+      quote = await jobberAPI.getQuote(step.quoteId);
+    } catch (error) {
+      logger.error(`Failed to load quote ${step.quoteId} for follow-up: ${error.message}`);
+      return;
+    }
+
+    const outcome = outcomeOf(quote.status);
+    if (outcome) {
+      this.store.close(step.quoteId, outcome);
+      logger.info(`Quote ${step.quoteId} ${outcome}, follow-ups stopped`);
+      return;
+    }
+
+    try {
+      const message = await this.buildMessage(step, quote, tracked);
+      if (!message.to) {
+        this.store.markFailed(step.id, `No email address for the ${step.recipient}`);
+        return;
+      }
+
+      const result = await emailNotifier.send({ ...message, tag: `quote-${step.kind}` });
+      if (result.queued) {
+        this.store.markSent(step.id);
+      } else {
+        this.store.markFailed(step.id, result.reason);
+      }
+    } catch (error) {
+      logger.error(`Quote follow-up ${step.id} failed: ${error.message}`);
+      this.store.markFailed(step.id, error.message);
+    }
+  }
+
+  async buildMessage(step, quote, tracked) {
+    if (step.recipient === 'user') {
+      const user = tracked.userId ? await jobberAPI.getUserById(tracked.userId) : null;
+      return { to: user?.email, ...quoteExpiringEmail({ quote, userName: user?.name || tracked.userName }) };
+    }
+
+    return {
+      to: quote.client?.email || tracked.clientEmail,
+      ...quoteFollowUpEmail({ quote, companyName: this.companyName, expiring: step.kind === 'expiryReminder' })
+    };
+  }
+
+  // Conversion per creating user: approved out of quotes that were decided or expired.
+  // Archived quotes were withdrawn rather than decided, so they don't count.
+  getStats({ from, to } = {}) {
+    const users = this.store.statsByUser({ from, to }).map(row => ({ ...row, conversionRate: conversionRate(row) }));
+
+    const totals = users.reduce((sum, row) => {
+      for (const key of ['created', 'approved', 'declined', 'expired', 'archived', 'open', 'approvedValue']) {
+        sum[key] += row[key];
+      }
+      return sum;
+    }, { created: 0, approved: 0, declined: 0, expired: 0, archived: 0, open: 0, approvedValue: 0 });
+
+    return {
+      from: from || null,
+      to: to || null,
+      totals: { ...totals, conversionRate: conversionRate(totals) },
+      users
+    };
+  }
+
+  // Start the follow-up loop; safe to call more than once
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sendDue(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new QuotePipelineService();
+module.exports.QuotePipelineService = QuotePipelineService;
+module.exports.outcomeOf = outcomeOf;
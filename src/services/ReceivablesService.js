@@ -0,0 +1,190 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const jobberAPI = require('../api/JobberAPI');
+const emailNotifier = require('../notifications/EmailNotifier');
+const slackNotifier = require('../notifications/SlackNotifier');
+const receivablesStore = require('../storage/ReceivablesStore');
+const { invoiceReminderEmail, invoiceOverdueAlertEmail } = require('../notifications/emailTemplates');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Reminder stages in order; stage N has been sent once an invoice is at stage N
+const STAGES = ['friendly', 'firm', 'manager'];
+
+const formatMoney = value => typeof value === 'number' ? `$${value.toFixed(2)}` : 'unknown';
+
+/**
+ * Chases overdue invoices. Open invoices are tracked from INVOICE_ webhooks; as
+ * each one ages past its due date the client gets a friendly reminder, then a
+ * firm one, and finally managers are alerted. Only the latest stage that is due
+ * is sent, so an invoice first seen long overdue doesn't get every reminder at
+ * once. Reminding stops as soon as the balance reaches zero.
+ */
+class ReceivablesService {
+  constructor(options = {}) {
+    const receivablesConfig = { ...config.get('receivables'), ...options };
+    this.reminderDays = receivablesConfig.reminderDays;
+    this.managerEmails = receivablesConfig.managerEmails.length > 0 ?
+      receivablesConfig.managerEmails : config.get('notifications.email.alertRecipients');
+    this.pollInterval = receivablesConfig.pollInterval;
+    this.companyName = options.companyName || config.get('notifications.email.companyName');
+    this.store = options.store || receivablesStore;
+    this.timer = null;
+    this.sending = false;
+
+    if (this.reminderDays.length !== STAGES.length) {
+      throw new Error(`receivables.reminderDays needs ${STAGES.length} values (${STAGES.join(', ')})`);
+    }
+  }
+
+  daysOverdue(dueAt, at = new Date()) {
+    return Math.floor((at.getTime() - new Date(dueAt).getTime()) / DAY);
+  }
+
+  // How many reminder stages an invoice due at dueAt should have had by now
+  stageFor(dueAt, at = new Date()) {
+    if (!dueAt) return 0;
+    const overdue = (at.getTime() - new Date(dueAt).getTime()) / DAY;
+    return this.reminderDays.filter(days => overdue >= days).length;
+  }
+
+  // Why reminding should stop, or null while the client still owes money
+  closingStatus(invoice) {
+    const status = String(invoice.status || '').toLowerCase();
+    if (status === 'bad_debt') return 'writtenOff';
+    if (status === 'paid' || (typeof invoice.balance === 'number' && invoice.balance <= 0)) return 'paid';
+    return null;
+  }
+
+  // Called for every INVOICE_ webhook with the invoice as fetched from Jobber
+  handleEvent(event, invoice) {
+    const closing = this.closingStatus(invoice);
+    if (closing) {
+      const closed = this.store.close(invoice.id, closing, invoice.balance);
+      if (closed) logger.info(`Invoice ${invoice.id} ${closing}, reminders stopped`);
+      return { tracked: false, closed, status: closing };
+    }
+
+    if (String(invoice.status || '').toLowerCase() === 'draft') {
+      return { tracked: false, reason: 'Invoice is still a draft' };
+    }
+
+    const tracked = this.store.upsert(invoice);
+    this.start();
+    return { tracked: tracked.status === 'open', stage: tracked.stage };
+  }
+
+  async sendDue(at = new Date()) {
+    if (this.sending) return;
+
+    this.sending = true;
+    try {
+      for (const tracked of this.store.findOverdue(at.toISOString())) {
+        if (this.stageFor(tracked.dueAt, at) > tracked.stage) {
+          await this.remind(tracked, at);
+        }
+      }
+    } catch (error) {
+      logger.error('Invoice reminders failed:', error);
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  // Re-check the invoice first - a payment may have come in since the last webhook
+  async remind(tracked, at) {
+    let invoice;
+    try {
+      invoice = await jobberAPI.getInvoice(tracked.invoiceId);
+    } catch (error) {
+      logger.error(`Failed to load invoice ${tracked.invoiceId} for a reminder: ${error.message}`);
+      return;
+    }
+
+    const closing = this.closingStatus(invoice);
+    if (closing) {
+      this.store.close(invoice.id, closing, invoice.balance);
+      logger.info(`Invoice ${invoice.id} ${closing}, reminders stopped`);
+      return;
+    }
+
+    const current = this.store.upsert(invoice);
+    const stage = this.stageFor(current.dueAt, at);
+    if (stage <= current.stage || !this.store.advance(invoice.id, current.stage, stage)) {
+      return;
+    }
+
+    const kind = STAGES[stage - 1];
+    const daysOverdue = this.daysOverdue(current.dueAt, at);
+    const { channels, error } = kind === 'manager' ?
+      await this.alertManagers(invoice, daysOverdue) :
+      await this.remindClient(invoice, kind, daysOverdue);
+
+    this.store.recordReminder(invoice.id, { stage, kind, channels, error });
+    logger.info(`Sent ${kind} reminder for invoice ${invoice.id} (${daysOverdue} days overdue)`);
+  }
+
+  async remindClient(invoice, kind, daysOverdue) {
+    if (!invoice.client?.email) {
+      return { channels: [], error: 'Client has no email address' };
+    }
+
+    try {
+      const template = invoiceReminderEmail({ invoice, companyName: this.companyName, firm: kind === 'firm', daysOverdue });
+      const result = await emailNotifier.send({ to: invoice.client.email, ...template, tag: `invoice-${kind}` });
+      return result.queued ? { channels: ['email'], error: null } : { channels: [], error: result.reason };
+    } catch (error) {
+      return { channels: [], error: error.message };
+    }
+  }
+
+  async alertManagers(invoice, daysOverdue) {
+    const channels = [];
+    const errors = [];
+
+    try {
+      const result = await slackNotifier.notifyJob({
+        headline: `Invoice${invoice.number ? ` #${invoice.number}` : ''} is ${daysOverdue} days overdue`,
+        severity: 'warning',
+        job: { ...invoice.job, client: invoice.client },
+        reasoning: 'Friendly and firm reminders have been sent and the invoice is still unpaid.',
+        extraFields: [['Balance', formatMoney(invoice.balance)], ['Due', new Date(invoice.dueAt).toDateString()]]
+      });
+      if (result.sent) channels.push('slack');
+    } catch (error) {
+      errors.push(`slack: ${error.message}`);
+    }
+
+    if (this.managerEmails.length > 0) {
+      const template = invoiceOverdueAlertEmail({ invoice, daysOverdue });
+      const results = await Promise.allSettled(this.managerEmails.map(to =>
+        emailNotifier.send({ to, ...template, tag: 'invoice-manager' })
+      ));
+      if (results.some(r => r.status === 'fulfilled' && r.value.queued)) channels.push('email');
+      for (const r of results) {
+        if (r.status === 'rejected') errors.push(`email: ${r.reason.message}`);
+        else if (!r.value.queued) errors.push(`email: ${r.value.reason}`);
+      }
+    }
+
+    return { channels, error: errors.length > 0 ? errors.join('; ') : null };
+  }
+
+  // Start the reminder loop; safe to call more than once
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sendDue(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new ReceivablesService();
+module.exports.ReceivablesService = ReceivablesService;
+module.exports.STAGES = STAGES;
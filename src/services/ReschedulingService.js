@@ -0,0 +1,190 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const jobberAPI = require('../api/JobberAPI');
+const rescheduleStore = require('../storage/RescheduleStore');
+const availabilityService = require('./AvailabilityService');
+const capacityService = require('./CapacityService');
+const { HOUR, time, scheduleItems, overlaps, dayWindow, hoursWithin } = require('./schedule');
+
+const DAY = 24 * HOUR;
+
+// Lower is better. Slots on lightly booked days win; sooner breaks ties.
+const SCORE_WEIGHTS = { teamDay: 0.6, techDay: 0.3, daysOut: 0.1 };
+
+const round = value => Math.round(value * 1000) / 1000;
+const ceilTo = (timestamp, step) => Math.ceil(timestamp / step) * step;
+
+/**
+ * Finds open slots to move a job to. A slot is a gap in one technician's
+ * working hours, within the next `horizonDays`, long enough for the job plus
+ * a travel buffer either side of their other work. Suggestions are stored so
+ * one can be accepted later, which moves (and if needed reassigns) the job.
+ */
+class ReschedulingService {
+  constructor(options = {}) {
+    const reschedulingConfig = { ...config.get('rescheduling'), ...options };
+    this.horizonDays = reschedulingConfig.horizonDays;
+    this.travelBuffer = reschedulingConfig.travelBuffer;
+    this.slotStep = reschedulingConfig.slotStep;
+    this.defaultDuration = reschedulingConfig.defaultDuration;
+    this.maxSuggestions = reschedulingConfig.maxSuggestions;
+    this.availability = options.availability || availabilityService;
+    this.workingHours = options.workingHours || capacityService;
+    this.store = options.store || rescheduleStore;
+  }
+
+  duration(job) {
+    const length = job.startAt && job.endAt ? time(job.endAt) - time(job.startAt) : 0;
+    return length > 0 ? length : this.defaultDuration;
+  }
+
+  // Earliest start in each gap of `busy` (sorted, buffered intervals) inside `window`
+  gaps(window, busy, duration, notBefore) {
+    const starts = [];
+    let cursor = Math.max(window.start, notBefore);
+
+    for (const interval of [...busy, { start: window.end, end: window.end }]) {
+      const start = ceilTo(cursor, this.slotStep);
+      if (start + duration <= Math.min(interval.start, window.end)) {
+        starts.push(start);
+      }
+      cursor = Math.max(cursor, interval.end);
+      if (cursor >= window.end) break;
+    }
+    return starts;
+  }
+
+  /**
+   * Ranked open slots for `job` from an already fetched schedule, best first.
+   * The job's current day is skipped - it's the day being relieved.
+   */
+  findSlots({ job, users, schedule, at = new Date() }) {
+    const duration = this.duration(job);
+    const techs = this.availability.technicians(users);
+    const items = scheduleItems(schedule).filter(item => item.id !== job.id);
+    const skipDay = job.startAt ? dayWindow(time(job.startAt)).start : null;
+    const horizonEnd = dayWindow(at.getTime()).start + (this.horizonDays + 1) * DAY;
+
+    const windows = this.workingHours.workWindows(at.getTime(), horizonEnd)
+      .filter(window => dayWindow(window.start).start !== skipDay);
+
+    const teamLoad = new Map(windows.map(window => {
+      const booked = items.reduce((sum, item) => sum + hoursWithin(item, window), 0);
+      const available = ((window.end - window.start) / HOUR) * techs.length;
+      return [window.start, available > 0 ? booked / available : 1];
+    }));
+
+    const slots = [];
+    for (const tech of techs) {
+      const own = items
+        .filter(item => item.assignedTo?.id === tech.id)
+        .map(item => ({ start: time(item.startAt) - this.travelBuffer, end: time(item.endAt) + this.travelBuffer }))
+        .sort((a, b) => a.start - b.start);
+
+      for (const window of windows) {
+        const busy = own.filter(interval => interval.start < window.end && interval.end > window.start);
+        const techDay = items
+          .filter(item => item.assignedTo?.id === tech.id)
+          .reduce((sum, item) => sum + hoursWithin(item, window), 0) / ((window.end - window.start) / HOUR);
+        const daysOut = Math.round((dayWindow(window.start).start - dayWindow(at.getTime()).start) / DAY);
+
+        for (const start of this.gaps(window, busy, duration, at.getTime())) {
+          slots.push({
+            techId: tech.id,
+            techName: tech.name,
+            startAt: new Date(start).toISOString(),
+            endAt: new Date(start + duration).toISOString(),
+            teamUtilization: round(teamLoad.get(window.start)),
+            techUtilization: round(techDay),
+            score: round(
+              SCORE_WEIGHTS.teamDay * teamLoad.get(window.start) +
+              SCORE_WEIGHTS.techDay * techDay +
+              SCORE_WEIGHTS.daysOut * (daysOut / this.horizonDays)
+            )
+          });
+        }
+      }
+    }
+
+    // Best slot per tech per day, so the suggestions aren't all the same afternoon
+    const seen = new Set();
+    return slots
+      .sort((a, b) => a.score - b.score || time(a.startAt) - time(b.startAt))
+      .filter(slot => {
+        const key = `${slot.techId}:${dayWindow(time(slot.startAt)).start}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.maxSuggestions)
+      .map((slot, index) => ({ number: index + 1, ...slot }));
+  }
+
+  // Load users and the schedule for the search horizon, then find slots
+  async suggest({ job, at = new Date() }) {
+    const [users, schedule] = await Promise.all([
+      jobberAPI.getUsers(),
+      jobberAPI.getSchedule(
+        at.toISOString(),
+        new Date(dayWindow(at.getTime()).start + (this.horizonDays + 1) * DAY).toISOString()
+      )
+    ]);
+    return this.findSlots({ job, users, schedule, at });
+  }
+
+  save({ job, decisionId, slots }) {
+    return this.store.create({
+      jobId: job.id,
+      decisionId,
+      original: { startAt: job.startAt || null, endAt: job.endAt || null, techId: job.assignedTo?.id || null },
+      slots
+    });
+  }
+
+  /**
+   * Move the job to a slot of a pending suggestion. The slot is checked against
+   * the live schedule first; resolves to { accepted: false, conflict } if it has
+   * been taken since, or { accepted: false } if someone else resolved the
+   * suggestion first.
+   */
+  async accept(suggestion, slot, { actor } = {}) {
+    const window = { start: time(slot.startAt) - this.travelBuffer, end: time(slot.endAt) + this.travelBuffer };
+    const schedule = await jobberAPI.getSchedule(new Date(window.start).toISOString(), new Date(window.end).toISOString());
+    const conflict = scheduleItems(schedule).find(item =>
+      item.id !== suggestion.jobId && item.assignedTo?.id === slot.techId && overlaps(item, window)
+    );
+    if (conflict) {
+      return { accepted: false, conflict: conflict.id };
+    }
+
+    if (!this.store.accept(suggestion.id, slot.number, actor)) {
+      return { accepted: false };
+    }
+
+    // Reassign before moving, so a failed assignment leaves the job where it was
+    let reassigned = false;
+    try {
+      if (slot.techId !== suggestion.original.techId) {
+        await jobberAPI.assignJob(suggestion.jobId, slot.techId);
+        reassigned = true;
+      }
+      const job = await jobberAPI.updateJob(suggestion.jobId, { startAt: slot.startAt, endAt: slot.endAt });
+
+      logger.info(`Job ${suggestion.jobId} moved to ${slot.startAt} with ${slot.techName || slot.techId}`);
+      return { accepted: true, suggestion: this.store.get(suggestion.id), job };
+    } catch (error) {
+      // The move failed after the reassignment - give the job back to its tech
+      if (reassigned && suggestion.original.techId) {
+        await jobberAPI.assignJob(suggestion.jobId, suggestion.original.techId).catch(revertError =>
+          logger.error(`Failed to reassign job ${suggestion.jobId} back to ${suggestion.original.techId}: ${revertError.message}`)
+        );
+      }
+      // Leave the suggestion open so the slot can be retried
+      this.store.reopen(suggestion.id);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReschedulingService();
+module.exports.ReschedulingService = ReschedulingService;
@@ -0,0 +1,149 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const scheduledJobStore = require('../storage/ScheduledJobStore');
+const { nextRun } = require('./cron');
+
+/**
+ * Persistent timers. A scheduled job has a type, a JSON payload and either a
+ * single run time or a cron expression; when it comes due the handler
+ * registered for its type is called with the payload. Jobs live in the
+ * database and are picked up by a polling loop, so they survive restarts: jobs
+ * that came due while the agent was down run on the next pass, and a recurring
+ * job runs once for all the times it missed.
+ *
+ * A key identifies "the same" timer across calls (e.g. one re-evaluation per
+ * job), so repeated webhooks don't pile up duplicates.
+ */
+class Scheduler {
+  constructor(options = {}) {
+    const schedulerConfig = { ...config.get('scheduler'), ...options };
+    this.pollInterval = schedulerConfig.pollInterval;
+    this.store = options.store || scheduledJobStore;
+    this.handlers = new Map();
+    this.timer = null;
+    this.running = false;
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // One-shot timer after `delay` ms or at `runAt`. If a live job already has the
+  // key it is kept, unless replace is set.
+  schedule({ type, payload = {}, key = null, description = null, delay, runAt, replace = false }) {
+    if (!type) {
+      throw new Error('Scheduled jobs need a type');
+    }
+
+    const at = runAt !== undefined ? new Date(runAt) : new Date(Date.now() + (delay || 0));
+    if (Number.isNaN(at.getTime()) || (delay !== undefined && !(delay >= 0))) {
+      throw new Error('Scheduled jobs need a valid delay or runAt');
+    }
+
+    if (key) {
+      const existing = this.store.findActiveByKey(key);
+      if (existing && !replace) {
+        return { created: false, job: existing };
+      }
+      if (existing) {
+        this.store.cancel(existing.id);
+      }
+    }
+
+    const job = this.store.create({ key, type, payload, description, runAt: at.toISOString() });
+    logger.info(`Scheduled ${type} job ${job.id} for ${job.runAt}`);
+    this.start();
+    return { created: true, job };
+  }
+
+  // Recurring job, created or updated under a fixed key
+  cron(key, expression, type, payload = {}, description = null) {
+    const runAt = nextRun(expression).toISOString();
+    const existing = this.store.findActiveByKey(key);
+
+    if (existing && existing.cron === expression && existing.type === type) {
+      return { created: false, job: existing };
+    }
+    if (existing) {
+      logger.info(`Rescheduling ${key} to ${expression}`);
+      return { created: false, job: this.store.reschedule(existing.id, { cron: expression, runAt, payload }) };
+    }
+
+    const job = this.store.create({ key, type, payload, description, cron: expression, runAt });
+    logger.info(`Scheduled recurring ${type} job ${key} (${expression})`);
+    this.start();
+    return { created: true, job };
+  }
+
+  cancel(id) {
+    return this.store.cancel(id);
+  }
+
+  // Cancel the live job with this key, if there is one
+  cancelKey(key) {
+    const existing = this.store.findActiveByKey(key);
+    return existing ? this.store.cancel(existing.id) : false;
+  }
+
+  async runDue(at = new Date()) {
+    if (this.running) return;
+
+    this.running = true;
+    try {
+      for (const job of this.store.claimDue(at.toISOString())) {
+        await this.run(job, at);
+      }
+    } catch (error) {
+      logger.error('Scheduler pass failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async run(job, at) {
+    let error = null;
+    const handler = this.handlers.get(job.type);
+
+    if (!handler) {
+      error = `No handler registered for ${job.type}`;
+    } else {
+      try {
+        await handler(job.payload, job);
+      } catch (err) {
+        error = err.message;
+      }
+    }
+
+    if (error) {
+      logger.error(`Scheduled job ${job.id} (${job.type}) failed: ${error}`);
+    }
+
+    const nextRunAt = job.cron ? nextRun(job.cron, at).toISOString() : null;
+    this.store.finishRun(job.id, { error, nextRunAt });
+  }
+
+  getStats() {
+    return this.store.countByStatus();
+  }
+
+  // Start the polling loop; jobs left running by a crash are queued again
+  start() {
+    if (this.timer) return;
+    const recovered = this.running ? 0 : this.store.recover();
+    if (recovered > 0) {
+      logger.warn(`Requeued ${recovered} scheduled jobs interrupted by a restart`);
+    }
+    this.timer = setInterval(() => this.runDue(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new Scheduler();
+module.exports.Scheduler = Scheduler;
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const techProfileStore = require('../storage/TechProfileStore');
+
+// How much skill fit and rating count towards the score
+const WEIGHTS = {
+  standard: { skill: 0.7, rating: 0.3 },
+  vip: { skill: 0.4, rating: 0.6 }
+};
+
+// Each matching certification adds this much to the skill score (capped at 1)
+const CERTIFICATION_BONUS = 0.1;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+function validateProfile({ skills, certifications, vipEligible, rating, name } = {}) {
+  const errors = [];
+  const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim().length > 0);
+
+  if (skills !== undefined && !isStringList(skills)) errors.push('skills must be an array of strings');
+  if (certifications !== undefined && !isStringList(certifications)) errors.push('certifications must be an array of strings');
+  if (vipEligible !== undefined && typeof vipEligible !== 'boolean') errors.push('vipEligible must be a boolean');
+  if (name !== undefined && typeof name !== 'string') errors.push('name must be a string');
+  if (rating !== undefined && !(typeof rating === 'number' && rating >= 1 && rating <= 5)) {
+    errors.push('rating must be a number from 1 to 5');
+  }
+  return errors;
+}
+
+/**
+ * Scores technicians for a job from their local profiles. Skills the job needs
+ * are found by matching the job's title and description against the skill
+ * keyword table; techs are scored on how many of those skills they have plus
+ * their customer rating. VIP jobs weight rating more heavily and only consider
+ * VIP-eligible techs when there are any.
+ */
+class TechMatchService {
+  constructor(options = {}) {
+    const matchingConfig = { ...config.get('techMatching'), ...options };
+    this.skillsFile = matchingConfig.skillsFile;
+    this.unratedScore = matchingConfig.unratedScore;
+    this.skillKeywords = options.skillKeywords || null;
+    this.store = options.store || techProfileStore;
+  }
+
+  loadSkillKeywords() {
+    if (!this.skillKeywords) {
+      try {
+        this.skillKeywords = JSON.parse(fs.readFileSync(this.skillsFile, 'utf8'));
+      } catch (error) {
+        logger.error(`Failed to load skill keywords from ${this.skillsFile}: ${error.message}`);
+        this.skillKeywords = {};
+      }
+    }
+    return this.skillKeywords;
+  }
+
+  // Skills a job calls for, based on its title and description
+  requiredSkills(job) {
+    const text = `${job.title || ''} ${job.description || ''}`.toLowerCase();
+    return Object.entries(this.loadSkillKeywords())
+      .filter(([skill, keywords]) => [skill, ...keywords].some(keyword => text.includes(keyword.toLowerCase())))
+      .map(([skill]) => skill);
+  }
+
+  score(job, tech, profile, { vip, requiredSkills }) {
+    const text = `${job.title || ''} ${job.description || ''}`.toLowerCase();
+    const skills = (profile?.skills || []).map(s => s.toLowerCase());
+
+    const matchedSkills = requiredSkills.filter(skill => skills.includes(skill));
+    const matchedCertifications = (profile?.certifications || [])
+      .filter(cert => text.includes(cert.toLowerCase()));
+
+    // A job that doesn't call for any known skill gives no signal either way
+    const skillFit = requiredSkills.length > 0 ? matchedSkills.length / requiredSkills.length : 0.5;
+    const skillScore = Math.min(1, skillFit + matchedCertifications.length * CERTIFICATION_BONUS);
+    const ratingScore = (profile?.rating ?? this.unratedScore) / 5;
+
+    const weights = vip ? WEIGHTS.vip : WEIGHTS.standard;
+    return {
+      techId: tech.id,
+      name: tech.name || profile?.name,
+      score: round(weights.skill * skillScore + weights.rating * ratingScore),
+      matchedSkills,
+      matchedCertifications,
+      rating: profile?.rating ?? null,
+      vipEligible: profile?.vipEligible === true,
+      hasProfile: !!profile
+    };
+  }
+
+  /**
+   * Rank `candidates` ({ id, name }) for a job, best first. `best` is the top
+   * VIP-eligible tech for VIP jobs (falling back to the top tech overall, with
+   * `vipFallback` set, when nobody eligible is available).
+   */
+  rank({ job, candidates, vip = false }) {
+    const requiredSkills = this.requiredSkills(job);
+    const profiles = this.store.getMany(candidates.map(tech => tech.id));
+
+    const ranking = candidates
+      .map(tech => this.score(job, tech, profiles.get(tech.id), { vip, requiredSkills }))
+      .sort((a, b) => b.score - a.score || (b.rating ?? 0) - (a.rating ?? 0));
+
+    const eligible = vip ? ranking.filter(entry => entry.vipEligible) : ranking;
+    const best = eligible[0] || ranking[0] || null;
+
+    return {
+      requiredSkills,
+      ranking,
+      best,
+      vipFallback: vip && eligible.length === 0 && !!best
+    };
+  }
+}
+
+module.exports = new TechMatchService();
+module.exports.TechMatchService = TechMatchService;
+module.exports.validateProfile = validateProfile;
@@ -0,0 +1,97 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in local time. Fields take *, numbers, ranges (1-5), lists (1,15)
+// and steps (*/15, 8-18/2). Day-of-week is 0-6 with 7 also meaning Sunday. As in
+// classic cron, when both day fields are restricted a day matching either runs.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up looking for a match after this many steps. Non-matching days are
+// skipped whole, so this covers well over the four years Feb 29 can need.
+const SEARCH_LIMIT = 100000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+    if (to === undefined) to = stepText === undefined ? from : max;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression needs ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+  return dom || dow;
+}
+
+// The first minute strictly after `after` that the expression matches
+function nextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const candidate = new Date(after.getTime());
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  for (let i = 0; i < SEARCH_LIMIT; i++) {
+    if (!cron.month.has(candidate.getMonth() + 1) || !matchesDay(cron, candidate)) {
+      candidate.setHours(0, 0, 0, 0);
+      candidate.setDate(candidate.getDate() + 1);
+    } else if (!cron.hour.has(candidate.getHours())) {
+      candidate.setMinutes(0, 0, 0);
+      candidate.setHours(candidate.getHours() + 1);
+    } else if (!cron.minute.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+    } else {
+      return candidate;
+    }
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,48 @@
+// Helpers for working with getSchedule() results. Times are compared as epoch
+// milliseconds; windows are { start, end } with an exclusive end.
+
+const HOUR = 60 * 60 * 1000;
+
+const time = value => new Date(value).getTime();
+
+// The window a job needs a tech for. Unscheduled jobs need someone right now.
+function jobWindow(job, at = new Date()) {
+  const start = job.startAt ? time(job.startAt) : at.getTime();
+  const end = job.endAt ? time(job.endAt) : start;
+  return { start, end: Math.max(end, start + 1) };
+}
+
+// Jobs and visits together, in one list
+function scheduleItems(schedule) {
+  return [...(schedule?.jobs || []), ...(schedule?.visits || [])];
+}
+
+function overlaps(item, window) {
+  return time(item.startAt) < window.end && time(item.endAt) > window.start;
+}
+
+// Local-time day containing `timestamp`
+function dayWindow(timestamp) {
+  const start = new Date(timestamp);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start: start.getTime(), end: end.getTime() };
+}
+
+// Hours of `item` that fall inside `window`
+function hoursWithin(item, window) {
+  const start = Math.max(time(item.startAt), window.start);
+  const end = Math.min(time(item.endAt), window.end);
+  return Math.max(0, end - start) / HOUR;
+}
+
+module.exports = {
+  HOUR,
+  time,
+  jobWindow,
+  scheduleItems,
+  overlaps,
+  dayWindow,
+  hoursWithin
+};
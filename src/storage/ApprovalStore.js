@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./Database');
+
+class ApprovalStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS approvals (
+        id TEXT PRIMARY KEY,
+        decision_id TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        topic TEXT,
+        item_id TEXT,
+        confidence REAL NOT NULL,
+        decisions TEXT NOT NULL,
+        context TEXT NOT NULL,
+        resolved_at TEXT,
+        resolved_by TEXT,
+        note TEXT,
+        results TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_approvals_status ON approvals (status, expires_at);
+    `);
+  }
+
+  create({ decisionId, event, confidence, decisions, context, ttl }) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+
+    this.db.prepare(`
+      INSERT INTO approvals (id, decision_id, created_at, expires_at, topic, item_id, confidence, decisions, context)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      decisionId,
+      new Date(now).toISOString(),
+      new Date(now + ttl).toISOString(),
+      event.topic || null,
+      event.itemId || null,
+      confidence,
+      JSON.stringify(decisions),
+      JSON.stringify(context)
+    );
+
+    return this.get(id);
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM approvals WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  list({ status = 'pending', limit = 50, offset = 0 } = {}) {
+    const where = status ? 'WHERE status = @status' : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM approvals ${where}`).get({ status });
+    const rows = this.db.prepare(`
+      SELECT * FROM approvals ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ status, limit, offset });
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  expireStale() {
+    return this.db.prepare(`
+      UPDATE approvals SET status = 'expired', resolved_at = @now
+      WHERE status = 'pending' AND expires_at <= @now
+    `).run({ now: new Date().toISOString() }).changes;
+  }
+
+  /**
+   * Move a pending approval to a final status. Returns false if it was no longer
+   * pending, so two operators can't both approve the same decision.
+   */
+  resolve(id, status, { actor = null, note = null } = {}) {
+    const result = this.db.prepare(`
+      UPDATE approvals SET status = ?, resolved_at = ?, resolved_by = ?, note = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(status, new Date().toISOString(), actor, note, id);
+
+    return result.changes > 0;
+  }
+
+  saveResults(id, results) {
+    this.db.prepare('UPDATE approvals SET results = ? WHERE id = ?').run(JSON.stringify(results), id);
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      decisionId: row.decision_id,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      status: row.status,
+      topic: row.topic,
+      itemId: row.item_id,
+      confidence: row.confidence,
+      decisions: JSON.parse(row.decisions),
+      context: JSON.parse(row.context),
+      resolvedAt: row.resolved_at,
+      resolvedBy: row.resolved_by,
+      note: row.note,
+      results: row.results ? JSON.parse(row.results) : null
+    };
+  }
+}
+
+module.exports = new ApprovalStore();
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const BetterSqlite3 = require('better-sqlite3');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// One shared connection for every local store. better-sqlite3 is synchronous,
+// so stores can use it directly without connection pooling.
+let connection = null;
+
+function getDatabase() {
+  if (!connection) {
+    const file = config.get('storage.sqliteFile');
+
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+
+    connection = new BetterSqlite3(file);
+    connection.pragma('journal_mode = WAL');
+    connection.pragma('foreign_keys = ON');
+
+    logger.info(`Local database opened at ${file}`);
+  }
+
+  return connection;
+}
+
+// CREATE TABLE IF NOT EXISTS won't add columns to a table created by an older
+// version, so stores call this for columns added after the table first shipped
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function closeDatabase() {
+  if (connection) {
+    connection.close();
+    connection = null;
+  }
+}
+
+module.exports = {
+  getDatabase,
+  addColumnIfMissing,
+  closeDatabase
+};
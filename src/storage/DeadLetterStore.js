@@ -0,0 +1,149 @@
+const { getDatabase } = require('./Database');
+
+/**
+ * Webhooks that failed every retry. Each keeps the original event and the
+ * error from every attempt, and stays 'dead' until someone replays it into the
+ * queue or discards it.
+ */
+class DeadLetterStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS dead_letters (
+        id TEXT PRIMARY KEY,
+        topic TEXT,
+        item_id TEXT,
+        user_id TEXT,
+        user_name TEXT,
+        event TEXT NOT NULL,
+        errors TEXT NOT NULL DEFAULT '[]',
+        attempts INTEGER NOT NULL,
+        received_at TEXT NOT NULL,
+        failed_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'dead',
+        resolved_at TEXT,
+        resolved_by TEXT,
+        note TEXT,
+        replayed_as TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_dead_letters_status ON dead_letters (status, failed_at);
+    `);
+  }
+
+  // Keyed by the webhook's queue ID, so recording it twice (a crash between
+  // recording and acknowledging) keeps the first copy
+  add(webhook) {
+    const errors = webhook.errors || [];
+
+    this.db.prepare(`
+      INSERT OR IGNORE INTO dead_letters
+        (id, topic, item_id, user_id, user_name, event, errors, attempts, received_at, failed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      webhook.id,
+      webhook.event?.topic || null,
+      webhook.event?.itemId || null,
+      webhook.userId || null,
+      webhook.userName || null,
+      JSON.stringify(webhook.event),
+      JSON.stringify(errors),
+      errors.length,
+      new Date(webhook.receivedAt).toISOString(),
+      new Date().toISOString()
+    );
+
+    return this.get(webhook.id);
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  list({ status, topic, userId, itemId, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    if (status) clauses.push('status = @status');
+    if (topic) clauses.push('topic = @topic');
+    if (userId) clauses.push('user_id = @userId');
+    if (itemId) clauses.push('item_id = @itemId');
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const params = { status, topic, userId, itemId, limit, offset };
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM dead_letters ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM dead_letters ${where}
+      ORDER BY failed_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  /**
+   * Mark a dead letter replayed or discarded. Returns false if it was no longer
+   * dead, so it can't be replayed twice.
+   */
+  resolve(id, status, { actor = null, note = null } = {}) {
+    const result = this.db.prepare(`
+      UPDATE dead_letters SET status = ?, resolved_at = ?, resolved_by = ?, note = ?
+      WHERE id = ? AND status = 'dead'
+    `).run(status, new Date().toISOString(), actor, note, id);
+
+    return result.changes > 0;
+  }
+
+  // Undo a replay whose webhook couldn't be queued
+  reopen(id) {
+    this.db.prepare(`
+      UPDATE dead_letters SET status = 'dead', resolved_at = NULL, resolved_by = NULL, note = NULL
+      WHERE id = ? AND status = 'replayed'
+    `).run(id);
+  }
+
+  saveReplay(id, webhookId) {
+    this.db.prepare('UPDATE dead_letters SET replayed_as = ? WHERE id = ?').run(webhookId, id);
+  }
+
+  countByStatus() {
+    const rows = this.db.prepare('SELECT status, COUNT(*) AS count FROM dead_letters GROUP BY status').all();
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      topic: row.topic,
+      itemId: row.item_id,
+      userId: row.user_id,
+      userName: row.user_name,
+      event: JSON.parse(row.event),
+      errors: JSON.parse(row.errors),
+      attempts: row.attempts,
+      receivedAt: row.received_at,
+      failedAt: row.failed_at,
+      status: row.status,
+      resolvedAt: row.resolved_at,
+      resolvedBy: row.resolved_by,
+      note: row.note,
+      replayedAs: row.replayed_as
+    };
+  }
+}
+
+module.exports = new DeadLetterStore();
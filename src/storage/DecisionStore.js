@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { getDatabase, addColumnIfMissing } = require('./Database');
+
+const OUTCOMES = ['success', 'failure', 'partial'];
+
+class DecisionStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS decisions (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        topic TEXT,
+        item_id TEXT,
+        user_id TEXT,
+        event TEXT NOT NULL,
+        features TEXT NOT NULL,
+        decisions TEXT NOT NULL,
+        action_results TEXT NOT NULL DEFAULT '[]',
+        confidence REAL NOT NULL,
+        outcome TEXT NOT NULL DEFAULT 'pending'
+      );
+      CREATE INDEX IF NOT EXISTS idx_decisions_created_at ON decisions (created_at);
+      CREATE INDEX IF NOT EXISTS idx_decisions_topic ON decisions (topic);
+      CREATE INDEX IF NOT EXISTS idx_decisions_user_id ON decisions (user_id);
+      CREATE INDEX IF NOT EXISTS idx_decisions_outcome ON decisions (outcome);
+    `);
+
+    addColumnIfMissing(this.connection, 'decisions', 'outcome_note', 'TEXT');
+    addColumnIfMissing(this.connection, 'decisions', 'outcome_actor', 'TEXT');
+    addColumnIfMissing(this.connection, 'decisions', 'outcome_at', 'TEXT');
+  }
+
+  record({ event, features, decisions, confidence }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      timestamp: now,
+      updatedAt: now,
+      event,
+      features,
+      decisions,
+      actionResults: [],
+      confidence,
+      outcome: 'pending' // Will be updated based on feedback
+    };
+
+    this.db.prepare(`
+      INSERT INTO decisions (id, created_at, updated_at, topic, item_id, user_id, event, features, decisions, confidence, outcome)
+      VALUES (@id, @createdAt, @updatedAt, @topic, @itemId, @userId, @event, @features, @decisions, @confidence, @outcome)
+    `).run({
+      id: record.id,
+      createdAt: now,
+      updatedAt: now,
+      topic: event.topic || null,
+      itemId: event.itemId || null,
+      userId: features.createdByUserId || event.userId || null,
+      event: JSON.stringify(event),
+      features: JSON.stringify(features),
+      decisions: JSON.stringify(decisions),
+      confidence,
+      outcome: record.outcome
+    });
+
+    return record;
+  }
+
+  appendActionResults(id, results) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    const actionResults = [...record.actionResults, ...results];
+    this.db.prepare('UPDATE decisions SET action_results = ?, updated_at = ? WHERE id = ?')
+      .run(JSON.stringify(actionResults), new Date().toISOString(), id);
+
+    return { ...record, actionResults };
+  }
+
+  updateOutcome(id, outcome, { note = null, actor = null } = {}) {
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      UPDATE decisions
+      SET outcome = ?, outcome_note = ?, outcome_actor = ?, outcome_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(outcome, note, actor, now, now, id);
+
+    return result.changes > 0 ? this.get(id) : null;
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM decisions WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Query stored decisions. All filters are optional.
+   * `from`/`to` are ISO timestamps (inclusive); results are newest first.
+   */
+  query({ rule, userId, topic, outcome, from, to, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = {};
+
+    if (rule) {
+      clauses.push(`EXISTS (SELECT 1 FROM json_each(decisions.decisions) WHERE json_extract(value, '$.rule') = @rule)`);
+      params.rule = rule;
+    }
+    if (userId) {
+      clauses.push('user_id = @userId');
+      params.userId = userId;
+    }
+    if (topic) {
+      clauses.push('topic = @topic');
+      params.topic = topic;
+    }
+    if (outcome) {
+      clauses.push('outcome = @outcome');
+      params.outcome = outcome;
+    }
+    if (from) {
+      clauses.push('created_at >= @from');
+      params.from = from;
+    }
+    if (to) {
+      clauses.push('created_at <= @to');
+      params.to = to;
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM decisions ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM decisions ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  /**
+   * Resolved decisions (outcome known) that share job status, weekend flag and
+   * at least one rule with the current decision. Looks back `limit` records.
+   */
+  findSimilar({ rules, jobStatus, isWeekend, limit = 1000 }) {
+    if (rules.length === 0) return [];
+
+    const placeholders = rules.map(() => '?').join(', ');
+    const rows = this.db.prepare(`
+      SELECT * FROM (
+        SELECT * FROM decisions WHERE outcome != 'pending' ORDER BY created_at DESC LIMIT ?
+      ) recent
+      WHERE json_extract(features, '$.jobStatus') = ?
+        AND json_extract(features, '$.isWeekend') = ?
+        AND EXISTS (
+          SELECT 1 FROM json_each(recent.decisions) WHERE json_extract(value, '$.rule') IN (${placeholders})
+        )
+    `).all(limit, jobStatus, isWeekend ? 1 : 0, ...rules);
+
+    return rows.map(row => this.fromRow(row));
+  }
+
+  // Decisions in the window that have at least one shadow (dry-run) action result, oldest first
+  findWithShadowResults({ from, to }) {
+    const rows = this.db.prepare(`
+      SELECT * FROM decisions
+      WHERE created_at >= ? AND created_at <= ?
+        AND EXISTS (
+          SELECT 1 FROM json_each(decisions.action_results) WHERE json_extract(value, '$.shadow') = 1
+        )
+      ORDER BY created_at ASC
+    `).all(from, to);
+
+    return rows.map(row => this.fromRow(row));
+  }
+
+  getMetrics() {
+    return this.db.prepare(`
+      SELECT
+        COUNT(*) AS total,
+        SUM(outcome = 'success') AS successful,
+        SUM(outcome = 'failure') AS failed,
+        SUM(outcome = 'partial') AS partial,
+        SUM(outcome = 'pending') AS pending,
+        AVG(confidence) AS averageConfidence
+      FROM decisions
+    `).get();
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      timestamp: row.created_at,
+      updatedAt: row.updated_at,
+      topic: row.topic,
+      itemId: row.item_id,
+      userId: row.user_id,
+      event: JSON.parse(row.event),
+      features: JSON.parse(row.features),
+      decisions: JSON.parse(row.decisions),
+      actionResults: JSON.parse(row.action_results),
+      confidence: row.confidence,
+      outcome: row.outcome,
+      outcomeNote: row.outcome_note,
+      outcomeActor: row.outcome_actor,
+      outcomeAt: row.outcome_at
+    };
+  }
+}
+
+module.exports = new DecisionStore();
+module.exports.OUTCOMES = OUTCOMES;
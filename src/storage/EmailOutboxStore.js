@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { getDatabase, addColumnIfMissing } = require('./Database');
+
+class EmailOutboxStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        to_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT,
+        text TEXT,
+        tag TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at TEXT NOT NULL,
+        last_error TEXT,
+        message_id TEXT,
+        sent_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at);
+    `);
+
+    // Messages that must only ever go out once carry a key; NULLs don't collide
+    addColumnIfMissing(this.connection, 'email_outbox', 'dedup_key', 'TEXT');
+    this.connection.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_email_outbox_dedup_key ON email_outbox (dedup_key)');
+  }
+
+  // Returns the new entry, or null if a message with the same key was queued before
+  enqueue({ to, subject, html, text, tag = null, key = null, maxAttempts }) {
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+
+    const { changes } = this.db.prepare(`
+      INSERT OR IGNORE INTO email_outbox (id, created_at, updated_at, to_address, subject, html, text, tag, dedup_key, max_attempts, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, now, now, to, subject, html || null, text || null, tag, key, maxAttempts, now);
+
+    return changes > 0 ? this.get(id) : null;
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM email_outbox WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  getByKey(key) {
+    const row = this.db.prepare('SELECT * FROM email_outbox WHERE dedup_key = ?').get(key);
+    return row ? this.fromRow(row) : null;
+  }
+
+  // Claim queued messages that are due, marking them as sending so a second
+  // pass can't pick them up while they're in flight
+  claimDue(limit = 20) {
+    const now = new Date().toISOString();
+
+    return this.db.transaction(() => {
+      const rows = this.db.prepare(`
+        SELECT * FROM email_outbox
+        WHERE status = 'queued' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at ASC
+        LIMIT ?
+      `).all(now, limit);
+
+      const claim = this.db.prepare(`UPDATE email_outbox SET status = 'sending', updated_at = ? WHERE id = ?`);
+      for (const row of rows) {
+        claim.run(now, row.id);
+      }
+
+      return rows.map(row => this.fromRow(row));
+    })();
+  }
+
+  markSent(id, messageId) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE email_outbox
+      SET status = 'sent', attempts = attempts + 1, message_id = ?, sent_at = ?, updated_at = ?, last_error = NULL
+      WHERE id = ?
+    `).run(messageId || null, now, now, id);
+  }
+
+  // Record a failed attempt; the message goes back to queued until it runs out of attempts
+  markFailed(id, error, nextAttemptAt) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE email_outbox
+      SET attempts = attempts + 1,
+          last_error = ?,
+          updated_at = ?,
+          next_attempt_at = ?,
+          status = CASE WHEN attempts + 1 >= max_attempts THEN 'failed' ELSE 'queued' END
+      WHERE id = ?
+    `).run(error, now, nextAttemptAt, id);
+  }
+
+  // Messages left in "sending" by a crash never finished; put them back in the queue
+  requeueInterrupted() {
+    return this.db.prepare(`
+      UPDATE email_outbox SET status = 'queued', updated_at = ? WHERE status = 'sending'
+    `).run(new Date().toISOString()).changes;
+  }
+
+  countByStatus() {
+    const rows = this.db.prepare('SELECT status, COUNT(*) AS count FROM email_outbox GROUP BY status').all();
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      status: row.status,
+      to: row.to_address,
+      subject: row.subject,
+      html: row.html,
+      text: row.text,
+      tag: row.tag,
+      key: row.dedup_key,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.last_error,
+      messageId: row.message_id,
+      sentAt: row.sent_at
+    };
+  }
+}
+
+module.exports = new EmailOutboxStore();
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { getDatabase, addColumnIfMissing } = require('./Database');
+
+class OnCallStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS oncall_rotations (
+        team TEXT PRIMARY KEY,
+        members TEXT NOT NULL,
+        starts_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        updated_by TEXT
+      );
+      CREATE TABLE IF NOT EXISTS oncall_overrides (
+        id TEXT PRIMARY KEY,
+        team TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        reason TEXT,
+        created_at TEXT NOT NULL,
+        created_by TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_oncall_overrides_team ON oncall_overrides (team, ends_at);
+      CREATE TABLE IF NOT EXISTS oncall_pages (
+        id TEXT PRIMARY KEY,
+        team TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        decision_id TEXT,
+        job TEXT,
+        reasoning TEXT,
+        chain TEXT NOT NULL,
+        level INTEGER NOT NULL DEFAULT 0,
+        user_id TEXT NOT NULL,
+        escalate_at TEXT NOT NULL,
+        acknowledged_at TEXT,
+        acknowledged_by TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_oncall_pages_due ON oncall_pages (status, escalate_at);
+    `);
+
+    // The Jobber item the page is about, so the same emergency isn't paged twice
+    addColumnIfMissing(this.connection, 'oncall_pages', 'item_id', 'TEXT');
+    this.connection.exec('CREATE INDEX IF NOT EXISTS idx_oncall_pages_item ON oncall_pages (item_id, status)');
+  }
+
+  // Rotations
+
+  getRotation(team) {
+    const row = this.db.prepare('SELECT * FROM oncall_rotations WHERE team = ?').get(team);
+    return row ? this.rotationFromRow(row) : null;
+  }
+
+  listRotations() {
+    return this.db.prepare('SELECT * FROM oncall_rotations ORDER BY team')
+      .all()
+      .map(row => this.rotationFromRow(row));
+  }
+
+  saveRotation(team, { members, startsAt, actor = null }) {
+    this.db.prepare(`
+      INSERT INTO oncall_rotations (team, members, starts_at, updated_at, updated_by)
+      VALUES (@team, @members, @startsAt, @now, @actor)
+      ON CONFLICT (team) DO UPDATE SET
+        members = excluded.members,
+        starts_at = excluded.starts_at,
+        updated_at = excluded.updated_at,
+        updated_by = excluded.updated_by
+    `).run({ team, members: JSON.stringify(members), startsAt, now: new Date().toISOString(), actor });
+
+    return this.getRotation(team);
+  }
+
+  // Removes the team's rotation along with its overrides
+  deleteRotation(team) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM oncall_overrides WHERE team = ?').run(team);
+      return this.db.prepare('DELETE FROM oncall_rotations WHERE team = ?').run(team).changes > 0;
+    })();
+  }
+
+  // Overrides
+
+  createOverride(team, { userId, startsAt, endsAt, reason = null, actor = null }) {
+    const id = crypto.randomUUID();
+    this.db.prepare(`
+      INSERT INTO oncall_overrides (id, team, user_id, starts_at, ends_at, reason, created_at, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, team, userId, startsAt, endsAt, reason, new Date().toISOString(), actor);
+
+    return this.getOverride(id);
+  }
+
+  getOverride(id) {
+    const row = this.db.prepare('SELECT * FROM oncall_overrides WHERE id = ?').get(id);
+    return row ? this.overrideFromRow(row) : null;
+  }
+
+  // Overrides that haven't ended yet, soonest first
+  listOverrides(team, { after = new Date().toISOString() } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM oncall_overrides
+      WHERE team = ? AND ends_at > ?
+      ORDER BY starts_at ASC
+    `).all(team, after).map(row => this.overrideFromRow(row));
+  }
+
+  // When overrides overlap, the most recently created one wins
+  findActiveOverride(team, at) {
+    const row = this.db.prepare(`
+      SELECT * FROM oncall_overrides
+      WHERE team = @team AND starts_at <= @at AND ends_at > @at
+      ORDER BY created_at DESC
+      LIMIT 1
+    `).get({ team, at });
+    return row ? this.overrideFromRow(row) : null;
+  }
+
+  deleteOverride(team, id) {
+    return this.db.prepare('DELETE FROM oncall_overrides WHERE id = ? AND team = ?').run(id, team).changes > 0;
+  }
+
+  // Pages
+
+  createPage({ team, decisionId = null, itemId = null, job = null, reasoning = null, chain, escalateAt }) {
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+
+    this.db.prepare(`
+      INSERT INTO oncall_pages (id, team, created_at, updated_at, decision_id, item_id, job, reasoning, chain, user_id, escalate_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, team, now, now, decisionId, itemId, job ? JSON.stringify(job) : null, reasoning, JSON.stringify(chain), chain[0], escalateAt);
+
+    return this.getPage(id);
+  }
+
+  getPage(id) {
+    const row = this.db.prepare('SELECT * FROM oncall_pages WHERE id = ?').get(id);
+    return row ? this.pageFromRow(row) : null;
+  }
+
+  // The newest page about an item that is still escalating or has been acknowledged
+  findOpenPage(itemId) {
+    const row = this.db.prepare(`
+      SELECT * FROM oncall_pages
+      WHERE item_id = ? AND status IN ('pending', 'acknowledged')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `).get(itemId);
+    return row ? this.pageFromRow(row) : null;
+  }
+
+  listPages({ status, team, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    if (status) clauses.push('status = @status');
+    if (team) clauses.push('team = @team');
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const params = { status, team, limit, offset };
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM oncall_pages ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM oncall_pages ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.pageFromRow(row))
+    };
+  }
+
+  findDueEscalations(now = new Date().toISOString()) {
+    return this.db.prepare(`
+      SELECT * FROM oncall_pages
+      WHERE status = 'pending' AND escalate_at <= ?
+      ORDER BY escalate_at ASC
+    `).all(now).map(row => this.pageFromRow(row));
+  }
+
+  /**
+   * Move a pending page to the next person in its chain. Guarded on the current
+   * level so an acknowledgement or a second pass racing the escalation wins cleanly.
+   */
+  escalate(id, fromLevel, escalateAt) {
+    const result = this.db.prepare(`
+      UPDATE oncall_pages
+      SET level = level + 1,
+          user_id = json_extract(chain, '$[' || (level + 1) || ']'),
+          escalate_at = ?,
+          updated_at = ?
+      WHERE id = ? AND status = 'pending' AND level = ?
+    `).run(escalateAt, new Date().toISOString(), id, fromLevel);
+
+    return result.changes > 0;
+  }
+
+  // Nobody left in the chain to escalate to
+  markExhausted(id, fromLevel) {
+    return this.db.prepare(`
+      UPDATE oncall_pages SET status = 'exhausted', updated_at = ?
+      WHERE id = ? AND status = 'pending' AND level = ?
+    `).run(new Date().toISOString(), id, fromLevel).changes > 0;
+  }
+
+  acknowledge(id, actor = null) {
+    const now = new Date().toISOString();
+    return this.db.prepare(`
+      UPDATE oncall_pages
+      SET status = 'acknowledged', acknowledged_at = ?, acknowledged_by = ?, updated_at = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(now, actor, now, id).changes > 0;
+  }
+
+  rotationFromRow(row) {
+    return {
+      team: row.team,
+      members: JSON.parse(row.members),
+      startsAt: row.starts_at,
+      updatedAt: row.updated_at,
+      updatedBy: row.updated_by
+    };
+  }
+
+  overrideFromRow(row) {
+    return {
+      id: row.id,
+      team: row.team,
+      userId: row.user_id,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      reason: row.reason,
+      createdAt: row.created_at,
+      createdBy: row.created_by
+    };
+  }
+
+  pageFromRow(row) {
+    return {
+      id: row.id,
+      team: row.team,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      status: row.status,
+      decisionId: row.decision_id,
+      itemId: row.item_id,
+      job: row.job ? JSON.parse(row.job) : null,
+      reasoning: row.reasoning,
+      chain: JSON.parse(row.chain),
+      level: row.level,
+      userId: row.user_id,
+      escalateAt: row.escalate_at,
+      acknowledgedAt: row.acknowledged_at,
+      acknowledgedBy: row.acknowledged_by
+    };
+  }
+}
+
+module.exports = new OnCallStore();
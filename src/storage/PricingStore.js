@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./Database');
+
+class PricingStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS pricing_adjustments (
+        id TEXT PRIMARY KEY,
+        quote_id TEXT NOT NULL,
+        decision_id TEXT,
+        created_at TEXT NOT NULL,
+        surcharges TEXT NOT NULL,
+        before_total REAL,
+        after_total REAL
+      );
+      CREATE INDEX IF NOT EXISTS idx_pricing_quote ON pricing_adjustments (quote_id);
+    `);
+  }
+
+  // One row per quote update; surcharges is [{surcharge, label, amount}]
+  record({ quoteId, decisionId = null, surcharges, beforeTotal, afterTotal }) {
+    const id = crypto.randomUUID();
+
+    this.db.prepare(`
+      INSERT INTO pricing_adjustments (id, quote_id, decision_id, created_at, surcharges, before_total, after_total)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, quoteId, decisionId, new Date().toISOString(), JSON.stringify(surcharges), beforeTotal, afterTotal);
+
+    return this.get(id);
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM pricing_adjustments WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  list({ quoteId, limit = 50, offset = 0 } = {}) {
+    const where = quoteId ? 'WHERE quote_id = @quoteId' : '';
+    const params = { quoteId, limit, offset };
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM pricing_adjustments ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM pricing_adjustments ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  // Names of every surcharge already applied to a quote
+  appliedSurcharges(quoteId) {
+    const rows = this.db.prepare(`
+      SELECT DISTINCT json_extract(s.value, '$.surcharge') AS surcharge
+      FROM pricing_adjustments, json_each(pricing_adjustments.surcharges) AS s
+      WHERE quote_id = ?
+    `).all(quoteId);
+    return new Set(rows.map(row => row.surcharge));
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      quoteId: row.quote_id,
+      decisionId: row.decision_id,
+      createdAt: row.created_at,
+      surcharges: JSON.parse(row.surcharges),
+      beforeTotal: row.before_total,
+      afterTotal: row.after_total
+    };
+  }
+}
+
+module.exports = new PricingStore();
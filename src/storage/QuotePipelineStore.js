@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./Database');
+
+class QuotePipelineStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS quote_pipeline (
+        quote_id TEXT PRIMARY KEY,
+        quote_number TEXT,
+        user_id TEXT,
+        user_name TEXT,
+        client_name TEXT,
+        client_email TEXT,
+        total REAL,
+        status TEXT NOT NULL DEFAULT 'open',
+        created_at TEXT NOT NULL,
+        expires_at TEXT,
+        closed_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_quote_pipeline_user ON quote_pipeline (user_id, created_at);
+
+      CREATE TABLE IF NOT EXISTS quote_followups (
+        id TEXT PRIMARY KEY,
+        quote_id TEXT NOT NULL REFERENCES quote_pipeline (quote_id),
+        kind TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        due_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        sent_at TEXT,
+        error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_quote_followups_due ON quote_followups (status, due_at);
+    `);
+  }
+
+  // Start tracking a quote with its follow-up steps ({ kind, recipient, dueAt }).
+  // A quote that is already tracked (redelivered webhook) is left alone.
+  track({ quote, userId = null, userName = null, steps }) {
+    return this.db.transaction(() => {
+      const inserted = this.db.prepare(`
+        INSERT INTO quote_pipeline (quote_id, quote_number, user_id, user_name, client_name, client_email, total, created_at, expires_at)
+        VALUES (@quoteId, @number, @userId, @userName, @clientName, @clientEmail, @total, @createdAt, @expiresAt)
+        ON CONFLICT (quote_id) DO NOTHING
+      `).run({
+        quoteId: quote.id,
+        number: quote.number ?? null,
+        userId,
+        userName,
+        clientName: quote.client?.name ?? null,
+        clientEmail: quote.client?.email ?? null,
+        total: quote.total ?? null,
+        createdAt: quote.createdAt || new Date().toISOString(),
+        expiresAt: quote.expiresAt || null
+      }).changes > 0;
+
+      if (inserted) {
+        const insertStep = this.db.prepare(`
+          INSERT INTO quote_followups (id, quote_id, kind, recipient, due_at) VALUES (?, ?, ?, ?, ?)
+        `);
+        for (const step of steps) {
+          insertStep.run(crypto.randomUUID(), quote.id, step.kind, step.recipient, step.dueAt);
+        }
+      }
+
+      return { created: inserted, quote: this.get(quote.id) };
+    })();
+  }
+
+  get(quoteId) {
+    const row = this.db.prepare('SELECT * FROM quote_pipeline WHERE quote_id = ?').get(quoteId);
+    if (!row) return null;
+
+    const followUps = this.db.prepare('SELECT * FROM quote_followups WHERE quote_id = ? ORDER BY due_at')
+      .all(quoteId)
+      .map(step => this.fromStepRow(step));
+    return { ...this.fromRow(row), followUps };
+  }
+
+  list({ status, userId, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    if (status) clauses.push('status = @status');
+    if (userId) clauses.push('user_id = @userId');
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const params = { status, userId, limit, offset };
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM quote_pipeline ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM quote_pipeline ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  // Pending steps that are due, for quotes that are still open
+  findDue(at = new Date().toISOString()) {
+    return this.db.prepare(`
+      SELECT f.* FROM quote_followups f
+      JOIN quote_pipeline q ON q.quote_id = f.quote_id
+      WHERE f.status = 'pending' AND f.due_at <= ? AND q.status = 'open'
+      ORDER BY f.due_at
+    `).all(at).map(row => this.fromStepRow(row));
+  }
+
+  markSent(id) {
+    this.db.prepare(`
+      UPDATE quote_followups SET status = 'sent', sent_at = ?, error = NULL WHERE id = ? AND status = 'pending'
+    `).run(new Date().toISOString(), id);
+  }
+
+  markFailed(id, error) {
+    this.db.prepare(`
+      UPDATE quote_followups SET status = 'failed', error = ? WHERE id = ? AND status = 'pending'
+    `).run(error, id);
+  }
+
+  // Settle an open quote (approved, declined, archived or expired) and cancel its remaining steps.
+  // Returns false if the quote wasn't open.
+  close(quoteId, status) {
+    return this.db.transaction(() => {
+      const closed = this.db.prepare(`
+        UPDATE quote_pipeline SET status = ?, closed_at = ? WHERE quote_id = ? AND status = 'open'
+      `).run(status, new Date().toISOString(), quoteId).changes > 0;
+
+      if (closed) {
+        this.db.prepare(`
+          UPDATE quote_followups SET status = 'cancelled' WHERE quote_id = ? AND status = 'pending'
+        `).run(quoteId);
+      }
+      return closed;
+    })();
+  }
+
+  // Open quotes whose expiry has passed
+  findExpired(at = new Date().toISOString()) {
+    return this.db.prepare(`
+      SELECT quote_id FROM quote_pipeline WHERE status = 'open' AND expires_at IS NOT NULL AND expires_at <= ?
+    `).all(at).map(row => row.quote_id);
+  }
+
+  // Quote outcomes per creating user, for quotes created in the window
+  statsByUser({ from, to } = {}) {
+    const clauses = [];
+    if (from) clauses.push('created_at >= @from');
+    if (to) clauses.push('created_at <= @to');
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    return this.db.prepare(`
+      SELECT
+        user_id,
+        MAX(user_name) AS user_name,
+        COUNT(*) AS created,
+        SUM(status = 'approved') AS approved,
+        SUM(status = 'declined') AS declined,
+        SUM(status = 'expired') AS expired,
+        SUM(status = 'archived') AS archived,
+        SUM(status = 'open') AS open,
+        SUM(CASE WHEN status = 'approved' THEN total ELSE 0 END) AS approved_value
+      FROM quote_pipeline ${where}
+      GROUP BY user_id
+      ORDER BY created DESC
+    `).all({ from, to }).map(row => ({
+      userId: row.user_id,
+      userName: row.user_name,
+      created: row.created,
+      approved: row.approved,
+      declined: row.declined,
+      expired: row.expired,
+      archived: row.archived,
+      open: row.open,
+      approvedValue: row.approved_value || 0
+    }));
+  }
+
+  fromRow(row) {
+    return {
+      quoteId: row.quote_id,
+      number: row.quote_number,
+      userId: row.user_id,
+      userName: row.user_name,
+      clientName: row.client_name,
+      clientEmail: row.client_email,
+      total: row.total,
+      status: row.status,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      closedAt: row.closed_at
+    };
+  }
+
+  fromStepRow(row) {
+    return {
+      id: row.id,
+      quoteId: row.quote_id,
+      kind: row.kind,
+      recipient: row.recipient,
+      dueAt: row.due_at,
+      status: row.status,
+      sentAt: row.sent_at,
+      error: row.error
+    };
+  }
+}
+
+module.exports = new QuotePipelineStore();
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./Database');
+
+class ReceivablesStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS receivables (
+        invoice_id TEXT PRIMARY KEY,
+        invoice_number TEXT,
+        client_name TEXT,
+        client_email TEXT,
+        job_id TEXT,
+        job_title TEXT,
+        total REAL,
+        balance REAL,
+        due_at TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        stage INTEGER NOT NULL DEFAULT 0,
+        tracked_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        closed_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_receivables_status ON receivables (status, due_at);
+
+      CREATE TABLE IF NOT EXISTS invoice_reminders (
+        id TEXT PRIMARY KEY,
+        invoice_id TEXT NOT NULL REFERENCES receivables (invoice_id),
+        stage INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        sent_at TEXT NOT NULL,
+        channels TEXT NOT NULL DEFAULT '[]',
+        error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_invoice_reminders_invoice ON invoice_reminders (invoice_id);
+    `);
+  }
+
+  // Insert or refresh an open invoice from Jobber. The reminder stage is kept.
+  upsert(invoice) {
+    const now = new Date().toISOString();
+
+    this.db.prepare(`
+      INSERT INTO receivables (invoice_id, invoice_number, client_name, client_email, job_id, job_title,
+        total, balance, due_at, tracked_at, updated_at)
+      VALUES (@invoiceId, @number, @clientName, @clientEmail, @jobId, @jobTitle, @total, @balance, @dueAt, @now, @now)
+      ON CONFLICT (invoice_id) DO UPDATE SET
+        invoice_number = excluded.invoice_number,
+        client_name = excluded.client_name,
+        client_email = excluded.client_email,
+        job_id = excluded.job_id,
+        job_title = excluded.job_title,
+        total = excluded.total,
+        balance = excluded.balance,
+        due_at = excluded.due_at,
+        updated_at = excluded.updated_at
+      WHERE receivables.status = 'open'
+    `).run({
+      invoiceId: invoice.id,
+      number: invoice.number ?? null,
+      clientName: invoice.client?.name ?? null,
+      clientEmail: invoice.client?.email ?? null,
+      jobId: invoice.job?.id ?? null,
+      jobTitle: invoice.job?.title ?? null,
+      total: invoice.total ?? null,
+      balance: invoice.balance ?? null,
+      dueAt: invoice.dueAt || null,
+      now
+    });
+
+    return this.get(invoice.id);
+  }
+
+  get(invoiceId) {
+    const row = this.db.prepare('SELECT * FROM receivables WHERE invoice_id = ?').get(invoiceId);
+    if (!row) return null;
+
+    const reminders = this.db.prepare('SELECT * FROM invoice_reminders WHERE invoice_id = ? ORDER BY sent_at')
+      .all(invoiceId)
+      .map(reminder => this.fromReminderRow(reminder));
+    return { ...this.fromRow(row), reminders };
+  }
+
+  list({ status, limit = 50, offset = 0 } = {}) {
+    const where = status ? 'WHERE status = @status' : '';
+    const params = { status, limit, offset };
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM receivables ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM receivables ${where}
+      ORDER BY due_at IS NULL, due_at
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  // Open invoices that are past due
+  findOverdue(at = new Date().toISOString()) {
+    return this.db.prepare(`
+      SELECT * FROM receivables WHERE status = 'open' AND due_at IS NOT NULL AND due_at <= ? ORDER BY due_at
+    `).all(at).map(row => this.fromRow(row));
+  }
+
+  // Move to a later reminder stage. Returns false if another pass got there first.
+  advance(invoiceId, fromStage, toStage) {
+    return this.db.prepare(`
+      UPDATE receivables SET stage = ?, updated_at = ? WHERE invoice_id = ? AND stage = ? AND status = 'open'
+    `).run(toStage, new Date().toISOString(), invoiceId, fromStage).changes > 0;
+  }
+
+  recordReminder(invoiceId, { stage, kind, channels = [], error = null }) {
+    this.db.prepare(`
+      INSERT INTO invoice_reminders (id, invoice_id, stage, kind, sent_at, channels, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(crypto.randomUUID(), invoiceId, stage, kind, new Date().toISOString(), JSON.stringify(channels), error);
+  }
+
+  // Stop reminding (paid or written off). Returns false if the invoice wasn't open.
+  close(invoiceId, status, balance) {
+    return this.db.prepare(`
+      UPDATE receivables SET status = @status, balance = COALESCE(@balance, balance), closed_at = @now, updated_at = @now
+      WHERE invoice_id = @invoiceId AND status = 'open'
+    `).run({ invoiceId, status, balance: balance ?? null, now: new Date().toISOString() }).changes > 0;
+  }
+
+  fromRow(row) {
+    return {
+      invoiceId: row.invoice_id,
+      number: row.invoice_number,
+      clientName: row.client_name,
+      clientEmail: row.client_email,
+      jobId: row.job_id,
+      jobTitle: row.job_title,
+      total: row.total,
+      balance: row.balance,
+      dueAt: row.due_at,
+      status: row.status,
+      stage: row.stage,
+      trackedAt: row.tracked_at,
+      updatedAt: row.updated_at,
+      closedAt: row.closed_at
+    };
+  }
+
+  fromReminderRow(row) {
+    return {
+      id: row.id,
+      invoiceId: row.invoice_id,
+      stage: row.stage,
+      kind: row.kind,
+      sentAt: row.sent_at,
+      channels: JSON.parse(row.channels),
+      error: row.error
+    };
+  }
+}
+
+module.exports = new ReceivablesStore();
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./Database');
+
+class RescheduleStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS reschedule_suggestions (
+        id TEXT PRIMARY KEY,
+        job_id TEXT NOT NULL,
+        decision_id TEXT,
+        created_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        original TEXT NOT NULL,
+        slots TEXT NOT NULL,
+        accepted_slot INTEGER,
+        resolved_at TEXT,
+        resolved_by TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_reschedule_job ON reschedule_suggestions (job_id, status);
+    `);
+  }
+
+  // A new suggestion replaces any earlier pending ones for the same job
+  create({ jobId, decisionId = null, original, slots }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE reschedule_suggestions SET status = 'superseded', resolved_at = ?
+        WHERE job_id = ? AND status = 'pending'
+      `).run(now, jobId);
+
+      this.db.prepare(`
+        INSERT INTO reschedule_suggestions (id, job_id, decision_id, created_at, original, slots)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(id, jobId, decisionId, now, JSON.stringify(original), JSON.stringify(slots));
+    })();
+
+    return this.get(id);
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM reschedule_suggestions WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  list({ jobId, status, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    if (jobId) clauses.push('job_id = @jobId');
+    if (status) clauses.push('status = @status');
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const params = { jobId, status, limit, offset };
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM reschedule_suggestions ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM reschedule_suggestions ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  // Returns false if the suggestion was no longer pending
+  accept(id, slotNumber, actor = null) {
+    return this.db.prepare(`
+      UPDATE reschedule_suggestions
+      SET status = 'accepted', accepted_slot = ?, resolved_at = ?, resolved_by = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(slotNumber, new Date().toISOString(), actor, id).changes > 0;
+  }
+
+  reopen(id) {
+    this.db.prepare(`
+      UPDATE reschedule_suggestions
+      SET status = 'pending', accepted_slot = NULL, resolved_at = NULL, resolved_by = NULL
+      WHERE id = ? AND status = 'accepted'
+    `).run(id);
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      decisionId: row.decision_id,
+      createdAt: row.created_at,
+      status: row.status,
+      original: JSON.parse(row.original),
+      slots: JSON.parse(row.slots),
+      acceptedSlot: row.accepted_slot,
+      resolvedAt: row.resolved_at,
+      resolvedBy: row.resolved_by
+    };
+  }
+}
+
+module.exports = new RescheduleStore();
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./Database');
+
+class ScheduledJobStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        id TEXT PRIMARY KEY,
+        job_key TEXT,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL DEFAULT '{}',
+        description TEXT,
+        cron TEXT,
+        run_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        runs INTEGER NOT NULL DEFAULT 0,
+        last_run_at TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs (status, run_at);
+      CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_key ON scheduled_jobs (job_key, status);
+    `);
+  }
+
+  create({ key = null, type, payload = {}, description = null, cron = null, runAt }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    this.db.prepare(`
+      INSERT INTO scheduled_jobs (id, job_key, type, payload, description, cron, run_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, key, type, JSON.stringify(payload), description, cron, runAt, now, now);
+
+    return this.get(id);
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM scheduled_jobs WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  // The live (pending or running) job with this key, if any
+  findActiveByKey(key) {
+    const row = this.db.prepare(`
+      SELECT * FROM scheduled_jobs WHERE job_key = ? AND status IN ('pending', 'running')
+      ORDER BY created_at DESC LIMIT 1
+    `).get(key);
+    return row ? this.fromRow(row) : null;
+  }
+
+  list({ status, type, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    if (status) clauses.push('status = @status');
+    if (type) clauses.push('type = @type');
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const params = { status, type, limit, offset };
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM scheduled_jobs ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM scheduled_jobs ${where}
+      ORDER BY run_at
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return {
+      total,
+      limit,
+      offset,
+      items: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  // Mark due jobs running and return them. Claiming is atomic, so a job runs once
+  // even if two passes overlap.
+  claimDue(at = new Date().toISOString()) {
+    return this.db.transaction(() => {
+      const rows = this.db.prepare(`
+        SELECT * FROM scheduled_jobs WHERE status = 'pending' AND run_at <= ? ORDER BY run_at
+      `).all(at);
+
+      const claim = this.db.prepare(`
+        UPDATE scheduled_jobs SET status = 'running', updated_at = ? WHERE id = ? AND status = 'pending'
+      `);
+      return rows
+        .filter(row => claim.run(new Date().toISOString(), row.id).changes > 0)
+        .map(row => this.fromRow({ ...row, status: 'running' }));
+    })();
+  }
+
+  // Record a run. Recurring jobs go back to pending with their next run time;
+  // one-shot jobs end as done or failed.
+  finishRun(id, { error = null, nextRunAt = null }) {
+    const now = new Date().toISOString();
+    const status = nextRunAt ? 'pending' : (error ? 'failed' : 'done');
+
+    this.db.prepare(`
+      UPDATE scheduled_jobs
+      SET status = @status, run_at = COALESCE(@nextRunAt, run_at), runs = runs + 1,
+        last_run_at = @now, last_error = @error, updated_at = @now
+      WHERE id = @id AND status = 'running'
+    `).run({ id, status, nextRunAt, error, now });
+  }
+
+  // Point an existing job at a new schedule (used when a cron expression changes)
+  reschedule(id, { cron = null, runAt, payload }) {
+    this.db.prepare(`
+      UPDATE scheduled_jobs SET cron = @cron, run_at = @runAt, payload = COALESCE(@payload, payload), updated_at = @now
+      WHERE id = @id
+    `).run({ id, cron, runAt, payload: payload ? JSON.stringify(payload) : null, now: new Date().toISOString() });
+    return this.get(id);
+  }
+
+  // Returns false if the job had already run or been cancelled
+  cancel(id) {
+    return this.db.prepare(`
+      UPDATE scheduled_jobs SET status = 'cancelled', updated_at = ? WHERE id = ? AND status = 'pending'
+    `).run(new Date().toISOString(), id).changes > 0;
+  }
+
+  // Jobs left running by a crash go back to the queue
+  recover() {
+    return this.db.prepare(`
+      UPDATE scheduled_jobs SET status = 'pending', updated_at = ? WHERE status = 'running'
+    `).run(new Date().toISOString()).changes;
+  }
+
+  countByStatus() {
+    const rows = this.db.prepare('SELECT status, COUNT(*) AS count FROM scheduled_jobs GROUP BY status').all();
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      key: row.job_key,
+      type: row.type,
+      payload: JSON.parse(row.payload),
+      description: row.description,
+      cron: row.cron,
+      runAt: row.run_at,
+      status: row.status,
+      runs: row.runs,
+      lastRunAt: row.last_run_at,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new ScheduledJobStore();
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./Database');
+
+class SmsMessageStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS sms_messages (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        provider_message_id TEXT,
+        to_number TEXT NOT NULL,
+        body TEXT NOT NULL,
+        segments INTEGER NOT NULL,
+        truncated INTEGER NOT NULL DEFAULT 0,
+        tag TEXT,
+        status TEXT NOT NULL,
+        error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_sms_provider_message_id ON sms_messages (provider_message_id);
+    `);
+  }
+
+  create({ provider, to, body, segments, truncated, tag = null }) {
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+
+    this.db.prepare(`
+      INSERT INTO sms_messages (id, created_at, updated_at, provider, to_number, body, segments, truncated, tag, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+    `).run(id, now, now, provider, to, body, segments, truncated ? 1 : 0, tag);
+
+    return this.get(id);
+  }
+
+  update(id, { providerMessageId, status, error }) {
+    this.db.prepare(`
+      UPDATE sms_messages
+      SET provider_message_id = COALESCE(?, provider_message_id), status = ?, error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(providerMessageId || null, status, error || null, new Date().toISOString(), id);
+
+    return this.get(id);
+  }
+
+  // Apply a provider status callback. Returns the updated message, or null if unknown.
+  updateByProviderId(providerMessageId, { status, error }) {
+    const row = this.db.prepare('SELECT id FROM sms_messages WHERE provider_message_id = ?').get(providerMessageId);
+    if (!row) return null;
+    return this.update(row.id, { status, error });
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM sms_messages WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  countByStatus() {
+    const rows = this.db.prepare('SELECT status, COUNT(*) AS count FROM sms_messages GROUP BY status').all();
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      provider: row.provider,
+      providerMessageId: row.provider_message_id,
+      to: row.to_number,
+      body: row.body,
+      segments: row.segments,
+      truncated: row.truncated === 1,
+      tag: row.tag,
+      status: row.status,
+      error: row.error
+    };
+  }
+}
+
+module.exports = new SmsMessageStore();
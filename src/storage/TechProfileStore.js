@@ -0,0 +1,111 @@
+const { getDatabase } = require('./Database');
+
+class TechProfileStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS tech_profiles (
+        user_id TEXT PRIMARY KEY,
+        name TEXT,
+        skills TEXT NOT NULL DEFAULT '[]',
+        certifications TEXT NOT NULL DEFAULT '[]',
+        rating REAL,
+        rating_count INTEGER NOT NULL DEFAULT 0,
+        vip_eligible INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL
+      );
+    `);
+  }
+
+  get(userId) {
+    const row = this.db.prepare('SELECT * FROM tech_profiles WHERE user_id = ?').get(userId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  list() {
+    return this.db.prepare('SELECT * FROM tech_profiles ORDER BY name, user_id')
+      .all()
+      .map(row => this.fromRow(row));
+  }
+
+  // Profiles for a set of Jobber user IDs, keyed by ID
+  getMany(userIds) {
+    if (userIds.length === 0) return new Map();
+    const rows = this.db.prepare(`
+      SELECT * FROM tech_profiles WHERE user_id IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(userIds));
+    return new Map(rows.map(row => [row.user_id, this.fromRow(row)]));
+  }
+
+  // Create or replace a profile. Ratings are kept unless given explicitly.
+  save(userId, { name = null, skills = [], certifications = [], vipEligible = false, rating, ratingCount }) {
+    const existing = this.get(userId);
+
+    this.db.prepare(`
+      INSERT INTO tech_profiles (user_id, name, skills, certifications, rating, rating_count, vip_eligible, updated_at)
+      VALUES (@userId, @name, @skills, @certifications, @rating, @ratingCount, @vipEligible, @now)
+      ON CONFLICT (user_id) DO UPDATE SET
+        name = excluded.name,
+        skills = excluded.skills,
+        certifications = excluded.certifications,
+        rating = excluded.rating,
+        rating_count = excluded.rating_count,
+        vip_eligible = excluded.vip_eligible,
+        updated_at = excluded.updated_at
+    `).run({
+      userId,
+      name,
+      skills: JSON.stringify(skills),
+      certifications: JSON.stringify(certifications),
+      rating: rating !== undefined ? rating : (existing?.rating ?? null),
+      ratingCount: ratingCount ?? (rating !== undefined ? Math.max(existing?.ratingCount || 0, 1) : (existing?.ratingCount ?? 0)),
+      vipEligible: vipEligible ? 1 : 0,
+      now: new Date().toISOString()
+    });
+
+    return this.get(userId);
+  }
+
+  // Fold one customer rating into the running average
+  addRating(userId, rating) {
+    const result = this.db.prepare(`
+      UPDATE tech_profiles
+      SET rating = (COALESCE(rating, 0) * rating_count + @rating) / (rating_count + 1),
+          rating_count = rating_count + 1,
+          updated_at = @now
+      WHERE user_id = @userId
+    `).run({ userId, rating, now: new Date().toISOString() });
+
+    return result.changes > 0 ? this.get(userId) : null;
+  }
+
+  delete(userId) {
+    return this.db.prepare('DELETE FROM tech_profiles WHERE user_id = ?').run(userId).changes > 0;
+  }
+
+  fromRow(row) {
+    return {
+      userId: row.user_id,
+      name: row.name,
+      skills: JSON.parse(row.skills),
+      certifications: JSON.parse(row.certifications),
+      rating: row.rating,
+      ratingCount: row.rating_count,
+      vipEligible: row.vip_eligible === 1,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new TechProfileStore();
@@ -0,0 +1,96 @@
+const { getDatabase } = require('./Database');
+
+/**
+ * Webhook deliveries seen recently, keyed on topic + itemId + occurredAt. A
+ * delivery with a key that is already here and hasn't expired is a redelivery
+ * of the same event and gets dropped. Keys are claimed once the event is safely
+ * queued, so a delivery lost before that is never mistaken for a duplicate.
+ */
+class WebhookDeliveryStore {
+  constructor() {
+    this.connection = null;
+  }
+
+  get db() {
+    if (!this.connection) {
+      this.connection = getDatabase();
+      this.migrate();
+    }
+    return this.connection;
+  }
+
+  migrate() {
+    this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        delivery_key TEXT PRIMARY KEY,
+        topic TEXT,
+        item_id TEXT,
+        occurred_at TEXT,
+        first_seen_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        duplicates INTEGER NOT NULL DEFAULT 0,
+        last_duplicate_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_expiry ON webhook_deliveries (expires_at);
+    `);
+  }
+
+  // Whether the key was claimed within its TTL; counts the duplicate if so
+  seen(key) {
+    const nowIso = new Date().toISOString();
+    return this.db.prepare(`
+      UPDATE webhook_deliveries SET duplicates = duplicates + 1, last_duplicate_at = ?
+      WHERE delivery_key = ? AND expires_at > ?
+    `).run(nowIso, key, nowIso).changes > 0;
+  }
+
+  /**
+   * Record a delivery. Returns true the first time a key is seen within the TTL,
+   * false (and counts the duplicate) otherwise. Atomic, so of two claims made
+   * together exactly one succeeds.
+   */
+  claim(key, { topic = null, itemId = null, occurredAt = null, ttl }) {
+    const now = new Date();
+    const nowIso = now.toISOString();
+
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT expires_at FROM webhook_deliveries WHERE delivery_key = ?').get(key);
+      if (row && row.expires_at > nowIso) {
+        this.db.prepare(`
+          UPDATE webhook_deliveries SET duplicates = duplicates + 1, last_duplicate_at = ? WHERE delivery_key = ?
+        `).run(nowIso, key);
+        return false;
+      }
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO webhook_deliveries (delivery_key, topic, item_id, occurred_at, first_seen_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(key, topic, itemId, occurredAt, nowIso, new Date(now.getTime() + ttl).toISOString());
+      return true;
+    })();
+  }
+
+  get(key) {
+    const row = this.db.prepare('SELECT * FROM webhook_deliveries WHERE delivery_key = ?').get(key);
+    return row ? this.fromRow(row) : null;
+  }
+
+  prune(at = new Date()) {
+    return this.db.prepare('DELETE FROM webhook_deliveries WHERE expires_at <= ?').run(at.toISOString()).changes;
+  }
+
+  fromRow(row) {
+    return {
+      key: row.delivery_key,
+      topic: row.topic,
+      itemId: row.item_id,
+      occurredAt: row.occurred_at,
+      firstSeenAt: row.first_seen_at,
+      expiresAt: row.expires_at,
+      duplicates: row.duplicates,
+      lastDuplicateAt: row.last_duplicate_at
+    };
+  }
+}
+
+module.exports = new WebhookDeliveryStore();
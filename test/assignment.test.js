@@ -0,0 +1,157 @@
+// Keep decisions out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const jobberAPI = require('../src/api/JobberAPI');
+const nearestTechService = require('../src/services/NearestTechService');
+const scheduler = require('../src/services/Scheduler');
+const decisionEngine = require('../src/agent/DecisionEngine');
+
+const TECHS = [
+  { id: 'tess', name: 'Tess', bookedHours: 1 },
+  { id: 'omar', name: 'Omar', bookedHours: 3 }
+];
+
+// Every assignJob call lands here instead of in Jobber
+const assignments = [];
+jobberAPI.assignJob = async (jobId, techId) => {
+  assignments.push([jobId, techId]);
+  return { id: jobId, assignedTo: { id: techId } };
+};
+// Deferred auto-assignments are recorded instead of scheduled
+const reevaluations = [];
+scheduler.schedule = async job => {
+  reevaluations.push(job);
+  return { job: { id: `scheduled-${reevaluations.length}` }, created: true };
+};
+nearestTechService.findNearest = async ({ candidates }) => ({
+  ranking: [],
+  nearest: { techId: candidates[0].id, name: candidates[0].name, distanceKm: 2 }
+});
+
+// Context for a job event as analyze() would build it, optionally already assigned
+function jobContext(assignedTo = null) {
+  const data = { id: 'job-1', title: 'Burst pipe', ...(assignedTo && { assignedTo }) };
+  return {
+    event: { topic: 'JOB_UPDATE', itemId: 'job-1' },
+    jobId: 'job-1',
+    data,
+    features: decisionEngine.extractFeatures(data, { availableTechs: TECHS }),
+    availableTechs: TECHS
+  };
+}
+
+const decision = (rule, actions, params = {}) => ({ rule, priority: 50, params, actions, shadow: false });
+
+class AssignmentTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting technician assignment tests...\n');
+
+    await this.run('Assigns the nearest technician to an unassigned job', () => this.testNearest());
+    await this.run('Leaves an assigned job with its technician', () => this.testNearestAssigned());
+    await this.run('Assigns the best matching technician unless the job is assigned', () => this.testBest());
+    await this.run('Assigns a job only once when several rules match', () => this.testExclusive());
+    await this.run('Auto-assigns only jobs nobody has assigned', () => this.testAutoAssign());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    assignments.length = 0;
+    reevaluations.length = 0;
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  async testNearest() {
+    const context = jobContext();
+    const [result] = await decisionEngine.executeDecisions([decision('emergencyResponse', ['assignNearestTech'])], context);
+
+    assert.strictEqual(result.result.assigned, true);
+    assert.deepStrictEqual(assignments, [['job-1', 'tess']]);
+    assert.strictEqual(context.assignedTech.id, 'tess');
+  }
+
+  async testNearestAssigned() {
+    const context = jobContext({ id: 'omar', name: 'Omar' });
+    const [result] = await decisionEngine.executeDecisions([decision('emergencyResponse', ['assignNearestTech'])], context);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.result, { assigned: false, skipped: true, reason: 'Job is already assigned' });
+    assert.deepStrictEqual(assignments, []);
+    assert.strictEqual(context.assignedTech, undefined);
+  }
+
+  async testBest() {
+    const vip = decision('vipClientHandler', ['assignBestTech'], { vip: true });
+
+    const [assigned] = await decisionEngine.executeDecisions([vip], jobContext());
+    assert.strictEqual(assigned.result.assigned, true);
+    assert.strictEqual(assignments.length, 1);
+
+    const [skipped] = await decisionEngine.executeDecisions([vip], jobContext({ id: 'omar', name: 'Omar' }));
+    assert.deepStrictEqual(skipped.result, { assigned: false, skipped: true, reason: 'Job is already assigned' });
+    assert.strictEqual(assignments.length, 1);
+  }
+
+  async testExclusive() {
+    const context = jobContext();
+    const results = await decisionEngine.executeDecisions([
+      decision('emergencyResponse', ['assignNearestTech']),
+      decision('vipClientHandler', ['assignBestTech'], { vip: true })
+    ], context);
+
+    assert.deepStrictEqual(assignments, [['job-1', 'tess']]);
+    assert.strictEqual(results[0].result.assigned, true);
+    assert.deepStrictEqual(results[1].result, {
+      assigned: false,
+      skipped: true,
+      reason: 'Already assigned to Tess by an earlier action'
+    });
+  }
+
+  async testAutoAssign() {
+    const autoAssignment = decision('autoAssignment', ['autoAssignTech'], { unassignedDuration: 30 });
+
+    const [assigned] = await decisionEngine.executeDecisions([autoAssignment], jobContext());
+    assert.deepStrictEqual(assigned.result, { assigned: true, techId: 'tess', bookedHours: 1 });
+
+    // Assigned in Jobber: nothing is assigned and no re-evaluation is scheduled, even for a new job
+    const context = jobContext({ id: 'omar', name: 'Omar' });
+    context.data.createdAt = new Date().toISOString();
+    const [skipped] = await decisionEngine.executeDecisions([autoAssignment], context);
+    assert.deepStrictEqual(skipped.result, { assigned: false, skipped: true, reason: 'Job is already assigned' });
+
+    // Assigned by a higher-priority rule in the same analysis
+    const results = await decisionEngine.executeDecisions([
+      decision('emergencyResponse', ['assignNearestTech']),
+      decision('vipClientHandler', ['assignBestTech'], { vip: true }),
+      autoAssignment
+    ], jobContext());
+    assert.deepStrictEqual(results.map(r => r.result.assigned), [true, false, false]);
+    assert.strictEqual(results[2].result.reason, 'Already assigned to Tess by an earlier action');
+
+    assert.deepStrictEqual(assignments, [['job-1', 'tess'], ['job-1', 'tess']]);
+    assert.deepStrictEqual(reevaluations, []);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new AssignmentTester();
+  tester.runAllTests();
+}
+
+module.exports = AssignmentTester;
@@ -0,0 +1,234 @@
+// Keep queue and service state out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JOBBER_CLIENT_SECRET = process.env.JOBBER_CLIENT_SECRET || 'test-client-secret';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const authenticator = require('../src/middleware/auth');
+const { Authenticator } = require('../src/middleware/auth');
+const { sign } = require('../src/middleware/webhookValidator');
+const FileJournal = require('../src/queue/FileJournal');
+const WebhookQueue = require('../src/queue/WebhookQueue');
+const WebhookServer = require('../src/server/WebhookServer');
+const onCallStore = require('../src/storage/OnCallStore');
+const issueToken = require('../scripts/issue-token');
+
+const tokens = {
+  viewer: authenticator.issueToken({ subject: 'dashboard', role: 'viewer' }),
+  operator: authenticator.issueToken({ subject: 'dispatch', role: 'operator' }),
+  admin: authenticator.issueToken({ subject: 'owner', role: 'admin' })
+};
+
+// Who may call what: the least role each route needs (null = public)
+const ROUTES = [
+  ['GET', '/health', null],
+  ['GET', '/status', 'viewer'],
+  ['GET', '/metrics', 'viewer'],
+  ['GET', '/decisions', 'viewer'],
+  ['GET', '/approvals', 'viewer'],
+  ['GET', '/dead-letters', 'viewer'],
+  ['GET', '/scheduled', 'viewer'],
+  ['POST', '/agent/pause', 'operator'],
+  ['POST', '/agent/resume', 'operator'],
+  ['POST', '/approvals/missing/approve', 'operator'],
+  ['POST', '/decisions/missing/outcome', 'operator'],
+  ['DELETE', '/scheduled/missing', 'operator'],
+  ['POST', '/dead-letters/missing/replay', 'operator'],
+  ['POST', '/techs/missing/ratings', 'operator'],
+  ['GET', '/agent/config', 'admin'],
+  ['POST', '/test/webhook', 'admin'],
+  ['PUT', '/techs/missing', 'admin'],
+  ['DELETE', '/oncall/missing', 'admin']
+];
+const RANK = { viewer: 0, operator: 1, admin: 2 };
+
+// Stand-in agent with just what the routes above touch
+function createAgent() {
+  return {
+    paused: false,
+    processed: [],
+    processWebhook: async function (event) { this.processed.push(event.itemId); },
+    pause() { this.paused = true; },
+    resume() { this.paused = false; },
+    getConfig: () => ({ autonomousMode: true }),
+    getPerformanceMetrics: () => ({}),
+    isHealthy: () => true,
+    checkAPIHealth: async () => ({ status: 'healthy' })
+  };
+}
+
+class AuthTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting auth tests...\n');
+
+    await this.run('Issues and verifies tokens', () => this.testTokens());
+    await this.run('Rejects bad, expired and foreign tokens', () => this.testBadTokens());
+    await this.run('Issues tokens from the command line', () => this.testIssueScript());
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    const agent = createAgent();
+    const queue = new WebhookQueue({ journal: new FileJournal({ file: path.join(dir, 'journal.jsonl') }) });
+    this.server = new WebhookServer(agent, { queue });
+    await this.server.start(0);
+    this.base = `http://localhost:${this.server.server.address().port}`;
+
+    await this.run('Authorizes each route by role', () => this.testRouteRoles());
+    await this.run('Asks for a token on protected routes', () => this.testChallenge());
+    await this.run('Records the token subject as the actor, whatever the body says', () => this.testActor());
+    await this.run('Keeps the Jobber webhook on HMAC only', () => this.testJobberWebhook(agent));
+
+    await this.server.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  request(method, route, token, body = {}) {
+    return fetch(`${this.base}${route}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: method === 'GET' ? undefined : JSON.stringify(body)
+    });
+  }
+
+  testTokens() {
+    assert.deepStrictEqual(authenticator.verifyToken(tokens.operator), { subject: 'dispatch', role: 'operator' });
+    assert.throws(() => authenticator.issueToken({ subject: 'x', role: 'root' }), /role must be one of/);
+    assert.throws(() => authenticator.issueToken({ role: 'viewer' }), /subject/);
+    assert.throws(() => authenticator.requireRole('superuser'), /role must be one of/);
+  }
+
+  testBadTokens() {
+    const other = new Authenticator({ jwtSecret: 'some-other-secret', tokenExpiresIn: '1h' });
+    assert.throws(() => authenticator.verifyToken(other.issueToken({ subject: 'x', role: 'admin' })), /invalid signature/);
+
+    const expired = authenticator.issueToken({ subject: 'x', role: 'admin', expiresIn: -10 });
+    assert.throws(() => authenticator.verifyToken(expired), /expired/);
+
+    // A well-signed token with a role we don't know grants nothing
+    const jwt = require('jsonwebtoken');
+    const unknownRole = jwt.sign({ role: 'root' }, process.env.JWT_SECRET, { subject: 'x' });
+    assert.throws(() => authenticator.verifyToken(unknownRole), /Unknown role/);
+
+    // Only HS256 - an unsigned token is not accepted
+    const unsigned = jwt.sign({ role: 'admin' }, null, { subject: 'x', algorithm: 'none' });
+    assert.throws(() => authenticator.verifyToken(unsigned));
+  }
+
+  testIssueScript() {
+    const output = { log: [], error: [] };
+    const original = { log: console.log, error: console.error };
+    console.log = line => output.log.push(line);
+    console.error = line => output.error.push(line);
+    let codes;
+    try {
+      codes = [issueToken(['dispatch', 'operator', '12h']), issueToken(['dispatch', 'root']), issueToken([])];
+    } finally {
+      Object.assign(console, original);
+    }
+
+    assert.deepStrictEqual(codes, [0, 1, 1]);
+    assert.strictEqual(output.log.length, 1);
+    const issued = authenticator.verifyToken(output.log[0]);
+    assert.deepStrictEqual(issued, { subject: 'dispatch', role: 'operator' });
+    assert.ok(output.error.some(line => /Unknown role "root"/.test(line)));
+    assert.ok(output.error.some(line => /^Usage:/.test(line)));
+  }
+
+  async testRouteRoles() {
+    const wrong = [];
+    for (const [method, route, needed] of ROUTES) {
+      for (const role of Object.keys(tokens)) {
+        const status = (await this.request(method, route, tokens[role])).status;
+        const allowed = needed === null || RANK[role] >= RANK[needed];
+        // Allowed requests may still fail on their own terms (404, 400), just not on auth
+        if (allowed ? [401, 403].includes(status) : status !== 403) {
+          wrong.push(`${role} ${method} ${route} -> ${status}`);
+        }
+      }
+    }
+    assert.deepStrictEqual(wrong, []);
+  }
+
+  async testChallenge() {
+    const missing = await this.request('GET', '/status');
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.headers.get('www-authenticate'), 'Bearer');
+
+    const garbage = await this.request('GET', '/status', 'not-a-token');
+    assert.strictEqual(garbage.status, 401);
+    assert.match(garbage.headers.get('www-authenticate'), /invalid_token/);
+
+    const basic = await fetch(`${this.base}/status`, { headers: { Authorization: 'Basic b3duZXI6cGFzcw==' } });
+    assert.strictEqual(basic.status, 401);
+
+    assert.strictEqual((await this.request('GET', '/health')).status, 200);
+  }
+
+  async testActor() {
+    const page = onCallStore.createPage({ team: 'auth', chain: ['u1'], escalateAt: new Date(Date.now() + 60000).toISOString() });
+    const ack = await this.request('POST', `/oncall/pages/${page.id}/ack`, tokens.operator, { actor: 'owner' });
+    assert.strictEqual(ack.status, 200);
+    assert.strictEqual((await ack.json()).acknowledgedBy, 'dispatch');
+
+    const override = await this.request('POST', '/oncall/auth/overrides', tokens.operator, {
+      userId: 'u2',
+      startsAt: new Date().toISOString(),
+      endsAt: new Date(Date.now() + 3600000).toISOString(),
+      actor: 'someone-else'
+    });
+    assert.strictEqual(override.status, 201);
+    assert.strictEqual((await override.json()).createdBy, 'dispatch');
+  }
+
+  async testJobberWebhook(agent) {
+    const body = JSON.stringify({
+      data: { webHookEvent: { topic: 'JOB_CREATE', itemId: 'job-hmac', occurredAt: new Date().toISOString() } }
+    });
+    const post = headers => fetch(`${this.base}/webhooks/jobber`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body
+    });
+
+    // A bearer token is no substitute for the signature
+    assert.strictEqual((await post({ Authorization: `Bearer ${tokens.admin}` })).status, 401);
+    assert.strictEqual((await post({ 'X-Jobber-Hmac-SHA256': sign(process.env.JOBBER_CLIENT_SECRET, body) })).status, 200);
+
+    while (this.server.processing || this.server.webhookQueue.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(agent.processed.includes('job-hmac'));
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new AuthTester();
+  tester.runAllTests();
+}
+
+module.exports = AuthTester;
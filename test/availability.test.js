@@ -0,0 +1,118 @@
+// Keep profiles out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const { AvailabilityService } = require('../src/services/AvailabilityService');
+const techProfileStore = require('../src/storage/TechProfileStore');
+
+// Local times on one day, so day boundaries match the machine's timezone
+const on = (hour, minute = 0) => new Date(2026, 2, 10, hour, minute).toISOString();
+const item = (id, techId, from, to) => ({ id, startAt: on(from), endAt: on(to), assignedTo: { id: techId } });
+
+const USERS = [
+  { id: 'ana', name: 'Ana', role: 'technician', isActive: true },
+  { id: 'ben', name: 'Ben', role: 'technician', isActive: true },
+  { id: 'cal', name: 'Cal', role: 'technician', isActive: true },
+  { id: 'dee', name: 'Dee', role: 'technician', isActive: true },
+  { id: 'eve', name: 'Eve', role: 'office', isActive: true },
+  { id: 'old', name: 'Old', role: 'technician', isActive: false }
+];
+
+// New job runs 13:00-15:00
+const JOB = { id: 'job-new', startAt: on(13), endAt: on(15) };
+
+const SCHEDULE = {
+  jobs: [
+    item('a1', 'ana', 8, 12), // 4h, done before the job
+    item('b1', 'ben', 14, 16), // overlaps the job
+    item('c1', 'cal', 8, 9), // 1h
+    item('c2', 'cal', 16, 17), // 1h
+    item('job-new', 'dee', 13, 15) // the job itself, already on Dee's calendar
+  ],
+  visits: [
+    item('d1', 'dee', 9, 11) // 2h
+  ]
+};
+
+class AvailabilityTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting availability tests...\n');
+
+    await this.run('Excludes techs with overlapping work', () => this.testExcludesOverlaps());
+    await this.run('Orders techs by booked hours', () => this.testBookedHours());
+    await this.run('Breaks ties with the configured rules', () => this.testTieBreakers());
+    await this.run('Filters by technician role', () => this.testRoles());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testExcludesOverlaps() {
+    const service = new AvailabilityService({ technicianRoles: [] });
+    const { available, busy } = service.compute({ job: JOB, users: USERS, schedule: SCHEDULE });
+
+    assert.deepStrictEqual(busy, [{ id: 'ben', name: 'Ben', conflicts: ['b1'] }]);
+    assert.ok(!available.some(tech => tech.id === 'old'));
+    // The job on Dee's calendar is the job being assigned, so it doesn't make her busy
+    assert.ok(available.some(tech => tech.id === 'dee'));
+  }
+
+  testBookedHours() {
+    const service = new AvailabilityService({ technicianRoles: [], tieBreakers: ['name'] });
+    const { available } = service.compute({ job: JOB, users: USERS, schedule: SCHEDULE });
+
+    assert.deepStrictEqual(
+      available.map(tech => [tech.id, tech.bookedHours]),
+      [['eve', 0], ['cal', 2], ['dee', 2], ['ana', 4]]
+    );
+  }
+
+  testTieBreakers() {
+    techProfileStore.save('dee', { rating: 4.9 });
+    techProfileStore.save('cal', { rating: 4.1 });
+    const users = USERS.filter(user => ['cal', 'dee'].includes(user.id));
+
+    // Dee has one item that day, Cal has two
+    const fewest = new AvailabilityService({ technicianRoles: [], tieBreakers: ['fewestJobs', 'name'] });
+    assert.strictEqual(fewest.compute({ job: JOB, users, schedule: SCHEDULE }).available[0].id, 'dee');
+
+    const byName = new AvailabilityService({ technicianRoles: [], tieBreakers: ['name'] });
+    assert.strictEqual(byName.compute({ job: JOB, users, schedule: SCHEDULE }).available[0].id, 'cal');
+
+    const byRating = new AvailabilityService({ technicianRoles: [], tieBreakers: ['highestRating'] });
+    assert.strictEqual(byRating.compute({ job: JOB, users, schedule: SCHEDULE }).available[0].id, 'dee');
+
+    const unknown = new AvailabilityService({ technicianRoles: [], tieBreakers: ['coinFlip', 'name'] });
+    assert.deepStrictEqual(unknown.tieBreakers, ['name']);
+  }
+
+  testRoles() {
+    const service = new AvailabilityService({ technicianRoles: ['technician'] });
+    const { available } = service.compute({ job: JOB, users: USERS, schedule: SCHEDULE });
+    assert.ok(!available.some(tech => tech.id === 'eve'));
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new AvailabilityTester();
+  tester.runAllTests();
+}
+
+module.exports = AvailabilityTester;
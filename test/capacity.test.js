@@ -0,0 +1,231 @@
+// Keep decisions out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const { CapacityService } = require('../src/services/CapacityService');
+const capacityService = require('../src/services/CapacityService');
+const slackNotifier = require('../src/notifications/SlackNotifier');
+const jobberAPI = require('../src/api/JobberAPI');
+const decisionEngine = require('../src/agent/DecisionEngine');
+
+// Wednesday 11 March 2026, local time
+const on = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute).toISOString();
+const item = (id, techId, day, from, to) => ({ id, startAt: on(day, from), endAt: on(day, to), assignedTo: { id: techId } });
+
+const USERS = [
+  { id: 'ana', name: 'Ana', isActive: true },
+  { id: 'ben', name: 'Ben', isActive: true }
+];
+
+const SCHEDULE = {
+  jobs: [
+    item('a1', 'ana', 11, 8, 16), // 8h today
+    item('a2', 'ana', 11, 18, 20), // after hours - not counted
+    item('a3', 'ana', 9, 8, 17) // 9h on Monday
+  ],
+  visits: [
+    item('b1', 'ben', 11, 7, 10), // 2h inside working hours
+    item('b2', 'ben', 14, 9, 12) // Saturday - not a work day
+  ]
+};
+
+const availability = { technicians: users => users.filter(u => u.isActive !== false) };
+
+// Utilization as getCapacity() reports it
+const capacityAt = (daily, weekly = 0.5) => ({ daily: { team: { utilization: daily } }, weekly: { team: { utilization: weekly } } });
+
+// Swap jobberAPI.getUsers (and an empty schedule) in for one test
+function jobberAPIStub(getUsers) {
+  const original = { getUsers: jobberAPI.getUsers, getSchedule: jobberAPI.getSchedule };
+  jobberAPI.getUsers = getUsers;
+  jobberAPI.getSchedule = async () => ({ jobs: [], visits: [] });
+  return { restore: () => Object.assign(jobberAPI, original) };
+}
+
+const CAPACITY_RULES = {
+  emergencyKeywords: [],
+  rules: {
+    capacityManagement: {
+      priority: 60,
+      conditions: { field: 'currentCapacity', op: 'gte', value: 0.85 },
+      actions: ['notifyScheduler']
+    }
+  }
+};
+
+class CapacityTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+    this.service = new CapacityService({
+      workdayStart: '08:00',
+      workdayEnd: '17:00',
+      workDays: [1, 2, 3, 4, 5],
+      cacheTtl: 60000,
+      availability
+    });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting capacity tests...\n');
+
+    await this.run('Computes daily utilization per tech and team', () => this.testDaily());
+    await this.run('Computes weekly utilization over work days', () => this.testWeekly());
+    await this.run('Caches until refreshed', () => this.testCache());
+    await this.run('Serves the last figures while reloading after an invalidation', () => this.testInvalidate());
+    await this.run('Only job events use capacity; job and visit events invalidate it', () => this.testEventTopics());
+    await this.run('Alerts the scheduler once per threshold crossing', () => this.testAlertOnce());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testDaily() {
+    const { daily } = this.service.compute({ users: USERS, schedule: SCHEDULE, at: new Date(on(11, 12)) });
+
+    assert.deepStrictEqual(daily.techs.map(t => [t.id, t.bookedHours, t.utilization]), [
+      ['ana', 8, 0.889],
+      ['ben', 2, 0.222]
+    ]);
+    assert.deepStrictEqual(daily.team, { techs: 2, bookedHours: 10, workingHours: 18, utilization: 0.556 });
+  }
+
+  testWeekly() {
+    const { weekly } = this.service.compute({ users: USERS, schedule: SCHEDULE, at: new Date(on(11, 12)) });
+
+    assert.strictEqual(weekly.from, new Date(2026, 2, 9).toISOString());
+    assert.strictEqual(weekly.to, new Date(2026, 2, 16).toISOString());
+    // 5 work days x 9 hours each
+    assert.strictEqual(weekly.techs[0].workingHours, 45);
+    assert.strictEqual(weekly.techs[0].bookedHours, 17);
+    assert.strictEqual(weekly.techs[1].bookedHours, 2);
+    assert.strictEqual(weekly.team.utilization, Math.round((19 / 90) * 1000) / 1000);
+  }
+
+  async testCache() {
+    let loads = 0;
+    this.service.load = async () => {
+      loads++;
+      this.service.cached = { capacity: { loads }, expiresAt: Date.now() + 60000 };
+      return this.service.cached.capacity;
+    };
+
+    await Promise.all([this.service.getCapacity(), this.service.getCapacity()]);
+    await this.service.getCapacity();
+    assert.strictEqual(loads, 1);
+
+    const refreshed = await this.service.getCapacity({ refresh: true });
+    assert.strictEqual(refreshed.loads, 2);
+  }
+
+  async testInvalidate() {
+    const service = new CapacityService({ workdayStart: '08:00', workdayEnd: '17:00', workDays: [1], cacheTtl: 60000, availability });
+    let loads = 0;
+    let finishLoad;
+    service.compute = () => ({ ...capacityAt(0.5), loads });
+    const getUsers = jobberAPIStub(async () => {
+      loads++;
+      // The second load waits until the test lets it finish
+      if (loads === 2) await new Promise(resolve => { finishLoad = resolve; });
+      return USERS;
+    });
+
+    try {
+      assert.strictEqual((await service.getCapacity()).loads, 1);
+
+      // Stale figures come back straight away; the reload runs behind them
+      service.invalidate();
+      assert.strictEqual((await service.getCapacity()).loads, 1);
+      assert.strictEqual((await service.getCapacity()).loads, 1);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(loads, 2);
+
+      // Invalidated again mid-load: the result is kept but reloaded on the next read
+      service.invalidate();
+      finishLoad();
+      await service.pending;
+      assert.strictEqual((await service.getCapacity()).loads, 2);
+      await service.pending;
+      assert.strictEqual(loads, 3);
+      assert.strictEqual((await service.getCapacity()).loads, 3);
+      assert.strictEqual(loads, 3);
+    } finally {
+      getUsers.restore();
+    }
+  }
+
+  async testEventTopics() {
+    const calls = [];
+    const { getCapacity, invalidate } = capacityService;
+    capacityService.getCapacity = async options => {
+      calls.push(['get', options]);
+      return capacityAt(0.9);
+    };
+    capacityService.invalidate = () => calls.push(['invalidate']);
+
+    try {
+      assert.deepStrictEqual(await decisionEngine.loadCapacity({ topic: 'JOB_UPDATE' }), capacityAt(0.9));
+      assert.strictEqual(await decisionEngine.loadCapacity({ topic: 'VISIT_COMPLETE' }), null);
+      assert.strictEqual(await decisionEngine.loadCapacity({ topic: 'QUOTE_UPDATE' }), null);
+      assert.deepStrictEqual(calls, [['invalidate'], ['get', undefined], ['invalidate']]);
+    } finally {
+      Object.assign(capacityService, { getCapacity, invalidate });
+    }
+  }
+
+  async testAlertOnce() {
+    const posted = [];
+    slackNotifier.send = async message => {
+      posted.push(message);
+      return { sent: true };
+    };
+    decisionEngine.ruleSet = CAPACITY_RULES;
+    decisionEngine.enrichEventData = async event => ({ id: event.itemId, title: 'Gutter cleaning' });
+    decisionEngine.computeAvailableTechs = async () => null;
+
+    // Analyze and run a job event at the given utilization; returns the notifyScheduler result
+    const at = async utilization => {
+      decisionEngine.loadCapacity = async () => capacityAt(utilization);
+      const analysis = await decisionEngine.analyze({ topic: 'JOB_UPDATE', itemId: 'job-1' });
+      const results = await decisionEngine.executeDecisions(analysis.decisions, analysis.actionContext);
+      return results[0]?.result || null;
+    };
+
+    assert.strictEqual((await at(0.9)).notified, true);
+    assert.deepStrictEqual(await at(0.95), {
+      notified: false,
+      skipped: true,
+      reason: 'Already alerted until capacity drops below the threshold'
+    });
+    assert.strictEqual(posted.length, 1);
+
+    // Events that don't load capacity can't tell it dropped
+    decisionEngine.loadCapacity = async () => null;
+    await decisionEngine.analyze({ topic: 'QUOTE_UPDATE', itemId: 'quote-1' });
+    assert.strictEqual((await at(0.9)).skipped, true);
+
+    // Dropping below the threshold re-arms the alert for the next crossing
+    assert.strictEqual(await at(0.5), null);
+    assert.strictEqual((await at(0.88)).notified, true);
+    assert.strictEqual(posted.length, 2);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new CapacityTester();
+  tester.runAllTests();
+}
+
+module.exports = CapacityTester;
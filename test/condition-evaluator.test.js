@@ -0,0 +1,228 @@
+const assert = require('assert');
+const {
+  OPERATORS,
+  evaluateCondition,
+  describeMatches,
+  validateCondition
+} = require('../src/agent/ConditionEvaluator');
+
+const FEATURES = {
+  city: 'Seattle',
+  jobTitle: 'burst pipe in basement',
+  jobValue: 1200,
+  dayOfWeek: 6,
+  isAssigned: false,
+  assignedToId: null,
+  availableTechs: ['t1', 't2'],
+  propertyAddress: { postalCode: '98101' },
+  clientEmail: ''
+};
+
+const clause = (field, op, value) => (value === undefined ? { field, op } : { field, op, value });
+const matches = condition => evaluateCondition(condition, FEATURES).matched;
+
+class ConditionEvaluatorTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting condition evaluator tests...\n');
+
+    await this.run('Evaluates every operator', () => this.testOperators());
+    await this.run('Resolves dot paths into nested features', () => this.testDotPaths());
+    await this.run('Combines clauses with all, any and not', () => this.testGroups());
+    await this.run('Traces every clause without short-circuiting', () => this.testTrace());
+    await this.run('Describes the clauses that made a rule match', () => this.testDescribe());
+    await this.run('Validates condition expressions', () => this.testValidation());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testOperators() {
+    // [condition, expected] - one that matches and one that doesn't per operator
+    const cases = {
+      eq: [[clause('city', 'eq', 'Seattle'), true], [clause('city', 'eq', 'seattle'), false]],
+      ne: [[clause('city', 'ne', 'Tacoma'), true], [clause('city', 'ne', 'Seattle'), false]],
+      gt: [[clause('jobValue', 'gt', 1000), true], [clause('jobValue', 'gt', 1200), false]],
+      gte: [[clause('jobValue', 'gte', 1200), true], [clause('city', 'gte', 0), false]],
+      lt: [[clause('jobValue', 'lt', 1201), true], [clause('jobValue', 'lt', 1200), false]],
+      lte: [[clause('jobValue', 'lte', 1200), true], [clause('jobValue', 'lte', 1199), false]],
+      in: [[clause('dayOfWeek', 'in', [0, 6]), true], [clause('dayOfWeek', 'in', [1, 2]), false]],
+      notIn: [[clause('dayOfWeek', 'notIn', [1, 2]), true], [clause('dayOfWeek', 'notIn', [0, 6]), false]],
+      contains: [
+        [clause('jobTitle', 'contains', 'PIPE'), true],
+        [clause('availableTechs', 'contains', 't2'), true],
+        [clause('availableTechs', 'contains', 't'), false]
+      ],
+      containsAny: [
+        [clause('jobTitle', 'containsAny', ['fire', 'burst']), true],
+        [clause('availableTechs', 'containsAny', ['t3', 't1']), true],
+        [clause('jobTitle', 'containsAny', ['fire', 'flood']), false]
+      ],
+      startsWith: [[clause('jobTitle', 'startsWith', 'Burst'), true], [clause('jobTitle', 'startsWith', 'pipe'), false]],
+      endsWith: [[clause('jobTitle', 'endsWith', 'BASEMENT'), true], [clause('city', 'endsWith', 'x'), false]],
+      matches: [[clause('jobTitle', 'matches', '^burst\\s+pipe'), true], [clause('jobTitle', 'matches', '^pipe'), false]],
+      exists: [
+        [clause('city', 'exists'), true],
+        [clause('assignedToId', 'exists'), false],
+        [clause('assignedToId', 'exists', false), true],
+        [clause('missingField', 'exists'), false]
+      ],
+      empty: [
+        [clause('clientEmail', 'empty'), true],
+        [clause('availableTechs', 'empty'), false],
+        [clause('availableTechs', 'empty', false), true],
+        [clause('propertyAddress', 'empty'), false]
+      ]
+    };
+
+    // Every operator is covered here
+    assert.deepStrictEqual(Object.keys(cases).sort(), Object.keys(OPERATORS).sort());
+
+    for (const [op, checks] of Object.entries(cases)) {
+      for (const [condition, expected] of checks) {
+        assert.strictEqual(matches(condition), expected, `${op}: ${JSON.stringify(condition)}`);
+      }
+    }
+  }
+
+  testDotPaths() {
+    assert.strictEqual(matches(clause('propertyAddress.postalCode', 'startsWith', '981')), true);
+    // Missing segments resolve to undefined instead of throwing
+    assert.strictEqual(matches(clause('propertyAddress.geo.lat', 'exists')), false);
+    assert.strictEqual(matches(clause('createdByUser.name', 'eq', 'Angelo')), false);
+  }
+
+  testGroups() {
+    const weekend = clause('dayOfWeek', 'in', [0, 6]);
+    const bigJob = clause('jobValue', 'gte', 5000);
+    const seattle = clause('city', 'eq', 'Seattle');
+
+    assert.strictEqual(matches({ all: [weekend, seattle] }), true);
+    assert.strictEqual(matches({ all: [weekend, bigJob] }), false);
+    assert.strictEqual(matches({ any: [bigJob, seattle] }), true);
+    assert.strictEqual(matches({ any: [bigJob, clause('city', 'eq', 'Tacoma')] }), false);
+    assert.strictEqual(matches({ not: bigJob }), true);
+    assert.strictEqual(matches({ not: seattle }), false);
+
+    // Groups nest
+    assert.strictEqual(matches({
+      all: [
+        { any: [bigJob, weekend] },
+        { not: { all: [seattle, clause('isAssigned', 'eq', true)] } }
+      ]
+    }), true);
+  }
+
+  testTrace() {
+    const { matched, trace } = evaluateCondition({
+      any: [
+        clause('city', 'eq', 'Seattle'),
+        { not: clause('isAssigned', 'eq', false) }
+      ]
+    }, FEATURES);
+
+    assert.strictEqual(matched, true);
+    assert.deepStrictEqual(trace, {
+      type: 'any',
+      matched: true,
+      children: [
+        { type: 'clause', field: 'city', op: 'eq', value: 'Seattle', actual: 'Seattle', matched: true },
+        {
+          type: 'not',
+          matched: false,
+          children: [{ type: 'clause', field: 'isAssigned', op: 'eq', value: false, actual: false, matched: true }]
+        }
+      ]
+    });
+  }
+
+  testDescribe() {
+    const describe = condition => describeMatches(evaluateCondition(condition, FEATURES).trace);
+
+    assert.deepStrictEqual(describe(clause('jobValue', 'gte', 1000)), ['jobValue gte 1000 (actual: 1200)']);
+    assert.deepStrictEqual(describe(clause('jobValue', 'gte', 5000)), []);
+
+    // Only the clauses that matched are reported, lists and unary operators included
+    assert.deepStrictEqual(describe({
+      any: [
+        clause('dayOfWeek', 'in', [0, 6]),
+        clause('jobValue', 'gte', 5000),
+        clause('city', 'exists')
+      ]
+    }), ['dayOfWeek in [0, 6] (actual: 6)', 'city exists (actual: "Seattle")']);
+
+    // A matched "not" is reported as the negation of what it wraps
+    assert.deepStrictEqual(describe({
+      all: [
+        clause('isAssigned', 'eq', false),
+        { not: { any: [clause('city', 'eq', 'Tacoma'), clause('availableTechs', 'empty')] } }
+      ]
+    }), [
+      'isAssigned eq false (actual: false)',
+      'not (city eq "Tacoma" (actual: "Seattle") or availableTechs empty (actual: ["t1","t2"]))'
+    ]);
+  }
+
+  testValidation() {
+    const known = ['city', 'jobValue', 'propertyAddress'];
+
+    assert.deepStrictEqual(validateCondition({
+      all: [
+        clause('city', 'eq', 'Seattle'),
+        { not: clause('propertyAddress.postalCode', 'exists') }
+      ]
+    }, 'conditions', known), []);
+
+    assert.deepStrictEqual(validateCondition(null, 'conditions'), ['conditions must be an object']);
+    assert.deepStrictEqual(validateCondition([], 'conditions'), ['conditions must be an object']);
+    assert.deepStrictEqual(
+      validateCondition({ all: [clause('city', 'exists')], any: [] }, 'conditions'),
+      ['conditions must have only one of "all", "any" or "not"']
+    );
+    assert.deepStrictEqual(validateCondition({ any: [] }, 'conditions'), ['conditions.any must be a non-empty array']);
+
+    // Errors carry the path to the bad clause and every bad clause is reported
+    assert.deepStrictEqual(validateCondition({
+      all: [
+        clause('weather', 'eq', 'rain'),
+        { field: '', op: 'near' },
+        { not: { field: 'jobValue', op: 'gte' } },
+        clause('city', 'in', 'Seattle'),
+        clause('city', 'matches', '(unclosed')
+      ]
+    }, 'rules.x.conditions', known), [
+      'rules.x.conditions.all[0].field "weather" is not a known feature',
+      'rules.x.conditions.all[1].field must be a non-empty string',
+      `rules.x.conditions.all[1].op must be one of ${Object.keys(OPERATORS).join(', ')}`,
+      'rules.x.conditions.all[2].not.value is required for "gte"',
+      'rules.x.conditions.all[3].value must be an array for "in"',
+      'rules.x.conditions.all[4].value is not a valid regular expression'
+    ]);
+
+    // Without a list of known fields any field name is accepted
+    assert.deepStrictEqual(validateCondition(clause('weather', 'eq', 'rain'), 'conditions'), []);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new ConditionEvaluatorTester();
+  tester.runAllTests();
+}
+
+module.exports = ConditionEvaluatorTester;
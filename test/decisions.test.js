@@ -0,0 +1,257 @@
+// Keep decisions out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const assert = require('assert');
+const express = require('express');
+const decisionStore = require('../src/storage/DecisionStore');
+const decisionEngine = require('../src/agent/DecisionEngine');
+const authenticator = require('../src/middleware/auth');
+const createDecisionRoutes = require('../src/server/routes/decisions');
+
+// Stored decisions, oldest first. Each one is an hour after the previous.
+const SEED = [
+  { topic: 'JOB_CREATE', userId: 'angelo', rules: ['emergencyResponse'], outcome: 'success' },
+  { topic: 'JOB_CREATE', userId: 'austin', rules: ['autoAssignment'], outcome: 'failure' },
+  { topic: 'JOB_UPDATE', userId: 'angelo', rules: ['autoAssignment', 'capacityManagement'], outcome: 'pending' },
+  { topic: 'QUOTE_CREATE', userId: 'austin', rules: ['weekendPremium'], outcome: 'partial' },
+  { topic: 'JOB_CREATE', userId: 'angelo', rules: ['emergencyResponse', 'autoAssignment'], outcome: 'pending' }
+];
+const START = new Date('2026-10-01T08:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+const at = index => new Date(START.getTime() + index * HOUR).toISOString();
+
+// Store the seed decisions with fixed timestamps; returns their ids, oldest first
+function seed() {
+  return SEED.map(({ topic, userId, rules, outcome }, index) => {
+    const { id } = decisionStore.record({
+      event: { topic, itemId: `item-${index}`, userId },
+      features: { createdByUserId: userId, jobStatus: 'active', isWeekend: false },
+      decisions: rules.map(rule => ({ rule, priority: 50, actions: [] })),
+      confidence: 0.8
+    });
+    if (outcome !== 'pending') {
+      decisionStore.updateOutcome(id, outcome);
+    }
+    decisionStore.db.prepare('UPDATE decisions SET created_at = ? WHERE id = ?').run(at(index), id);
+    return id;
+  });
+}
+
+class DecisionsTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting decision history tests...\n');
+
+    this.ids = seed();
+    const app = express();
+    app.use(express.json());
+    app.use('/decisions', createDecisionRoutes());
+    this.server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    this.base = `http://localhost:${this.server.address().port}`;
+
+    await this.run('Queries decisions newest first with each filter', () => this.testQueryFilters());
+    await this.run('Pages through query results', () => this.testQueryPaging());
+    await this.run('Lists decisions over HTTP with filters and paging', () => this.testListRoute());
+    await this.run('Rejects bad query parameters', () => this.testListErrors());
+    await this.run('Returns a single decision or 404', () => this.testGetRoute());
+    await this.run('Recorded outcomes change confidence for similar decisions', () => this.testOutcomeConfidence());
+    await this.run('Rejects bad outcomes and unknown decisions', () => this.testOutcomeErrors());
+
+    await new Promise(resolve => this.server.close(resolve));
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  // Seed indexes of the decisions a query returned
+  indexes(result) {
+    return result.items.map(item => this.ids.indexOf(item.id));
+  }
+
+  async get(route) {
+    const response = await fetch(`${this.base}${route}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  async postOutcome(id, body) {
+    const token = authenticator.issueToken({ subject: 'dispatch', role: 'operator' });
+    const response = await fetch(`${this.base}/decisions/${id}/outcome`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  testQueryFilters() {
+    const all = decisionStore.query();
+    assert.strictEqual(all.total, 5);
+    assert.deepStrictEqual(this.indexes(all), [4, 3, 2, 1, 0]);
+    assert.strictEqual(all.items[0].timestamp, at(4));
+    assert.deepStrictEqual(all.items[0].decisions.map(d => d.rule), ['emergencyResponse', 'autoAssignment']);
+
+    // A rule matches wherever it appears in a decision's list
+    assert.deepStrictEqual(this.indexes(decisionStore.query({ rule: 'autoAssignment' })), [4, 2, 1]);
+    assert.deepStrictEqual(this.indexes(decisionStore.query({ userId: 'austin' })), [3, 1]);
+    assert.deepStrictEqual(this.indexes(decisionStore.query({ topic: 'JOB_CREATE' })), [4, 1, 0]);
+    assert.deepStrictEqual(this.indexes(decisionStore.query({ outcome: 'pending' })), [4, 2]);
+
+    // from/to are inclusive
+    assert.deepStrictEqual(this.indexes(decisionStore.query({ from: at(1), to: at(3) })), [3, 2, 1]);
+    assert.deepStrictEqual(this.indexes(decisionStore.query({ from: at(3) })), [4, 3]);
+
+    // Filters combine
+    const combined = decisionStore.query({ rule: 'emergencyResponse', userId: 'angelo', outcome: 'success' });
+    assert.deepStrictEqual(this.indexes(combined), [0]);
+    assert.strictEqual(decisionStore.query({ rule: 'weekendPremium', topic: 'JOB_CREATE' }).total, 0);
+  }
+
+  testQueryPaging() {
+    const page = decisionStore.query({ limit: 2, offset: 1 });
+    assert.strictEqual(page.total, 5);
+    assert.strictEqual(page.limit, 2);
+    assert.strictEqual(page.offset, 1);
+    assert.deepStrictEqual(this.indexes(page), [3, 2]);
+
+    // Total counts every match, not just the page
+    const filtered = decisionStore.query({ topic: 'JOB_CREATE', limit: 1, offset: 2 });
+    assert.strictEqual(filtered.total, 3);
+    assert.deepStrictEqual(this.indexes(filtered), [0]);
+
+    assert.deepStrictEqual(decisionStore.query({ offset: 10 }).items, []);
+  }
+
+  async testListRoute() {
+    const { status, body } = await this.get('/decisions?rule=autoAssignment&userId=angelo');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.total, 2);
+    assert.deepStrictEqual(this.indexes(body), [4, 2]);
+
+    const dated = await this.get(`/decisions?from=${encodeURIComponent(at(1))}&to=${encodeURIComponent(at(2))}&outcome=failure`);
+    assert.deepStrictEqual(this.indexes(dated.body), [1]);
+
+    const page = await this.get('/decisions?topic=JOB_CREATE&limit=2&offset=1');
+    assert.deepStrictEqual({ total: page.body.total, limit: page.body.limit, offset: page.body.offset }, { total: 3, limit: 2, offset: 1 });
+    assert.deepStrictEqual(this.indexes(page.body), [1, 0]);
+
+    // Defaults, and the page size cap
+    const defaults = await this.get('/decisions');
+    assert.deepStrictEqual([defaults.body.limit, defaults.body.offset, defaults.body.items.length], [50, 0, 5]);
+    assert.strictEqual((await this.get('/decisions?limit=10000')).body.limit, 500);
+  }
+
+  async testListErrors() {
+    for (const query of ['from=yesterday', 'to=2026-13-45', 'limit=-1', 'offset=abc']) {
+      const { status, body } = await this.get(`/decisions?${query}`);
+      assert.strictEqual(status, 400, query);
+      assert.match(body.error, /^Invalid (from|to|limit|offset)/);
+    }
+
+    // A repeated filter arrives as an array, not a string
+    for (const query of ['rule=a&rule=b', 'userId=angelo&userId=bea', 'topic=JOB_CREATE&topic=JOB_UPDATE', 'outcome=success&outcome=failure']) {
+      const { status, body } = await this.get(`/decisions?${query}`);
+      assert.strictEqual(status, 400, query);
+      assert.match(body.error, /^Invalid (rule|userId|topic|outcome): expected a single value$/);
+    }
+  }
+
+  async testGetRoute() {
+    const { status, body } = await this.get(`/decisions/${this.ids[3]}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.topic, 'QUOTE_CREATE');
+    assert.strictEqual(body.outcome, 'partial');
+    assert.strictEqual(body.event.itemId, 'item-3');
+
+    const missing = await this.get('/decisions/no-such-decision');
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.error, 'Decision not found');
+  }
+
+  async testOutcomeConfidence() {
+    // A rule and job status none of the seed decisions share
+    const features = { createdByUserId: 'angelo', jobStatus: 'completed', isWeekend: true };
+    const decisions = [{ rule: 'qualityControl', priority: 40, actions: [] }];
+    const record = () => decisionStore.record({
+      event: { topic: 'JOB_UPDATE', itemId: 'job-qc', userId: 'angelo' },
+      features,
+      decisions,
+      confidence: 0.7
+    }).id;
+    const confidence = () => decisionEngine.calculateConfidence(decisions, features);
+
+    // No resolved history yet: the default success rate applies
+    const first = record();
+    const before = confidence();
+    assert.strictEqual(decisionEngine.checkHistoricalSuccess(decisions, features), 0.75);
+
+    const failed = await this.postOutcome(first, { outcome: 'failure', note: 'Inspection missed' });
+    assert.strictEqual(failed.status, 200);
+    assert.strictEqual(failed.body.outcome, 'failure');
+    assert.strictEqual(failed.body.outcomeNote, 'Inspection missed');
+    // The actor is whoever the token was issued to
+    assert.strictEqual(failed.body.outcomeActor, 'dispatch');
+
+    const afterFailure = confidence();
+    assert.strictEqual(decisionEngine.checkHistoricalSuccess(decisions, features), 0);
+    assert.ok(afterFailure < before, `${afterFailure} should be below ${before}`);
+
+    // Successes raise it again; partial outcomes count as half
+    await this.postOutcome(record(), { outcome: 'success', actor: 'owner' });
+    assert.strictEqual(decisionEngine.checkHistoricalSuccess(decisions, features), 0.5);
+    await this.postOutcome(record(), { outcome: 'partial' });
+    assert.strictEqual(decisionEngine.checkHistoricalSuccess(decisions, features), 0.5);
+    await this.postOutcome(record(), { outcome: 'success' });
+    assert.strictEqual(decisionEngine.checkHistoricalSuccess(decisions, features), 0.625);
+    assert.ok(confidence() > afterFailure);
+
+    // Decisions that aren't similar are unaffected
+    assert.strictEqual(decisionEngine.checkHistoricalSuccess(decisions, { ...features, isWeekend: false }), 0.75);
+  }
+
+  async testOutcomeErrors() {
+    const id = this.ids[2];
+
+    for (const body of [{}, { outcome: 'great' }, { outcome: 'pending' }]) {
+      const response = await this.postOutcome(id, body);
+      assert.strictEqual(response.status, 400, JSON.stringify(body));
+      assert.strictEqual(response.body.error, 'outcome must be one of: success, failure, partial');
+    }
+
+    const badNote = await this.postOutcome(id, { outcome: 'success', note: 42 });
+    assert.strictEqual(badNote.status, 400);
+    assert.strictEqual(badNote.body.error, 'note must be a string');
+
+    // Nothing was written by the rejected requests
+    assert.strictEqual(decisionStore.get(id).outcome, 'pending');
+
+    const missing = await this.postOutcome('no-such-decision', { outcome: 'success' });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.error, 'Decision not found');
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new DecisionsTester();
+  tester.runAllTests();
+}
+
+module.exports = DecisionsTester;
@@ -0,0 +1,360 @@
+// Keep the outbox out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const assert = require('assert');
+const emailNotifier = require('../src/notifications/EmailNotifier');
+const { EmailNotifier } = require('../src/notifications/EmailNotifier');
+const emailOutboxStore = require('../src/storage/EmailOutboxStore');
+const decisionEngine = require('../src/agent/DecisionEngine');
+const FileJournal = require('../src/queue/FileJournal');
+const WebhookQueue = require('../src/queue/WebhookQueue');
+const WebhookServer = require('../src/server/WebhookServer');
+
+// Minimal local SMTP sink: accepts every message and keeps the raw DATA.
+class SmtpSink {
+  constructor() {
+    this.messages = [];
+    this.server = net.createServer(socket => this.handle(socket));
+  }
+
+  handle(socket) {
+    let buffer = '';
+    let inData = false;
+    let current = null;
+
+    socket.write('220 localhost test sink\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          current.data = buffer.slice(0, end);
+          this.messages.push(current);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 OK queued\r\n');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          current = { from: line, to: [] };
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          current.to.push(line);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  }
+
+  start(port = 0) {
+    return new Promise(resolve => {
+      this.server.listen(port, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+const notifierFor = port => new EmailNotifier({
+  enabled: true,
+  from: 'agent@example.com',
+  smtpHost: '127.0.0.1',
+  smtpPort: port,
+  smtpSecure: false,
+  smtpUser: undefined,
+  retryAttempts: 3,
+  retryDelay: 10,
+  outboxInterval: 60000,
+  transport: { ignoreTLS: true, connectionTimeout: 2000 }
+});
+
+// send() doesn't wait for delivery; poll until `check` passes or give up
+async function waitFor(check, timeout = 3000) {
+  for (let waited = 0; !check(); waited += 10) {
+    if (waited >= timeout) {
+      throw new Error(`Timed out after ${timeout}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+class EmailOutboxTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting email outbox tests...\n');
+
+    await this.run('Delivers HTML + text email to the SMTP sink', () => this.testDelivery());
+    await this.run('Retries from the outbox after the server comes back', () => this.testRetry());
+    await this.run('Marks a message failed after its last attempt', () => this.testPermanentFailure());
+    await this.run('Rejects invalid recipients without queueing', () => this.testInvalidRecipient());
+    await this.run('Sends emails queued before the server started', () => this.testServerStartup());
+    await this.run('Queues a keyed email only once', () => this.testKeyed());
+    await this.run('Welcomes each new client once', () => this.testWelcomeOnce());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  async testDelivery() {
+    const sink = new SmtpSink();
+    const port = await sink.start();
+    const notifier = notifierFor(port);
+
+    try {
+      const result = await notifier.send({
+        to: 'client@example.com',
+        subject: 'Welcome!',
+        html: '<p>Hello <strong>there</strong></p>',
+        text: 'Hello there',
+        tag: 'welcome'
+      });
+
+      // Queued, not delivered, when send() returns
+      assert.deepStrictEqual(result, { queued: true, id: result.id, status: 'queued' });
+      assert.strictEqual(sink.messages.length, 0);
+
+      await waitFor(() => emailOutboxStore.get(result.id).status === 'sent');
+      assert.strictEqual(sink.messages.length, 1);
+
+      const [message] = sink.messages;
+      assert.ok(message.to[0].includes('client@example.com'));
+      assert.ok(message.data.includes('Subject: Welcome!'));
+      assert.ok(message.data.includes('text/plain'), 'has a text part');
+      assert.ok(message.data.includes('text/html'), 'has an HTML part');
+
+      const stored = emailOutboxStore.get(result.id);
+      assert.strictEqual(stored.status, 'sent');
+      assert.strictEqual(stored.attempts, 1);
+      assert.ok(stored.messageId, 'message id recorded');
+    } finally {
+      notifier.stop();
+      await sink.stop();
+    }
+  }
+
+  async testRetry() {
+    // Reserve a port, then close it so the first attempt is refused
+    const probe = new SmtpSink();
+    const port = await probe.start();
+    await probe.stop();
+
+    const notifier = notifierFor(port);
+    const sink = new SmtpSink();
+
+    try {
+      const result = await notifier.send({ to: 'ops@example.com', subject: 'Retry', text: 'Try again' });
+      await waitFor(() => emailOutboxStore.get(result.id).attempts === 1);
+      const failed = emailOutboxStore.get(result.id);
+      assert.strictEqual(failed.status, 'queued');
+      assert.ok(failed.lastError, 'first failure recorded');
+
+      await sink.start(port);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await notifier.processOutbox();
+
+      const stored = emailOutboxStore.get(result.id);
+      assert.strictEqual(stored.status, 'sent');
+      assert.strictEqual(stored.attempts, 2);
+      assert.strictEqual(sink.messages.length, 1);
+    } finally {
+      notifier.stop();
+      await sink.stop();
+    }
+  }
+
+  async testPermanentFailure() {
+    const probe = new SmtpSink();
+    const port = await probe.start();
+    await probe.stop();
+
+    const notifier = notifierFor(port);
+
+    try {
+      const result = await notifier.send({ to: 'ops@example.com', subject: 'Never', text: 'Nope' });
+      await waitFor(() => emailOutboxStore.get(result.id).attempts === 1);
+
+      for (let i = 0; i < 2; i++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await notifier.processOutbox();
+      }
+
+      const stored = emailOutboxStore.get(result.id);
+      assert.strictEqual(stored.status, 'failed');
+      assert.strictEqual(stored.attempts, 3);
+    } finally {
+      notifier.stop();
+    }
+  }
+
+  async testInvalidRecipient() {
+    const notifier = notifierFor(1);
+    const result = await notifier.send({ to: 'not-an-email', subject: 'x', text: 'x' });
+    assert.strictEqual(result.queued, false);
+  }
+
+  async testServerStartup() {
+    const sink = new SmtpSink();
+    const port = await sink.start();
+    // Point the shared notifier the server uses at the sink
+    const { smtp, from } = notifierFor(port);
+    Object.assign(emailNotifier, { enabled: true, smtp, from, outboxInterval: 20 });
+
+    // Left by the last run: one never attempted, one cut off mid-delivery
+    const waiting = emailOutboxStore.enqueue({ to: 'waiting@example.com', subject: 'Waiting', text: 'x', maxAttempts: 3 });
+    emailOutboxStore.claimDue();
+    const queued = emailOutboxStore.enqueue({ to: 'queued@example.com', subject: 'Queued', text: 'x', maxAttempts: 3 });
+    assert.strictEqual(emailOutboxStore.get(waiting.id).status, 'sending');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-outbox-'));
+    const queue = new WebhookQueue({ journal: new FileJournal({ file: path.join(dir, 'journal.jsonl') }) });
+    const server = new WebhookServer({ processWebhook: async () => {} }, { queue });
+
+    try {
+      // Nothing goes out until the server starts
+      await new Promise(resolve => setTimeout(resolve, 60));
+      assert.strictEqual(sink.messages.length, 0);
+
+      await server.start(0);
+      for (let waited = 0; sink.messages.length < 2 && waited < 3000; waited += 20) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      assert.strictEqual(emailOutboxStore.get(waiting.id).status, 'sent');
+      assert.strictEqual(emailOutboxStore.get(queued.id).status, 'sent');
+      assert.deepStrictEqual(
+        sink.messages.map(message => message.to[0].match(/<(.*)>/)[1]).sort(),
+        ['queued@example.com', 'waiting@example.com']
+      );
+
+      await server.shutdown();
+      assert.strictEqual(emailNotifier.timer, null);
+    } finally {
+      emailNotifier.stop();
+      await sink.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  async testKeyed() {
+    const sink = new SmtpSink();
+    const port = await sink.start();
+    const notifier = notifierFor(port);
+
+    try {
+      const message = { to: 'client@example.com', subject: 'Once', text: 'Only once', key: 'once:1' };
+      const first = await notifier.send(message);
+      await waitFor(() => emailOutboxStore.get(first.id).status === 'sent');
+      const again = await notifier.send(message);
+
+      assert.strictEqual(first.queued, true);
+      assert.deepStrictEqual(again, {
+        queued: false,
+        duplicate: true,
+        id: first.id,
+        status: 'sent',
+        reason: 'Already queued as once:1'
+      });
+      assert.strictEqual(emailOutboxStore.getByKey('once:1').id, first.id);
+
+      // Unkeyed messages are never held back
+      await notifier.send({ to: 'client@example.com', subject: 'Again', text: 'x' });
+      await notifier.send({ to: 'client@example.com', subject: 'Again', text: 'x' });
+      await waitFor(() => sink.messages.length === 3);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.strictEqual(sink.messages.length, 3);
+    } finally {
+      notifier.stop();
+      await sink.stop();
+    }
+  }
+
+  async testWelcomeOnce() {
+    const sink = new SmtpSink();
+    const port = await sink.start();
+    const { smtp, from } = notifierFor(port);
+    Object.assign(emailNotifier, { enabled: true, smtp, from });
+
+    const client = { id: 'client-new', name: 'Nina', email: 'nina@example.com', jobCount: 1 };
+    const welcome = { rule: 'newClientOnboarding', priority: 70, params: {}, actions: ['sendWelcomeMessage'], shadow: false };
+    const welcomeFor = (topic, itemId, data) => decisionEngine.executeDecisions([welcome], {
+      event: { topic, itemId },
+      data,
+      features: {}
+    });
+
+    try {
+      // The job's creation, a later update to it, and the client record itself
+      const [created] = await welcomeFor('JOB_CREATE', 'job-1', { id: 'job-1', client });
+      const [updated] = await welcomeFor('JOB_UPDATE', 'job-1', { id: 'job-1', client });
+      const [clientEvent] = await welcomeFor('CLIENT_UPDATE', client.id, client);
+
+      assert.strictEqual(created.result.sent, true);
+      for (const repeat of [updated, clientEvent]) {
+        assert.strictEqual(repeat.result.sent, false);
+        assert.strictEqual(repeat.result.alreadyWelcomed, true);
+        assert.strictEqual(repeat.result.messageId, created.result.messageId);
+      }
+
+      // Another client gets their own
+      const [other] = await welcomeFor('JOB_CREATE', 'job-2', { id: 'job-2', client: { ...client, id: 'client-other', email: 'omar@example.com' } });
+      assert.strictEqual(other.result.sent, true);
+
+      await waitFor(() => sink.messages.length === 2);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.deepStrictEqual(
+        sink.messages.map(message => message.to[0].match(/<(.*)>/)[1]),
+        ['nina@example.com', 'omar@example.com']
+      );
+    } finally {
+      emailNotifier.stop();
+      await sink.stop();
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new EmailOutboxTester();
+  tester.runAllTests();
+}
+
+module.exports = EmailOutboxTester;
@@ -3,6 +3,20 @@ const logger = require('../src/utils/logger');
 
 // Test configuration
 const BASE_URL = process.env.TEST_URL || 'http://localhost:3000';
+
+// Everything but /health needs a token. TEST_TOKEN is used if set; otherwise an
+// admin token is signed here, which works when JWT_SECRET matches the agent's.
+function testToken() {
+  if (process.env.TEST_TOKEN) {
+    return process.env.TEST_TOKEN;
+  }
+  return require('../src/middleware/auth').issueToken({ subject: 'multi-user-test', role: 'admin' });
+}
+
+const api = axios.create({
+  baseURL: BASE_URL,
+  headers: { Authorization: `Bearer ${testToken()}` }
+});
 const TEST_USERS = [
   { id: 'user-angelo', name: 'Angelo' },
   { id: 'user-austin', name: 'Austin' },
@@ -75,7 +89,7 @@ class MultiUserTester {
       try {
         const webhook = this.createJobWebhook(user);
         
-        const response = await axios.post(`${BASE_URL}/test/webhook`, {
+        const response = await api.post('/test/webhook', {
           userId: user.id,
           userName: user.name
         });
@@ -104,7 +118,7 @@ class MultiUserTester {
     console.log('⚡ Test 2: Simultaneous webhooks from all users');
     
     const promises = TEST_USERS.map(user => 
-      axios.post(`${BASE_URL}/test/webhook`, {
+      api.post('/test/webhook', {
         userId: user.id,
         userName: user.name
       }).then(() => {
@@ -149,7 +163,7 @@ class MultiUserTester {
         // For real webhook endpoint (with proper signature)
         // This would need proper HMAC signature in production
         // For test endpoint
-        const response = await axios.post(`${BASE_URL}/test/webhook`, {
+        const response = await api.post('/test/webhook', {
           userId: user.id,
           userName: user.name,
           topic: eventType
@@ -178,7 +192,7 @@ class MultiUserTester {
       const user = TEST_USERS[i % TEST_USERS.length];
       
       promises.push(
-        axios.post(`${BASE_URL}/test/webhook`, {
+        api.post('/test/webhook', {
           userId: user.id,
           userName: user.name
         }).then(() => {
@@ -201,7 +215,7 @@ class MultiUserTester {
 
   async checkStats() {
     try {
-      const response = await axios.get(`${BASE_URL}/status`);
+      const response = await api.get('/status');
       const stats = response.data.stats;
       
       console.log('📊 Server Statistics:');
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const { NearestTechService } = require('../src/services/NearestTechService');
+const { PostalCodeGeocoder, haversineKm, postalCodeKeys } = require('../src/services/PostalCodeGeocoder');
+
+const geocoder = new PostalCodeGeocoder({
+  centroids: {
+    98101: [47.6114, -122.3305], // Downtown Seattle
+    98103: [47.6733, -122.3426], // Fremont
+    98004: [47.6180, -122.2046], // Bellevue
+    98402: [47.2530, -122.4420], // Tacoma
+    V6B: [49.2800, -123.1150] // Vancouver FSA
+  }
+});
+
+const NOW = new Date('2026-03-10T18:00:00.000Z');
+const at = (hours) => new Date(NOW.getTime() + hours * 60 * 60 * 1000).toISOString();
+const address = postalCode => ({ address: { street1: '1 Main St', postalCode } });
+
+const JOB = { id: 'job-new', title: 'Leaking faucet', property: address('98101') };
+const TECHS = [
+  { id: 'tacoma', name: 'Tacoma Tech' },
+  { id: 'fremont', name: 'Fremont Tech' },
+  { id: 'bellevue', name: 'Bellevue Tech' },
+  { id: 'nowhere', name: 'Unscheduled Tech' }
+];
+
+const SCHEDULE = {
+  jobs: [
+    // Finished in Tacoma this morning
+    { id: 'j1', startAt: at(-5), endAt: at(-4), assignedTo: { id: 'tacoma' }, property: address('98402') },
+    // Finished in Bellevue, now working in Fremont
+    { id: 'j2', startAt: at(-3), endAt: at(-2), assignedTo: { id: 'fremont' }, property: address('98004') }
+  ],
+  visits: [
+    { id: 'v1', startAt: at(-1), endAt: at(1), assignedTo: { id: 'fremont' }, property: address('98103') },
+    // Closest, but on a job in Bellevue until later this afternoon
+    { id: 'v2', startAt: at(-1), endAt: at(3), assignedTo: { id: 'bellevue' }, property: address('98004') }
+  ]
+};
+
+class NearestTechTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting nearest technician tests...\n');
+
+    await this.run('Normalizes ZIP+4 and Canadian postal codes', () => this.testPostalCodeKeys());
+    await this.run('Computes haversine distances', () => this.testHaversine());
+    await this.run('Ranks techs by distance from their schedule location', () => this.testRanking());
+    await this.run('Skips techs booked during the job window', () => this.testBusyTech());
+    await this.run('Explains when the job cannot be geocoded', () => this.testUnknownJobAddress());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testPostalCodeKeys() {
+    assert.deepStrictEqual(postalCodeKeys('98101-1234'), ['981011234', '98101']);
+    assert.deepStrictEqual(postalCodeKeys('v6b 1a1'), ['V6B1A1', 'V6B']);
+    assert.deepStrictEqual(geocoder.lookup('V6B 1A1'), { lat: 49.28, lng: -123.115 });
+    assert.strictEqual(geocoder.lookup('00000'), null);
+  }
+
+  testHaversine() {
+    // Seattle to Vancouver is roughly 190 km as the crow flies
+    const km = haversineKm({ lat: 47.6114, lng: -122.3305 }, { lat: 49.28, lng: -123.115 });
+    assert.ok(km > 180 && km < 200, `expected ~190 km, got ${km}`);
+  }
+
+  testRanking() {
+    const service = new NearestTechService({ geocoder });
+    const { ranking } = service.rank({ job: JOB, candidates: TECHS, schedule: SCHEDULE, at: NOW });
+
+    assert.deepStrictEqual(ranking.map(r => r.techId), ['fremont', 'bellevue', 'tacoma', 'nowhere']);
+    assert.strictEqual(ranking[0].location.source, 'current');
+    assert.strictEqual(ranking[0].location.postalCode, '98103');
+    assert.strictEqual(ranking[2].location.source, 'lastVisit');
+    assert.strictEqual(ranking[3].distanceKm, null);
+  }
+
+  testBusyTech() {
+    const service = new NearestTechService({ geocoder });
+    const job = { ...JOB, startAt: at(2), endAt: at(4) };
+    const { ranking } = service.rank({ job, candidates: TECHS, schedule: SCHEDULE, at: NOW });
+
+    const bellevue = ranking.find(r => r.techId === 'bellevue');
+    const fremont = ranking.find(r => r.techId === 'fremont');
+    assert.strictEqual(bellevue.free, false);
+    assert.match(bellevue.reason, /v2/);
+    // Fremont's visit ends before the job starts
+    assert.strictEqual(fremont.free, true);
+    assert.strictEqual(ranking.find(r => r.free && r.distanceKm !== null).techId, 'fremont');
+  }
+
+  testUnknownJobAddress() {
+    const service = new NearestTechService({ geocoder });
+    const job = { ...JOB, property: address('12345') };
+    const result = service.rank({ job, candidates: TECHS, schedule: SCHEDULE, at: NOW });
+    assert.deepStrictEqual(result.ranking, []);
+    assert.match(result.reason, /12345/);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new NearestTechTester();
+  tester.runAllTests();
+}
+
+module.exports = NearestTechTester;
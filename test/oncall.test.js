@@ -0,0 +1,188 @@
+// Keep rotations and pages out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const { OnCallService, validateRotation, validateOverride } = require('../src/services/OnCallService');
+const onCallStore = require('../src/storage/OnCallStore');
+const onCallService = require('../src/services/OnCallService');
+const decisionEngine = require('../src/agent/DecisionEngine');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = '2026-01-05T09:00:00.000Z';
+
+class OnCallTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting on-call tests...\n');
+
+    await this.run('Rotates weekly through the members', () => this.testWeeklyRotation());
+    await this.run('Overrides take precedence over the rotation', () => this.testOverride());
+    await this.run('Validates rotations and overrides', () => this.testValidation());
+    await this.run('Escalates unacknowledged pages down the chain', () => this.testEscalation());
+    await this.run('Acknowledged pages stop escalating', () => this.testAcknowledge());
+    await this.run('Pages once per emergency job', () => this.testPageOnce());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  // Service with a zero ack window, recording who it notified instead of
+  // sending SMS and Slack messages
+  createService() {
+    const service = new OnCallService({ ackTimeout: 0 });
+    service.notified = [];
+    service.notify = async page => {
+      service.notified.push(page.userId);
+      return ['test'];
+    };
+    return service;
+  }
+
+  testWeeklyRotation() {
+    const service = this.createService();
+    onCallStore.saveRotation('plumbing', { members: ['u1', 'u2', 'u3'], startsAt: START });
+
+    const at = days => new Date(new Date(START).getTime() + days * DAY);
+    assert.strictEqual(service.getOnCall('plumbing', at(-1)), null);
+    assert.strictEqual(service.getOnCall('plumbing', at(0)).userId, 'u1');
+    assert.strictEqual(service.getOnCall('plumbing', at(8)).userId, 'u2');
+    assert.strictEqual(service.getOnCall('plumbing', at(22)).userId, 'u1');
+
+    const current = service.getOnCall('plumbing', at(15));
+    assert.strictEqual(current.userId, 'u3');
+    assert.deepStrictEqual(current.escalationChain, ['u3', 'u1', 'u2']);
+    assert.strictEqual(current.until, at(21).toISOString());
+  }
+
+  testOverride() {
+    const service = this.createService();
+    onCallStore.saveRotation('hvac', { members: ['u1', 'u2'], startsAt: START });
+    onCallStore.createOverride('hvac', {
+      userId: 'u9',
+      startsAt: '2026-01-06T00:00:00.000Z',
+      endsAt: '2026-01-07T00:00:00.000Z'
+    });
+
+    const during = service.getOnCall('hvac', new Date('2026-01-06T12:00:00.000Z'));
+    assert.strictEqual(during.userId, 'u9');
+    assert.strictEqual(during.source, 'override');
+    assert.deepStrictEqual(during.escalationChain, ['u9', 'u1', 'u2']);
+
+    const after = service.getOnCall('hvac', new Date('2026-01-07T12:00:00.000Z'));
+    assert.strictEqual(after.userId, 'u1');
+    assert.strictEqual(after.source, 'rotation');
+  }
+
+  testValidation() {
+    assert.deepStrictEqual(validateRotation({ members: ['u1'], startsAt: START }), []);
+    assert.strictEqual(validateRotation({ members: [], startsAt: 'soon' }).length, 2);
+    assert.strictEqual(validateRotation({ members: ['u1', 'u1'], startsAt: START }).length, 1);
+    assert.strictEqual(validateOverride({ userId: 'u1', startsAt: START, endsAt: START }).length, 1);
+  }
+
+  async testEscalation() {
+    const service = this.createService();
+    onCallStore.saveRotation('electrical', { members: ['u1', 'u2'], startsAt: START });
+
+    const result = await service.page({ team: 'electrical', job: { id: 'job-1', title: 'Sparking panel' } });
+    service.stop();
+    assert.strictEqual(result.paged, true);
+
+    await service.escalateDue();
+    let page = onCallStore.getPage(result.pageId);
+    assert.strictEqual(page.level, 1);
+    assert.strictEqual(page.userId, page.chain[1]);
+
+    await service.escalateDue();
+    page = onCallStore.getPage(result.pageId);
+    assert.strictEqual(page.status, 'exhausted');
+    assert.deepStrictEqual(service.notified, page.chain);
+  }
+
+  async testAcknowledge() {
+    const service = this.createService();
+    onCallStore.saveRotation('roofing', { members: ['u1', 'u2'], startsAt: START });
+
+    const { pageId } = await service.page({ team: 'roofing' });
+    service.stop();
+
+    const page = service.acknowledge(pageId, { actor: 'u1' });
+    assert.strictEqual(page.status, 'acknowledged');
+    assert.strictEqual(service.acknowledge(pageId), null);
+
+    await service.escalateDue();
+    assert.strictEqual(onCallStore.getPage(pageId).level, 0);
+    assert.strictEqual(service.notified.length, 1);
+
+    const nobody = await service.page({ team: 'nobody' });
+    assert.strictEqual(nobody.paged, false);
+  }
+
+  async testPageOnce() {
+    onCallStore.saveRotation(onCallService.defaultTeam, { members: ['u1', 'u2'], startsAt: START });
+    const notified = [];
+    onCallService.notify = async page => {
+      notified.push(page.userId);
+      return ['test'];
+    };
+
+    const emergency = { rule: 'emergencyResponse', priority: 100, params: {}, actions: ['notifyOnCall'], shadow: false };
+    const analyze = itemId => decisionEngine.executeDecisions([emergency], {
+      event: { topic: 'JOB_UPDATE', itemId },
+      jobId: itemId,
+      data: { id: itemId, title: 'Burst pipe - flooding' },
+      features: {}
+    });
+
+    try {
+      const [first] = await analyze('job-flood');
+      assert.strictEqual(first.result.paged, true);
+      assert.strictEqual(onCallStore.getPage(first.result.pageId).itemId, 'job-flood');
+
+      // The same job processed again while the page is open, before and after it is acknowledged
+      const [second] = await analyze('job-flood');
+      assert.deepStrictEqual(second.result, {
+        paged: false,
+        skipped: true,
+        pageId: first.result.pageId,
+        reason: 'Page already pending'
+      });
+      onCallService.acknowledge(first.result.pageId, { actor: 'u1' });
+      const [third] = await analyze('job-flood');
+      assert.strictEqual(third.result.reason, 'Page already acknowledged');
+
+      assert.deepStrictEqual(notified, ['u1']);
+      assert.strictEqual(onCallStore.listPages({ team: onCallService.defaultTeam }).total, 1);
+
+      // A different job gets its own page
+      const [other] = await analyze('job-fire');
+      assert.strictEqual(other.result.paged, true);
+      assert.strictEqual(notified.length, 2);
+    } finally {
+      onCallService.stop();
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new OnCallTester();
+  tester.runAllTests();
+}
+
+module.exports = OnCallTester;
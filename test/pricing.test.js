@@ -0,0 +1,210 @@
+// Keep adjustments out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const jobberAPI = require('../src/api/JobberAPI');
+const { PricingService } = require('../src/services/PricingService');
+const pricingStore = require('../src/storage/PricingStore');
+const decisionEngine = require('../src/agent/DecisionEngine');
+
+const PRICING = {
+  surcharges: {
+    weekend: { label: 'Weekend surcharge', rate: 0.5 },
+    afterHours: { label: 'After-hours surcharge', rate: 0.25 },
+    emergency: { label: 'Emergency call-out fee', flatFee: 150 },
+    holiday: { label: 'Holiday surcharge', rate: 1.0 }
+  },
+  holidays: ['2026-12-25']
+};
+
+const quote = (id, extra = []) => ({
+  id,
+  total: 400,
+  lineItems: [
+    { id: `${id}-1`, name: 'Drain cleaning', description: 'Main line', quantity: 2, unitPrice: 150, total: 300 },
+    { id: `${id}-2`, name: 'Parts', description: '', quantity: 1, unitPrice: 100, total: 100 },
+    ...extra
+  ]
+});
+
+// Quotes the engine reads, and the line items it would write back to Jobber
+const quotes = new Map();
+const quoteUpdates = [];
+jobberAPI.getQuote = async id => ({ ...quotes.get(id) });
+jobberAPI.updateQuote = async (id, { lineItems }) => {
+  quoteUpdates.push([id, lineItems.map(item => item.name)]);
+  return { id, lineItems };
+};
+
+// Context for a quote event as analyze() would build it
+function quoteContext(data) {
+  quotes.set(data.id, data);
+  return {
+    event: { topic: 'QUOTE_UPDATE', itemId: data.id },
+    quoteId: data.id,
+    data,
+    features: decisionEngine.extractFeatures(data, {})
+  };
+}
+
+const surchargePricing = { rule: 'surchargePricing', priority: 75, params: {}, actions: ['applySurcharges'], shadow: false };
+
+class PricingTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+    this.service = new PricingService({ pricing: PRICING });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting pricing tests...\n');
+
+    await this.run('Picks surcharges from features, keywords and holidays', () => this.testApplicable());
+    await this.run('Adds surcharge line items on the pre-surcharge subtotal', () => this.testPlan());
+    await this.run('Records before and after totals', () => this.testRecord());
+    await this.run('Refuses to re-apply a recorded surcharge', () => this.testRecordedNotReapplied());
+    await this.run('Refuses to re-apply a surcharge already on the quote', () => this.testPresentNotReapplied());
+    await this.run('Times surcharges by the scheduled start, not the event', () => this.testScheduledStart());
+    await this.run('Leaves approved and converted quotes alone', () => this.testClosedQuotes());
+    await this.run('Adds no second line for a surcharge on the quote', () => this.testExistingLine());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  async testApplicable() {
+    const christmas = new Date(2026, 11, 25, 19);
+    const names = this.service.applicable({
+      features: { isWeekend: false, isAfterHours: true },
+      quote: { lineItems: [{ name: 'Burst pipe repair', description: 'Flooding in basement' }] },
+      emergencyKeywords: ['flooding'],
+      at: christmas
+    });
+    assert.deepStrictEqual(names, ['afterHours', 'emergency', 'holiday']);
+
+    // Features only bring in the emergency surcharge; time comes from `at`
+    assert.deepStrictEqual(this.service.applicable({
+      features: { isWeekend: true, isAfterHours: true },
+      at: new Date(2026, 11, 24, 10)
+    }), []);
+  }
+
+  async testPlan() {
+    const plan = this.service.plan(quote('q-plan'), ['weekend', 'emergency']);
+
+    assert.strictEqual(plan.baseSubtotal, 400);
+    assert.deepStrictEqual(plan.added.map(a => [a.surcharge, a.amount]), [['weekend', 200], ['emergency', 150]]);
+    assert.strictEqual(plan.beforeTotal, 400);
+    assert.strictEqual(plan.afterTotal, 750);
+
+    // Existing items are sent back with their IDs, new ones without
+    assert.strictEqual(plan.lineItems.length, 4);
+    assert.strictEqual(plan.lineItems[0].id, 'q-plan-1');
+    assert.deepStrictEqual(plan.lineItems[2], {
+      name: 'Weekend surcharge', description: '50% of 400.00', quantity: 1, unitPrice: 200
+    });
+
+    // A rule's multiplier overrides the configured rate
+    const overridden = this.service.plan(quote('q-plan'), ['weekend'], { weekend: { rate: 0.25 } });
+    assert.strictEqual(overridden.added[0].amount, 100);
+  }
+
+  async testRecord() {
+    const plan = this.service.plan(quote('q-record'), ['afterHours']);
+    const adjustment = this.service.record(plan, { updatedQuote: { id: 'q-record', total: 500 }, decisionId: 'd-1' });
+
+    assert.strictEqual(adjustment.quoteId, 'q-record');
+    assert.strictEqual(adjustment.beforeTotal, 400);
+    assert.strictEqual(adjustment.afterTotal, 500);
+    assert.deepStrictEqual(adjustment.surcharges, [{ surcharge: 'afterHours', label: 'After-hours surcharge', amount: 100 }]);
+    assert.strictEqual(pricingStore.list({ quoteId: 'q-record' }).total, 1);
+  }
+
+  async testRecordedNotReapplied() {
+    this.service.record(this.service.plan(quote('q-again'), ['weekend']), {});
+
+    // Even if someone removed the line item in Jobber, the record stops a second charge
+    const plan = this.service.plan(quote('q-again'), ['weekend', 'holiday']);
+    assert.deepStrictEqual(plan.added.map(a => a.surcharge), ['holiday']);
+    assert.deepStrictEqual(plan.skipped, [{ surcharge: 'weekend', reason: 'Already applied' }]);
+  }
+
+  async testPresentNotReapplied() {
+    const existing = { id: 'q-line-3', name: 'Weekend Surcharge', quantity: 1, unitPrice: 200, total: 200 };
+    const plan = this.service.plan({ ...quote('q-line', [existing]), total: 600 }, ['weekend', 'afterHours']);
+
+    assert.deepStrictEqual(plan.skipped, [{ surcharge: 'weekend', reason: 'Already applied' }]);
+    // Surcharges are charged on the original work only, not on each other
+    assert.strictEqual(plan.baseSubtotal, 400);
+    assert.strictEqual(plan.added[0].amount, 100);
+    assert.strictEqual(plan.afterTotal, 700);
+  }
+
+  async testScheduledStart() {
+    const saturdayEvening = new Date(2026, 11, 26, 19);
+    const weekdayMorning = new Date(2026, 11, 22, 10);
+
+    // A quote for Saturday evening work, whatever time it is now
+    assert.deepStrictEqual(
+      this.service.applicable({ quote: { startAt: saturdayEvening.toISOString() } }),
+      ['weekend', 'afterHours']
+    );
+    assert.deepStrictEqual(this.service.applicable({ quote: { startAt: weekdayMorning.toISOString() } }), []);
+
+    // Rule features follow the job's or quote's start as well
+    const features = decisionEngine.extractFeatures({ startAt: new Date(2026, 11, 25, 9).toISOString() }, {});
+    assert.deepStrictEqual(
+      [features.dayOfWeek, features.isWeekend, features.isAfterHours, features.isHoliday],
+      [5, false, false, true]
+    );
+  }
+
+  async testClosedQuotes() {
+    quoteUpdates.length = 0;
+    const startAt = new Date(2026, 11, 25, 19).toISOString();
+
+    for (const status of ['approved', 'converted']) {
+      const [result] = await decisionEngine.executeDecisions([surchargePricing],
+        quoteContext({ ...quote(`q-${status}`), status, startAt }));
+      assert.deepStrictEqual(result.result, { applied: false, reason: `Quote is ${status}` });
+    }
+    assert.deepStrictEqual(quoteUpdates, []);
+
+    const [applied] = await decisionEngine.executeDecisions([surchargePricing],
+      quoteContext({ ...quote('q-awaiting'), status: 'awaiting_response', startAt }));
+    assert.strictEqual(applied.result.applied, true);
+    assert.deepStrictEqual(applied.result.surcharges.map(s => s.surcharge), ['afterHours', 'holiday']);
+  }
+
+  async testExistingLine() {
+    quoteUpdates.length = 0;
+    const startAt = new Date(2026, 11, 22, 19).toISOString();
+    const existing = { id: 'q-present-3', name: 'After-hours surcharge', quantity: 1, unitPrice: 100, total: 100 };
+
+    const [result] = await decisionEngine.executeDecisions([surchargePricing],
+      quoteContext({ ...quote('q-present', [existing]), total: 500, status: 'draft', startAt }));
+
+    assert.strictEqual(result.result.applied, false);
+    assert.deepStrictEqual(result.result.skipped, [{ surcharge: 'afterHours', reason: 'Already applied' }]);
+    assert.deepStrictEqual(quoteUpdates, []);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new PricingTester();
+  tester.runAllTests();
+}
+
+module.exports = PricingTester;
@@ -0,0 +1,265 @@
+// Keep the pipeline out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const jobberAPI = require('../src/api/JobberAPI');
+const emailNotifier = require('../src/notifications/EmailNotifier');
+const { QuotePipelineService } = require('../src/services/QuotePipelineService');
+const quotePipelineStore = require('../src/storage/QuotePipelineStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Quotes are created now, since webhooks plan from the current time
+const CREATED = new Date();
+const after = days => new Date(CREATED.getTime() + days * DAY);
+
+// Quotes as Jobber would return them, keyed by ID; tests change their status
+const quotes = new Map();
+const quote = (id, overrides = {}) => {
+  const value = {
+    id,
+    number: id.replace(/\D/g, ''),
+    status: 'awaiting_response',
+    total: 1200,
+    createdAt: CREATED.toISOString(),
+    expiresAt: after(14).toISOString(),
+    client: { id: 'c1', name: 'Dana Client', email: 'dana@example.com' },
+    ...overrides
+  };
+  quotes.set(id, value);
+  return value;
+};
+
+// Stand in for Jobber and the outbox so nothing leaves the process
+const sent = [];
+jobberAPI.getQuote = async id => ({ ...quotes.get(id) });
+jobberAPI.getUserById = async id => ({ id, name: 'Sam Sales', email: 'sam@example.com' });
+emailNotifier.send = async message => {
+  sent.push(message);
+  return { queued: true, status: 'sent' };
+};
+
+const createService = () => new QuotePipelineService({
+  followUpDays: [2, 7],
+  expiryReminderBefore: 2 * DAY,
+  pollInterval: 60000
+});
+
+const create = (service, q, userId = 'sam') =>
+  service.handleEvent({ topic: 'QUOTE_CREATE', itemId: q.id }, q, { userId, userName: 'Sam Sales' });
+const update = (service, q) => service.handleEvent({ topic: 'QUOTE_UPDATE', itemId: q.id }, q);
+
+class QuotePipelineTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting quote pipeline tests...\n');
+
+    await this.run('Schedules follow-ups and expiry reminders', () => this.testPlan());
+    await this.run('Ignores a redelivered QUOTE_CREATE', () => this.testRedelivery());
+    await this.run('Sends due follow-ups to the client and the creator', () => this.testSendDue());
+    await this.run('Stops when an update shows the quote approved', () => this.testStopOnUpdate());
+    await this.run('Stops when Jobber shows a decision at send time', () => this.testStopAtSend());
+    await this.run('Expires quotes past their expiry', () => this.testExpiry());
+    await this.run('Reports conversion per user', () => this.testStats());
+    await this.run('Counts follow-ups from when the quote was sent', () => this.testFromSent());
+    await this.run('Starts following up once a draft is sent', () => this.testDraft());
+    await this.run('Stops when the quote is archived', () => this.testArchived());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      sent.length = 0;
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      sent.length = 0;
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testPlan() {
+    const service = createService();
+    const steps = service.plan(quote('q-100'), CREATED);
+
+    assert.deepStrictEqual(steps.map(s => [s.kind, s.recipient, s.dueAt]), [
+      ['followUp', 'client', after(2).toISOString()],
+      ['followUp', 'client', after(7).toISOString()],
+      ['expiryReminder', 'client', after(12).toISOString()],
+      ['expiryReminder', 'user', after(12).toISOString()]
+    ]);
+
+    // Follow-ups that would land after the expiry reminder are dropped
+    const short = service.plan(quote('q-101', { expiresAt: after(5).toISOString() }), CREATED);
+    assert.deepStrictEqual(short.map(s => s.kind), ['followUp', 'expiryReminder', 'expiryReminder']);
+
+    // Without an expiry there is nothing to remind about
+    const open = service.plan(quote('q-102', { expiresAt: null }), CREATED);
+    assert.deepStrictEqual(open.map(s => s.kind), ['followUp', 'followUp']);
+  }
+
+  testRedelivery() {
+    const service = createService();
+    const q = quote('q-200');
+
+    assert.strictEqual(create(service, q).tracked, true);
+    assert.strictEqual(create(service, q).tracked, false);
+    assert.strictEqual(quotePipelineStore.get('q-200').followUps.length, 4);
+    service.stop();
+  }
+
+  async testSendDue() {
+    const service = createService();
+    create(service, quote('q-300'));
+    service.stop();
+
+    // Quotes from earlier tests are due too - only look at this one's messages
+    const mine = () => sent.filter(message => message.subject.includes('#300'));
+
+    await service.sendDue(after(3));
+    assert.strictEqual(mine().length, 1);
+    assert.strictEqual(mine()[0].to, 'dana@example.com');
+    assert.strictEqual(mine()[0].tag, 'quote-followUp');
+
+    await service.sendDue(after(12.5));
+    assert.deepStrictEqual(mine().map(m => m.to), ['dana@example.com', 'dana@example.com', 'dana@example.com', 'sam@example.com']);
+    assert.ok(mine()[2].subject.includes('expires soon'));
+
+    const tracked = quotePipelineStore.get('q-300');
+    assert.ok(tracked.followUps.every(step => step.status === 'sent'));
+    assert.strictEqual(tracked.status, 'open');
+  }
+
+  async testStopOnUpdate() {
+    const service = createService();
+    create(service, quote('q-400'));
+    service.stop();
+
+    const approved = quote('q-400', { status: 'approved' });
+    const result = service.handleEvent({ topic: 'QUOTE_UPDATE', itemId: 'q-400' }, approved);
+    assert.deepStrictEqual(result, { closed: true, outcome: 'approved' });
+
+    await service.sendDue(after(20));
+    assert.strictEqual(sent.length, 0);
+
+    const tracked = quotePipelineStore.get('q-400');
+    assert.strictEqual(tracked.status, 'approved');
+    assert.ok(tracked.followUps.every(step => step.status === 'cancelled'));
+  }
+
+  async testStopAtSend() {
+    const service = createService();
+    create(service, quote('q-500'));
+    service.stop();
+
+    // The decline webhook never arrived, but Jobber knows
+    quote('q-500', { status: 'declined' });
+    await service.sendDue(after(3));
+
+    assert.strictEqual(sent.length, 0);
+    assert.strictEqual(quotePipelineStore.get('q-500').status, 'declined');
+  }
+
+  async testExpiry() {
+    const service = createService();
+    create(service, quote('q-600', { expiresAt: after(1).toISOString() }));
+    service.stop();
+
+    await service.sendDue(after(1.5));
+    assert.strictEqual(quotePipelineStore.get('q-600').status, 'expired');
+    // The reminder was due immediately, but the quote had already expired
+    assert.strictEqual(sent.length, 0);
+  }
+
+  testStats() {
+    const service = createService();
+    create(service, quote('q-700', { total: 500 }), 'alex');
+    create(service, quote('q-701', { total: 800 }), 'alex');
+    create(service, quote('q-702'), 'alex');
+    service.stop();
+    service.handleEvent({ topic: 'QUOTE_UPDATE' }, quote('q-700', { status: 'approved', total: 500 }));
+    service.handleEvent({ topic: 'QUOTE_UPDATE' }, quote('q-701', { status: 'declined' }));
+
+    const stats = service.getStats();
+    const alex = stats.users.find(row => row.userId === 'alex');
+    assert.deepStrictEqual(
+      { created: alex.created, approved: alex.approved, declined: alex.declined, open: alex.open, conversionRate: alex.conversionRate },
+      { created: 3, approved: 1, declined: 1, open: 1, conversionRate: 0.5 }
+    );
+    assert.strictEqual(alex.approvedValue, 500);
+    assert.ok(stats.totals.created >= 3);
+  }
+
+  testFromSent() {
+    const service = createService();
+    const sentAt = new Date(CREATED.getTime() - 3 * DAY);
+    const days = step => (new Date(step.dueAt) - sentAt) / DAY;
+
+    // Created a week before it was sent; the follow-ups still count from sending
+    const steps = service.plan(quote('q-800', {
+      createdAt: new Date(sentAt.getTime() - 7 * DAY).toISOString(),
+      sentAt: sentAt.toISOString(),
+      expiresAt: null
+    }), CREATED);
+    // Day 2 has already passed, so only day 7 is left
+    assert.deepStrictEqual(steps.map(days), [7]);
+  }
+
+  async testDraft() {
+    const service = createService();
+    const draft = quote('q-900', { status: 'draft' });
+
+    assert.deepStrictEqual(create(service, draft), { tracked: false, reason: 'Quote has not been sent' });
+    assert.strictEqual(update(service, draft).tracked, false);
+    assert.strictEqual(quotePipelineStore.get('q-900'), null);
+
+    const result = update(service, quote('q-900', { sentAt: CREATED.toISOString() }));
+    service.stop();
+    assert.strictEqual(result.tracked, true);
+    assert.strictEqual(result.steps[0].dueAt, after(2).toISOString());
+    assert.strictEqual(quotePipelineStore.get('q-900').status, 'open');
+
+    // Later updates don't plan it again
+    assert.strictEqual(update(service, quote('q-900')).tracked, false);
+    assert.strictEqual(quotePipelineStore.get('q-900').followUps.length, 4);
+  }
+
+  async testArchived() {
+    const service = createService();
+    create(service, quote('q-950'), 'blair');
+    create(service, quote('q-951', { total: 300 }), 'blair');
+    service.stop();
+
+    assert.deepStrictEqual(update(service, quote('q-950', { status: 'archived' })), { closed: true, outcome: 'archived' });
+    update(service, quote('q-951', { status: 'approved', total: 300 }));
+
+    await service.sendDue(after(20));
+    assert.strictEqual(sent.filter(message => message.subject.includes('#950')).length, 0);
+    assert.ok(quotePipelineStore.get('q-950').followUps.every(step => step.status === 'cancelled'));
+
+    // Archived quotes were withdrawn, not turned down
+    const blair = service.getStats().users.find(row => row.userId === 'blair');
+    assert.deepStrictEqual(
+      { archived: blair.archived, declined: blair.declined, conversionRate: blair.conversionRate },
+      { archived: 1, declined: 0, conversionRate: 1 }
+    );
+
+    // A quote archived before it was ever tracked isn't started
+    assert.strictEqual(create(service, quote('q-952', { status: 'archived' })).tracked, false);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new QuotePipelineTester();
+  tester.runAllTests();
+}
+
+module.exports = QuotePipelineTester;
@@ -0,0 +1,197 @@
+// Keep receivables out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const jobberAPI = require('../src/api/JobberAPI');
+const emailNotifier = require('../src/notifications/EmailNotifier');
+const slackNotifier = require('../src/notifications/SlackNotifier');
+const { ReceivablesService } = require('../src/services/ReceivablesService');
+const receivablesStore = require('../src/storage/ReceivablesStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DUE = new Date('2026-04-01T17:00:00.000Z');
+const overdue = days => new Date(DUE.getTime() + days * DAY);
+
+// Invoices as Jobber would return them, keyed by ID; tests change balances
+const invoices = new Map();
+const invoice = (id, overrides = {}) => {
+  const value = {
+    id,
+    number: id.replace(/\D/g, ''),
+    status: 'awaiting_payment',
+    total: 850,
+    balance: 850,
+    createdAt: '2026-03-18T17:00:00.000Z',
+    dueAt: DUE.toISOString(),
+    client: { id: 'c1', name: 'Robin Client', email: 'robin@example.com' },
+    job: { id: 'j1', title: 'Water heater install' },
+    ...overrides
+  };
+  invoices.set(id, value);
+  return value;
+};
+
+// Stand in for Jobber, the outbox and Slack so nothing leaves the process
+const emails = [];
+const slackAlerts = [];
+jobberAPI.getInvoice = async id => ({ ...invoices.get(id) });
+emailNotifier.send = async message => {
+  emails.push(message);
+  return { queued: true, status: 'sent' };
+};
+slackNotifier.notifyJob = async options => {
+  slackAlerts.push(options);
+  return { sent: true };
+};
+
+const createService = () => new ReceivablesService({
+  reminderDays: [1, 7, 14],
+  managerEmails: ['ar-manager@example.com'],
+  pollInterval: 60000
+});
+
+const track = (service, value) => {
+  const result = service.handleEvent({ topic: 'INVOICE_UPDATE', itemId: value.id }, value);
+  service.stop();
+  return result;
+};
+
+// Only the messages about one invoice - earlier tests leave overdue invoices behind
+const about = (messages, number) => messages.filter(m => (m.subject || m.headline).includes(`#${number}`));
+
+class ReceivablesTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting receivables tests...\n');
+
+    await this.run('Works out the reminder stage from days overdue', () => this.testStages());
+    await this.run('Escalates friendly, firm, then a manager alert', () => this.testEscalation());
+    await this.run('Sends only the latest due stage for long-overdue invoices', () => this.testSkipsToLatest());
+    await this.run('Halts when a webhook shows a zero balance', () => this.testPaidWebhook());
+    await this.run('Halts when Jobber shows a zero balance at send time', () => this.testPaidAtSend());
+    await this.run('Ignores drafts and stops on bad debt', () => this.testDraftAndBadDebt());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    } finally {
+      emails.length = 0;
+      slackAlerts.length = 0;
+    }
+  }
+
+  testStages() {
+    const service = createService();
+    assert.strictEqual(service.stageFor(DUE.toISOString(), overdue(-1)), 0);
+    assert.strictEqual(service.stageFor(DUE.toISOString(), overdue(1)), 1);
+    assert.strictEqual(service.stageFor(DUE.toISOString(), overdue(10)), 2);
+    assert.strictEqual(service.stageFor(DUE.toISOString(), overdue(30)), 3);
+    assert.strictEqual(service.stageFor(null, overdue(30)), 0);
+
+    assert.throws(() => new ReceivablesService({ reminderDays: [1, 7] }), /needs 3 values/);
+  }
+
+  async testEscalation() {
+    const service = createService();
+    assert.strictEqual(track(service, invoice('inv-100')).tracked, true);
+
+    await service.sendDue(overdue(0.5));
+    assert.strictEqual(about(emails, 100).length, 0);
+
+    await service.sendDue(overdue(1.5));
+    await service.sendDue(overdue(2));
+    assert.deepStrictEqual(about(emails, 100).map(m => m.tag), ['invoice-friendly']);
+    assert.strictEqual(about(emails, 100)[0].to, 'robin@example.com');
+
+    await service.sendDue(overdue(8));
+    assert.deepStrictEqual(about(emails, 100).map(m => m.tag), ['invoice-friendly', 'invoice-firm']);
+    assert.ok(about(emails, 100)[1].subject.includes('8 days past due'));
+
+    await service.sendDue(overdue(15));
+    assert.strictEqual(about(slackAlerts, 100).length, 1);
+    const managerEmail = about(emails, 100)[2];
+    assert.strictEqual(managerEmail.to, 'ar-manager@example.com');
+    assert.strictEqual(managerEmail.tag, 'invoice-manager');
+
+    const tracked = receivablesStore.get('inv-100');
+    assert.strictEqual(tracked.stage, 3);
+    assert.deepStrictEqual(tracked.reminders.map(r => r.kind), ['friendly', 'firm', 'manager']);
+    assert.deepStrictEqual(tracked.reminders[2].channels, ['slack', 'email']);
+
+    // Nothing left to send
+    await service.sendDue(overdue(40));
+    assert.strictEqual(about(emails, 100).length, 3);
+  }
+
+  async testSkipsToLatest() {
+    const service = createService();
+    track(service, invoice('inv-200'));
+
+    await service.sendDue(overdue(9));
+    assert.deepStrictEqual(about(emails, 200).map(m => m.tag), ['invoice-firm']);
+    assert.deepStrictEqual(receivablesStore.get('inv-200').reminders.map(r => r.stage), [2]);
+  }
+
+  async testPaidWebhook() {
+    const service = createService();
+    track(service, invoice('inv-300'));
+    await service.sendDue(overdue(2));
+
+    const result = track(service, invoice('inv-300', { balance: 0, status: 'paid' }));
+    assert.deepStrictEqual(result, { tracked: false, closed: true, status: 'paid' });
+
+    await service.sendDue(overdue(20));
+    assert.deepStrictEqual(about(emails, 300).map(m => m.tag), ['invoice-friendly']);
+    assert.strictEqual(about(slackAlerts, 300).length, 0);
+
+    const tracked = receivablesStore.get('inv-300');
+    assert.strictEqual(tracked.status, 'paid');
+    assert.strictEqual(tracked.balance, 0);
+  }
+
+  async testPaidAtSend() {
+    const service = createService();
+    track(service, invoice('inv-400'));
+
+    // The payment webhook never arrived, but Jobber knows
+    invoice('inv-400', { balance: 0 });
+    await service.sendDue(overdue(3));
+
+    assert.strictEqual(about(emails, 400).length, 0);
+    assert.strictEqual(receivablesStore.get('inv-400').status, 'paid');
+  }
+
+  async testDraftAndBadDebt() {
+    const service = createService();
+    assert.strictEqual(track(service, invoice('inv-500', { status: 'draft' })).tracked, false);
+    assert.strictEqual(receivablesStore.get('inv-500'), null);
+
+    track(service, invoice('inv-501'));
+    const result = track(service, invoice('inv-501', { status: 'bad_debt' }));
+    assert.strictEqual(result.status, 'writtenOff');
+
+    await service.sendDue(overdue(20));
+    assert.strictEqual(about(emails, 501).length, 0);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new ReceivablesTester();
+  tester.runAllTests();
+}
+
+module.exports = ReceivablesTester;
@@ -0,0 +1,210 @@
+// Keep suggestions out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const { ReschedulingService } = require('../src/services/ReschedulingService');
+const { CapacityService } = require('../src/services/CapacityService');
+const jobberAPI = require('../src/api/JobberAPI');
+const rescheduleStore = require('../src/storage/RescheduleStore');
+
+// Monday 9 March 2026, local time
+const on = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute).toISOString();
+const item = (id, techId, day, from, to) => ({ id, startAt: on(day, from), endAt: on(day, to), assignedTo: { id: techId } });
+
+const USERS = [
+  { id: 'ana', name: 'Ana', isActive: true },
+  { id: 'ben', name: 'Ben', isActive: true }
+];
+
+// A two-hour job on the overloaded Monday
+const JOB = { id: 'job-1', startAt: on(9, 13), endAt: on(9, 15), assignedTo: { id: 'ana' } };
+
+const availability = { technicians: users => users.filter(u => u.isActive !== false) };
+
+function createService(overrides = {}) {
+  return new ReschedulingService({
+    horizonDays: 2,
+    travelBuffer: 30 * 60 * 1000,
+    slotStep: 30 * 60 * 1000,
+    defaultDuration: 60 * 60 * 1000,
+    maxSuggestions: 10,
+    availability,
+    workingHours: new CapacityService({ workdayStart: '08:00', workdayEnd: '17:00', workDays: [1, 2, 3, 4, 5], availability }),
+    ...overrides
+  });
+}
+
+class ReschedulingTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting rescheduling tests...\n');
+
+    await this.run('Finds gaps that fit the job plus travel buffers', () => this.testGaps());
+    await this.run('Ranks lightly booked days first', () => this.testRanking());
+    await this.run('Skips the job\'s current day and the past', () => this.testSkipsCurrentDay());
+    await this.run('New suggestions supersede pending ones', () => this.testSupersede());
+    await this.run('Accepting reassigns the job before moving it', () => this.testAccept());
+    await this.run('A failed assignment leaves the job and suggestion untouched', () => this.testAcceptAssignFailure());
+    await this.run('A failed move gives the job back to its tech', () => this.testAcceptMoveFailure());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testGaps() {
+    const service = createService();
+    const schedule = {
+      jobs: [
+        item('a1', 'ana', 10, 8, 10), // Ana: 8-10, then 12-17 on Tuesday
+        item('a2', 'ana', 10, 12, 17)
+      ],
+      visits: [item('b1', 'ben', 10, 8, 17)] // Ben is booked all Tuesday
+    };
+
+    const tuesday = slots => slots.filter(slot => new Date(slot.startAt).getDate() === 10);
+
+    // Ana's 10:00-12:00 gap shrinks to 10:30-11:30 with travel buffers - too short for 2 hours
+    const slots = service.findSlots({ job: JOB, users: USERS, schedule, at: new Date(on(9, 12)) });
+    assert.deepStrictEqual(tuesday(slots), []);
+
+    const shortJob = { ...JOB, endAt: on(9, 14) };
+    const short = service.findSlots({ job: shortJob, users: USERS, schedule, at: new Date(on(9, 12)) });
+    assert.deepStrictEqual(tuesday(short).map(s => [s.techId, s.startAt, s.endAt]), [['ana', on(10, 10, 30), on(10, 11, 30)]]);
+  }
+
+  testRanking() {
+    const service = createService();
+    const schedule = {
+      jobs: [item('a1', 'ana', 10, 8, 15), item('b1', 'ben', 10, 8, 12)],
+      visits: []
+    };
+
+    const slots = service.findSlots({ job: JOB, users: USERS, schedule, at: new Date(on(9, 12)) });
+    // Wednesday is empty, so it beats the busier Tuesday even though it's later
+    assert.strictEqual(new Date(slots[0].startAt).getDate(), 11);
+    assert.strictEqual(slots[0].startAt, on(11, 8));
+    assert.ok(slots.every((slot, i) => i === 0 || slot.score >= slots[i - 1].score));
+    assert.deepStrictEqual(slots.map(s => s.number), slots.map((_, i) => i + 1));
+  }
+
+  testSkipsCurrentDay() {
+    const service = createService({ horizonDays: 1 });
+    const slots = service.findSlots({ job: JOB, users: USERS, schedule: {}, at: new Date(on(9, 12)) });
+    assert.ok(slots.length > 0);
+    assert.ok(slots.every(slot => new Date(slot.startAt).getDate() === 10));
+
+    // Unscheduled jobs can go later today, but not in the past
+    const unscheduled = service.findSlots({ job: { id: 'job-2' }, users: USERS, schedule: {}, at: new Date(on(9, 12, 10)) });
+    const today = unscheduled.filter(slot => new Date(slot.startAt).getDate() === 9);
+    assert.ok(today.length > 0);
+    assert.ok(today.every(slot => slot.startAt >= on(9, 12, 30)));
+  }
+
+  testSupersede() {
+    const service = createService();
+    const slots = [{ number: 1, techId: 'ben', startAt: on(10, 8), endAt: on(10, 10) }];
+
+    const first = service.save({ job: JOB, slots });
+    const second = service.save({ job: JOB, slots });
+
+    assert.strictEqual(rescheduleStore.get(first.id).status, 'superseded');
+    assert.strictEqual(second.status, 'pending');
+    assert.deepStrictEqual(second.original, { startAt: JOB.startAt, endAt: JOB.endAt, techId: 'ana' });
+
+    assert.strictEqual(rescheduleStore.accept(second.id, 1, 'dispatcher'), true);
+    assert.strictEqual(rescheduleStore.accept(second.id, 1, 'someone else'), false);
+  }
+
+  // Replace the Jobber calls accept() makes; calls for which `fail(method, arg)`
+  // is true throw. Returns the calls made, in order.
+  stubJobber(fail = () => false) {
+    const calls = [];
+    jobberAPI.getSchedule = async () => ({});
+    for (const method of ['assignJob', 'updateJob']) {
+      jobberAPI[method] = async (jobId, arg) => {
+        calls.push([method, arg]);
+        if (fail(method, arg)) {
+          throw new Error(`${method} failed`);
+        }
+        return { id: jobId };
+      };
+    }
+    return calls;
+  }
+
+  // A pending suggestion for `jobId` to move from Ana to Ben on Tuesday morning
+  pendingSuggestion(jobId) {
+    const slot = { number: 1, techId: 'ben', techName: 'Ben', startAt: on(10, 8), endAt: on(10, 10) };
+    return { slot, suggestion: createService().save({ job: { ...JOB, id: jobId }, slots: [slot] }) };
+  }
+
+  async testAccept() {
+    const calls = this.stubJobber();
+    const { slot, suggestion } = this.pendingSuggestion('job-accept');
+
+    const result = await createService().accept(suggestion, slot, { actor: 'dispatcher' });
+    assert.strictEqual(result.accepted, true);
+    assert.strictEqual(result.suggestion.status, 'accepted');
+    assert.deepStrictEqual(calls, [
+      ['assignJob', 'ben'],
+      ['updateJob', { startAt: slot.startAt, endAt: slot.endAt }]
+    ]);
+
+    // Same tech, new time: nothing to reassign
+    const sameTech = this.stubJobber();
+    const moved = { ...slot, techId: 'ana' };
+    const { suggestion: second } = this.pendingSuggestion('job-same-tech');
+    await createService().accept(second, moved);
+    assert.deepStrictEqual(sameTech.map(([method]) => method), ['updateJob']);
+  }
+
+  async testAcceptAssignFailure() {
+    const calls = this.stubJobber(method => method === 'assignJob');
+    const { slot, suggestion } = this.pendingSuggestion('job-assign-fails');
+
+    await assert.rejects(createService().accept(suggestion, slot), /assignJob failed/);
+    // The job was never moved
+    assert.deepStrictEqual(calls, [['assignJob', 'ben']]);
+    assert.strictEqual(rescheduleStore.get(suggestion.id).status, 'pending');
+  }
+
+  async testAcceptMoveFailure() {
+    const calls = this.stubJobber(method => method === 'updateJob');
+    const { slot, suggestion } = this.pendingSuggestion('job-move-fails');
+
+    await assert.rejects(createService().accept(suggestion, slot), /updateJob failed/);
+    assert.deepStrictEqual(calls.map(([method, arg]) => method === 'assignJob' ? [method, arg] : [method]), [
+      ['assignJob', 'ben'],
+      ['updateJob'],
+      ['assignJob', 'ana']
+    ]);
+    assert.strictEqual(rescheduleStore.get(suggestion.id).status, 'pending');
+
+    // Once Jobber recovers the same slot can be accepted
+    this.stubJobber();
+    assert.strictEqual((await createService().accept(suggestion, slot)).accepted, true);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new ReschedulingTester();
+  tester.runAllTests();
+}
+
+module.exports = ReschedulingTester;
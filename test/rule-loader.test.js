@@ -0,0 +1,223 @@
+// Keep decisions out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-loader-'));
+const rulesFile = path.join(dir, 'rules.json');
+
+// A small valid rule set; `priority` tells the versions apart
+function ruleSet(priority = 100) {
+  return {
+    emergencyKeywords: ['leak'],
+    rules: {
+      emergencyResponse: {
+        priority,
+        conditions: { field: 'hasEmergencyKeywords', op: 'eq', value: true },
+        actions: ['notifyOnCall']
+      }
+    }
+  };
+}
+
+fs.writeFileSync(rulesFile, JSON.stringify(ruleSet()));
+
+// The engine reads its rules file from config when it is first required
+process.env.RULES_FILE = rulesFile;
+process.env.RULES_HOT_RELOAD = 'true';
+process.env.RULES_POLL_INTERVAL = '50';
+
+const RuleLoader = require('../src/agent/RuleLoader');
+const { RuleValidationError } = require('../src/agent/RuleLoader');
+const { validateRuleSet } = require('../src/agent/ruleSchema');
+const decisionEngine = require('../src/agent/DecisionEngine');
+
+const KNOWN = { knownActions: ['notifyOnCall', 'notifyManager'], knownFields: ['hasEmergencyKeywords', 'city'] };
+
+// Resolves with the first of `events` the emitter fires, or rejects after a while
+function nextEvent(emitter, events, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const listeners = {};
+    const done = () => {
+      clearTimeout(timer);
+      for (const [event, listener] of Object.entries(listeners)) emitter.off(event, listener);
+    };
+    const timer = setTimeout(() => {
+      done();
+      reject(new Error(`No ${events.join('/')} event within ${timeout}ms`));
+    }, timeout);
+    for (const event of events) {
+      listeners[event] = payload => {
+        done();
+        resolve({ event, payload });
+      };
+      emitter.on(event, listeners[event]);
+    }
+  });
+}
+
+// Rewrite the rules file with a new mtime so the poller sees the change
+async function rewrite(file, contents) {
+  await new Promise(resolve => setTimeout(resolve, 20));
+  fs.writeFileSync(file, contents);
+}
+
+class RuleLoaderTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting rule loader tests...\n');
+
+    await this.run('Reports every schema error in a rules file', () => this.testSchema());
+    await this.run('Loads JSON and YAML rules files', () => this.testLoad());
+    await this.run('Rejects unparseable and invalid files with their errors', () => this.testLoadErrors());
+    await this.run('Hot-reloads the engine when the rules file changes', () => this.testHotReload());
+    await this.run('Keeps the previous rules when the new file is invalid', () => this.testKeepPrevious());
+
+    decisionEngine.ruleLoader.unwatch();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testSchema() {
+    assert.deepStrictEqual(validateRuleSet(ruleSet(), KNOWN), []);
+
+    assert.deepStrictEqual(validateRuleSet(null, KNOWN), ['Rules file must contain an object']);
+    assert.deepStrictEqual(validateRuleSet({ rules: [] }, KNOWN), ['Rules file must have a "rules" object']);
+    assert.deepStrictEqual(validateRuleSet({ rules: {} }, KNOWN), ['Rules file must define at least one rule']);
+
+    const errors = validateRuleSet({
+      emergencyKeywords: ['leak', ''],
+      rules: {
+        broken: {
+          priority: 'high',
+          enabled: 'yes',
+          shadow: 1,
+          params: [],
+          conditions: { field: 'weather', op: 'eq', value: 'rain' },
+          actions: ['notifyOnCall', 'launchRocket']
+        },
+        empty: {
+          priority: 1,
+          conditions: { all: [] },
+          actions: []
+        },
+        notAnObject: 'nope'
+      }
+    }, KNOWN);
+
+    assert.deepStrictEqual(errors, [
+      'emergencyKeywords must be an array of strings',
+      'rules.broken.priority must be a number',
+      'rules.broken.enabled must be a boolean',
+      'rules.broken.shadow must be a boolean',
+      'rules.broken.params must be an object',
+      'rules.broken.conditions.field "weather" is not a known feature',
+      'rules.broken.actions contains unknown action "launchRocket"',
+      'rules.empty.conditions.all must be a non-empty array',
+      'rules.empty.actions must be a non-empty array',
+      'rules.notAnObject must be an object'
+    ]);
+  }
+
+  testLoad() {
+    const jsonFile = path.join(dir, 'load.json');
+    fs.writeFileSync(jsonFile, JSON.stringify(ruleSet(42)));
+    const fromJson = new RuleLoader(jsonFile, KNOWN).load();
+    assert.strictEqual(fromJson.rules.emergencyResponse.priority, 42);
+    assert.deepStrictEqual(fromJson.emergencyKeywords, ['leak']);
+
+    const yamlFile = path.join(dir, 'load.yaml');
+    fs.writeFileSync(yamlFile, [
+      'rules:',
+      '  cityManager:',
+      '    priority: 10',
+      '    conditions:',
+      '      field: city',
+      '      op: eq',
+      '      value: Seattle',
+      '    actions: [notifyManager]'
+    ].join('\n'));
+    const fromYaml = new RuleLoader(yamlFile, KNOWN).load();
+    assert.strictEqual(fromYaml.rules.cityManager.conditions.value, 'Seattle');
+    // emergencyKeywords is optional
+    assert.deepStrictEqual(fromYaml.emergencyKeywords, []);
+  }
+
+  testLoadErrors() {
+    const file = path.join(dir, 'errors.json');
+    const loader = new RuleLoader(file, KNOWN);
+
+    fs.writeFileSync(file, '{ "rules": ');
+    assert.throws(() => loader.load(), error =>
+      error instanceof RuleValidationError && /^Parse error: /.test(error.errors[0]));
+
+    fs.writeFileSync(file, JSON.stringify({ rules: { bad: { priority: 1, conditions: { field: 'city', op: 'near', value: 1 }, actions: ['notifyOnCall'] } } }));
+    assert.throws(() => loader.load(), error =>
+      error instanceof RuleValidationError &&
+      error.errors.length === 1 &&
+      error.message.includes(file) &&
+      /rules\.bad\.conditions\.op must be one of/.test(error.errors[0]));
+  }
+
+  async testHotReload() {
+    assert.strictEqual(decisionEngine.rules.emergencyResponse.priority, 100);
+
+    const reloaded = nextEvent(decisionEngine, ['rulesReloaded', 'rulesRejected']);
+    await rewrite(rulesFile, JSON.stringify(ruleSet(200)));
+    const { event, payload } = await reloaded;
+
+    assert.strictEqual(event, 'rulesReloaded');
+    assert.deepStrictEqual(payload.rules, ['emergencyResponse']);
+    assert.strictEqual(decisionEngine.rules.emergencyResponse.priority, 200);
+  }
+
+  async testKeepPrevious() {
+    const before = decisionEngine.ruleSet;
+
+    const rejected = nextEvent(decisionEngine, ['rulesReloaded', 'rulesRejected']);
+    const invalid = ruleSet(300);
+    invalid.rules.emergencyResponse.actions = ['launchRocket'];
+    await rewrite(rulesFile, JSON.stringify(invalid));
+    const { event, payload } = await rejected;
+
+    assert.strictEqual(event, 'rulesRejected');
+    assert.strictEqual(payload.file, rulesFile);
+    assert.deepStrictEqual(payload.errors, ['rules.emergencyResponse.actions contains unknown action "launchRocket"']);
+    assert.strictEqual(decisionEngine.ruleSet, before);
+    assert.strictEqual(decisionEngine.rules.emergencyResponse.priority, 200);
+
+    // A broken save is not sticky: the next valid file is picked up again
+    const fixed = nextEvent(decisionEngine, ['rulesReloaded', 'rulesRejected']);
+    await rewrite(rulesFile, JSON.stringify(ruleSet(400)));
+    assert.strictEqual((await fixed).event, 'rulesReloaded');
+    assert.strictEqual(decisionEngine.rules.emergencyResponse.priority, 400);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new RuleLoaderTester();
+  tester.runAllTests();
+}
+
+module.exports = RuleLoaderTester;
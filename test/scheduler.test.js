@@ -0,0 +1,253 @@
+// Keep scheduled jobs out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const { Scheduler } = require('../src/services/Scheduler');
+const { parseCron, nextRun } = require('../src/services/cron');
+const scheduledJobStore = require('../src/storage/ScheduledJobStore');
+const jobberAPI = require('../src/api/JobberAPI');
+const scheduler = require('../src/services/Scheduler');
+const decisionEngine = require('../src/agent/DecisionEngine');
+
+const MINUTE = 60 * 1000;
+
+// A new client's unassigned job matches all three rules
+const RULE_SET = {
+  emergencyKeywords: [],
+  rules: {
+    welcome: { priority: 70, conditions: { field: 'isNewClient', op: 'eq', value: true }, actions: ['sendWelcomeMessage'] },
+    recheck: { priority: 60, conditions: { field: 'jobTitle', op: 'contains', value: 'install' }, params: { delayMinutes: 30 }, actions: ['scheduleReevaluation'] },
+    autoAssignment: { priority: 50, conditions: { field: 'isAssigned', op: 'eq', value: false }, actions: ['autoAssignTech'] }
+  }
+};
+const JOB = { id: 'job-new', title: 'Water heater install', client: { id: 'client-1', jobCount: 1 } };
+
+// A scheduler whose handlers record what they were called with
+function createScheduler() {
+  const scheduler = new Scheduler({ pollInterval: 60000 });
+  scheduler.calls = [];
+  scheduler.register('record', payload => scheduler.calls.push(payload));
+  scheduler.register('explode', () => {
+    throw new Error('boom');
+  });
+  return scheduler;
+}
+
+class SchedulerTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting scheduler tests...\n');
+
+    await this.run('Parses cron expressions and finds the next run', () => this.testCron());
+    await this.run('Runs one-shot jobs once they are due', () => this.testOneShot());
+    await this.run('Keeps one live job per key', () => this.testKeys());
+    await this.run('Reschedules recurring jobs after each run', () => this.testRecurring());
+    await this.run('Picks up jobs after a restart', () => this.testRestart());
+    await this.run('Records handler failures', () => this.testFailure());
+    await this.run('Cancelled jobs never run', () => this.testCancel());
+    await this.run('Re-evaluations only re-run the rule that asked for them', () => this.testReevaluation());
+    await this.run('The unassigned sweep only re-runs auto-assignment', () => this.testSweep());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testCron() {
+    // Monday 19 October 2026, 10:07 local time
+    const at = new Date(2026, 9, 19, 10, 7);
+
+    assert.deepStrictEqual(nextRun('*/15 * * * *', at), new Date(2026, 9, 19, 10, 15));
+    assert.deepStrictEqual(nextRun('0 7 * * 1-5', at), new Date(2026, 9, 20, 7, 0));
+    assert.deepStrictEqual(nextRun('0 9 * * 6,7', at), new Date(2026, 9, 24, 9, 0));
+    assert.deepStrictEqual(nextRun('30 8 1 */3 *', at), new Date(2027, 0, 1, 8, 30));
+    // Both day fields restricted: either one matches
+    assert.deepStrictEqual(nextRun('0 12 13 * 5', at), new Date(2026, 9, 23, 12, 0));
+
+    assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0), '7 is Sunday');
+    assert.throws(() => parseCron('* * *'), /needs 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute/);
+    assert.throws(() => nextRun('0 0 30 2 *', at), /never matches/);
+  }
+
+  async testOneShot() {
+    const scheduler = createScheduler();
+    const { job } = scheduler.schedule({ type: 'record', payload: { n: 1 }, delay: 10 * MINUTE });
+    scheduler.stop();
+
+    await scheduler.runDue(new Date(Date.now() + 5 * MINUTE));
+    assert.strictEqual(scheduler.calls.length, 0);
+
+    await scheduler.runDue(new Date(Date.now() + 11 * MINUTE));
+    await scheduler.runDue(new Date(Date.now() + 12 * MINUTE));
+    assert.deepStrictEqual(scheduler.calls, [{ n: 1 }]);
+
+    const done = scheduledJobStore.get(job.id);
+    assert.strictEqual(done.status, 'done');
+    assert.strictEqual(done.runs, 1);
+
+    assert.throws(() => scheduler.schedule({ type: 'record', delay: -1 }), /valid delay/);
+  }
+
+  testKeys() {
+    const scheduler = createScheduler();
+    const first = scheduler.schedule({ type: 'record', key: 'reevaluate:job-1', delay: 30 * MINUTE });
+    const again = scheduler.schedule({ type: 'record', key: 'reevaluate:job-1', delay: 5 * MINUTE });
+    scheduler.stop();
+
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(again.created, false);
+    assert.strictEqual(again.job.id, first.job.id);
+
+    const replaced = scheduler.schedule({ type: 'record', key: 'reevaluate:job-1', delay: 5 * MINUTE, replace: true });
+    assert.notStrictEqual(replaced.job.id, first.job.id);
+    assert.strictEqual(scheduledJobStore.get(first.job.id).status, 'cancelled');
+  }
+
+  async testRecurring() {
+    const scheduler = createScheduler();
+    const { job } = scheduler.cron('every-quarter-hour', '*/15 * * * *', 'record', { tick: true });
+    scheduler.stop();
+
+    // Same expression again is a no-op; a new one reschedules the same job
+    assert.strictEqual(scheduler.cron('every-quarter-hour', '*/15 * * * *', 'record').job.id, job.id);
+    const hourly = scheduler.cron('every-quarter-hour', '0 * * * *', 'record', { tick: true }).job;
+    assert.strictEqual(hourly.id, job.id);
+    assert.strictEqual(hourly.cron, '0 * * * *');
+
+    const at = new Date(new Date(hourly.runAt).getTime() + MINUTE);
+    await scheduler.runDue(at);
+
+    const after = scheduledJobStore.get(job.id);
+    assert.strictEqual(after.status, 'pending');
+    assert.strictEqual(after.runs, 1);
+    assert.deepStrictEqual(new Date(after.runAt), nextRun('0 * * * *', at));
+    assert.ok(scheduler.calls.length >= 1);
+  }
+
+  async testRestart() {
+    const before = createScheduler();
+    const due = before.schedule({ type: 'record', payload: { restart: 'due' }, delay: 0 }).job;
+    const interrupted = before.schedule({ type: 'record', payload: { restart: 'interrupted' }, delay: 0 }).job;
+    before.stop();
+
+    // Simulate a crash mid-run: the job was claimed but never finished
+    scheduledJobStore.db.prepare("UPDATE scheduled_jobs SET status = 'running' WHERE id = ?").run(interrupted.id);
+
+    const after = createScheduler();
+    after.start();
+    after.stop();
+    await after.runDue();
+
+    const restarted = after.calls.filter(call => call.restart).map(call => call.restart).sort();
+    assert.deepStrictEqual(restarted, ['due', 'interrupted']);
+    assert.strictEqual(scheduledJobStore.get(due.id).status, 'done');
+    assert.strictEqual(scheduledJobStore.get(interrupted.id).status, 'done');
+  }
+
+  async testFailure() {
+    const scheduler = createScheduler();
+    const failing = scheduler.schedule({ type: 'explode', delay: 0 }).job;
+    const unknown = scheduler.schedule({ type: 'nobodyHandlesThis', delay: 0 }).job;
+    scheduler.stop();
+
+    await scheduler.runDue();
+
+    assert.strictEqual(scheduledJobStore.get(failing.id).status, 'failed');
+    assert.strictEqual(scheduledJobStore.get(failing.id).lastError, 'boom');
+    assert.match(scheduledJobStore.get(unknown.id).lastError, /No handler/);
+  }
+
+  async testCancel() {
+    const scheduler = createScheduler();
+    const { job } = scheduler.schedule({ type: 'record', payload: { cancelled: true }, delay: 0 });
+    scheduler.stop();
+
+    assert.strictEqual(scheduler.cancel(job.id), true);
+    assert.strictEqual(scheduler.cancel(job.id), false);
+
+    await scheduler.runDue();
+    assert.ok(!scheduler.calls.some(call => call.cancelled));
+  }
+
+  // Analyze the new client's job with the test rules; timers the engine sets are recorded
+  async analyzeJob(event) {
+    decisionEngine.ruleSet = RULE_SET;
+    decisionEngine.enrichEventData = async () => JOB;
+    decisionEngine.computeAvailableTechs = async () => null;
+    decisionEngine.loadCapacity = async () => null;
+    return decisionEngine.analyze(event);
+  }
+
+  // Jobs the engine schedules on the shared scheduler, as the queue would see them when due
+  captureSchedule() {
+    const scheduled = [];
+    scheduler.schedule = job => {
+      scheduled.push(job);
+      return { job: { id: `scheduled-${scheduled.length}` }, created: true };
+    };
+    return scheduled;
+  }
+
+  async testReevaluation() {
+    const scheduled = this.captureSchedule();
+
+    const first = await this.analyzeJob({ topic: 'JOB_CREATE', itemId: JOB.id });
+    assert.deepStrictEqual(first.decisions.map(d => d.rule), ['welcome', 'recheck', 'autoAssignment']);
+
+    const recheck = first.decisions.find(d => d.rule === 'recheck');
+    await decisionEngine.executeDecisions([recheck], first.actionContext);
+    assert.strictEqual(scheduled.length, 1);
+    assert.strictEqual(scheduled[0].key, 'reevaluate:job-new:recheck');
+    assert.deepStrictEqual(scheduled[0].payload.event.rules, ['recheck']);
+
+    // WebhookServer queues the payload's event marked as a re-evaluation
+    const again = await this.analyzeJob({ ...scheduled[0].payload.event, reevaluation: true });
+    assert.deepStrictEqual(again.decisions.map(d => d.rule), ['recheck']);
+
+    // Real events still run every rule, even if they name some
+    const update = await this.analyzeJob({ topic: 'JOB_UPDATE', itemId: JOB.id, rules: ['recheck'] });
+    assert.strictEqual(update.decisions.length, 3);
+  }
+
+  async testSweep() {
+    const scheduled = this.captureSchedule();
+    jobberAPI.getSchedule = async () => ({
+      jobs: [{ id: JOB.id, title: JOB.title }, { id: 'job-taken', assignedTo: { id: 'tech-1' } }]
+    });
+    decisionEngine.ruleSet = RULE_SET;
+
+    assert.deepStrictEqual(await decisionEngine.sweepUnassignedJobs(), { queued: 1 });
+    assert.strictEqual(scheduled[0].key, 'reevaluate:job-new:autoAssignment');
+
+    const swept = await this.analyzeJob({ ...scheduled[0].payload.event, reevaluation: true });
+    assert.deepStrictEqual(swept.decisions.map(d => d.rule), ['autoAssignment']);
+
+    // Nothing to re-run without an auto-assigning rule
+    decisionEngine.ruleSet = { ...RULE_SET, rules: { welcome: RULE_SET.rules.welcome } };
+    assert.deepStrictEqual(await decisionEngine.sweepUnassignedJobs(), { queued: 0 });
+    assert.strictEqual(scheduled.length, 1);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new SchedulerTester();
+  tester.runAllTests();
+}
+
+module.exports = SchedulerTester;
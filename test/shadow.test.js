@@ -0,0 +1,277 @@
+// Keep decisions out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+process.env.EMAIL_ALERT_TO = process.env.EMAIL_ALERT_TO || 'office@example.com';
+process.env.SMS_ALERT_TO = process.env.SMS_ALERT_TO || '+15550100';
+
+const assert = require('assert');
+const express = require('express');
+const jobberAPI = require('../src/api/JobberAPI');
+const slackNotifier = require('../src/notifications/SlackNotifier');
+const emailNotifier = require('../src/notifications/EmailNotifier');
+const smsNotifier = require('../src/notifications/SmsNotifier');
+const onCallService = require('../src/services/OnCallService');
+const pricingService = require('../src/services/PricingService');
+const scheduler = require('../src/services/Scheduler');
+const decisionStore = require('../src/storage/DecisionStore');
+const decisionEngine = require('../src/agent/DecisionEngine');
+const createShadowRoutes = require('../src/server/routes/shadow');
+
+// Every call that leaves the engine is recorded here instead of performed
+const calls = [];
+
+const QUOTE = {
+  id: 'quote-1',
+  status: 'draft',
+  total: 400,
+  lineItems: [{ id: 'li-1', name: 'Drain cleaning', quantity: 1, unitPrice: 400, total: 400 }]
+};
+
+function stub(object, name, method, result) {
+  object[method] = async (...args) => {
+    calls.push(`${name}.${method}`);
+    return typeof result === 'function' ? result(...args) : result;
+  };
+}
+
+// Replace Jobber, the notifiers and everything else actions write to
+function stubSideEffects() {
+  for (const method of Object.getOwnPropertyNames(Object.getPrototypeOf(jobberAPI))) {
+    if (method !== 'constructor') {
+      stub(jobberAPI, 'jobber', method, method === 'getQuote' ? () => ({ ...QUOTE }) : {});
+    }
+  }
+  stub(slackNotifier, 'slack', 'send', { sent: true });
+  stub(emailNotifier, 'email', 'send', { id: 'email-1', queued: true, status: 'pending' });
+  stub(smsNotifier, 'sms', 'send', { id: 'sms-1', sent: true });
+  stub(onCallService, 'oncall', 'page', { paged: true });
+  stub(scheduler, 'scheduler', 'schedule', { job: { id: 'scheduled-1' }, created: true });
+  stub(pricingService, 'pricing', 'record', { id: 'adjustment-1', afterTotal: 600 });
+}
+
+// Context for a new client's job with one free tech, as analyze() would build it
+function actionContext() {
+  return {
+    event: { topic: 'JOB_CREATE', itemId: 'job-1' },
+    jobId: 'job-1',
+    quoteId: 'quote-1',
+    data: {
+      id: 'job-1',
+      title: 'Burst pipe',
+      client: { id: 'client-1', name: 'Ada', email: 'ada@example.com' }
+    },
+    features: {},
+    availableTechs: [{ id: 'tech-1', name: 'Tess', bookedHours: 2 }]
+  };
+}
+
+// One action for each kind of side effect
+const DECISION = {
+  rule: 'everything',
+  priority: 100,
+  params: { multiplier: 1.5 },
+  actions: [
+    'notifyOnCall',
+    'autoAssignTech',
+    'sendEmergencyAlert',
+    'notifyManager',
+    'scheduleFollowUp',
+    'sendWelcomeMessage',
+    'applyWeekendRate'
+  ]
+};
+
+class ShadowTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting shadow mode tests...\n');
+
+    stubSideEffects();
+
+    await this.run('Marks decisions from shadow rules', () => this.testShadowRules());
+    await this.run('Shadow decisions record side effects instead of performing them', () => this.testShadowExecution());
+    await this.run('Live decisions perform the same side effects', () => this.testLiveExecution());
+    await this.run('Summarizes shadow results per rule', () => this.testReport());
+    await this.run('Serves the shadow report over HTTP', () => this.testReportRoute());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  async testShadowRules() {
+    const condition = { field: 'city', op: 'eq', value: 'Seattle' };
+    const decisions = await decisionEngine.applyRules({ city: 'Seattle' }, null, {
+      observed: { priority: 20, conditions: condition, actions: ['notifyManager'], shadow: true },
+      live: { priority: 10, conditions: condition, actions: ['notifyManager'] },
+      unmatched: { priority: 30, conditions: { ...condition, value: 'Tacoma' }, actions: ['notifyManager'], shadow: true }
+    });
+
+    assert.deepStrictEqual(decisions.map(d => [d.rule, d.shadow]), [['observed', true], ['live', false]]);
+  }
+
+  async testShadowExecution() {
+    calls.length = 0;
+    const results = await decisionEngine.executeDecisions([{ ...DECISION, shadow: true }], actionContext());
+
+    // Reading the quote is fine; nothing is written or sent
+    assert.deepStrictEqual(calls, ['jobber.getQuote']);
+
+    assert.ok(results.every(result => result.success && result.shadow), JSON.stringify(results));
+    const effects = Object.fromEntries(results.map(result => [
+      result.action,
+      result.effects.map(effect => `${effect.target}.${effect.method}`)
+    ]));
+    assert.deepStrictEqual(effects, {
+      notifyOnCall: ['oncall.page'],
+      autoAssignTech: ['jobber.assignJob'],
+      sendEmergencyAlert: ['slack.send', 'email.send', 'sms.send'],
+      notifyManager: ['slack.send'],
+      scheduleFollowUp: ['scheduler.schedule'],
+      sendWelcomeMessage: ['email.send'],
+      applyWeekendRate: ['jobber.updateQuote', 'pricing.record']
+    });
+
+    // Effects keep the arguments that would have been used
+    const assign = results.find(result => result.action === 'autoAssignTech').effects[0];
+    assert.deepStrictEqual(assign.args, ['job-1', 'tech-1']);
+    const quoteUpdate = results.find(result => result.action === 'applyWeekendRate').effects[0];
+    assert.strictEqual(quoteUpdate.args[0], 'quote-1');
+    assert.deepStrictEqual(quoteUpdate.args[1].lineItems.map(item => item.name), ['Drain cleaning', 'Weekend surcharge']);
+  }
+
+  async testLiveExecution() {
+    calls.length = 0;
+    const results = await decisionEngine.executeDecisions([{ ...DECISION, shadow: false }], actionContext());
+
+    assert.ok(results.every(result => result.success && !result.shadow), JSON.stringify(results));
+    assert.deepStrictEqual([...calls].sort(), [
+      'email.send',
+      'email.send',
+      'jobber.assignJob',
+      'jobber.getQuote',
+      'jobber.updateQuote',
+      'oncall.page',
+      'pricing.record',
+      'scheduler.schedule',
+      'slack.send',
+      'slack.send',
+      'sms.send'
+    ]);
+  }
+
+  // Stores a decision and executes it so its action results are attached
+  async recordAndExecute({ rule, actions, shadow, confidence }) {
+    const decision = { rule, priority: 50, params: {}, actions, shadow };
+    const record = decisionStore.record({
+      event: { topic: 'JOB_UPDATE', itemId: `job-${rule}` },
+      features: {},
+      decisions: [decision],
+      confidence
+    });
+    decision.decisionId = record.id;
+    await decisionEngine.executeDecisions([decision], actionContext());
+    return record.id;
+  }
+
+  async testReport() {
+    const windowStart = new Date(Date.now() - 1000).toISOString();
+
+    const first = await this.recordAndExecute({ rule: 'shadowAssign', actions: ['autoAssignTech', 'notifyManager'], shadow: true, confidence: 0.9 });
+    const second = await this.recordAndExecute({ rule: 'shadowAssign', actions: ['autoAssignTech', 'launchRocket'], shadow: true, confidence: 0.5 });
+    await this.recordAndExecute({ rule: 'shadowFollowUp', actions: ['scheduleFollowUp'], shadow: true, confidence: 0.75 });
+    // Live decisions never show up in the report
+    await this.recordAndExecute({ rule: 'liveAssign', actions: ['autoAssignTech'], shadow: false, confidence: 0.9 });
+    // Neither do shadow decisions outside the window
+    const old = await this.recordAndExecute({ rule: 'shadowAssign', actions: ['notifyManager'], shadow: true, confidence: 0.9 });
+    decisionStore.db.prepare('UPDATE decisions SET created_at = ? WHERE id = ?').run('2020-01-01T00:00:00.000Z', old);
+
+    const to = new Date(Date.now() + 1000).toISOString();
+    const report = decisionEngine.getShadowReport({ from: windowStart, to });
+
+    assert.strictEqual(report.from, windowStart);
+    assert.strictEqual(report.to, to);
+    assert.strictEqual(report.totalDecisions, 3);
+    assert.deepStrictEqual(report.rules.map(rule => rule.rule), ['shadowAssign', 'shadowFollowUp']);
+
+    const [assign, followUp] = report.rules;
+    assert.strictEqual(assign.decisions, 2);
+    // Only the first decision was confident enough to have run for real
+    assert.strictEqual(assign.wouldExecute, 1);
+    assert.deepStrictEqual(assign.actions, {
+      autoAssignTech: { count: 2, failed: 0 },
+      notifyManager: { count: 1, failed: 0 },
+      launchRocket: { count: 1, failed: 1 }
+    });
+    assert.deepStrictEqual(assign.effects, { 'jobber.assignJob': 2, 'slack.send': 1 });
+    assert.deepStrictEqual(assign.recent.map(entry => [entry.decisionId, entry.action]), [
+      [first, 'autoAssignTech'],
+      [first, 'notifyManager'],
+      [second, 'autoAssignTech'],
+      [second, 'launchRocket']
+    ]);
+    assert.deepStrictEqual(assign.recent[0].effects.map(effect => effect.args), [['job-1', 'tech-1']]);
+
+    // The threshold is inclusive
+    assert.deepStrictEqual(
+      [followUp.decisions, followUp.wouldExecute, followUp.effects],
+      [1, 1, { 'scheduler.schedule': 1 }]
+    );
+
+    const empty = decisionEngine.getShadowReport({ from: '2019-01-01T00:00:00.000Z', to: '2019-12-31T00:00:00.000Z' });
+    assert.deepStrictEqual(empty.rules, []);
+    assert.strictEqual(empty.totalDecisions, 0);
+  }
+
+  async testReportRoute() {
+    const app = express();
+    app.use('/shadow', createShadowRoutes());
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const get = async route => {
+      const response = await fetch(`http://localhost:${server.address().port}${route}`);
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      // Defaults to the last 7 days
+      const recent = await get('/shadow/report');
+      assert.strictEqual(recent.status, 200);
+      assert.strictEqual(recent.body.totalDecisions, 3);
+      const window = new Date(recent.body.to) - new Date(recent.body.from);
+      assert.strictEqual(window, 7 * 24 * 60 * 60 * 1000);
+
+      const old = await get('/shadow/report?from=2019-12-01&to=2020-02-01');
+      assert.strictEqual(old.body.totalDecisions, 1);
+      assert.deepStrictEqual(old.body.rules.map(rule => [rule.rule, rule.decisions]), [['shadowAssign', 1]]);
+
+      const bad = await get('/shadow/report?from=last-week');
+      assert.strictEqual(bad.status, 400);
+      assert.strictEqual(bad.body.error, 'Invalid from date: last-week');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new ShadowTester();
+  tester.runAllTests();
+}
+
+module.exports = ShadowTester;
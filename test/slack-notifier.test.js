@@ -0,0 +1,171 @@
+const http = require('http');
+const assert = require('assert');
+const { SlackNotifier } = require('../src/notifications/SlackNotifier');
+
+// Local stand-in for a Slack incoming webhook. Fails the first `failFirst`
+// requests with a 500 (or a 429 asking to wait `retryAfter` seconds), then
+// accepts everything.
+class SlackStandIn {
+  constructor({ failFirst = 0, retryAfter = null } = {}) {
+    this.failFirst = failFirst;
+    this.retryAfter = retryAfter;
+    this.requests = [];
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.requests.push(JSON.parse(body));
+        if (this.requests.length <= this.failFirst) {
+          if (this.retryAfter !== null) {
+            res.writeHead(429, { 'Retry-After': String(this.retryAfter) });
+            return res.end('rate_limited');
+          }
+          res.writeHead(500);
+          return res.end('internal_error');
+        }
+        res.writeHead(200);
+        res.end('ok');
+      });
+    });
+  }
+
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}/services/T000/B000/XXXX`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+const JOB = {
+  id: 'job-42',
+  title: 'Burst pipe - kitchen flooding',
+  client: { name: 'Jane Doe' },
+  assignedTo: null,
+  property: {
+    address: { street1: '123 Pine St', city: 'Seattle', province: 'WA', postalCode: '98101' }
+  }
+};
+
+class SlackNotifierTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting Slack notifier tests...\n');
+
+    await this.run('Posts a Block Kit job message', () => this.testBlockKitMessage());
+    await this.run('Retries after a server error', () => this.testRetry());
+    await this.run('Gives up after retries are exhausted', () => this.testGivesUp());
+    await this.run('Caps a long Retry-After at the max backoff', () => this.testRetryAfterCap());
+    await this.run('Skips when no webhook is configured', () => this.testNotConfigured());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  async withStandIn(options, test) {
+    const standIn = new SlackStandIn(options);
+    const webhookUrl = await standIn.start();
+    try {
+      await test(standIn, webhookUrl);
+    } finally {
+      await standIn.stop();
+    }
+  }
+
+  async testBlockKitMessage() {
+    await this.withStandIn({}, async (standIn, webhookUrl) => {
+      const notifier = new SlackNotifier({ webhookUrl, retryDelay: 10 });
+      const result = await notifier.notifyJob({
+        headline: 'Emergency job',
+        severity: 'critical',
+        job: JOB,
+        assignedTech: { id: 'tech-1', name: 'Austin' },
+        reasoning: 'Emergency detected. Matched: hasEmergencyKeywords eq true',
+        decision: { rule: 'emergencyResponse', priority: 100 }
+      });
+
+      assert.strictEqual(result.sent, true);
+      assert.strictEqual(standIn.requests.length, 1);
+
+      const [payload] = standIn.requests;
+      assert.strictEqual(payload.text, 'Emergency job: Burst pipe - kitchen flooding');
+      assert.strictEqual(payload.blocks[0].type, 'header');
+
+      const fields = payload.blocks.find(b => b.fields).fields.map(f => f.text).join('\n');
+      assert.ok(fields.includes('Jane Doe'), 'client name in fields');
+      assert.ok(fields.includes('123 Pine St, Seattle, WA 98101'), 'address in fields');
+      assert.ok(fields.includes('Austin'), 'assigned tech in fields');
+
+      const button = payload.blocks.find(b => b.type === 'actions').elements[0];
+      assert.ok(button.url.endsWith('/job-42'), 'link to the job');
+
+      const context = payload.blocks.find(b => b.type === 'context').elements[0].text;
+      assert.ok(context.includes('emergencyResponse'), 'rule in context block');
+    });
+  }
+
+  async testRetry() {
+    await this.withStandIn({ failFirst: 2 }, async (standIn, webhookUrl) => {
+      const notifier = new SlackNotifier({ webhookUrl, retryAttempts: 3, retryDelay: 10 });
+      const result = await notifier.send({ text: 'retry me' });
+
+      assert.strictEqual(result.sent, true);
+      assert.strictEqual(result.attempts, 3);
+      assert.strictEqual(standIn.requests.length, 3);
+    });
+  }
+
+  async testGivesUp() {
+    await this.withStandIn({ failFirst: 10 }, async (standIn, webhookUrl) => {
+      const notifier = new SlackNotifier({ webhookUrl, retryAttempts: 2, retryDelay: 10 });
+      await assert.rejects(() => notifier.send({ text: 'never delivered' }), /Slack notification failed/);
+      assert.strictEqual(standIn.requests.length, 3);
+    });
+  }
+
+  async testRetryAfterCap() {
+    await this.withStandIn({ failFirst: 2, retryAfter: 3600 }, async (standIn, webhookUrl) => {
+      const notifier = new SlackNotifier({ webhookUrl, retryAttempts: 3, retryDelay: 10, retryMaxDelay: 50 });
+      const startedAt = Date.now();
+      const result = await notifier.send({ text: 'rate limited' });
+
+      assert.strictEqual(result.sent, true);
+      assert.strictEqual(result.attempts, 3);
+      assert.ok(Date.now() - startedAt < 2000, 'waited for the capped delay, not the hour Slack asked for');
+    });
+  }
+
+  async testNotConfigured() {
+    const notifier = new SlackNotifier({ webhookUrl: '' });
+    const result = await notifier.send({ text: 'nowhere' });
+    assert.strictEqual(result.sent, false);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new SlackNotifierTester();
+  tester.runAllTests();
+}
+
+module.exports = SlackNotifierTester;
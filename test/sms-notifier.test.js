@@ -0,0 +1,163 @@
+// Keep message records out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const http = require('http');
+const crypto = require('crypto');
+const assert = require('assert');
+const { SmsNotifier } = require('../src/notifications/SmsNotifier');
+const { normalizePhone } = require('../src/notifications/sms/phone');
+const { countSegments } = require('../src/notifications/sms/segments');
+
+const AUTH_TOKEN = 'test-auth-token';
+const CALLBACK_URL = 'https://agent.example.com/webhooks/sms/status';
+
+// Local stand-in for the Twilio Messages API. Records every form post and
+// answers with a queued message.
+class TwilioStandIn {
+  constructor() {
+    this.requests = [];
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const sid = `SM${crypto.randomBytes(16).toString('hex')}`;
+        this.requests.push({ url: req.url, sid, form: Object.fromEntries(new URLSearchParams(body)) });
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ sid, status: 'queued' }));
+      });
+    });
+  }
+
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+const sign = params => crypto
+  .createHmac('sha1', AUTH_TOKEN)
+  .update(Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], CALLBACK_URL))
+  .digest('base64');
+
+class SmsNotifierTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting SMS notifier tests...\n');
+
+    await this.run('Normalizes Jobber phone formats to E.164', () => this.testNormalizePhone());
+    await this.run('Counts GSM-7 and UCS-2 segments', () => this.testSegments());
+    await this.run('Sends through the Twilio API', () => this.testSend());
+    await this.run('Applies signed status callbacks', () => this.testStatusCallback());
+    await this.run('Rejects invalid phone numbers', () => this.testInvalidNumber());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  async withNotifier(test) {
+    const standIn = new TwilioStandIn();
+    const apiBaseUrl = await standIn.start();
+    const notifier = new SmsNotifier({
+      enabled: true,
+      provider: 'twilio',
+      from: '+15550001111',
+      maxSegments: 2,
+      statusCallbackUrl: CALLBACK_URL,
+      twilio: { accountSid: 'AC123', authToken: AUTH_TOKEN, apiBaseUrl }
+    });
+    try {
+      await test(notifier, standIn);
+    } finally {
+      await standIn.stop();
+    }
+  }
+
+  testNormalizePhone() {
+    assert.strictEqual(normalizePhone('(206) 555-0199'), '+12065550199');
+    assert.strictEqual(normalizePhone('1-206-555-0199 ext. 4'), '+12065550199');
+    assert.strictEqual(normalizePhone('+44 20 7946 0958'), '+442079460958');
+    assert.strictEqual(normalizePhone('555-0199'), null);
+    assert.strictEqual(normalizePhone(null), null);
+  }
+
+  testSegments() {
+    assert.deepStrictEqual(countSegments('a'.repeat(160)), { encoding: 'gsm', length: 160, segments: 1 });
+    assert.strictEqual(countSegments('a'.repeat(161)).segments, 2);
+    assert.strictEqual(countSegments('Pipe burst 🚨').encoding, 'ucs2');
+  }
+
+  async testSend() {
+    await this.withNotifier(async (notifier, standIn) => {
+      const result = await notifier.send({ to: '206.555.0199', body: 'x'.repeat(500), tag: 'test' });
+
+      assert.strictEqual(result.sent, true);
+      assert.strictEqual(result.to, '+12065550199');
+      assert.strictEqual(result.segments, 2);
+
+      const [request] = standIn.requests;
+      assert.strictEqual(request.url, '/2010-04-01/Accounts/AC123/Messages.json');
+      assert.strictEqual(request.form.To, '+12065550199');
+      assert.strictEqual(request.form.From, '+15550001111');
+      assert.strictEqual(request.form.StatusCallback, CALLBACK_URL);
+      assert.strictEqual(countSegments(request.form.Body).segments, 2);
+    });
+  }
+
+  async testStatusCallback() {
+    await this.withNotifier(async (notifier, standIn) => {
+      const { id } = await notifier.send({ to: '+12065550100', body: 'On my way' });
+      const params = { MessageSid: standIn.requests[0].sid, MessageStatus: 'delivered' };
+
+      assert.strictEqual(notifier.verifyStatusCallback({
+        url: CALLBACK_URL,
+        params,
+        headers: { 'x-twilio-signature': sign(params) }
+      }), true);
+      assert.strictEqual(notifier.verifyStatusCallback({
+        url: CALLBACK_URL,
+        params: { ...params, MessageStatus: 'failed' },
+        headers: { 'x-twilio-signature': sign(params) }
+      }), false);
+
+      const message = notifier.handleStatusCallback(params);
+      assert.strictEqual(message.id, id);
+      assert.strictEqual(message.status, 'delivered');
+    });
+  }
+
+  async testInvalidNumber() {
+    await this.withNotifier(async (notifier, standIn) => {
+      const result = await notifier.send({ to: '12', body: 'hello' });
+      assert.strictEqual(result.sent, false);
+      assert.strictEqual(standIn.requests.length, 0);
+    });
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new SmsNotifierTester();
+  tester.runAllTests();
+}
+
+module.exports = SmsNotifierTester;
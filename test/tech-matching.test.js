@@ -0,0 +1,117 @@
+// Keep profiles out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const { TechMatchService, validateProfile } = require('../src/services/TechMatchService');
+const techProfileStore = require('../src/storage/TechProfileStore');
+
+const SKILL_KEYWORDS = {
+  plumbing: ['leak', 'pipe', 'water heater'],
+  electrical: ['outlet', 'breaker', 'panel'],
+  remodeling: ['kitchen', 'bathroom']
+};
+
+const TECHS = [
+  { id: 'plumber', name: 'Pat Plumber' },
+  { id: 'star', name: 'Sam Star' },
+  { id: 'sparky', name: 'Sparky' },
+  { id: 'rookie', name: 'No Profile' }
+];
+
+class TechMatchingTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+    this.service = new TechMatchService({ skillKeywords: SKILL_KEYWORDS, unratedScore: 3.5 });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting technician matching tests...\n');
+
+    techProfileStore.save('plumber', { skills: ['plumbing'], certifications: ['Backflow'], rating: 3.6 });
+    techProfileStore.save('star', { skills: ['remodeling'], rating: 4.9, vipEligible: true });
+    techProfileStore.save('sparky', { skills: ['electrical', 'remodeling'], rating: 4.2 });
+
+    await this.run('Finds the skills a job needs', () => this.testRequiredSkills());
+    await this.run('Prefers skill matches for standard jobs', () => this.testStandardJob());
+    await this.run('Prefers top-rated VIP-eligible techs for VIP jobs', () => this.testVipJob());
+    await this.run('Falls back when nobody is VIP eligible', () => this.testVipFallback());
+    await this.run('Keeps a running average of customer ratings', () => this.testRatings());
+    await this.run('Validates profiles', () => this.testValidation());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  testRequiredSkills() {
+    const job = { title: 'Kitchen remodel', description: 'Move sink pipe and add an outlet' };
+    assert.deepStrictEqual(this.service.requiredSkills(job), ['plumbing', 'electrical', 'remodeling']);
+    assert.deepStrictEqual(this.service.requiredSkills({ title: 'Quote visit' }), []);
+  }
+
+  testStandardJob() {
+    const job = { title: 'Leak under sink', description: 'Backflow preventer dripping' };
+    const { best, ranking } = this.service.rank({ job, candidates: TECHS });
+
+    assert.strictEqual(best.techId, 'plumber');
+    assert.deepStrictEqual(best.matchedSkills, ['plumbing']);
+    assert.deepStrictEqual(best.matchedCertifications, ['Backflow']);
+    assert.strictEqual(ranking.find(r => r.techId === 'rookie').hasProfile, false);
+  }
+
+  testVipJob() {
+    const job = { title: 'Replace breaker panel' };
+    const standard = this.service.rank({ job, candidates: TECHS });
+    const vip = this.service.rank({ job, candidates: TECHS, vip: true });
+
+    assert.strictEqual(standard.best.techId, 'sparky');
+    assert.strictEqual(vip.best.techId, 'star');
+    assert.strictEqual(vip.vipFallback, false);
+  }
+
+  testVipFallback() {
+    const { best, vipFallback } = this.service.rank({
+      job: { title: 'Replace breaker panel' },
+      candidates: TECHS.filter(t => t.id !== 'star'),
+      vip: true
+    });
+    assert.strictEqual(best.techId, 'sparky');
+    assert.strictEqual(vipFallback, true);
+  }
+
+  testRatings() {
+    techProfileStore.save('rater', { skills: [] });
+    techProfileStore.addRating('rater', 5);
+    const profile = techProfileStore.addRating('rater', 4);
+    assert.strictEqual(profile.rating, 4.5);
+    assert.strictEqual(profile.ratingCount, 2);
+    assert.strictEqual(techProfileStore.addRating('missing', 5), null);
+
+    // Saving the profile again keeps its ratings
+    assert.strictEqual(techProfileStore.save('rater', { skills: ['plumbing'] }).rating, 4.5);
+  }
+
+  testValidation() {
+    assert.deepStrictEqual(validateProfile({ skills: ['plumbing'], rating: 4 }), []);
+    assert.strictEqual(validateProfile({ skills: 'plumbing', rating: 6, vipEligible: 'yes' }).length, 3);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new TechMatchingTester();
+  tester.runAllTests();
+}
+
+module.exports = TechMatchingTester;
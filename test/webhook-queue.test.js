@@ -0,0 +1,491 @@
+// Keep scheduler and service state out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileJournal = require('../src/queue/FileJournal');
+const WebhookQueue = require('../src/queue/WebhookQueue');
+const WebhookServer = require('../src/server/WebhookServer');
+const deadLetterStore = require('../src/storage/DeadLetterStore');
+const webhookDeliveryStore = require('../src/storage/WebhookDeliveryStore');
+const authenticator = require('../src/middleware/auth');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-queue-'));
+let fileCount = 0;
+
+// Each test gets its own journal file
+function journalFile() {
+  return path.join(dir, `journal-${++fileCount}.jsonl`);
+}
+
+function createQueue(file, options = {}) {
+  return new WebhookQueue({ journal: new FileJournal({ file, ...options }) });
+}
+
+function webhook(id, topic = 'JOB_CREATE') {
+  return {
+    id,
+    event: { topic, itemId: `item-${id}`, occurredAt: new Date().toISOString() },
+    receivedAt: new Date(),
+    userId: 'user-1',
+    userName: 'Angelo'
+  };
+}
+
+// Records what it processes and fails the first `failures` calls per topic
+function createAgent(failures = {}) {
+  return {
+    processed: [],
+    attempts: {},
+    async processWebhook(event) {
+      this.attempts[event.topic] = (this.attempts[event.topic] || 0) + 1;
+      if (this.attempts[event.topic] <= (failures[event.topic] || 0)) {
+        throw new Error(`${event.topic} failed`);
+      }
+      this.processed.push(event.itemId);
+    }
+  };
+}
+
+async function drained(server) {
+  while (server.processing || server.webhookQueue.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+class WebhookQueueTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting webhook queue tests...\n');
+
+    await this.run('Recovers unacknowledged webhooks in order', () => this.testRecovery());
+    await this.run('Ignores a torn last journal line', () => this.testTornLine());
+    await this.run('Compacts the journal after acknowledgements', () => this.testCompaction());
+    await this.run('Acknowledges webhooks only after processing', () => this.testServerAck());
+    await this.run('Retries failures and dead-letters them after the last attempt', () => this.testServerRetries());
+    await this.run('Backs off exponentially between retries', () => this.testBackoff());
+    await this.run('Processes recovered webhooks on startup', () => this.testServerStartup());
+    await this.run('Rejects a webhook the journal cannot store', () => this.testJournalFailure());
+    await this.run('Processes different items in parallel up to the limit', () => this.testConcurrency());
+    await this.run('Keeps webhooks for the same item in order, retries included', () => this.testItemOrdering());
+    await this.run('Lists, replays and discards dead letters over HTTP', () => this.testDeadLetterRoutes());
+    await this.run('Drops repeat deliveries of the same event', () => this.testDuplicates());
+    await this.run('Accepts an event again once the dedup window has passed', () => this.testDedupWindow());
+    await this.run('Accepts a redelivery when the first copy could not be queued', () => this.testDedupRelease());
+    await this.run('Claims a delivery only once it is journaled', () => this.testClaimAfterAppend());
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  async testRecovery() {
+    const file = journalFile();
+    const before = createQueue(file);
+    await before.push(webhook('a'));
+    await before.push(webhook('b'));
+    await before.push(webhook('c'));
+
+    // 'a' finished, 'b' was in progress and 'c' never started when we "crashed"
+    assert.strictEqual(before.takeNext(new Set()).id, 'a');
+    await before.ack('a');
+    const retried = before.takeNext(new Set());
+    retried.retries = 1;
+    await before.requeue(retried);
+    await before.close();
+
+    const after = createQueue(file);
+    assert.strictEqual(await after.open(), 2);
+    const recovered = [after.takeNext(new Set()), after.takeNext(new Set())];
+    assert.deepStrictEqual(recovered.map(item => item.id), ['b', 'c']);
+    assert.strictEqual(recovered[0].retries, 1);
+    assert.ok(recovered[0].receivedAt instanceof Date);
+    await after.close();
+  }
+
+  async testTornLine() {
+    const file = journalFile();
+    const before = createQueue(file);
+    await before.push(webhook('whole'));
+    await before.close();
+    fs.appendFileSync(file, '{"op":"add","item":{"id":"torn"');
+
+    const after = createQueue(file);
+    assert.strictEqual(await after.open(), 1);
+    assert.strictEqual(after.takeNext(new Set()).id, 'whole');
+    await after.close();
+
+    // The torn line is gone once the journal has been rewritten
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('torn'));
+  }
+
+  async testCompaction() {
+    const file = journalFile();
+    const queue = createQueue(file, { compactAfter: 3 });
+    for (const id of ['a', 'b', 'c', 'd']) {
+      await queue.push(webhook(id));
+    }
+    for (const id of ['a', 'b', 'c']) {
+      queue.takeNext(new Set());
+      await queue.ack(id);
+    }
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line)).map(record => [record.op, record.item.id]), [['add', 'd']]);
+    await queue.close();
+  }
+
+  async testServerAck() {
+    const file = journalFile();
+    const agent = createAgent();
+    const server = new WebhookServer(agent, { queue: createQueue(file) });
+
+    let acknowledgedEarly = false;
+    const processWebhook = agent.processWebhook.bind(agent);
+    agent.processWebhook = async event => {
+      // The webhook must still be journaled while the agent is working on it
+      acknowledgedEarly = acknowledgedEarly || !fs.readFileSync(file, 'utf8').includes(event.itemId);
+      return processWebhook(event);
+    };
+
+    await server.queueWebhook({ data: { webHookEvent: { topic: 'JOB_CREATE', itemId: 'job-1', userId: 'user-1' } } });
+    await server.queueWebhook({ topic: 'JOB_UPDATE', itemId: 'job-2', userId: 'user-2' });
+    await drained(server);
+
+    assert.deepStrictEqual(agent.processed, ['job-1', 'job-2']);
+    assert.strictEqual(acknowledgedEarly, false);
+    assert.strictEqual(server.stats.processed, 2);
+
+    await server.webhookQueue.close();
+    const reopened = createQueue(file);
+    assert.strictEqual(await reopened.open(), 0);
+    await reopened.close();
+  }
+
+  async testServerRetries() {
+    const file = journalFile();
+    const agent = createAgent({ JOB_UPDATE: 1, JOB_DESTROY: 10 });
+    const server = new WebhookServer(agent, { queue: createQueue(file), retryAttempts: 3, retryDelay: 5 });
+
+    await server.queueWebhook({ topic: 'JOB_UPDATE', itemId: 'flaky' });
+    await server.queueWebhook({ topic: 'JOB_DESTROY', itemId: 'broken' });
+    await drained(server);
+
+    assert.deepStrictEqual(agent.processed, ['flaky']);
+    assert.strictEqual(agent.attempts.JOB_UPDATE, 2);
+    // The first attempt plus three retries
+    assert.strictEqual(agent.attempts.JOB_DESTROY, 4);
+    assert.strictEqual(server.stats.deadLettered, 1);
+
+    const [deadLetter] = deadLetterStore.list({ itemId: 'broken' }).items;
+    assert.strictEqual(deadLetter.status, 'dead');
+    assert.strictEqual(deadLetter.topic, 'JOB_DESTROY');
+    assert.strictEqual(deadLetter.attempts, 4);
+    assert.deepStrictEqual(deadLetter.errors.map(entry => entry.attempt), [1, 2, 3, 4]);
+    assert.ok(deadLetter.errors.every(entry => entry.error === 'JOB_DESTROY failed'));
+    assert.strictEqual(deadLetterStore.list({ itemId: 'flaky' }).total, 0);
+
+    // Both are settled, so neither comes back after a restart
+    await server.webhookQueue.close();
+    const reopened = createQueue(file);
+    assert.strictEqual(await reopened.open(), 0);
+    await reopened.close();
+  }
+
+  async testServerStartup() {
+    const file = journalFile();
+    const before = createQueue(file);
+    await before.push(webhook('left-over'));
+    await before.close();
+
+    const agent = createAgent();
+    const server = new WebhookServer(agent, { queue: createQueue(file) });
+    await server.start(0);
+    await drained(server);
+    await server.shutdown();
+
+    assert.deepStrictEqual(agent.processed, ['item-left-over']);
+
+    const reopened = createQueue(file);
+    assert.strictEqual(await reopened.open(), 0);
+    await reopened.close();
+  }
+
+  async testJournalFailure() {
+    const queue = new WebhookQueue({
+      journal: {
+        open: async () => [],
+        append: async () => {
+          throw new Error('disk full');
+        },
+        close: async () => {}
+      }
+    });
+    const agent = createAgent();
+    const server = new WebhookServer(agent, { queue });
+
+    await assert.rejects(server.queueWebhook({ topic: 'JOB_CREATE', itemId: 'lost' }), /disk full/);
+    assert.strictEqual(queue.length, 0);
+    assert.strictEqual(server.stats.received, 0);
+    assert.deepStrictEqual(agent.processed, []);
+  }
+
+  async testBackoff() {
+    const times = [];
+    const agent = {
+      async processWebhook() {
+        times.push(Date.now());
+        throw new Error('still down');
+      }
+    };
+    const server = new WebhookServer(agent, { queue: createQueue(journalFile()), retryAttempts: 2, retryDelay: 60 });
+
+    await server.queueWebhook({ topic: 'JOB_UPDATE', itemId: 'backoff' });
+    // It waits out the backoff without holding a worker
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(server.inFlight.size, 0);
+    await drained(server);
+
+    assert.strictEqual(times.length, 3);
+    const gaps = [times[1] - times[0], times[2] - times[1]];
+    assert.ok(gaps[0] >= 55 && gaps[0] < 120, `first retry after ${gaps[0]}ms`);
+    assert.ok(gaps[1] >= 115 && gaps[1] < 240, `second retry after ${gaps[1]}ms`);
+    await server.webhookQueue.close();
+  }
+
+  async testConcurrency() {
+    const agent = createSlowAgent(30);
+    const server = new WebhookServer(agent, { queue: createQueue(journalFile()), concurrency: 3 });
+
+    const started = Date.now();
+    for (let i = 1; i <= 9; i++) {
+      await server.queueWebhook({ topic: 'JOB_CREATE', itemId: `job-${i}`, step: 1 });
+    }
+    assert.ok(server.inFlight.size <= 3);
+    await drained(server);
+
+    assert.strictEqual(agent.log.length, 9);
+    assert.strictEqual(agent.maxRunning, 3);
+    // Three rounds of 30ms, not nine
+    assert.ok(Date.now() - started < 9 * 30, `took ${Date.now() - started}ms`);
+    await server.webhookQueue.close();
+  }
+
+  async testItemOrdering() {
+    // Earlier steps are slower, so they'd finish last if run side by side
+    const agent = createSlowAgent(event => 40 - event.step * 10, { 'job-a#1': 1 });
+    const server = new WebhookServer(agent, { queue: createQueue(journalFile()), concurrency: 5, retryDelay: 5 });
+
+    for (const step of [1, 2, 3]) {
+      await server.queueWebhook({ topic: 'JOB_UPDATE', itemId: 'job-a', step });
+      await server.queueWebhook({ topic: 'JOB_UPDATE', itemId: `other-${step}`, step });
+    }
+    await drained(server);
+
+    const forJobA = agent.log.filter(label => label.startsWith('job-a'));
+    assert.deepStrictEqual(forJobA, ['job-a#1', 'job-a#2', 'job-a#3']);
+    assert.strictEqual(agent.attempts['job-a#1'], 2);
+    assert.strictEqual(agent.overlapped, false);
+    assert.ok(agent.maxRunning > 1, 'other items should run alongside job-a');
+    await server.webhookQueue.close();
+  }
+
+  async testDeadLetterRoutes() {
+    const agent = createAgent({ JOB_CLOSED: 2 });
+    const server = new WebhookServer(agent, { queue: createQueue(journalFile()), retryAttempts: 0 });
+    await server.start(0);
+    const base = `http://localhost:${server.server.address().port}/dead-letters`;
+    const authorization = `Bearer ${authenticator.issueToken({ subject: 'ops', role: 'operator' })}`;
+    const get = url => fetch(url, { headers: { Authorization: authorization } });
+    const post = (url, body) => fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: authorization },
+      body: JSON.stringify(body)
+    });
+
+    try {
+      // occurredAt makes it deduplicable, so this also checks replays aren't dropped as duplicates
+      await server.queueWebhook({ topic: 'JOB_CLOSED', itemId: 'replay-me', userId: 'user-9', occurredAt: new Date().toISOString() });
+      await server.queueWebhook({ topic: 'JOB_CLOSED', itemId: 'discard-me', userId: 'user-9' });
+      await drained(server);
+
+      const listed = await (await get(`${base}?userId=user-9`)).json();
+      assert.strictEqual(listed.total, 2);
+      const byItem = Object.fromEntries(listed.items.map(item => [item.itemId, item]));
+
+      const inspected = await (await get(`${base}/${byItem['replay-me'].id}`)).json();
+      assert.strictEqual(inspected.errors[0].error, 'JOB_CLOSED failed');
+      assert.strictEqual((await get(`${base}/nope`)).status, 404);
+      assert.strictEqual((await get(`${base}?status=bogus`)).status, 400);
+
+      // The agent has recovered by now, so the replay goes through
+      const replayed = await (await post(`${base}/${byItem['replay-me'].id}/replay`, { actor: 'someone-else' })).json();
+      assert.strictEqual(replayed.status, 'replayed');
+      assert.strictEqual(replayed.resolvedBy, 'ops');
+      assert.ok(replayed.replayedAs);
+      await drained(server);
+      assert.ok(agent.processed.includes('replay-me'));
+
+      const again = await post(`${base}/${byItem['replay-me'].id}/replay`, {});
+      assert.strictEqual(again.status, 409);
+
+      // The token's subject is recorded, never an actor from the body
+      const discarded = await (await post(`${base}/${byItem['discard-me'].id}/discard`, { note: 'duplicate' })).json();
+      assert.strictEqual(discarded.status, 'discarded');
+      assert.strictEqual(discarded.note, 'duplicate');
+      assert.strictEqual(discarded.resolvedBy, 'ops');
+      assert.ok(!agent.processed.includes('discard-me'));
+
+      const remaining = await (await get(`${base}?userId=user-9`)).json();
+      assert.strictEqual(remaining.total, 0);
+    } finally {
+      await server.shutdown();
+    }
+  }
+
+  async testDuplicates() {
+    const agent = createAgent();
+    const server = new WebhookServer(agent, { queue: createQueue(journalFile()) });
+    const occurredAt = new Date().toISOString();
+    const delivery = { data: { webHookEvent: { topic: 'JOB_CREATE', itemId: 'dup-1', occurredAt, userId: 'user-1' } } };
+
+    assert.ok(await server.queueWebhook(delivery));
+    assert.strictEqual(await server.queueWebhook(delivery), null);
+    assert.strictEqual(await server.queueWebhook(JSON.parse(JSON.stringify(delivery))), null);
+    // Same item, different event
+    assert.ok(await server.queueWebhook({ topic: 'JOB_UPDATE', itemId: 'dup-1', occurredAt, userId: 'user-1' }));
+    assert.ok(await server.queueWebhook({ topic: 'JOB_CREATE', itemId: 'dup-1', occurredAt: new Date(Date.now() + 1000).toISOString() }));
+    await drained(server);
+
+    assert.deepStrictEqual(agent.processed, ['dup-1', 'dup-1', 'dup-1']);
+    const stats = server.getStats();
+    assert.strictEqual(stats.total.duplicates, 2);
+    assert.strictEqual(stats.total.received, 3);
+    await server.webhookQueue.close();
+  }
+
+  async testDedupWindow() {
+    const agent = createAgent();
+    const server = new WebhookServer(agent, { queue: createQueue(journalFile()), dedupTtl: 30 });
+    const delivery = { topic: 'JOB_CREATE', itemId: 'dup-window', occurredAt: new Date().toISOString() };
+
+    assert.ok(await server.queueWebhook(delivery));
+    assert.strictEqual(await server.queueWebhook(delivery), null);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.ok(await server.queueWebhook(delivery));
+    await drained(server);
+
+    assert.deepStrictEqual(agent.processed, ['dup-window', 'dup-window']);
+    await server.webhookQueue.close();
+  }
+
+  async testDedupRelease() {
+    let failNext = true;
+    const journal = new FileJournal({ file: journalFile() });
+    const append = journal.append.bind(journal);
+    journal.append = async item => {
+      if (failNext) {
+        failNext = false;
+        throw new Error('disk full');
+      }
+      return append(item);
+    };
+    const agent = createAgent();
+    const server = new WebhookServer(agent, { queue: new WebhookQueue({ journal }) });
+    const delivery = { topic: 'JOB_CREATE', itemId: 'dup-retry', occurredAt: new Date().toISOString() };
+
+    await assert.rejects(server.queueWebhook(delivery), /disk full/);
+    assert.ok(await server.queueWebhook(delivery));
+    await drained(server);
+
+    assert.deepStrictEqual(agent.processed, ['dup-retry']);
+    await server.webhookQueue.close();
+  }
+
+  async testClaimAfterAppend() {
+    const journal = new FileJournal({ file: journalFile() });
+    const append = journal.append.bind(journal);
+    const claimedDuringAppend = [];
+    journal.append = async item => {
+      const { topic, itemId, occurredAt } = item.event;
+      claimedDuringAppend.push(webhookDeliveryStore.get(`${topic}:${itemId}:${occurredAt}`));
+      // Slow enough for a second copy to arrive mid-append
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return append(item);
+    };
+    const agent = createAgent();
+    const server = new WebhookServer(agent, { queue: new WebhookQueue({ journal }) });
+    const delivery = { topic: 'JOB_CREATE', itemId: 'claim-late', occurredAt: new Date().toISOString() };
+    const key = `JOB_CREATE:claim-late:${delivery.occurredAt}`;
+
+    // A crash during the append would leave nothing claimed, so Jobber's retry gets in
+    const copies = await Promise.all([server.queueWebhook(delivery), server.queueWebhook(delivery)]);
+    assert.deepStrictEqual(claimedDuringAppend, [null]);
+    assert.strictEqual(copies.filter(Boolean).length, 1);
+    assert.ok(webhookDeliveryStore.get(key));
+
+    // Once journaled it is claimed, so a later redelivery is a duplicate
+    assert.strictEqual(await server.queueWebhook(delivery), null);
+    await drained(server);
+
+    assert.deepStrictEqual(agent.processed, ['claim-late']);
+    assert.strictEqual(server.getStats().total.duplicates, 2);
+    await server.webhookQueue.close();
+  }
+}
+
+// Takes `delay` ms per webhook and tracks how many run at once, overall and per item
+function createSlowAgent(delay, failures = {}) {
+  return {
+    log: [],
+    active: new Map(),
+    running: 0,
+    maxRunning: 0,
+    overlapped: false,
+    attempts: {},
+    async processWebhook(event) {
+      const { itemId, step } = event;
+      this.running++;
+      this.maxRunning = Math.max(this.maxRunning, this.running);
+      this.overlapped = this.overlapped || this.active.has(itemId);
+      this.active.set(itemId, step);
+
+      await new Promise(resolve => setTimeout(resolve, typeof delay === 'function' ? delay(event) : delay));
+
+      this.active.delete(itemId);
+      this.running--;
+      const label = `${itemId}#${step}`;
+      this.attempts[label] = (this.attempts[label] || 0) + 1;
+      if (this.attempts[label] <= (failures[label] || 0)) {
+        throw new Error(`${label} failed`);
+      }
+      this.log.push(label);
+    }
+  };
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new WebhookQueueTester();
+  tester.runAllTests();
+}
+
+module.exports = WebhookQueueTester;
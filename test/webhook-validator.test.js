@@ -0,0 +1,342 @@
+// Keep queue and service state out of data/ - this test only needs a throwaway database
+process.env.SQLITE_FILE = process.env.SQLITE_FILE || ':memory:';
+process.env.JOBBER_CLIENT_SECRET = process.env.JOBBER_CLIENT_SECRET || 'test-client-secret';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WebhookValidator, sign } = require('../src/middleware/webhookValidator');
+const authenticator = require('../src/middleware/auth');
+const FileJournal = require('../src/queue/FileJournal');
+const WebhookQueue = require('../src/queue/WebhookQueue');
+const WebhookServer = require('../src/server/WebhookServer');
+
+const SECRET = 'current-secret';
+const OLD_SECRET = 'old-secret';
+const MINUTE = 60 * 1000;
+
+let sequence = 0;
+
+// A fresh event each call, so deliveries don't look like duplicates of each other
+function eventBody(occurredAt = new Date()) {
+  return JSON.stringify({
+    data: {
+      webHookEvent: {
+        topic: 'JOB_CREATE',
+        itemId: `job-${++sequence}`,
+        occurredAt: occurredAt.toISOString(),
+        userId: 'user-1'
+      }
+    }
+  });
+}
+
+// A bare app with the validator in front of a handler that answers `status`
+async function startApp(options) {
+  const validator = new WebhookValidator({ webhookSecret: SECRET, webhookMaxAge: 30 * MINUTE, ...options });
+  const app = express();
+  const received = [];
+  let status = 200;
+
+  app.post('/webhooks/jobber', express.raw({ type: 'application/json' }), validator.validateWebhook, (req, res) => {
+    received.push(JSON.parse(req.body));
+    res.status(status).json({ received: status === 200 });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    validator,
+    received,
+    failNext: () => { status = 500; },
+    recover: () => { status = 200; },
+    post: (body, signature) => fetch(`http://localhost:${server.address().port}/webhooks/jobber`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(signature ? { 'X-Jobber-Hmac-SHA256': signature } : {})
+      },
+      body
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+class WebhookValidatorTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Starting webhook validator tests...\n');
+
+    await this.run('Accepts correctly signed webhooks', () => this.testValid());
+    await this.run('Rejects missing and wrong signatures', () => this.testInvalid());
+    await this.run('Accepts previous secrets during rotation', () => this.testRotation());
+    await this.run('Rejects stale and future-dated webhooks', () => this.testStale());
+    await this.run('Rejects events without a topic or item', () => this.testUnidentified());
+    await this.run('Lets repeats of valid webhooks through', () => this.testRepeat());
+    await this.run('Rejects everything without a secret', () => this.testNotConfigured());
+    await this.run('Validates the Jobber webhook endpoint and reports metrics', () => this.testServer());
+    await this.run('Answers repeated signed deliveries as duplicates', () => this.testServerDuplicates());
+
+    console.log(`\n✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+
+  async run(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.results.failed++;
+    }
+  }
+
+  async testValid() {
+    const app = await startApp();
+    try {
+      const body = eventBody();
+      const response = await app.post(body, sign(SECRET, body));
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(app.received.length, 1);
+      assert.strictEqual(app.received[0].data.webHookEvent.itemId, JSON.parse(body).data.webHookEvent.itemId);
+      assert.deepStrictEqual(app.validator.getStats(), {
+        accepted: 1,
+        acceptedWithPreviousSecret: 0,
+        replayed: 0,
+        rejected: 0,
+        rejectedByReason: {}
+      });
+    } finally {
+      await app.close();
+    }
+  }
+
+  async testInvalid() {
+    const app = await startApp();
+    try {
+      const body = eventBody();
+
+      assert.strictEqual((await app.post(body)).status, 401);
+      assert.strictEqual((await app.post(body, sign('someone-else', body))).status, 401);
+      // Signed for a different body
+      assert.strictEqual((await app.post(body.replace('JOB_CREATE', 'JOB_DESTROY'), sign(SECRET, body))).status, 401);
+      // A signature of the wrong length is rejected, not an error
+      assert.strictEqual((await app.post(body, 'short')).status, 401);
+
+      assert.strictEqual(app.received.length, 0);
+      const stats = app.validator.getStats();
+      assert.strictEqual(stats.rejected, 4);
+      assert.deepStrictEqual(stats.rejectedByReason, { missingSignature: 1, invalidSignature: 3 });
+    } finally {
+      await app.close();
+    }
+  }
+
+  async testRotation() {
+    const app = await startApp({ previousWebhookSecrets: [OLD_SECRET] });
+    try {
+      const current = eventBody();
+      const old = eventBody();
+
+      assert.strictEqual((await app.post(current, sign(SECRET, current))).status, 200);
+      assert.strictEqual((await app.post(old, sign(OLD_SECRET, old))).status, 200);
+
+      const stats = app.validator.getStats();
+      assert.strictEqual(stats.accepted, 2);
+      assert.strictEqual(stats.acceptedWithPreviousSecret, 1);
+    } finally {
+      await app.close();
+    }
+
+    // Once the rotation is over the old secret stops working
+    const after = await startApp();
+    try {
+      const old = eventBody();
+      assert.strictEqual((await after.post(old, sign(OLD_SECRET, old))).status, 401);
+    } finally {
+      await after.close();
+    }
+  }
+
+  async testStale() {
+    const app = await startApp();
+    try {
+      const old = eventBody(new Date(Date.now() - 31 * MINUTE));
+      const recent = eventBody(new Date(Date.now() - 29 * MINUTE));
+      const future = eventBody(new Date(Date.now() + 10 * MINUTE));
+      const undated = JSON.stringify({ data: { webHookEvent: { topic: 'JOB_CREATE', itemId: 'job-undated' } } });
+
+      assert.strictEqual((await app.post(old, sign(SECRET, old))).status, 403);
+      assert.strictEqual((await app.post(recent, sign(SECRET, recent))).status, 200);
+      assert.strictEqual((await app.post(future, sign(SECRET, future))).status, 403);
+      assert.strictEqual((await app.post(undated, sign(SECRET, undated))).status, 400);
+
+      assert.deepStrictEqual(app.validator.getStats().rejectedByReason, { stale: 2, malformed: 1 });
+    } finally {
+      await app.close();
+    }
+  }
+
+  async testUnidentified() {
+    const app = await startApp();
+    try {
+      const occurredAt = new Date().toISOString();
+      const bodies = [
+        { topic: 'JOB_CREATE', occurredAt },
+        { itemId: 'job-no-topic', occurredAt },
+        { topic: 'JOB_CREATE', itemId: '', occurredAt },
+        { topic: ['JOB_CREATE'], itemId: 'job-array', occurredAt }
+      ].map(webHookEvent => JSON.stringify({ data: { webHookEvent } }));
+
+      for (const body of bodies) {
+        assert.strictEqual((await app.post(body, sign(SECRET, body))).status, 400, body);
+      }
+      assert.strictEqual(app.received.length, 0);
+      assert.deepStrictEqual(app.validator.getStats().rejectedByReason, { malformed: 4 });
+    } finally {
+      await app.close();
+    }
+  }
+
+  async testRepeat() {
+    const app = await startApp();
+    try {
+      const body = eventBody();
+      const signature = sign(SECRET, body);
+
+      // We couldn't queue it the first time, so Jobber's retry must get through
+      app.failNext();
+      assert.strictEqual((await app.post(body, signature)).status, 500);
+      app.recover();
+      assert.strictEqual((await app.post(body, signature)).status, 200);
+
+      // Repeats are still valid - telling them apart is the delivery dedup's job
+      assert.strictEqual((await app.post(body, signature)).status, 200);
+      assert.strictEqual(app.received.length, 3);
+      const stats = app.validator.getStats();
+      assert.strictEqual(stats.accepted, 3);
+      assert.strictEqual(stats.rejected, 0);
+    } finally {
+      await app.close();
+    }
+  }
+
+  async testNotConfigured() {
+    const app = await startApp({ webhookSecret: undefined });
+    try {
+      const body = eventBody();
+      assert.strictEqual((await app.post(body, sign('', body))).status, 503);
+      assert.deepStrictEqual(app.validator.getStats().rejectedByReason, { notConfigured: 1 });
+    } finally {
+      await app.close();
+    }
+  }
+
+  async testServer() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-validator-'));
+    const processed = [];
+    const agent = {
+      processWebhook: async event => processed.push(event.itemId),
+      getPerformanceMetrics: () => ({})
+    };
+    const queue = new WebhookQueue({ journal: new FileJournal({ file: path.join(dir, 'journal.jsonl') }) });
+    const server = new WebhookServer(agent, { queue });
+    await server.start(0);
+    const base = `http://localhost:${server.server.address().port}`;
+    const post = (body, signature) => fetch(`${base}/webhooks/jobber`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(signature ? { 'X-Jobber-Hmac-SHA256': signature } : {}) },
+      body
+    });
+
+    try {
+      const body = eventBody();
+      const itemId = JSON.parse(body).data.webHookEvent.itemId;
+
+      assert.strictEqual((await post(body, sign(process.env.JOBBER_CLIENT_SECRET, body))).status, 200);
+      assert.strictEqual((await post(body)).status, 401);
+
+      while (server.processing || server.webhookQueue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      assert.deepStrictEqual(processed, [itemId]);
+
+      const token = authenticator.issueToken({ subject: 'dashboard', role: 'viewer' });
+      const metrics = await (await fetch(`${base}/metrics`, { headers: { Authorization: `Bearer ${token}` } })).json();
+      assert.strictEqual(metrics.webhookValidation.accepted, 1);
+      assert.deepStrictEqual(metrics.webhookValidation.rejectedByReason, { missingSignature: 1 });
+    } finally {
+      await server.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  async testServerDuplicates() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-validator-'));
+    const processed = [];
+    const agent = {
+      processWebhook: async event => processed.push(event.itemId),
+      getPerformanceMetrics: () => ({})
+    };
+    const queue = new WebhookQueue({ journal: new FileJournal({ file: path.join(dir, 'journal.jsonl') }) });
+    const server = new WebhookServer(agent, { queue });
+    await server.start(0);
+    const base = `http://localhost:${server.server.address().port}`;
+    const deliver = async body => {
+      const response = await fetch(`${base}/webhooks/jobber`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Jobber-Hmac-SHA256': sign(process.env.JOBBER_CLIENT_SECRET, body) },
+        body
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      const body = eventBody();
+      const first = await deliver(body);
+      const second = await deliver(body);
+      assert.deepStrictEqual([first.status, first.body], [200, { received: true, duplicate: false }]);
+      assert.deepStrictEqual([second.status, second.body], [200, { received: true, duplicate: true }]);
+
+      // Copies arriving together are claimed by exactly one of them
+      const concurrent = eventBody();
+      const copies = await Promise.all([deliver(concurrent), deliver(concurrent)]);
+      assert.deepStrictEqual(copies.map(copy => copy.status), [200, 200]);
+      assert.deepStrictEqual(copies.map(copy => copy.body.duplicate).sort(), [false, true]);
+
+      while (server.processing || server.webhookQueue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      assert.deepStrictEqual(processed.sort(), [body, concurrent].map(sent => JSON.parse(sent).data.webHookEvent.itemId).sort());
+
+      const token = authenticator.issueToken({ subject: 'dashboard', role: 'viewer' });
+      const status = await (await fetch(`${base}/status`, { headers: { Authorization: `Bearer ${token}` } })).json();
+      assert.strictEqual(status.stats.total.duplicates, 2);
+
+      // The validator let both copies through; the dedup hits show up as replays
+      const metrics = await (await fetch(`${base}/metrics`, { headers: { Authorization: `Bearer ${token}` } })).json();
+      assert.strictEqual(metrics.webhookValidation.replayed, 2);
+    } finally {
+      await server.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new WebhookValidatorTester();
+  tester.runAllTests();
+}
+
+module.exports = WebhookValidatorTester;